@@ -3,45 +3,40 @@ const { pool } = require('../config/database');
 /**
  * Reusable Activity Logger Helper
  * 
- * This helper function can be called from any route to log activities
- * with optional admin context for tracking who performed admin actions.
+ * This helper function can be called from any route to log activities.
+ * The acting admin is stored in the actor_admin_id / actor_type columns
+ * so "who did this" can be answered without parsing the details text.
  * 
  * @param {Object} params - Activity log parameters
- * @param {number} params.user_id - User ID (required)
+ * @param {number} params.user_id - User the activity concerns (optional for catalog/settings actions)
  * @param {string} params.action - Action type (required)
  * @param {string} params.details - Activity details (optional)
  * @param {string} params.status - Status: 'completed', 'failed', 'pending' (default: 'completed')
  * @param {number} params.admin_id - Admin ID who performed the action (optional)
- * @param {string} params.admin_name - Admin name (optional, for details field)
+ * @param {string} params.actor_type - 'admin', 'user', 'kiosk' or 'system' (default: derived)
  * @returns {Promise<Object>} Result with success status and log ID
  */
 async function logActivity({
-  user_id,
+  user_id = null,
   action,
   details = null,
   status = 'completed',
   admin_id = null,
-  admin_name = null
+  actor_type = null
 }) {
   try {
     // Validate required fields
-    if (!user_id || !action) {
-      throw new Error('user_id and action are required for activity logging');
+    if (!action) {
+      throw new Error('action is required for activity logging');
     }
 
-    // If admin info provided, append to details
-    let finalDetails = details || '';
-    if (admin_id && admin_name) {
-      finalDetails += finalDetails ? ` | Admin: ${admin_name} (ID: ${admin_id})` : `Admin: ${admin_name} (ID: ${admin_id})`;
-    } else if (admin_id) {
-      finalDetails += finalDetails ? ` | Admin ID: ${admin_id}` : `Admin ID: ${admin_id}`;
-    }
+    const actorType = actor_type || (admin_id ? 'admin' : 'user');
 
     // Insert activity log
     const [result] = await pool.execute(
-      `INSERT INTO activity_logs (user_id, action, details, status, created_at)
-       VALUES (?, ?, ?, ?, NOW())`,
-      [user_id, action, finalDetails || null, status]
+      `INSERT INTO activity_logs (user_id, action, details, status, actor_admin_id, actor_type, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+      [user_id || null, action, details || null, status, admin_id || null, actorType]
     );
 
     return {
@@ -60,6 +55,42 @@ async function logActivity({
   }
 }
 
+/**
+ * Middleware that records a successful admin mutation in the activity log.
+ * The actor is the verified admin on req.admin (set by the admin auth middleware);
+ * the log entry is written once the response finishes with a 2xx status.
+ *
+ * @param {string} action - Action type, e.g. 'BOOK_UPDATED'
+ * @param {Object} options
+ * @param {Function} options.userId - (req) => user the action concerns (optional)
+ * @param {Function} options.details - (req) => details text (optional)
+ * @returns {Function} Express middleware
+ */
+function auditAdminAction(action, { userId = null, details = null } = {}) {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      if (res.statusCode < 200 || res.statusCode >= 300 || !req.admin) return;
+
+      let logDetails;
+      try {
+        logDetails = details ? details(req) : `${req.method} ${req.originalUrl}`;
+      } catch (error) {
+        logDetails = `${req.method} ${req.originalUrl}`;
+      }
+
+      logActivity({
+        user_id: userId ? userId(req) : null,
+        action,
+        details: logDetails,
+        status: 'completed',
+        admin_id: req.admin.admin_id,
+        actor_type: 'admin'
+      });
+    });
+    next();
+  };
+}
+
 /**
  * Log admin authentication events (login/logout)
  * 
@@ -88,11 +119,11 @@ async function logAdminAuth({
       details += ` from IP: ${ip_address}`;
     }
 
-    // For admin auth events, we'll use admin_id as user_id with special action prefix
+    // Admin auth events have no patron; the admin is recorded as the actor
     const [result] = await pool.execute(
-      `INSERT INTO activity_logs (user_id, action, details, status, created_at)
-       VALUES (?, ?, ?, ?, NOW())`,
-      [admin_id, action, details, 'completed']
+      `INSERT INTO activity_logs (user_id, action, details, status, actor_admin_id, actor_type, created_at)
+       VALUES (NULL, ?, ?, ?, ?, 'admin', NOW())`,
+      [action, details, 'completed', admin_id]
     );
 
     return {
@@ -120,7 +151,6 @@ async function logAdminAuth({
  * @param {string} params.item_title - Title of the item
  * @param {number} params.reservation_id - Reservation ID
  * @param {number} params.admin_id - Admin ID who processed (optional)
- * @param {string} params.admin_name - Admin name (optional)
  * @param {string} params.reason - Reason for rejection/cancellation (optional)
  * @returns {Promise<Object>} Result
  */
@@ -131,7 +161,6 @@ async function logReservation({
   item_title,
   reservation_id,
   admin_id = null,
-  admin_name = null,
   reason = null
 }) {
   try {
@@ -150,8 +179,7 @@ async function logReservation({
       action,
       details,
       status: 'completed',
-      admin_id,
-      admin_name
+      admin_id
     });
   } catch (error) {
     console.error('Error logging reservation:', error);
@@ -173,7 +201,6 @@ async function logReservation({
  * @param {string} params.reference_number - Payment reference number
  * @param {number} params.penalty_id - Penalty ID (optional)
  * @param {number} params.admin_id - Admin ID who processed the payment (optional)
- * @param {string} params.admin_name - Admin name (optional)
  * @returns {Promise<Object>} Result
  */
 async function logPayment({
@@ -182,8 +209,7 @@ async function logPayment({
   amount,
   reference_number,
   penalty_id = null,
-  admin_id = null,
-  admin_name = null
+  admin_id = null
 }) {
   try {
     // Require core fields but allow admin info to be optional (payments may be made via kiosk/no-admin flow)
@@ -197,14 +223,12 @@ async function logPayment({
       details += ` | Penalty ID: ${penalty_id}`;
     }
 
-    // Only append admin info if provided
     return await logActivity({
       user_id,
       action,
       details,
       status: 'completed',
-      admin_id: admin_id || null,
-      admin_name: admin_name || null
+      admin_id: admin_id || null
     });
   } catch (error) {
     console.error('Error logging payment:', error);
@@ -253,6 +277,7 @@ async function logActivitiesBatch(activities) {
 
 module.exports = {
   logActivity,
+  auditAdminAction,
   logAdminAuth,
   logReservation,
   logPayment,
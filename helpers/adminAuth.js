@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+const { findKioskByKey } = require('../services/kioskRegistry');
+require('dotenv').config();
+
+const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
+
+// Methods that only read data
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Read the Bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+}
+
+/**
+ * Load an active administrator by id.
+ * Permission flags are not part of the admin JWT, so they are always read fresh.
+ * @param {number} adminId - Administrator ID
+ * @returns {Promise<Object|null>}
+ */
+async function loadActiveAdmin(adminId) {
+  const [rows] = await pool.execute(
+    `SELECT * FROM administrators WHERE admin_id = ? LIMIT 1`,
+    [adminId]
+  );
+  if (rows.length === 0 || rows[0].status !== 'Active') return null;
+  return rows[0];
+}
+
+/**
+ * Resolve the active administrator behind an admin JWT.
+ * Returns null for invalid or non-admin tokens and for inactive admins.
+ *
+ * @param {string} token - Admin JWT
+ * @returns {Promise<Object|null>} Administrator row or null
+ */
+async function verifyAdminToken(token) {
+  if (!token) return null;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (!decoded || !decoded.adminId) return null;
+  return loadActiveAdmin(decoded.adminId);
+}
+
+/**
+ * Resolve the administrator behind the request's Bearer token.
+ * Returns null for missing, invalid or non-admin tokens and for inactive admins.
+ *
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} Administrator row or null when not an admin request
+ */
+async function getAdminFromRequest(req) {
+  if (req.admin) return req.admin;
+  return verifyAdminToken(getBearerToken(req));
+}
+
+/**
+ * Check whether an administrator has a permission flag (e.g. 'perm_book_transactions').
+ * Super Admins have every permission.
+ *
+ * @param {Object} admin - Administrator row
+ * @param {string} permission - Permission column name
+ * @returns {boolean}
+ */
+function hasPermission(admin, permission) {
+  if (!admin) return false;
+  if (admin.role === 'Super Admin') return true;
+  return !!admin[permission];
+}
+
+/**
+ * Middleware: require a valid, active admin token and optionally a permission flag.
+ * Sets req.admin on success.
+ *
+ * 401 - missing, invalid or expired token
+ * 403 - inactive admin or missing permission
+ *
+ * @param {string} permission - Permission column name (optional)
+ * @returns {Function} Express middleware
+ */
+function requireAdmin(permission = null) {
+  return async (req, res, next) => {
+    try {
+      const token = getBearerToken(req);
+      if (!token) {
+        return res.status(401).json({ success: false, message: "Authentication required" });
+      }
+
+      let decoded;
+      try {
+        decoded = jwt.verify(token, JWT_SECRET);
+      } catch (error) {
+        return res.status(401).json({ success: false, message: "Invalid or expired token" });
+      }
+
+      if (!decoded || !decoded.adminId) {
+        return res.status(403).json({ success: false, message: "Administrator access required" });
+      }
+
+      const admin = await loadActiveAdmin(decoded.adminId);
+      if (!admin) {
+        return res.status(403).json({ success: false, message: "Administrator account is inactive or no longer exists" });
+      }
+
+      if (permission && !hasPermission(admin, permission)) {
+        return res.status(403).json({
+          success: false,
+          message: "You do not have permission to perform this action",
+          required_permission: permission
+        });
+      }
+
+      req.admin = admin;
+      next();
+    } catch (error) {
+      console.error("Error authenticating administrator:", error);
+      res.status(500).json({ success: false, message: "Failed to authenticate request", error: error.message });
+    }
+  };
+}
+
+/**
+ * Middleware for a whole router: enforce an admin permission, with optional
+ * pass-through for read requests and for specific public routes.
+ *
+ * @param {string} permission - Permission column name
+ * @param {Object} options
+ * @param {boolean} options.publicReads - Let GET/HEAD requests through unauthenticated
+ * @param {boolean} options.kioskReads - Let GET/HEAD requests through with a kiosk credential
+ *   (admins still need the permission)
+ * @param {Array<Array>} options.publicRoutes - [method, RegExp] pairs (relative to the mount path) left public
+ * @returns {Function} Express middleware
+ */
+function adminGuard(permission, { publicReads = false, kioskReads = false, publicRoutes = [] } = {}) {
+  const guard = requireAdmin(permission);
+  const kioskGuard = requireKiosk({ adminPermission: permission });
+  return (req, res, next) => {
+    if (publicReads && READ_METHODS.includes(req.method)) return next();
+    if (kioskReads && READ_METHODS.includes(req.method)) return kioskGuard(req, res, next);
+    const isPublic = publicRoutes.some(([method, pattern]) => method === req.method && pattern.test(req.path));
+    if (isPublic) return next();
+    return guard(req, res, next);
+  };
+}
+
+/**
+ * Compare two secrets without leaking timing information
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Resolve the kiosk behind a kiosk credential.
+ * Registered kiosks use their own key; the shared KIOSK_API_KEY is still
+ * accepted (without a kiosk_id) for kiosks that have not been registered yet.
+ *
+ * @param {string} kioskKey - Value of the X-Kiosk-Key header
+ * @returns {Promise<Object|null>} { kiosk_id, kiosk_name } or null
+ */
+async function verifyKioskKey(kioskKey) {
+  if (!kioskKey) return null;
+
+  const kiosk = await findKioskByKey(kioskKey);
+  if (kiosk) return { kiosk_id: kiosk.kiosk_id, kiosk_name: kiosk.kiosk_name };
+
+  if (process.env.KIOSK_API_KEY && safeEqual(kioskKey, process.env.KIOSK_API_KEY)) {
+    return { kiosk_id: null, kiosk_name: null };
+  }
+  return null;
+}
+
+/**
+ * Middleware: require a kiosk credential in the X-Kiosk-Key header and expose
+ * the kiosk as req.kiosk. Admins with the given permission (book transactions
+ * by default) may also call kiosk endpoints.
+ *
+ * @param {Object} options
+ * @param {string} options.adminPermission - Permission an admin token needs instead of a kiosk credential
+ * @returns {Function} Express middleware
+ */
+function requireKiosk({ adminPermission = 'perm_book_transactions' } = {}) {
+  const adminFallback = requireAdmin(adminPermission);
+  return async (req, res, next) => {
+    const kioskKey = req.headers['x-kiosk-key'];
+
+    if (kioskKey) {
+      let kiosk;
+      try {
+        kiosk = await verifyKioskKey(kioskKey);
+      } catch (error) {
+        console.error("Error authenticating kiosk:", error);
+        return res.status(500).json({ success: false, message: "Failed to authenticate request", error: error.message });
+      }
+
+      if (!kiosk) {
+        return res.status(401).json({ success: false, message: "Invalid kiosk credential" });
+      }
+
+      req.kiosk = kiosk;
+      return next();
+    }
+
+    if (getBearerToken(req)) return adminFallback(req, res, next);
+
+    return res.status(401).json({ success: false, message: "Kiosk credential required" });
+  };
+}
+
+module.exports = {
+  verifyAdminToken,
+  getAdminFromRequest,
+  hasPermission,
+  requireAdmin,
+  adminGuard,
+  verifyKioskKey,
+  requireKiosk
+};
@@ -4,6 +4,10 @@ const { pool } = require("../config/database");
 const path = require("path");
 const axios = require("axios");
 const FormData = require("form-data");
+const { checkBorrowingEligibility, computeDueDates, getDenialStatusCode } = require("../services/borrowingPolicy");
+const { getAdminFromRequest, hasPermission } = require("../helpers/adminAuth");
+const { fulfillHolds } = require("../services/reservationHolds");
+const { recordKioskError } = require("../services/kioskRegistry");
 require('dotenv').config();
 
 // WebSocket instance (will be set from server.js)
@@ -43,10 +47,65 @@ async function uploadReceiptImage(fileBuffer, filename, mimeType) {
   }
 }
 
+// Lock the given rows for the rest of the transaction (sorted to avoid deadlocks)
+async function lockRows(conn, table, idColumn, ids) {
+  if (ids.length === 0) return;
+  const sortedIds = [...ids].sort((a, b) => parseInt(a) - parseInt(b));
+  const placeholders = sortedIds.map(() => '?').join(',');
+  await conn.execute(
+    `SELECT ${idColumn} FROM ${table} WHERE ${idColumn} IN (${placeholders}) ORDER BY ${idColumn} FOR UPDATE`,
+    sortedIds
+  );
+}
+
+// BORROW ELIGIBILITY PRE-CHECK (DRY RUN, NOTHING IS SAVED)
+router.post("/borrow/check", async (req, res) => {
+  try {
+    const { user_id, book_ids, research_paper_ids } = req.body;
+
+    if (!user_id) {
+      return res.status(400).json({
+        success: false,
+        message: "user_id is required"
+      });
+    }
+
+    const eligibility = await checkBorrowingEligibility({
+      user_id,
+      book_ids,
+      research_paper_ids
+    });
+
+    // PREVIEW THE DUE DATES THE PATRON WOULD GET
+    const dueDates = eligibility.summary
+      ? await computeDueDates({ position: eligibility.summary.user_type })
+      : null;
+
+    res.status(200).json({
+      success: true,
+      message: eligibility.eligible
+        ? "User is eligible to borrow the selected items"
+        : "User is not eligible to borrow the selected items",
+      data: {
+        ...eligibility,
+        due_dates: dueDates
+      }
+    });
+  } catch (error) {
+    console.error("Error checking borrowing eligibility:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to check borrowing eligibility",
+      error: error.message
+    });
+  }
+});
+
 // BORROW BOOK ROUTE
 router.post("/borrow", (req, res) => {
   const upload = req.upload.single("receipt_image");
   upload(req, res, async (err) => {
+    let conn;
     if (err) {
       console.error("File upload error:", err);
       let errorMessage = "File upload error";
@@ -127,133 +186,98 @@ router.post("/borrow", (req, res) => {
       });
     }
 
-    // CHECK IF USER EXISTS
-    const [userCheck] = await pool.execute(
-      "SELECT user_id, librarian_approval FROM users WHERE user_id = ?",
-      [user_id]
-    );
-
-    if (userCheck.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found"
-      });
-    }
-
-    // CHECK IF USER IS APPROVED
-    if (userCheck[0].librarian_approval !== 1) {
-      return res.status(403).json({
-        success: false,
-        message: "User not approved for borrowing"
-      });
-    }
-
-    // CHECK IF BOOKS EXIST AND ARE AVAILABLE
-    const unavailableBooks = [];
-    if (bookIdsArray.length > 0) {
-      const placeholders = bookIdsArray.map(() => '?').join(',');
-      const [bookCheck] = await pool.execute(
-        `SELECT book_id, status, book_title FROM books WHERE book_id IN (${placeholders})`,
-        bookIdsArray
-      );
-
-      if (bookCheck.length !== bookIdsArray.length) {
-        const foundIds = bookCheck.map(book => book.book_id);
-        const notFoundIds = bookIdsArray.filter(id => !foundIds.includes(parseInt(id)));
-        return res.status(404).json({
+    // DUE DATE OVERRIDE IS ONLY HONOURED FOR ADMINS WITH TRANSACTION PERMISSION
+    let dueDateOverride = null;
+    if (due_date) {
+      const admin = await getAdminFromRequest(req);
+      if (!hasPermission(admin, 'perm_book_transactions')) {
+        console.warn(`Ignoring client supplied due_date for reference ${reference_number}`);
+      } else if (!/^\d{4}-\d{2}-\d{2}$/.test(due_date) || isNaN(new Date(due_date).getTime())) {
+        return res.status(400).json({
           success: false,
-          message: "Some books not found",
-          error: `Book IDs not found: ${notFoundIds.join(', ')}`
+          message: "Invalid due_date",
+          error: "due_date must be in YYYY-MM-DD format"
         });
+      } else {
+        dueDateOverride = due_date;
       }
+    }
 
-      // CHECK AVAILABILITY
-      bookCheck.forEach(book => {
-        if (book.status !== "Available") {
-          unavailableBooks.push({
-            id: book.book_id,
-            title: book.book_title,
-            status: book.status
-          });
-        }
-      });
+    // RECEIPT PATH IS DERIVED FROM THE REFERENCE NUMBER, UPLOADED AFTER COMMIT
+    let receiptImagePath = null;
+    let receiptFilename = null;
+    if (req.file && req.file.buffer) {
+      const fileExtension = path.extname(req.file.originalname) || '.jpg';
+      receiptFilename = `${reference_number}${fileExtension}`;
+      receiptImagePath = `/receipts/${receiptFilename}`;
     }
 
-    // CHECK IF RESEARCH PAPERS EXIST
-    if (researchPaperIdsArray.length > 0) {
-      const placeholders = researchPaperIdsArray.map(() => '?').join(',');
-      const [researchCheck] = await pool.execute(
-        `SELECT research_paper_id FROM research_papers WHERE research_paper_id IN (${placeholders})`,
-        researchPaperIdsArray
-      );
+    const transactionIds = [];
+    const transactionDate = new Date();
+    const kioskId = req.kiosk ? req.kiosk.kiosk_id : null;
 
-      if (researchCheck.length !== researchPaperIdsArray.length) {
-        const foundIds = researchCheck.map(rp => rp.research_paper_id);
-        const notFoundIds = researchPaperIdsArray.filter(id => !foundIds.includes(parseInt(id)));
-        return res.status(404).json({
-          success: false,
-          message: "Some research papers not found",
-          error: `Research paper IDs not found: ${notFoundIds.join(', ')}`
-        });
-      }
-    }
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
 
-    // CHECK FOR UNAVAILABLE BOOKS
-    if (unavailableBooks.length > 0) {
-      return res.status(400).json({
+    // LOCK THE PATRON AND THE REQUESTED COPIES SO CONCURRENT KIOSKS WAIT
+    await conn.execute(
+      "SELECT user_id FROM users WHERE user_id = ? FOR UPDATE",
+      [user_id]
+    );
+    await lockRows(conn, "books", "book_id", bookIdsArray);
+    await lockRows(conn, "research_papers", "research_paper_id", researchPaperIdsArray);
+
+    // CHECK BORROWING ELIGIBILITY (USER, LIMITS, PENALTIES, ITEMS)
+    const eligibility = await checkBorrowingEligibility({
+      user_id,
+      book_ids: bookIdsArray,
+      research_paper_ids: researchPaperIdsArray
+    }, conn);
+
+    if (!eligibility.eligible) {
+      await conn.rollback();
+      await conn.release();
+      conn = null;
+      return res.status(getDenialStatusCode(eligibility.reasons)).json({
         success: false,
-        message: "Some books are not available for borrowing",
-        error: "Unavailable books",
-        unavailable_books: unavailableBooks
+        message: eligibility.reasons[0].message,
+        error: "Borrowing not allowed",
+        reasons: eligibility.reasons
       });
     }
 
     // CHECK IF REFERENCE NUMBER ALREADY EXISTS
-    const [refCheck] = await pool.execute(
-      "SELECT reference_number FROM transactions WHERE reference_number = ?",
+    const [refCheck] = await conn.execute(
+      "SELECT reference_number FROM transactions WHERE reference_number = ? FOR UPDATE",
       [reference_number]
     );
 
     if (refCheck.length > 0) {
+      await conn.rollback();
+      await conn.release();
+      conn = null;
       return res.status(400).json({
         success: false,
         message: "Reference number already exists"
       });
     }
 
-    // HANDLE RECEIPT IMAGE UPLOAD TO VPS
-    let receiptImagePath = null;
-    if (req.file && req.file.buffer) {
-      try {
-        // Generate filename using reference number
-        const fileExtension = path.extname(req.file.originalname) || '.jpg';
-        const receiptFilename = `${reference_number}${fileExtension}`;
-        
-        console.log(`Uploading receipt image: ${receiptFilename}`);
-        const receiptUpload = await uploadReceiptImage(
-          req.file.buffer, 
-          receiptFilename, 
-          req.file.mimetype
-        );
-        
-        console.log('Receipt image uploaded to VPS:', receiptUpload);
-        
-        // Store the file path for database storage
-        receiptImagePath = `/receipts/${receiptFilename}`;
-      } catch (uploadError) {
-        console.error('Error uploading receipt image:', uploadError);
-        // Continue without receipt if upload fails, but log the error
-        receiptImagePath = null;
-      }
-    }
-
-    // INSERT MULTIPLE TRANSACTIONS (ONE FOR EACH ITEM)
-    const transactionIds = [];
-    const transactionDate = new Date();
+    // COMPUTE DUE DATES FROM THE LOAN POLICY AND LIBRARY CALENDAR
+    const dueDates = await computeDueDates({
+      position: eligibility.summary.user_type,
+      borrow_date: transactionDate
+    }, conn);
+    const bookDueDate = dueDateOverride || dueDates.book;
+    const researchDueDate = dueDateOverride || dueDates.research_paper;
+    const responseDueDate = bookIdsArray.length > 0 ? bookDueDate : researchDueDate;
+    const responseDueDates = {
+      book: bookIdsArray.length > 0 ? bookDueDate : null,
+      research_paper: researchPaperIdsArray.length > 0 ? researchDueDate : null
+    };
 
     // INSERT TRANSACTIONS FOR BOOKS
     for (const bookId of bookIdsArray) {
-      const [transactionResult] = await pool.execute(
+      const [transactionResult] = await conn.execute(
         `INSERT INTO transactions (
           reference_number,
           user_id,
@@ -262,23 +286,25 @@ router.post("/borrow", (req, res) => {
           receipt_image,
           due_date,
           transaction_type,
-          transaction_date
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          transaction_date,
+          kiosk_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           reference_number,
           user_id,
           bookId,
           null,
           receiptImagePath, // Store file path instead of binary data
-          safe(due_date),
+          bookDueDate,
           transaction_type,
-          transactionDate
+          transactionDate,
+          kioskId
         ]
       );
       transactionIds.push(transactionResult.insertId);
 
       // UPDATE BOOK STATUS TO BORROWED
-      await pool.execute(
+      await conn.execute(
         "UPDATE books SET status = 'Borrowed' WHERE book_id = ?",
         [bookId]
       );
@@ -286,7 +312,7 @@ router.post("/borrow", (req, res) => {
 
     // INSERT TRANSACTIONS FOR RESEARCH PAPERS
     for (const researchPaperId of researchPaperIdsArray) {
-      const [transactionResult] = await pool.execute(
+      const [transactionResult] = await conn.execute(
         `INSERT INTO transactions (
           reference_number,
           user_id,
@@ -295,28 +321,63 @@ router.post("/borrow", (req, res) => {
           receipt_image,
           due_date,
           transaction_type,
-          transaction_date
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          transaction_date,
+          kiosk_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           reference_number,
           user_id,
           null,
           researchPaperId,
           receiptImagePath, // Store file path instead of binary data
-          safe(due_date),
+          researchDueDate,
           transaction_type,
-          transactionDate
+          transactionDate,
+          kioskId
         ]
       );
       transactionIds.push(transactionResult.insertId);
 
       // UPDATE RESEARCH PAPER STATUS TO BORROWED
-      await pool.execute(
+      await conn.execute(
         "UPDATE research_papers SET status = 'Borrowed' WHERE research_paper_id = ?",
         [researchPaperId]
       );
     }
 
+    // PICKING UP A HELD ITEM FULFILLS THE RESERVATION
+    await fulfillHolds(conn, {
+      user_id,
+      book_ids: bookIdsArray,
+      research_paper_ids: researchPaperIdsArray
+    });
+
+    await conn.commit();
+    await conn.release();
+    conn = null;
+
+    // HANDLE RECEIPT IMAGE UPLOAD TO VPS
+    if (receiptFilename) {
+      try {
+        console.log(`Uploading receipt image: ${receiptFilename}`);
+        const receiptUpload = await uploadReceiptImage(
+          req.file.buffer,
+          receiptFilename,
+          req.file.mimetype
+        );
+
+        console.log('Receipt image uploaded to VPS:', receiptUpload);
+      } catch (uploadError) {
+        console.error('Error uploading receipt image:', uploadError);
+        // Continue without receipt if upload fails, but log the error
+        receiptImagePath = null;
+        await pool.execute(
+          "UPDATE transactions SET receipt_image = NULL WHERE reference_number = ?",
+          [reference_number]
+        );
+      }
+    }
+
     const totalItems = bookIdsArray.length + researchPaperIdsArray.length;
 
     // GET USER DETAILS FOR ACTIVITY LOG
@@ -341,10 +402,11 @@ router.post("/borrow", (req, res) => {
           research_paper_ids: researchPaperIdsArray,
           total_items: totalItems,
           transaction_date: transactionDate,
-          due_date: safe(due_date)
+          due_date: responseDueDate,
+          due_dates: responseDueDates
         },
         timestamp: new Date().toISOString()
-      });
+      }, { userId: user_id });
 
       // SAVE TO ACTIVITY LOG
       try {
@@ -357,13 +419,15 @@ router.post("/borrow", (req, res) => {
         }
 
         await pool.execute(
-          `INSERT INTO activity_logs (user_id, action, details, status, created_at)
-           VALUES (?, ?, ?, ?, NOW())`,
+          `INSERT INTO activity_logs (user_id, action, details, status, actor_admin_id, actor_type, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, NOW())`,
           [
             user_id,
             'BOOK_BORROWED',
             `Borrowed ${itemDetails.join(' and ')} - Reference: ${reference_number}`,
-            'completed'
+            'completed',
+            req.admin ? req.admin.admin_id : null,
+            req.admin ? 'admin' : 'kiosk'
           ]
         );
       } catch (logError) {
@@ -381,7 +445,9 @@ router.post("/borrow", (req, res) => {
         user_id,
         book_ids: bookIdsArray,
         research_paper_ids: researchPaperIdsArray,
-        due_date: safe(due_date),
+        due_date: responseDueDate,
+        due_dates: responseDueDates,
+        due_date_overridden: !!dueDateOverride,
         transaction_type,
         transaction_date: transactionDate,
         total_items: totalItems,
@@ -391,7 +457,14 @@ router.post("/borrow", (req, res) => {
     });
 
     } catch (error) {
+      try {
+        if (conn) {
+          await conn.rollback();
+          await conn.release();
+        }
+      } catch (e) {}
       console.error("Error borrowing book/research paper:", error);
+      await recordKioskError(req.kiosk && req.kiosk.kiosk_id, error.message);
       res.status(500).json({
         success: false,
         message: "Failed to borrow book/research paper",
@@ -1,59 +1,35 @@
 const express = require("express");
 const router = express.Router();
 const { pool } = require("../config/database");
+const { auditAdminAction } = require("../helpers/activityLogger");
 const { createOrUpdatePenalty } = require("./penalties");
+const { getFineSettings, calculateFine } = require("../services/fineEngine");
 
 // UNDEFINED VALUE SQL PARAMS HELPER
 function safe(val) {
   return val === undefined ? null : val;
 }
 
-// GET SYSTEM SETTINGS FOR FINE CALCULATION
-const getSystemSettings = async () => {
-  try {
-    const [settings] = await pool.execute(
-      `SELECT 
-        student_daily_fine,
-        faculty_daily_fine,
-        student_borrow_days,
-        faculty_borrow_days
-       FROM system_settings 
-       LIMIT 1`
-    );
-    
-    if (settings.length === 0) {
-      // Default settings if none found
-      return {
-        student_daily_fine: 5,
-        faculty_daily_fine: 11,
-        student_borrow_days: 3,
-        faculty_borrow_days: 90
-      };
-    }
-    
-    return settings[0];
-  } catch (error) {
-    console.error("Error fetching system settings:", error);
-    // Return default values on error
-    return {
-      student_daily_fine: 5,
-      faculty_daily_fine: 11,
-      student_borrow_days: 3,
-      faculty_borrow_days: 90
-    };
-  }
-};
+// FINE SETTINGS RETURNED WITH FINE LISTINGS
+const getFineSettingsSummary = (settings) => ({
+  student_daily_fine: settings.student_daily_fine,
+  faculty_daily_fine: settings.faculty_daily_fine,
+  student_research_daily_fine: settings.student_research_daily_fine,
+  faculty_research_daily_fine: settings.faculty_research_daily_fine,
+  fine_grace_days: settings.fine_grace_days,
+  fine_max_per_item: settings.fine_max_per_item
+});
 
 // CALCULATE FINE FOR A SINGLE TRANSACTION
 const calculateTransactionFine = async (transaction, systemSettings = null) => {
   try {
     // Get system settings if not provided
     if (!systemSettings) {
-      systemSettings = await getSystemSettings();
+      systemSettings = await getFineSettings();
     }
 
-    // Check if transaction has due date
-    if (!transaction.due_date) {
+    // Check if transaction has a due date (or a transaction date to derive one from)
+    if (!transaction.due_date && !transaction.transaction_date) {
       return {
         fine: 0,
         daysOverdue: 0,
@@ -62,27 +38,6 @@ const calculateTransactionFine = async (transaction, systemSettings = null) => {
       };
     }
 
-    // If transaction is returned, check if it was overdue at return time
-    if (transaction.status === 'Returned' && transaction.return_date) {
-      const returnDate = new Date(transaction.return_date);
-      const dueDate = new Date(transaction.due_date);
-      
-      // If returned before or on due date, no fine
-      if (returnDate <= dueDate) {
-        return {
-          fine: 0,
-          daysOverdue: 0,
-          status: 'returned_on_time',
-          message: 'Transaction returned on time',
-          transaction_status: 'Returned',
-          return_date: transaction.return_date
-        };
-      }
-      
-      // If returned after due date, calculate fine based on return date
-      // Continue with fine calculation using return_date as calculation date
-    }
-
     // First, check if there's already a paid penalty for this transaction
     const [existingPenalty] = await pool.execute(
       `SELECT * FROM penalties 
@@ -101,76 +56,59 @@ const calculateTransactionFine = async (transaction, systemSettings = null) => {
       };
     }
 
-  // Validate transaction date and calculate allowed return period
-  // Use return_date if transaction is returned, otherwise use current date
-  const calculationDate = transaction.return_date ? new Date(transaction.return_date) : new Date();
-  const calculationDateLocalMidnight = new Date(calculationDate.getFullYear(), calculationDate.getMonth(), calculationDate.getDate());
-  
-  // Check if transaction has transaction_date
-  if (!transaction.transaction_date) {
-    return {
-      fine: 0,
-      daysOverdue: 0,
-      status: 'no_transaction_date',
-      message: 'No transaction date available for calculation'
+    // Returned items are fined up to the return date, borrowed items up to today
+    const result = await calculateFine(transaction, systemSettings);
+
+    const details = {
+      daysOverdue: result.days_overdue,
+      chargeableDays: result.chargeable_days,
+      graceDays: result.grace_days,
+      dailyFine: result.daily_fine,
+      maxFine: result.max_fine,
+      capped: result.capped,
+      userType: result.user_type,
+      itemType: result.item_type,
+      transactionDate: transaction.transaction_date,
+      allowedReturnDate: result.due_date
     };
-  }
-
-  const transactionDate = new Date(transaction.transaction_date);
-  const transactionDateLocalMidnight = new Date(transactionDate.getFullYear(), transactionDate.getMonth(), transactionDate.getDate());
-
-  // Determine user type and get allowed borrow days
-  const isStudent = !transaction.position || transaction.position === 'Student';
-  const allowedDays = isStudent ? systemSettings.student_borrow_days : systemSettings.faculty_borrow_days;
-  const dailyFine = isStudent ? systemSettings.student_daily_fine : systemSettings.faculty_daily_fine;
 
-  // Calculate the allowed return date (transaction date + allowed borrowing days)
-  const allowedReturnDate = new Date(transactionDateLocalMidnight);
-  allowedReturnDate.setDate(allowedReturnDate.getDate() + allowedDays);
-
-  // Calculate days from transaction date to calculation date (return_date or current_date)
-  const MS_PER_DAY = 1000 * 3600 * 24;
-  const daysSinceTransaction = Math.floor((calculationDateLocalMidnight.getTime() - transactionDateLocalMidnight.getTime()) / MS_PER_DAY);
-  
-  // Calculate actual overdue days (days beyond the allowed borrowing period)
-  const actualOverdueDays = Math.max(0, daysSinceTransaction - allowedDays);
+    if (result.days_overdue <= 0) {
+      const returned = transaction.status === 'Returned' && transaction.return_date;
+      return {
+        ...details,
+        fine: 0,
+        status: returned ? 'returned_on_time' : 'on_time',
+        message: returned
+          ? 'Transaction returned on time'
+          : `Item within borrowing period (due ${result.due_date})`
+      };
+    }
 
-    if (actualOverdueDays <= 0) {
+    if (result.fine <= 0) {
       return {
+        ...details,
         fine: 0,
-        daysOverdue: 0,
-        status: 'on_time',
-        message: daysSinceTransaction < allowedDays ? 
-          `Item within allowed ${allowedDays}-day borrowing period (${daysSinceTransaction}/${allowedDays} days used)` : 
-          `Item returned exactly on allowed return date`,
-        allowedDays: allowedDays,
-        daysSinceTransaction: daysSinceTransaction,
-        transactionDate: transaction.transaction_date,
-        allowedReturnDate: allowedReturnDate.toISOString().split('T')[0]
+        status: 'grace_period',
+        message: `${result.days_overdue} day${result.days_overdue > 1 ? 's' : ''} overdue, within the ${result.grace_days}-day grace period`
       };
     }
-    
-    const totalFine = actualOverdueDays * dailyFine;
 
     // Store penalty in database (only if no paid penalty exists)
     try {
-      await createOrUpdatePenalty(transaction.transaction_id, transaction.user_id, totalFine);
+      await createOrUpdatePenalty(transaction.transaction_id, transaction.user_id, result.fine);
     } catch (error) {
       console.error("Error storing penalty:", error);
       // Continue with fine calculation even if penalty storage fails
     }
 
     return {
-      fine: totalFine,
-      daysOverdue: actualOverdueDays,
-      dailyFine: dailyFine,
-      userType: isStudent ? 'student' : 'faculty',
+      ...details,
+      fine: result.fine,
       status: 'overdue',
-      message: `${actualOverdueDays} day${actualOverdueDays > 1 ? 's' : ''} overdue at ₱${dailyFine}/day (${allowedDays} days allowed, should have been returned by ${allowedReturnDate.toISOString().split('T')[0]})`,
-      allowedDays: allowedDays,
-      daysSinceTransaction: daysSinceTransaction,
-      transactionDate: transaction.transaction_date,
-      allowedReturnDate: allowedReturnDate.toISOString().split('T')[0]
+      message: `${result.days_overdue} day${result.days_overdue > 1 ? 's' : ''} overdue at ₱${result.daily_fine}/day` +
+        (result.grace_days > 0 ? ` after a ${result.grace_days}-day grace period` : '') +
+        (result.capped ? `, capped at ₱${result.max_fine}` : '') +
+        ` (should have been returned by ${result.due_date})`
     };
 
   } catch (error) {
@@ -191,7 +129,7 @@ router.get("/user/:user_id", async (req, res) => {
     const { user_id } = req.params;
 
     // Get system settings
-    const systemSettings = await getSystemSettings();
+    const systemSettings = await getFineSettings();
 
     // Get user's ongoing transactions (borrowed items)
     const [transactions] = await pool.execute(
@@ -264,10 +202,7 @@ router.get("/user/:user_id", async (req, res) => {
         total_fine: totalFine,
         total_overdue_items: totalOverdueItems,
         total_borrowed_items: transactions.length,
-        system_settings: {
-          student_daily_fine: systemSettings.student_daily_fine,
-          faculty_daily_fine: systemSettings.faculty_daily_fine
-        },
+        system_settings: getFineSettingsSummary(systemSettings),
         transactions: transactionsWithFines
       }
     });
@@ -386,18 +321,18 @@ router.get("/overdue", async (req, res) => {
     const { department_id, user_type } = req.query;
 
     // Get system settings
-    const systemSettings = await getSystemSettings();
+    const systemSettings = await getFineSettings();
 
-    // Build query conditions - only get transactions that are beyond the allowed borrowing period
-    // For students: transaction_date + student_borrow_days < current_date
-    // For faculty: transaction_date + faculty_borrow_days < current_date
-    let whereClause = `WHERE t.transaction_type = 'borrow' AND t.transaction_date IS NOT NULL AND t.status != 'Returned' AND (
-      (CASE 
+    // Only get transactions past their due date (old rows without a due date use
+    // transaction_date + loan period); the grace period is applied by the fine engine
+    let whereClause = `WHERE t.transaction_type = 'borrow' AND t.status != 'Returned' AND (
+      STR_TO_DATE(t.due_date, '%Y-%m-%d') < CURDATE()
+      OR (t.due_date IS NULL AND t.transaction_date IS NOT NULL AND (CASE 
         WHEN (u.position IS NULL OR u.position = 'Student') THEN 
           DATE_ADD(DATE(t.transaction_date), INTERVAL ${systemSettings.student_borrow_days} DAY) < CURDATE()
         ELSE 
           DATE_ADD(DATE(t.transaction_date), INTERVAL ${systemSettings.faculty_borrow_days} DAY) < CURDATE()
-      END)
+      END))
     )`;
     let queryParams = [];
 
@@ -483,10 +418,7 @@ router.get("/overdue", async (req, res) => {
           total_fines: totalFines,
           unique_users: Object.keys(userSummaries).length
         },
-        system_settings: {
-          student_daily_fine: systemSettings.student_daily_fine,
-          faculty_daily_fine: systemSettings.faculty_daily_fine
-        },
+        system_settings: getFineSettingsSummary(systemSettings),
         user_summaries: Object.values(userSummaries),
         transactions: overdueWithFines
       }
@@ -503,28 +435,42 @@ router.get("/overdue", async (req, res) => {
 });
 
 // UPDATE SYSTEM FINE SETTINGS
-router.put("/settings", async (req, res) => {
+router.put("/settings", auditAdminAction("FINE_SETTINGS_UPDATED", { details: (req) => `Updated: ${Object.keys(req.body).join(", ")}` }), async (req, res) => {
   try {
-    const { student_daily_fine, faculty_daily_fine } = req.body;
-
-    if (student_daily_fine === undefined && faculty_daily_fine === undefined) {
-      return res.status(400).json({
-        success: false,
-        message: "At least one fine setting must be provided"
-      });
-    }
+    // Research paper rates may be cleared (null) to fall back to the book rates
+    const numericFields = ["student_daily_fine", "faculty_daily_fine", "fine_grace_days", "fine_max_per_item"];
+    const nullableFields = ["student_research_daily_fine", "faculty_research_daily_fine"];
 
     const updateFields = [];
     const updateValues = [];
+    const updated = {};
+
+    for (const field of [...numericFields, ...nullableFields]) {
+      if (req.body[field] === undefined) continue;
+
+      let value = req.body[field] === null || req.body[field] === ""
+        ? null
+        : parseFloat(req.body[field]);
+
+      if (value === null ? !nullableFields.includes(field) : !Number.isFinite(value) || value < 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a non-negative number`
+        });
+      }
+
+      if (field === "fine_grace_days") value = Math.floor(value);
 
-    if (student_daily_fine !== undefined) {
-      updateFields.push("student_daily_fine = ?");
-      updateValues.push(student_daily_fine);
+      updateFields.push(`${field} = ?`);
+      updateValues.push(value);
+      updated[field] = value;
     }
 
-    if (faculty_daily_fine !== undefined) {
-      updateFields.push("faculty_daily_fine = ?");
-      updateValues.push(faculty_daily_fine);
+    if (updateFields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one fine setting must be provided"
+      });
     }
 
     // Update system settings
@@ -536,10 +482,7 @@ router.put("/settings", async (req, res) => {
     res.status(200).json({
       success: true,
       message: "Fine settings updated successfully",
-      data: {
-        student_daily_fine,
-        faculty_daily_fine
-      }
+      data: updated
     });
 
   } catch (error) {
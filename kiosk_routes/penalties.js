@@ -1,7 +1,25 @@
 const express = require("express");
 const router = express.Router();
 const { pool } = require("../config/database");
-const { logPayment } = require("../helpers/activityLogger");
+const { logActivity, logPayment, auditAdminAction } = require("../helpers/activityLogger");
+const { getFineSettings, calculateFine } = require("../services/fineEngine");
+const { loadCalendarSince } = require("../services/libraryCalendar");
+const {
+  BALANCE_SQL,
+  roundAmount,
+  getPenaltyTotal,
+  getPaymentsByPenalty,
+  summarizePenalty,
+  recordPayment
+} = require("../services/penaltyLedger");
+const { getReceiptData, buildReceiptPdf, getReceiptFileName } = require("../services/officialReceipt");
+const { applyAmnesty } = require("../services/fineAmnesty");
+const { acceptReplacement, reverseLostItem, getLostItems } = require("../services/lostItems");
+const { getUserPenalties } = require("../services/patronRecords");
+const { notifyHoldAssigned } = require("../services/reservationHolds");
+const { storeBookQr } = require("../services/bookQr");
+const { notifyUser } = require("../services/userNotifications");
+const { requireAdmin } = require("../helpers/adminAuth");
 
 // WebSocket instance (will be set from server.js)
 let wsServer = null;
@@ -16,40 +34,6 @@ function safe(val) {
   return val === undefined ? null : val;
 }
 
-// GET SYSTEM SETTINGS FOR FINE CALCULATION
-const getSystemSettings = async () => {
-  try {
-    const [settings] = await pool.execute(
-      `SELECT 
-        student_daily_fine,
-        faculty_daily_fine,
-        student_borrow_days,
-        faculty_borrow_days
-       FROM system_settings 
-       LIMIT 1`
-    );
-
-    if (settings.length === 0) {
-      return {
-        student_daily_fine: 5,
-        faculty_daily_fine: 11,
-        student_borrow_days: 3,
-        faculty_borrow_days: 90,
-      };
-    }
-
-    return settings[0];
-  } catch (error) {
-    console.error("Error fetching system settings:", error);
-    return {
-      student_daily_fine: 5,
-      faculty_daily_fine: 11,
-      student_borrow_days: 3,
-      faculty_borrow_days: 90,
-    };
-  }
-};
-
 // GET PENALTY RECORD (check for existing unpaid penalty with Pending Payment status)
 const checkPenaltyExists = async (transactionId, userId) => {
   try {
@@ -141,7 +125,9 @@ const createOrUpdatePenalty = async (transactionId, userId, fineAmount) => {
         `DELETE FROM penalties 
          WHERE transaction_id = ? AND user_id = ? 
            AND penalty_id < ? 
-           AND (status != 'Paid' OR status IS NULL)`,
+           AND (status != 'Paid' OR status IS NULL)
+           AND NOT EXISTS (SELECT 1 FROM penalty_payments pp WHERE pp.penalty_id = penalties.penalty_id)
+           AND NOT EXISTS (SELECT 1 FROM penalty_disputes pd WHERE pd.penalty_id = penalties.penalty_id)`,
         [transactionId, userId, existingPenalty.penalty_id]
       );
       
@@ -157,7 +143,9 @@ const createOrUpdatePenalty = async (transactionId, userId, fineAmount) => {
     // (preserve paid penalties with status = 'Paid')
     await pool.execute(
       `DELETE FROM penalties 
-       WHERE transaction_id = ? AND user_id = ? AND (status != 'Paid' OR status IS NULL)`,
+       WHERE transaction_id = ? AND user_id = ? AND (status != 'Paid' OR status IS NULL)
+         AND NOT EXISTS (SELECT 1 FROM penalty_payments pp WHERE pp.penalty_id = penalties.penalty_id)
+         AND NOT EXISTS (SELECT 1 FROM penalty_disputes pd WHERE pd.penalty_id = penalties.penalty_id)`,
       [transactionId, userId]
     );
 
@@ -184,99 +172,127 @@ const createOrUpdatePenalty = async (transactionId, userId, fineAmount) => {
   }
 };
 
-// GET ALL PENALTIES WITH TRANSACTION AND USER DETAILS (LATEST ONLY)
-router.get("/", async (req, res) => {
-  try {
-    const { status, user_id, transaction_id } = req.query;
+// CREATE MISSING PENALTIES AND BRING UNPAID OVERDUE FINES UP TO DATE
+// - Used before listing penalties so amounts reflect today's date.
+const syncOverduePenalties = async (logPrefix = "") => {
+  const fineSettings = await getFineSettings();
+
+  // FIRST: Auto-create penalty records for overdue transactions that don't have one yet
+  // Use the SAME logic as /api/transactions/notifications - check due_date
+  const [overdueTransactions] = await pool.execute(
+    `SELECT 
+      t.transaction_id,
+      t.user_id,
+      t.book_id,
+      t.research_paper_id,
+      t.due_date,
+      t.status as transaction_status,
+      u.position
+     FROM transactions t
+     LEFT JOIN users u ON t.user_id = u.user_id
+     LEFT JOIN penalties p ON t.transaction_id = p.transaction_id 
+                          AND t.user_id = p.user_id
+     WHERE t.status != 'Returned'
+       AND t.transaction_type = 'borrow'
+       AND t.due_date IS NOT NULL
+       AND DATEDIFF(STR_TO_DATE(t.due_date, '%Y-%m-%d'), CURDATE()) < 0
+       AND p.penalty_id IS NULL`
+  );
+
+  // Unpaid overdue penalties whose amount may have grown since the last sync
+  const [existingPenalties] = await pool.execute(
+    `SELECT 
+      p.penalty_id,
+      p.transaction_id,
+      p.user_id,
+      p.fine as current_fine,
+      t.book_id,
+      t.research_paper_id,
+      t.due_date,
+      u.position
+     FROM penalties p
+     INNER JOIN transactions t ON p.transaction_id = t.transaction_id
+     LEFT JOIN users u ON p.user_id = u.user_id
+     WHERE p.status NOT IN ('Paid', 'Waived')
+       AND (p.penalty_type IS NULL OR p.penalty_type != 'lost_damaged')
+       AND t.status != 'Returned'
+       AND t.transaction_type = 'borrow'
+       AND t.due_date IS NOT NULL
+       AND STR_TO_DATE(t.due_date, '%Y-%m-%d') < CURDATE()`
+  );
+
+  // One calendar for every loan below instead of a lookup per loan
+  const calendar = await loadCalendarSince(
+    [...overdueTransactions, ...existingPenalties].map((row) => row.due_date)
+  );
+  const today = new Date();
+
+  for (const tx of overdueTransactions) {
+    const result = await calculateFine(tx, fineSettings, today, calendar);
+
+    // Still within the grace period
+    if (result.fine <= 0) continue;
 
-    // FIRST: Auto-create penalty records for overdue transactions that don't have one yet
-    // Use the SAME logic as /api/transactions/notifications - check due_date
-    try {
-      const [overdueTransactions] = await pool.execute(
-        `SELECT 
-          t.transaction_id,
-          t.user_id,
-          t.due_date,
-          t.status as transaction_status,
-          u.position,
-          DATEDIFF(CURDATE(), STR_TO_DATE(t.due_date, '%Y-%m-%d')) as days_overdue
-         FROM transactions t
-         LEFT JOIN users u ON t.user_id = u.user_id
-         LEFT JOIN penalties p ON t.transaction_id = p.transaction_id 
-                              AND t.user_id = p.user_id
-         WHERE t.status != 'Returned'
-           AND t.transaction_type = 'borrow'
-           AND t.due_date IS NOT NULL
-           AND DATEDIFF(STR_TO_DATE(t.due_date, '%Y-%m-%d'), CURDATE()) < 0
-           AND p.penalty_id IS NULL`
-      );
-
-      if (overdueTransactions.length > 0) {
-        console.log(`Found ${overdueTransactions.length} overdue transactions without penalty records. Creating...`);
-        
-        // Get system settings for fine calculation
-        const [settings] = await pool.execute(
-          `SELECT student_daily_fine, faculty_daily_fine FROM system_settings LIMIT 1`
-        );
-        const systemSettings = settings[0] || { student_daily_fine: 5, faculty_daily_fine: 11 };
+    await pool.execute(
+      `INSERT INTO penalties (transaction_id, user_id, fine, updated_at)
+       VALUES (?, ?, ?, NOW())`,
+      [tx.transaction_id, tx.user_id, result.fine]
+    );
 
-        for (const tx of overdueTransactions) {
-          const isStudent = !tx.position || tx.position === 'Student';
-          const dailyFine = isStudent ? systemSettings.student_daily_fine : systemSettings.faculty_daily_fine;
-          const totalFine = tx.days_overdue * dailyFine;
+    console.log(`${logPrefix}Auto-created penalty for transaction ${tx.transaction_id}: ₱${result.fine} (${result.days_overdue} days)`);
+  }
 
-          // Create penalty record
-          await pool.execute(
-            `INSERT INTO penalties (transaction_id, user_id, fine, updated_at)
-             VALUES (?, ?, ?, NOW())`,
-            [tx.transaction_id, tx.user_id, totalFine]
-          );
-          
-          console.log(`Auto-created penalty for transaction ${tx.transaction_id}: ₱${totalFine} (${tx.days_overdue} days)`);
-        }
-      }
+  // SECOND: Update existing unpaid penalty amounts if days have increased
+  // (penalties created above already have today's amount)
+  for (const penalty of existingPenalties) {
+    const { fine: correctFine } = await calculateFine(penalty, fineSettings, today, calendar);
 
-      // SECOND: Update existing unpaid penalty amounts if days have increased
-      const [existingPenalties] = await pool.execute(
-        `SELECT 
-          p.penalty_id,
-          p.transaction_id,
-          p.user_id,
-          p.fine as current_fine,
-          t.due_date,
-          u.position,
-          DATEDIFF(CURDATE(), STR_TO_DATE(t.due_date, '%Y-%m-%d')) as days_overdue
-         FROM penalties p
-         INNER JOIN transactions t ON p.transaction_id = t.transaction_id
-         LEFT JOIN users u ON p.user_id = u.user_id
-         WHERE p.status NOT IN ('Paid', 'Waived')
-           AND t.status != 'Returned'
-           AND t.transaction_type = 'borrow'
-           AND t.due_date IS NOT NULL
-           AND STR_TO_DATE(t.due_date, '%Y-%m-%d') < CURDATE()`
+    // Only update if the calculated fine is higher (days keep increasing until the cap)
+    if (correctFine > penalty.current_fine) {
+      await pool.execute(
+        `UPDATE penalties SET fine = ?, updated_at = NOW() WHERE penalty_id = ?`,
+        [correctFine, penalty.penalty_id]
       );
+      console.log(`${logPrefix}Updated penalty ${penalty.penalty_id}: ₱${penalty.current_fine} -> ₱${correctFine}`);
+    }
+  }
+};
 
-      if (existingPenalties.length > 0) {
-        const [settings] = await pool.execute(
-          `SELECT student_daily_fine, faculty_daily_fine FROM system_settings LIMIT 1`
-        );
-        const systemSettings = settings[0] || { student_daily_fine: 5, faculty_daily_fine: 11 };
-
-        for (const penalty of existingPenalties) {
-          const isStudent = !penalty.position || penalty.position === 'Student';
-          const dailyFine = isStudent ? systemSettings.student_daily_fine : systemSettings.faculty_daily_fine;
-          const correctFine = penalty.days_overdue * dailyFine;
-
-          // Only update if the calculated fine is different (and higher to account for increasing days)
-          if (correctFine > penalty.current_fine) {
-            await pool.execute(
-              `UPDATE penalties SET fine = ?, updated_at = NOW() WHERE penalty_id = ?`,
-              [correctFine, penalty.penalty_id]
-            );
-            console.log(`Updated penalty ${penalty.penalty_id}: ₱${penalty.current_fine} -> ₱${correctFine}`);
-          }
-        }
-      }
+// GET UNRETURNED BORROW TRANSACTIONS PAST THEIR DUE DATE
+// - Old rows without a due date fall back to transaction_date + loan period.
+const getOverdueTransactions = async (fineSettings) => {
+  const [transactions] = await pool.execute(
+    `SELECT 
+      t.*,
+      u.position
+    FROM transactions t
+    LEFT JOIN users u ON t.user_id = u.user_id
+    WHERE t.transaction_type = 'borrow'
+      AND t.status NOT IN ('Returned', 'Lost')
+      AND (
+        STR_TO_DATE(t.due_date, '%Y-%m-%d') < CURDATE()
+        OR (t.due_date IS NULL AND t.transaction_date IS NOT NULL AND (
+          CASE 
+            WHEN (u.position IS NULL OR u.position = 'Student') THEN 
+              DATEDIFF(CURDATE(), DATE(t.transaction_date)) > ?
+            ELSE 
+              DATEDIFF(CURDATE(), DATE(t.transaction_date)) > ?
+          END
+        ))
+      )
+    ORDER BY t.transaction_date ASC`,
+    [fineSettings.student_borrow_days, fineSettings.faculty_borrow_days]
+  );
+  return transactions;
+};
+
+// GET ALL PENALTIES WITH TRANSACTION AND USER DETAILS (LATEST ONLY)
+router.get("/", async (req, res) => {
+  try {
+    const { status, user_id, transaction_id } = req.query;
+
+    try {
+      await syncOverduePenalties();
     } catch (autoCreateError) {
       console.error('Error auto-creating/updating penalties:', autoCreateError);
       // Continue even if auto-creation fails
@@ -321,7 +337,9 @@ router.get("/", async (req, res) => {
         END as days_overdue,
         p.status,
         p.penalty_type,
-        p.book_price
+        p.book_price,
+        COALESCE((SELECT SUM(pp.amount) FROM penalty_payments pp WHERE pp.penalty_id = p.penalty_id), 0) as total_paid,
+        GREATEST(${BALANCE_SQL}, 0) as balance
       FROM penalties p
       LEFT JOIN transactions t ON p.transaction_id = t.transaction_id
       LEFT JOIN users u ON p.user_id = u.user_id
@@ -396,7 +414,8 @@ router.get("/", async (req, res) => {
 router.put("/:penalty_id/waive", async (req, res) => {
   try {
     const { penalty_id } = req.params;
-    const { waive_reason, waived_by } = req.body;
+    const { waive_reason } = req.body;
+    const waivedBy = `${req.admin.first_name} ${req.admin.last_name}`;
 
     if (!waive_reason) {
       return res.status(400).json({
@@ -440,51 +459,75 @@ router.put("/:penalty_id/waive", async (req, res) => {
       });
     }
 
-    // Mark penalty as waived
-    const [result] = await pool.execute(
-      `UPDATE penalties 
-       SET status = 'Waived', waive_reason = ?, waived_by = ?, updated_at = NOW()
-       WHERE penalty_id = ?`,
-      [waive_reason, waived_by || 'Admin', penalty_id]
-    );
+    // Mark penalty as waived. An active amnesty campaign is recorded first so the
+    // part it covers is reported as forgiven under the campaign.
+    let amnesty = null;
+    let conn;
+    try {
+      conn = await pool.getConnection();
+      await conn.beginTransaction();
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Failed to waive penalty"
-      });
-    }
+      const [locked] = await conn.execute(
+        `SELECT * FROM penalties WHERE penalty_id = ? FOR UPDATE`,
+        [penalty_id]
+      );
+      // A payment or another waiver may have settled it since it was read above
+      if (locked.length === 0 || locked[0].status === 'Paid' || locked[0].status === 'Waived') {
+        await conn.rollback();
+        conn.release();
+        conn = null;
+        return res.status(locked.length === 0 ? 404 : 400).json({
+          success: false,
+          message: locked.length === 0 ? "Penalty not found" : `Penalty already ${locked[0].status.toLowerCase()}`
+        });
+      }
 
-    // SEND USER NOTIFICATION VIA WEBSOCKET
-    if (wsServer && wsServer.io) {
-      wsServer.io.emit('user_notification', {
-        user_id: penalty.user_id,
-        type: 'penalty_waived',
-        title: 'Penalty Waived',
-        message: `Your penalty of ₱${penalty.fine.toFixed(2)} for ${penalty.book_title || penalty.research_title || 'item'} (Ref: ${penalty.reference_number}) has been waived. Reason: ${waive_reason}`,
-        fine_amount: penalty.fine,
-        waive_reason: waive_reason,
-        reference_number: penalty.reference_number,
-        timestamp: new Date().toISOString(),
-        priority: 'high'
-      });
+      const [paidRows] = await conn.execute(
+        `SELECT COALESCE(SUM(amount), 0) as total_paid FROM penalty_payments WHERE penalty_id = ?`,
+        [penalty_id]
+      );
+      const balance = Math.max(roundAmount(getPenaltyTotal(locked[0]) - paidRows[0].total_paid), 0);
+      amnesty = await applyAmnesty(conn, locked[0], balance);
+
+      await conn.execute(
+        `UPDATE penalties 
+         SET status = 'Waived', waive_reason = ?, waived_by = ?, updated_at = NOW()
+         WHERE penalty_id = ?`,
+        [waive_reason, waivedBy, penalty_id]
+      );
+
+      await conn.commit();
+      conn.release();
+      conn = null;
+    } catch (waiveError) {
+      if (conn) {
+        try { await conn.rollback(); } catch (e) {}
+        try { conn.release(); } catch (e) {}
+      }
+      throw waiveError;
     }
 
+    // NOTIFY THE PATRON
+    await notifyUser(penalty.user_id, {
+      notification_type: 'Penalty Notification',
+      type: 'penalty_waived',
+      title: 'Penalty Waived',
+      message: `Your penalty of ₱${parseFloat(penalty.fine).toFixed(2)} for ${penalty.book_title || penalty.research_title || 'item'} (Ref: ${penalty.reference_number}) has been waived. Reason: ${waive_reason}`,
+      fine_amount: parseFloat(penalty.fine),
+      waive_reason: waive_reason,
+      amnesty_amount: amnesty ? amnesty.amount : 0,
+      reference_number: penalty.reference_number,
+      timestamp: new Date().toISOString(),
+      priority: 'high'
+    });
+
     // SAVE TO ACTIVITY LOG
-    try {
-      await pool.execute(
-        `INSERT INTO activity_logs (user_id, action, details, status, created_at)
-         VALUES (?, ?, ?, ?, NOW())`,
-        [
-          penalty.user_id,
-          'PENALTY_WAIVED',
-          `Waived penalty of ₱${penalty.fine} for Reference: ${penalty.reference_number} - Reason: ${waive_reason} - Waived by: ${waived_by || 'Admin'}`,
-          'completed'
-        ]
-      );
-    } catch (logError) {
-      console.error('Error saving activity log:', logError);
-    }
+    await logActivity({
+      user_id: penalty.user_id,
+      action: 'PENALTY_WAIVED',
+      details: `Waived penalty of ₱${penalty.fine} for Reference: ${penalty.reference_number} - Reason: ${waive_reason}${amnesty ? ` (₱${amnesty.amount.toFixed(2)} under amnesty campaign: ${amnesty.campaign_name})` : ''}`,
+      admin_id: req.admin.admin_id
+    });
 
     res.status(200).json({
       success: true,
@@ -495,7 +538,8 @@ router.put("/:penalty_id/waive", async (req, res) => {
         user_name: penalty.user_name,
         fine_amount: penalty.fine,
         waive_reason,
-        waived_by: waived_by || 'Admin'
+        waived_by: waivedBy,
+        amnesty
       }
     });
 
@@ -520,64 +564,9 @@ router.get("/user/:user_id", async (req, res) => {
         .json({ success: false, message: "user_id is required" });
     }
 
-    // Fetch penalties for the user - latest unpaid penalty per transaction + all paid penalties
-    const [penalties] = await pool.execute(
-      `SELECT 
-          p.*,
-          t.reference_number,
-          t.due_date,
-          t.transaction_type,
-          CONCAT(u.first_name, ' ', u.last_name) as user_name,
-          u.position,
-          d.department_acronym,
-          b.book_title,
-          rp.research_title,
-          CASE 
-            WHEN t.status = 'Returned' AND t.return_date IS NOT NULL THEN DATEDIFF(STR_TO_DATE(t.return_date, '%Y-%m-%d'), STR_TO_DATE(t.due_date, '%Y-%m-%d'))
-            ELSE DATEDIFF(CURDATE(), STR_TO_DATE(t.due_date, '%Y-%m-%d'))
-          END as days_overdue,
-          p.status
-        FROM penalties p
-        LEFT JOIN transactions t ON p.transaction_id = t.transaction_id
-        LEFT JOIN users u ON p.user_id = u.user_id
-        LEFT JOIN departments d ON u.department_id = d.department_id
-        LEFT JOIN books b ON t.book_id = b.book_id
-        LEFT JOIN research_papers rp ON t.research_paper_id = rp.research_paper_id
-        WHERE p.user_id = ? 
-          AND (
-            -- Get all paid penalties for this user (status = 'Paid')
-            p.status = 'Paid'
-            OR 
-            -- Get only the latest unpaid penalty per transaction for this user (status != 'Paid' or NULL)
-            ((p.status != 'Paid' OR p.status IS NULL) AND p.penalty_id IN (
-              SELECT MAX(p2.penalty_id) 
-              FROM penalties p2 
-              WHERE (p2.status != 'Paid' OR p2.status IS NULL) AND p2.user_id = ?
-              GROUP BY p2.transaction_id, p2.user_id
-            ))
-          )
-        ORDER BY p.updated_at DESC`,
-      [user_id, user_id]
-    );
-
-    // Compute simple totals for this user
-    const totalCount = penalties.length;
-    const totalFines = penalties.reduce((sum, p) => sum + (p.fine || 0), 0);
-
-    const formattedPenalties = penalties.map((p) => ({
-      ...p,
-      item_title: p.book_title || p.research_title || "Unknown Item",
-      status: p.status !== null && p.status !== undefined ? p.status : (p.fine > 0 ? "Pending Payment" : "Paid")
-    }));
-
     res.status(200).json({
       success: true,
-      data: {
-        user_id,
-        total_count: totalCount,
-        total_fines: totalFines,
-        penalties: formattedPenalties,
-      },
+      data: await getUserPenalties(user_id),
     });
   } catch (error) {
     console.error("Error fetching penalties for user:", error);
@@ -594,95 +583,8 @@ router.get("/user/:user_id", async (req, res) => {
 // GET PENALTY SUMMARY STATISTICS
 router.get("/summary", async (req, res) => {
   try {
-    // FIRST: Auto-create penalty records for overdue transactions that don't have one yet
-    // Use the SAME logic as /api/transactions/notifications
     try {
-      const [overdueTransactions] = await pool.execute(
-        `SELECT 
-          t.transaction_id,
-          t.user_id,
-          t.due_date,
-          t.status as transaction_status,
-          u.position,
-          DATEDIFF(CURDATE(), STR_TO_DATE(t.due_date, '%Y-%m-%d')) as days_overdue
-         FROM transactions t
-         LEFT JOIN users u ON t.user_id = u.user_id
-         LEFT JOIN penalties p ON t.transaction_id = p.transaction_id 
-                              AND t.user_id = p.user_id
-         WHERE t.status != 'Returned'
-           AND t.transaction_type = 'borrow'
-           AND t.due_date IS NOT NULL
-           AND DATEDIFF(STR_TO_DATE(t.due_date, '%Y-%m-%d'), CURDATE()) < 0
-           AND p.penalty_id IS NULL`
-      );
-
-      if (overdueTransactions.length > 0) {
-        console.log(`[Summary] Found ${overdueTransactions.length} overdue transactions without penalty records. Creating...`);
-        
-        // Get system settings for fine calculation
-        const [settings] = await pool.execute(
-          `SELECT student_daily_fine, faculty_daily_fine FROM system_settings LIMIT 1`
-        );
-        const systemSettings = settings[0] || { student_daily_fine: 5, faculty_daily_fine: 11 };
-
-        for (const tx of overdueTransactions) {
-          const isStudent = !tx.position || tx.position === 'Student';
-          const dailyFine = isStudent ? systemSettings.student_daily_fine : systemSettings.faculty_daily_fine;
-          const totalFine = tx.days_overdue * dailyFine;
-
-          // Create penalty record
-          await pool.execute(
-            `INSERT INTO penalties (transaction_id, user_id, fine, updated_at)
-             VALUES (?, ?, ?, NOW())`,
-            [tx.transaction_id, tx.user_id, totalFine]
-          );
-          
-          console.log(`[Summary] Auto-created penalty for transaction ${tx.transaction_id}: ₱${totalFine} (${tx.days_overdue} days)`);
-        }
-      }
-
-      // SECOND: Update existing unpaid penalty amounts if days have increased
-      // Use the SAME logic - check due_date for overdue status
-      const [existingPenalties] = await pool.execute(
-        `SELECT 
-          p.penalty_id,
-          p.transaction_id,
-          p.user_id,
-          p.fine as current_fine,
-          t.due_date,
-          u.position,
-          DATEDIFF(CURDATE(), STR_TO_DATE(t.due_date, '%Y-%m-%d')) as days_overdue
-         FROM penalties p
-         INNER JOIN transactions t ON p.transaction_id = t.transaction_id
-         LEFT JOIN users u ON p.user_id = u.user_id
-         WHERE p.status NOT IN ('Paid', 'Waived')
-           AND t.status != 'Returned'
-           AND t.transaction_type = 'borrow'
-           AND t.due_date IS NOT NULL
-           AND DATEDIFF(STR_TO_DATE(t.due_date, '%Y-%m-%d'), CURDATE()) < 0`
-      );
-
-      if (existingPenalties.length > 0) {
-        const [settings] = await pool.execute(
-          `SELECT student_daily_fine, faculty_daily_fine FROM system_settings LIMIT 1`
-        );
-        const systemSettings = settings[0] || { student_daily_fine: 5, faculty_daily_fine: 11 };
-
-        for (const penalty of existingPenalties) {
-          const isStudent = !penalty.position || penalty.position === 'Student';
-          const dailyFine = isStudent ? systemSettings.student_daily_fine : systemSettings.faculty_daily_fine;
-          const correctFine = penalty.days_overdue * dailyFine;
-
-          // Only update if the calculated fine is different (and higher to account for increasing days)
-          if (correctFine > penalty.current_fine) {
-            await pool.execute(
-              `UPDATE penalties SET fine = ?, updated_at = NOW() WHERE penalty_id = ?`,
-              [correctFine, penalty.penalty_id]
-            );
-            console.log(`[Summary] Updated penalty ${penalty.penalty_id}: ₱${penalty.current_fine} -> ₱${correctFine}`);
-          }
-        }
-      }
+      await syncOverduePenalties("[Summary] ");
     } catch (autoCreateError) {
       console.error('[Summary] Error auto-creating/updating penalties:', autoCreateError);
       // Continue even if auto-creation fails
@@ -692,10 +594,10 @@ router.get("/summary", async (req, res) => {
     const [totalResult] = await pool.execute(
       `SELECT 
          COUNT(*) as total_penalties, 
-         SUM(fine + IFNULL(book_price, 0)) as total_fines
-       FROM penalties p1
-       WHERE (p1.status != 'Paid' AND p1.status != 'Waived' OR p1.status IS NULL)
-         AND p1.penalty_id IN (
+         SUM(${BALANCE_SQL}) as total_fines
+       FROM penalties p
+       WHERE (p.status != 'Paid' AND p.status != 'Waived' OR p.status IS NULL)
+         AND p.penalty_id IN (
            SELECT MAX(p2.penalty_id) 
            FROM penalties p2 
            WHERE (p2.status != 'Paid' AND p2.status != 'Waived' OR p2.status IS NULL)
@@ -708,7 +610,7 @@ router.get("/summary", async (req, res) => {
     const [overdueResult] = await pool.execute(
       `SELECT 
          COUNT(*) as overdue_count, 
-         SUM(p.fine + IFNULL(p.book_price, 0)) as overdue_fines
+         SUM(${BALANCE_SQL}) as overdue_fines
        FROM penalties p
        LEFT JOIN transactions t ON p.transaction_id = t.transaction_id
        WHERE (p.status != 'Paid' AND p.status != 'Waived' OR p.status IS NULL)
@@ -729,11 +631,11 @@ router.get("/summary", async (req, res) => {
        WHERE updated_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)`
     );
 
-    // Get totals for paid penalties so UI can show collected amounts
+    // Get collected amounts from the payment ledger (includes partial payments)
     const [paidResult] = await pool.execute(
-      `SELECT COUNT(*) as paid_count, SUM(fine + IFNULL(book_price, 0)) as paid_fines
-       FROM penalties
-       WHERE status = 'Paid'`
+      `SELECT
+         (SELECT COUNT(*) FROM penalties WHERE status = 'Paid') as paid_count,
+         (SELECT SUM(amount) FROM penalty_payments) as paid_fines`
     );
 
     res.status(200).json({
@@ -760,22 +662,51 @@ router.get("/summary", async (req, res) => {
   }
 });
 
-// MARK PENALTY AS PAID
+// RECORD A PAYMENT (FULL OR PARTIAL) AGAINST A PENALTY
+// - amount defaults to the outstanding balance, so existing "mark as paid" calls still settle in full.
+// - email_receipt: true emails the patron a payment confirmation with the official receipt PDF attached.
 router.put("/:penalty_id/pay", async (req, res) => {
   try {
     const { penalty_id } = req.params;
-    const { payment_method = "manual", notes, admin_id, admin_name } = req.body;
+    const { amount, payment_method = "manual", or_number, notes, email_receipt = false } = req.body;
+
+    if (amount !== undefined && amount !== null && amount !== "" && !Number.isFinite(parseFloat(amount))) {
+      return res.status(400).json({
+        success: false,
+        message: "amount must be a number",
+      });
+    }
+
+    const payment = await recordPayment({
+      penalty_id,
+      amount,
+      payment_method,
+      or_number,
+      notes,
+      admin_id: req.admin.admin_id,
+    });
+
+    if (!payment.success) {
+      return res.status(payment.status).json({
+        success: false,
+        message: payment.message,
+        data: payment.data,
+      });
+    }
+
+    const { payment_id, receipt_number, amount_paid, total_amount, total_paid, balance, penalty_status, amnesty } = payment.data;
+    const fullyPaid = penalty_status === "Paid";
+    // An amnesty campaign forgave the whole balance, nothing was paid
+    const forgiven = penalty_status === "Waived";
 
-    // GET PENALTY DETAILS BEFORE MARKING AS PAID
+    // GET PENALTY DETAILS FOR NOTIFICATIONS
     const [penaltyDetails] = await pool.execute(
       `SELECT 
         p.*,
         t.reference_number,
         CONCAT(u.first_name, ' ', u.last_name) as user_name,
         b.book_title,
-        rp.research_title,
-        p.penalty_type,
-        p.book_price
+        rp.research_title
        FROM penalties p
        LEFT JOIN transactions t ON p.transaction_id = t.transaction_id
        LEFT JOIN users u ON p.user_id = u.user_id
@@ -784,197 +715,211 @@ router.put("/:penalty_id/pay", async (req, res) => {
        WHERE p.penalty_id = ?`,
       [penalty_id]
     );
-
-    if (penaltyDetails.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Penalty not found",
-      });
-    }
-
     const penalty = penaltyDetails[0];
-
-    // Calculate total amount including book price for lost/damaged penalties
     const bookPrice = (penalty.penalty_type === 'lost_damaged' && penalty.book_price) ? parseFloat(penalty.book_price) : 0;
-    const totalAmount = parseFloat(penalty.fine) + bookPrice;
-
-    // Check if penalty is already paid or waived
-    if (penalty.status === 'Paid') {
-      return res.status(400).json({
-        success: false,
-        message: "Penalty is already marked as paid",
-        data: {
-          penalty_id,
-          status: penalty.status,
-          fine_amount: penalty.fine
-        }
-      });
-    }
-
-    if (penalty.status === 'Waived') {
-      return res.status(400).json({
-        success: false,
-        message: "Penalty has been waived and cannot be marked as paid",
-        data: {
-          penalty_id,
-          status: penalty.status,
-          waive_reason: penalty.waive_reason
-        }
-      });
-    }
-
-    // Mark penalty as paid by updating its status (preserve fine amount for audit)
-    const [result] = await pool.execute(
-      `UPDATE penalties 
-       SET status = 'Paid', updated_at = NOW()
-       WHERE penalty_id = ? AND status != 'Paid' AND status != 'Waived'`,
-      [penalty_id]
-    );
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Penalty not found or already processed",
-      });
-    }
-
-    // SEND USER NOTIFICATION VIA WEBSOCKET
-    if (wsServer && wsServer.io) {
-      const itemTitle = penalty.book_title || penalty.research_title || 'item';
-      let notificationMessage = `Your penalty of ₱${penalty.fine.toFixed(2)}`;
-      
-      // Add book price information for lost/damaged penalties
-      if (penalty.penalty_type === 'lost_damaged' && bookPrice > 0) {
-        notificationMessage += ` plus book replacement fee of ₱${bookPrice.toFixed(2)} (Total: ₱${totalAmount.toFixed(2)})`;
-      }
-      
-      notificationMessage += ` for ${itemTitle} (Ref: ${penalty.reference_number}) has been marked as paid. Thank you!`;
-
-      wsServer.io.emit('user_notification', {
-        user_id: penalty.user_id,
-        type: 'penalty_paid',
-        title: 'Penalty Payment Received',
-        message: notificationMessage,
-        fine_amount: totalAmount,
-        reference_number: penalty.reference_number,
-        timestamp: new Date().toISOString(),
-        priority: 'medium'
-      });
-    }
+    const itemTitle = penalty.book_title || penalty.research_title || 'item';
+
+    // NOTIFY THE PATRON
+    const amnestyNote = amnesty ? ` ₱${amnesty.amount.toFixed(2)} was forgiven under the ${amnesty.campaign_name} amnesty.` : '';
+    const notificationMessage = forgiven
+      ? `Your penalty for ${itemTitle} (Ref: ${penalty.reference_number}) has been forgiven under the ${amnesty.campaign_name} amnesty.`
+      : fullyPaid
+      ? `Your penalty of ₱${total_amount.toFixed(2)}${bookPrice > 0 ? ` (including book replacement fee of ₱${bookPrice.toFixed(2)})` : ''} for ${itemTitle} (Ref: ${penalty.reference_number}) has been fully paid.${amnestyNote} Thank you!`
+      : `We received your payment of ₱${amount_paid.toFixed(2)} for ${itemTitle} (Ref: ${penalty.reference_number}).${amnestyNote} Remaining balance: ₱${balance.toFixed(2)}.`;
+
+    await notifyUser(penalty.user_id, {
+      notification_type: 'Penalty Notification',
+      type: forgiven ? 'penalty_waived' : fullyPaid ? 'penalty_paid' : 'penalty_partial_payment',
+      title: forgiven ? 'Penalty Forgiven' : fullyPaid ? 'Penalty Payment Received' : 'Partial Payment Received',
+      message: notificationMessage,
+      fine_amount: total_amount,
+      amount_paid,
+      balance,
+      amnesty_amount: amnesty ? amnesty.amount : 0,
+      reference_number: penalty.reference_number,
+      timestamp: new Date().toISOString(),
+      priority: 'medium'
+    });
 
     // BROADCAST WEBSOCKET EVENT FOR PENALTY PAYMENT (if WS available)
     if (wsServer) {
       wsServer.broadcast({
-        type: 'PENALTY_PAID',
+        type: forgiven ? 'PENALTY_WAIVED' : fullyPaid ? 'PENALTY_PAID' : 'PENALTY_PAYMENT',
         data: {
           penalty_id,
+          payment_id,
+          receipt_number,
           user_id: penalty.user_id,
           user_name: penalty.user_name,
           transaction_id: penalty.transaction_id,
           reference_number: penalty.reference_number,
           fine_amount: penalty.fine,
           book_price: bookPrice,
-          total_amount: totalAmount,
+          total_amount,
+          amount_paid,
+          total_paid,
+          balance,
+          amnesty,
           penalty_type: penalty.penalty_type,
           payment_method,
+          or_number: or_number || null,
           item_title: penalty.book_title || penalty.research_title || 'Unknown Item',
           paid_at: new Date().toISOString()
         },
         timestamp: new Date().toISOString()
-      });
+      }, { userId: penalty.user_id });
     }
 
     // SAVE TO ACTIVITY LOG WITH ADMIN INFO (always attempt to log)
     try {
-      await logPayment({
-        user_id: penalty.user_id,
-        action: 'PENALTY_PAID',
-        amount: totalAmount,
-        reference_number: penalty.reference_number,
-        penalty_id: penalty_id,
-        admin_id: admin_id || null,
-        admin_name: admin_name || null
-      });
+      if (amnesty) {
+        await logActivity({
+          user_id: penalty.user_id,
+          action: 'PENALTY_AMNESTY_APPLIED',
+          details: `Forgave ₱${amnesty.amount.toFixed(2)} for Reference: ${penalty.reference_number} under amnesty campaign: ${amnesty.campaign_name}`,
+          admin_id: req.admin.admin_id
+        });
+      }
+      if (payment_id) {
+        await logPayment({
+          user_id: penalty.user_id,
+          action: fullyPaid ? 'PENALTY_PAID' : 'PENALTY_PARTIAL_PAYMENT',
+          amount: amount_paid,
+          reference_number: penalty.reference_number,
+          penalty_id: penalty_id,
+          admin_id: req.admin.admin_id
+        });
+      }
     } catch (logError) {
       console.error('Error saving activity log:', logError);
       // Don't fail the request if logging fails
     }
 
+    // EMAIL THE OFFICIAL RECEIPT (the payment is already recorded, so failures are only reported)
+    let receiptEmailed = false;
+    let receiptEmailError = null;
+    if (payment_id && (email_receipt === true || email_receipt === "true")) {
+      try {
+        const receipt = await getReceiptData(penalty_id, payment_id);
+        if (!receipt.email) {
+          receiptEmailError = "User email not found";
+        } else {
+          const { sendPaymentConfirmation } = require("../smtp/penaltyNotification");
+          await sendPaymentConfirmation(
+            receipt.email,
+            receipt.user_name,
+            receipt,
+            buildReceiptPdf(receipt),
+            getReceiptFileName(receipt)
+          );
+          receiptEmailed = true;
+        }
+      } catch (emailError) {
+        receiptEmailError = emailError.message;
+        console.error("Error emailing official receipt:", emailError);
+      }
+    }
+
     res.status(200).json({
       success: true,
-      message: "Penalty marked as paid",
+      message: payment.message,
       data: {
         penalty_id,
+        payment_id,
+        receipt_number,
+        receipt_url: payment_id ? `/api/penalties/${penalty_id}/receipt?payment_id=${payment_id}` : null,
+        receipt_emailed: receiptEmailed,
+        receipt_email_error: receiptEmailError,
         user_id: penalty.user_id,
         user_name: penalty.user_name,
+        status: penalty_status,
         fine_amount: penalty.fine,
         book_price: bookPrice,
-        total_amount: totalAmount,
+        total_amount,
+        amount_paid,
+        total_paid,
+        balance,
+        amnesty,
         penalty_type: penalty.penalty_type,
         payment_method,
+        or_number: or_number || null,
         paid_at: new Date().toISOString(),
       },
     });
   } catch (error) {
-    console.error("Error marking penalty as paid:", error);
+    console.error("Error recording penalty payment:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to mark penalty as paid",
+      message: "Failed to record penalty payment",
+      error: error.message,
+    });
+  }
+});
+
+// GET PAYMENT LEDGER FOR A PENALTY
+router.get("/:penalty_id/payments", async (req, res) => {
+  try {
+    const { penalty_id } = req.params;
+
+    const [penalties] = await pool.execute(
+      `SELECT * FROM penalties WHERE penalty_id = ?`,
+      [penalty_id]
+    );
+
+    if (penalties.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Penalty not found",
+      });
+    }
+
+    const payments = (await getPaymentsByPenalty([penalties[0].penalty_id]))[penalties[0].penalty_id] || [];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        penalty_id: penalties[0].penalty_id,
+        status: penalties[0].status,
+        ...summarizePenalty(penalties[0], payments),
+        payments,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching penalty payments:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch penalty payments",
       error: error.message,
     });
   }
 });
 
 // PROCESS OVERDUE TRANSACTIONS AND CREATE PENALTIES
-router.post("/process-overdue", async (req, res) => {
+router.post("/process-overdue", auditAdminAction("PENALTIES_PROCESSED"), async (req, res) => {
   try {
-    const systemSettings = await getSystemSettings();
+    const fineSettings = await getFineSettings();
     let processed = 0;
     let created = 0;
     let skipped = 0;
     const errors = [];
 
-    // Get all transactions that are actually overdue (beyond allowed borrowing period)
-    const [overdueTransactions] = await pool.execute(
-      `SELECT 
-        t.*,
-        u.position,
-        DATEDIFF(CURDATE(), DATE(t.transaction_date)) as days_since_transaction,
-        CASE 
-          WHEN (u.position IS NULL OR u.position = 'Student') THEN ${systemSettings.student_borrow_days}
-          ELSE ${systemSettings.faculty_borrow_days}
-        END as allowed_days
-      FROM transactions t
-      LEFT JOIN users u ON t.user_id = u.user_id
-      WHERE t.transaction_type = 'borrow' 
-        AND t.transaction_date IS NOT NULL 
-        AND t.status != 'Returned'
-        AND (
-          CASE 
-            WHEN (u.position IS NULL OR u.position = 'Student') THEN 
-              DATEDIFF(CURDATE(), DATE(t.transaction_date)) > ${systemSettings.student_borrow_days}
-            ELSE 
-              DATEDIFF(CURDATE(), DATE(t.transaction_date)) > ${systemSettings.faculty_borrow_days}
-          END
-        )
-      ORDER BY t.transaction_date ASC`
-    );
+    // Get all transactions that are actually overdue (past their due date)
+    const overdueTransactions = await getOverdueTransactions(fineSettings);
+    const calendar = await loadCalendarSince(overdueTransactions.map((t) => t.due_date));
+    const today = new Date();
 
     let updatedCount = 0;
     for (const transaction of overdueTransactions) {
       try {
         processed++;
 
-        // Calculate daily fine based on user type
-        const isStudent =
-          !transaction.position || transaction.position === "Student";
-        const dailyFine = isStudent
-          ? systemSettings.student_daily_fine
-          : systemSettings.faculty_daily_fine;
+        const { fine: totalFine } = await calculateFine(transaction, fineSettings, today, calendar);
 
-        // Calculate actual overdue days (days beyond allowed borrowing period)
-        const actualOverdueDays = Math.max(0, transaction.days_since_transaction - transaction.allowed_days);
-        const totalFine = actualOverdueDays * dailyFine;
+        // Still within the grace period
+        if (totalFine <= 0) {
+          skipped++;
+          continue;
+        }
 
         // Try to create penalty record
         const result = await createOrUpdatePenalty(
@@ -1028,57 +973,24 @@ router.post("/process-overdue", async (req, res) => {
 // This endpoint will walk overdue transactions and update the penalties table using the
 // latest fine structure. It updates existing penalty rows if present (no duplicate rows),
 // or inserts a penalty if none exists for that transaction/user.
-router.post("/recalculate", async (req, res) => {
+router.post("/recalculate", auditAdminAction("PENALTIES_RECALCULATED"), async (req, res) => {
   try {
-    const systemSettings = await getSystemSettings();
+    const fineSettings = await getFineSettings();
     let processed = 0;
     let updated = 0;
     let created = 0;
     const errors = [];
 
-    // Get all transactions that are actually overdue (beyond allowed borrowing period)
-    const [overdueTransactions] = await pool.execute(
-      `SELECT 
-        t.*,
-        u.position,
-        CASE 
-          WHEN (u.position IS NULL OR u.position = 'Student') THEN ${systemSettings.student_borrow_days}
-          ELSE ${systemSettings.faculty_borrow_days}
-        END as allowed_days
-      FROM transactions t
-      LEFT JOIN users u ON t.user_id = u.user_id
-      WHERE t.transaction_type = 'borrow'
-        AND t.transaction_date IS NOT NULL
-        AND t.status != 'Returned'
-        AND (
-          CASE 
-            WHEN (u.position IS NULL OR u.position = 'Student') THEN 
-              DATEDIFF(CURDATE(), DATE(t.transaction_date)) > ${systemSettings.student_borrow_days}
-            ELSE 
-              DATEDIFF(CURDATE(), DATE(t.transaction_date)) > ${systemSettings.faculty_borrow_days}
-          END
-        )
-      ORDER BY t.transaction_date ASC`
-    );
+    // Get all transactions that are actually overdue (past their due date)
+    const overdueTransactions = await getOverdueTransactions(fineSettings);
+    const calendar = await loadCalendarSince(overdueTransactions.map((t) => t.due_date));
+    const today = new Date();
 
     for (const transaction of overdueTransactions) {
       try {
         processed++;
 
-        const isStudent =
-          !transaction.position || transaction.position === "Student";
-        const dailyFine = isStudent
-          ? systemSettings.student_daily_fine
-          : systemSettings.faculty_daily_fine;
-
-        // Calculate days since transaction using SQL-like approach (server date)
-        const [daysRow] = await pool.execute(
-          `SELECT DATEDIFF(CURDATE(), DATE(?)) as days_since_transaction`,
-          [transaction.transaction_date]
-        );
-        const daysSinceTransaction = (daysRow[0] && daysRow[0].days_since_transaction) || 0;
-        const actualOverdueDays = Math.max(0, daysSinceTransaction - transaction.allowed_days);
-        const totalFine = actualOverdueDays * dailyFine;
+        const { fine: totalFine } = await calculateFine(transaction, fineSettings, today, calendar);
 
         // Find latest penalty for this transaction/user (any date)
         const [existingRows] = await pool.execute(
@@ -1093,8 +1005,8 @@ router.post("/recalculate", async (req, res) => {
             [totalFine, existingRows[0].penalty_id]
           );
           updated++;
-        } else {
-          // Insert new penalty record
+        } else if (totalFine > 0) {
+          // Insert new penalty record (none while still within the grace period)
           await pool.execute(
             `INSERT INTO penalties (transaction_id, user_id, fine, updated_at) VALUES (?, ?, ?, NOW())`,
             [transaction.transaction_id, transaction.user_id, totalFine]
@@ -1135,7 +1047,7 @@ router.post("/recalculate", async (req, res) => {
 });
 
 // MARK TRANSACTION AS LOST - Add book price to penalty
-router.post("/mark-as-lost", async (req, res) => {
+router.post("/mark-as-lost", auditAdminAction("ITEMS_MARKED_LOST", { details: (req) => `Marked transaction IDs as lost: ${(req.body.transaction_ids || []).join(", ")}` }), async (req, res) => {
   try {
     const { transaction_ids } = req.body;
 
@@ -1146,7 +1058,7 @@ router.post("/mark-as-lost", async (req, res) => {
       });
     }
 
-    const systemSettings = await getSystemSettings();
+    const fineSettings = await getFineSettings();
     let processed = 0;
     let updated = 0;
     let errors = [];
@@ -1161,19 +1073,15 @@ router.post("/mark-as-lost", async (req, res) => {
             t.book_id,
             t.research_paper_id,
             t.due_date,
+            t.transaction_date,
+            t.status,
             u.position,
             b.book_price,
-            CASE 
-              WHEN t.transaction_date IS NOT NULL THEN DATEDIFF(CURDATE(), DATE(t.transaction_date))
-              ELSE 0
-            END as days_since_transaction,
-            CASE 
-              WHEN (u.position IS NULL OR u.position = 'Student') THEN ${systemSettings.student_borrow_days}
-              ELSE ${systemSettings.faculty_borrow_days}
-            END as allowed_days
+            rp.research_paper_price
           FROM transactions t
           LEFT JOIN users u ON t.user_id = u.user_id
           LEFT JOIN books b ON t.book_id = b.book_id
+          LEFT JOIN research_papers rp ON t.research_paper_id = rp.research_paper_id
           WHERE t.transaction_id = ?`,
           [transaction_id]
         );
@@ -1187,29 +1095,31 @@ router.post("/mark-as-lost", async (req, res) => {
         }
 
         const transaction = transactions[0];
-        
-        // Calculate overdue fine if any (only for days beyond allowed borrowing period)
-        let overdueFine = 0;
-        if (transaction.days_since_transaction > transaction.allowed_days) {
-          const isStudent = !transaction.position || transaction.position === "Student";
-          const dailyFine = isStudent 
-            ? systemSettings.student_daily_fine 
-            : systemSettings.faculty_daily_fine;
-          const actualOverdueDays = transaction.days_since_transaction - transaction.allowed_days;
-          overdueFine = actualOverdueDays * dailyFine;
+
+        if (transaction.status === 'Lost') {
+          errors.push({
+            transaction_id,
+            error: "Transaction is already marked as lost"
+          });
+          continue;
         }
+        
+        // Calculate overdue fine if any (up to today, capped per item)
+        const { fine: overdueFine } = await calculateFine(transaction, fineSettings);
 
-        // Get book price (default to 0 if null or not a book)
-        const bookPrice = parseFloat(transaction.book_price) || 0;
+        // Replacement price of the book or research paper (0 if not set)
+        const bookPrice = parseFloat(transaction.book_id ? transaction.book_price : transaction.research_paper_price) || 0;
+        const itemLabel = transaction.book_id ? 'Book' : 'Research paper';
 
         // Calculate total fine (overdue fine + book price)
         const totalFine = overdueFine + bookPrice;
 
-        // Create or update penalty with the total fine
+        // The fine column holds the overdue fine; the replacement price is kept in
+        // book_price so the balance (fine + book_price) does not count it twice
         const result = await createOrUpdatePenalty(
           transaction.transaction_id,
           transaction.user_id,
-          totalFine
+          overdueFine
         );
 
         // Always mark as lost/damaged, even if penalty already exists or was paid
@@ -1224,7 +1134,7 @@ router.post("/mark-as-lost", async (req, res) => {
                  waive_reason = ?, 
                  updated_at = NOW() 
              WHERE penalty_id = ?`,
-            [bookPrice, `Lost/Damaged - Book replacement fee: ₱${bookPrice.toFixed(2)}${overdueFine > 0 ? `, Overdue fine: ₱${overdueFine.toFixed(2)}` : ''}`, result.penalty_id]
+            [bookPrice, `Lost/Damaged - ${itemLabel} replacement fee: ₱${bookPrice.toFixed(2)}${overdueFine > 0 ? `, Overdue fine: ₱${overdueFine.toFixed(2)}` : ''}`, result.penalty_id]
           );
         }
         
@@ -1234,28 +1144,48 @@ router.post("/mark-as-lost", async (req, res) => {
           [transaction.transaction_id]
         );
         
-        // Update book status to "Lost" if it's a book transaction
+        // Update book / research paper status to "Lost"
         if (transaction.book_id) {
           await pool.execute(
             `UPDATE books SET status = 'Lost' WHERE book_id = ?`,
             [transaction.book_id]
           );
+        } else if (transaction.research_paper_id) {
+          await pool.execute(
+            `UPDATE research_papers SET status = 'Lost' WHERE research_paper_id = ?`,
+            [transaction.research_paper_id]
+          );
         }
 
-        // Send notification to user via WebSocket
-        if (wsServer && wsServer.io) {
-          wsServer.io.emit('user_notification', {
-            user_id: transaction.user_id,
-            type: 'lost_book',
-            title: 'Book Marked as Lost',
-            message: `A book you borrowed has been marked as lost. Book replacement fee (₱${bookPrice.toFixed(2)}) has been added to your account.${overdueFine > 0 ? ` Plus overdue fine: ₱${overdueFine.toFixed(2)}.` : ''} Total fine: ₱${totalFine.toFixed(2)}`,
-            fine_amount: totalFine,
-            book_price: bookPrice,
-            overdue_fine: overdueFine,
-            timestamp: new Date().toISOString(),
-            priority: 'high'
-          });
-        }
+        // Start the lost item record (resolved later by a replacement copy or the item being found)
+        await pool.execute(
+          `INSERT INTO lost_item_records
+            (transaction_id, penalty_id, user_id, book_id, research_paper_id, item_price, overdue_fine_at_loss, status, marked_by_admin_id, lost_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, 'Lost', ?, NOW())`,
+          [
+            transaction.transaction_id,
+            result.penalty_id || null,
+            transaction.user_id,
+            transaction.book_id || null,
+            transaction.research_paper_id || null,
+            bookPrice,
+            overdueFine,
+            req.admin.admin_id
+          ]
+        );
+
+        // Notify the patron
+        await notifyUser(transaction.user_id, {
+          notification_type: 'Penalty Notification',
+          type: 'lost_book',
+          title: `${itemLabel} Marked as Lost`,
+          message: `A ${itemLabel.toLowerCase()} you borrowed has been marked as lost. Replacement fee (₱${bookPrice.toFixed(2)}) has been added to your account.${overdueFine > 0 ? ` Plus overdue fine: ₱${overdueFine.toFixed(2)}.` : ''} Total fine: ₱${totalFine.toFixed(2)}`,
+          fine_amount: totalFine,
+          book_price: bookPrice,
+          overdue_fine: overdueFine,
+          timestamp: new Date().toISOString(),
+          priority: 'high'
+        });
 
         processed++;
 
@@ -1289,8 +1219,189 @@ router.post("/mark-as-lost", async (req, res) => {
   }
 });
 
+// LIST LOST ITEMS (?status=Lost|Replaced|Found&user_id=)
+router.get("/lost", requireAdmin("perm_manage_penalties"), async (req, res) => {
+  try {
+    const { status, user_id } = req.query;
+    const records = await getLostItems({ status, user_id });
+
+    res.status(200).json({
+      success: true,
+      count: records.length,
+      data: records,
+    });
+  } catch (error) {
+    console.error("Error fetching lost items:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch lost items",
+      error: error.message,
+    });
+  }
+});
+
+// ACCEPT A REPLACEMENT COPY FOR A LOST BOOK - New copy joins the batch, replacement fee is dropped
+// - settlement: 'credit' (default) or 'refund' for any replacement fee already paid
+router.post("/lost/:transaction_id/replacement", auditAdminAction("LOST_ITEM_REPLACED", { details: (req) => `Replacement copy received for transaction ID: ${req.params.transaction_id}` }), async (req, res) => {
+  try {
+    const { book_price, settlement = "credit", notes } = req.body;
+
+    const result = await acceptReplacement({
+      transaction_id: req.params.transaction_id,
+      admin: req.admin,
+      book_price,
+      settlement,
+      notes,
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    // The QR upload is an HTTP request, so it runs after the copy is committed
+    try {
+      await storeBookQr(result.data.replacement_book_id, result.data.replacement_book_number);
+    } catch (qrError) {
+      console.error(`Failed to upload QR for book ${result.data.replacement_book_id}:`, qrError);
+    }
+
+    const settled = result.data.settlement;
+    await notifyUser(result.data.user_id, {
+      notification_type: 'Penalty Notification',
+      type: 'lost_item_replaced',
+      title: 'Replacement Copy Received',
+      message: `We received your replacement copy for the lost item (Ref: ${result.data.reference_number}). The replacement fee has been removed.${settled ? ` ₱${settled.amount.toFixed(2)} already paid has been ${settled.settlement === 'refund' ? 'refunded' : 'added to your account credit'}.` : ''}${result.data.balance > 0 ? ` Remaining overdue fine: ₱${result.data.balance.toFixed(2)}.` : ''}`,
+      reference_number: result.data.reference_number,
+      balance: result.data.balance,
+      timestamp: new Date().toISOString(),
+      priority: 'medium'
+    });
+
+    if (wsServer) {
+      wsServer.broadcast({
+        type: 'LOST_ITEM_REPLACED',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      }, { userId: result.data.user_id });
+    }
+
+    if (result.data.hold) {
+      await notifyHoldAssigned(result.data.hold);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+    });
+  } catch (error) {
+    console.error("Error accepting replacement copy:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to accept replacement copy",
+      error: error.message,
+    });
+  }
+});
+
+// MARK A LOST ITEM AS FOUND - Returns it, recalculates the fine to overdue only and settles any overpayment
+// - found_date: 'YYYY-MM-DD' (default today); settlement: 'credit' (default) or 'refund'
+router.post("/lost/:transaction_id/found", auditAdminAction("LOST_ITEM_FOUND", { details: (req) => `Lost item found for transaction ID: ${req.params.transaction_id}` }), async (req, res) => {
+  try {
+    const { found_date, settlement = "credit", notes } = req.body;
+
+    if (found_date && !/^\d{4}-\d{2}-\d{2}$/.test(found_date)) {
+      return res.status(400).json({
+        success: false,
+        message: "found_date must be in YYYY-MM-DD format",
+      });
+    }
+
+    const result = await reverseLostItem({
+      transaction_id: req.params.transaction_id,
+      admin: req.admin,
+      found_date,
+      settlement,
+      notes,
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    const settled = result.data.settlement;
+    await notifyUser(result.data.user_id, {
+      notification_type: 'Penalty Notification',
+      type: 'lost_item_found',
+      title: 'Lost Item Found',
+      message: `The item you reported lost (Ref: ${result.data.reference_number}) has been found and returned. Your fine is now the overdue fine only: ₱${result.data.overdue_fine.toFixed(2)}.${settled ? ` ₱${settled.amount.toFixed(2)} already paid has been ${settled.settlement === 'refund' ? 'refunded' : 'added to your account credit'}.` : ''}`,
+      reference_number: result.data.reference_number,
+      fine_amount: result.data.overdue_fine,
+      balance: result.data.balance,
+      timestamp: new Date().toISOString(),
+      priority: 'medium'
+    });
+
+    if (wsServer) {
+      wsServer.broadcast({
+        type: 'LOST_ITEM_FOUND',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      }, { userId: result.data.user_id });
+    }
+
+    if (result.data.hold) {
+      await notifyHoldAssigned(result.data.hold);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+    });
+  } catch (error) {
+    console.error("Error marking lost item as found:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark lost item as found",
+      error: error.message,
+    });
+  }
+});
+
+// DOWNLOAD THE OFFICIAL RECEIPT PDF FOR A PAYMENT (?payment_id=..., defaults to the latest payment)
+router.get("/:penalty_id/receipt", requireAdmin("perm_manage_penalties"), async (req, res) => {
+  try {
+    const { penalty_id } = req.params;
+    const { payment_id } = req.query;
+
+    const receipt = await getReceiptData(penalty_id, payment_id || null);
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: payment_id ? "Payment not found for this penalty" : "No payments have been recorded for this penalty",
+      });
+    }
+
+    const fileName = getReceiptFileName(receipt);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `${req.query.inline === "true" ? "inline" : "attachment"}; filename="${fileName}"`
+    );
+    res.status(200).send(buildReceiptPdf(receipt));
+  } catch (error) {
+    console.error("Error generating official receipt:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate official receipt",
+      error: error.message,
+    });
+  }
+});
+
 // SEND MANUAL REMINDER FOR PENALTY
-router.post("/:penalty_id/remind", async (req, res) => {
+router.post("/:penalty_id/remind", auditAdminAction("PENALTY_REMINDER_SENT", { details: (req) => `Penalty ID: ${req.params.penalty_id}` }), async (req, res) => {
   try {
     const { penalty_id } = req.params;
     const { sendManualPenaltyReminder } = require("../smtp/penaltyNotification");
@@ -1367,21 +1478,18 @@ router.post("/:penalty_id/remind", async (req, res) => {
       });
     }
 
-    // Send WebSocket notification to user frontend
-    if (wsServer && wsServer.io) {
-      wsServer.io.emit('user_notification', {
-        user_id: penalty.user_id,
-        type: 'payment_reminder',
-        title: 'Payment Reminder',
-        message: `Reminder: Please settle your outstanding fine of ₱${parseFloat(penalty.fine).toFixed(2)} for "${penalty.book_title || penalty.research_title}" (Ref: ${penalty.reference_number}) at the library counter.`,
-        reference_number: penalty.reference_number,
-        fine_amount: penalty.fine,
-        days_overdue: penalty.days_overdue,
-        timestamp: new Date().toISOString(),
-        priority: 'medium'
-      });
-      console.log(`[Send Reminder] WebSocket notification sent to user ${penalty.user_id}`);
-    }
+    // Notify the patron
+    await notifyUser(penalty.user_id, {
+      notification_type: 'Penalty Notification',
+      type: 'payment_reminder',
+      title: 'Payment Reminder',
+      message: `Reminder: Please settle your outstanding fine of ₱${parseFloat(penalty.fine).toFixed(2)} for "${penalty.book_title || penalty.research_title}" (Ref: ${penalty.reference_number}) at the library counter.`,
+      reference_number: penalty.reference_number,
+      fine_amount: parseFloat(penalty.fine),
+      days_overdue: penalty.days_overdue,
+      timestamp: new Date().toISOString(),
+      priority: 'medium'
+    });
 
     res.status(200).json({
       success: true,
@@ -1406,7 +1514,7 @@ router.post("/:penalty_id/remind", async (req, res) => {
 });
 
 // CLEANUP OLD PENALTY RECORDS - Keep only the latest unpaid penalty per transaction/user, preserve all paid penalties
-router.post("/cleanup", async (req, res) => {
+router.post("/cleanup", auditAdminAction("PENALTIES_CLEANED_UP"), async (req, res) => {
   try {
     // First, delete penalties for transactions that were returned on time (should not have any penalty)
     const [onTimeResult] = await pool.execute(
@@ -1417,7 +1525,9 @@ router.post("/cleanup", async (req, res) => {
          AND t.due_date IS NOT NULL
          AND STR_TO_DATE(t.return_date, '%Y-%m-%d') <= STR_TO_DATE(t.due_date, '%Y-%m-%d')
          AND p.status != 'Paid'
-         AND p.status != 'Waived'`
+         AND p.status != 'Waived'
+         AND NOT EXISTS (SELECT 1 FROM penalty_payments pp WHERE pp.penalty_id = p.penalty_id)
+         AND NOT EXISTS (SELECT 1 FROM penalty_disputes pd WHERE pd.penalty_id = p.penalty_id)`
     );
 
     // Then, cleanup duplicate penalty records (keep latest unpaid per transaction/user)
@@ -1428,7 +1538,9 @@ router.post("/cleanup", async (req, res) => {
          AND p1.user_id = p2.user_id
          AND p1.penalty_id < p2.penalty_id
          AND (p1.status != 'Paid' OR p1.status IS NULL)
-         AND (p2.status != 'Paid' OR p2.status IS NULL)`
+         AND (p2.status != 'Paid' OR p2.status IS NULL)
+         AND NOT EXISTS (SELECT 1 FROM penalty_payments pp WHERE pp.penalty_id = p1.penalty_id)
+         AND NOT EXISTS (SELECT 1 FROM penalty_disputes pd WHERE pd.penalty_id = p1.penalty_id)`
     );
 
     res.status(200).json({
@@ -1452,10 +1564,22 @@ router.post("/cleanup", async (req, res) => {
 });
 
 // DELETE PENALTY (ADMIN ONLY)
-router.delete("/:penalty_id", async (req, res) => {
+router.delete("/:penalty_id", auditAdminAction("PENALTY_DELETED", { details: (req) => `Deleted penalty ID: ${req.params.penalty_id}` }), async (req, res) => {
   try {
     const { penalty_id } = req.params;
 
+    // Penalties with recorded payments are kept so the ledger stays complete
+    const [payments] = await pool.execute(
+      `SELECT COUNT(*) as payment_count FROM penalty_payments WHERE penalty_id = ?`,
+      [penalty_id]
+    );
+    if (payments[0].payment_count > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Penalty has recorded payments and cannot be deleted",
+      });
+    }
+
     const [result] = await pool.execute(
       `DELETE FROM penalties WHERE penalty_id = ?`,
       [penalty_id]
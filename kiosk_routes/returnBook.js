@@ -5,6 +5,8 @@ const path = require("path");
 const fs = require("fs");
 const axios = require("axios");
 const FormData = require("form-data");
+const { assignNextHold, notifyHoldAssigned } = require("../services/reservationHolds");
+const { recordKioskError } = require("../services/kioskRegistry");
 require('dotenv').config();
 
 // WebSocket instance (will be set from server.js)
@@ -75,6 +77,7 @@ async function deleteReceiptImage(filename) {
 router.post("/return", (req, res) => {
   const upload = req.upload.single("receipt_image");
   upload(req, res, async (err) => {
+    let conn;
     if (err) {
       console.error("File upload error:", err);
       let errorMessage = "File upload error";
@@ -321,7 +324,122 @@ router.post("/return", (req, res) => {
         });
       }
 
-      // Get existing receipt path from DB
+      const returnDate = return_date ? new Date(return_date) : new Date();
+
+      conn = await pool.getConnection();
+      await conn.beginTransaction();
+
+      // LOCK THE TRANSACTIONS AND MAKE SURE NO OTHER KIOSK RETURNED THEM MEANWHILE
+      const returnIds = transactionsToReturn
+        .map((t) => t.transaction_id)
+        .sort((a, b) => a - b);
+      const returnPlaceholders = returnIds.map(() => "?").join(",");
+      const [lockedTransactions] = await conn.execute(
+        `SELECT transaction_id, status
+         FROM transactions
+         WHERE transaction_id IN (${returnPlaceholders})
+         ORDER BY transaction_id
+         FOR UPDATE`,
+        returnIds
+      );
+
+      const alreadyReturned = lockedTransactions.filter(
+        (t) => (typeof t.status === "string" ? t.status.trim().toLowerCase() : "") === "returned"
+      );
+      if (lockedTransactions.length !== returnIds.length || alreadyReturned.length > 0) {
+        await conn.rollback();
+        await conn.release();
+        conn = null;
+        return res.status(409).json({
+          success: false,
+          message: "Some items were already returned by another request. Please try again.",
+          returned_transaction_ids: alreadyReturned.map((t) => t.transaction_id),
+        });
+      }
+
+      // LOCK THE COPIES BEING RETURNED
+      const lockBookIds = transactionsToReturn.filter((t) => t.book_id).map((t) => t.book_id).sort((a, b) => a - b);
+      if (lockBookIds.length > 0) {
+        await conn.execute(
+          `SELECT book_id FROM books WHERE book_id IN (${lockBookIds.map(() => "?").join(",")}) ORDER BY book_id FOR UPDATE`,
+          lockBookIds
+        );
+      }
+      const lockResearchIds = transactionsToReturn.filter((t) => t.research_paper_id).map((t) => t.research_paper_id).sort((a, b) => a - b);
+      if (lockResearchIds.length > 0) {
+        await conn.execute(
+          `SELECT research_paper_id FROM research_papers WHERE research_paper_id IN (${lockResearchIds.map(() => "?").join(",")}) ORDER BY research_paper_id FOR UPDATE`,
+          lockResearchIds
+        );
+      }
+
+      // Process return
+      const returnedItems = [];
+      const holds = [];
+      for (const t of transactionsToReturn) {
+        // Update transaction status and return_date
+        // receipt_image keeps its path, the stamped receipt replaces the file in place
+        await conn.execute(
+          `UPDATE transactions SET status='Returned', return_date=?, return_kiosk_id=? WHERE transaction_id=?`,
+          [returnDate, req.kiosk ? req.kiosk.kiosk_id : null, t.transaction_id]
+        );
+
+        if (t.book_id) {
+          // HAND THE COPY TO THE NEXT RESERVATION FOR THIS TITLE, OR BACK TO THE SHELF
+          const hold = await assignNextHold(conn, { book_id: t.book_id });
+          if (hold) {
+            holds.push(hold);
+          } else {
+            await conn.execute(
+              "UPDATE books SET status='Available' WHERE book_id=?",
+              [t.book_id]
+            );
+          }
+          const [book] = await conn.execute(
+            "SELECT book_title FROM books WHERE book_id=?",
+            [t.book_id]
+          );
+          returnedItems.push({
+            transaction_id: t.transaction_id,
+            item_type: "book",
+            item_id: t.book_id,
+            item_title: book[0]?.book_title || "Unknown Book",
+          });
+        }
+
+        if (t.research_paper_id) {
+          const hold = await assignNextHold(conn, { research_paper_id: t.research_paper_id });
+          if (hold) {
+            holds.push(hold);
+          } else {
+            await conn.execute(
+              "UPDATE research_papers SET status='Available' WHERE research_paper_id=?",
+              [t.research_paper_id]
+            );
+          }
+          const [rp] = await conn.execute(
+            "SELECT research_title FROM research_papers WHERE research_paper_id=?",
+            [t.research_paper_id]
+          );
+          returnedItems.push({
+            transaction_id: t.transaction_id,
+            item_type: "research_paper",
+            item_id: t.research_paper_id,
+            item_title: rp[0]?.research_title || "Unknown Research Paper",
+          });
+        }
+      }
+
+      await conn.commit();
+      await conn.release();
+      conn = null;
+
+      // NOTIFY PATRONS WHOSE RESERVATIONS ARE NOW READY FOR PICKUP
+      for (const hold of holds) {
+        await notifyHoldAssigned(hold);
+      }
+
+      // Get existing receipt path from DB (stamped only after the return is committed)
       let receiptImagePath = null;
       let receiptStamped = false;
       let stampMethod = "none";
@@ -422,53 +540,6 @@ router.post("/return", (req, res) => {
           // Keep the original receipt path even if stamping fails
         }
       }
-      const returnDate = return_date ? new Date(return_date) : new Date();
-
-      // Process return
-      const returnedItems = [];
-      for (const t of transactionsToReturn) {
-        // Update transaction status and return_date
-        // No need to update receipt_image as it's already stamped in place
-        await pool.execute(
-          `UPDATE transactions SET status='Returned', return_date=? WHERE transaction_id=?`,
-          [returnDate, t.transaction_id]
-        );
-
-        if (t.book_id) {
-          await pool.execute(
-            "UPDATE books SET status='Available' WHERE book_id=?",
-            [t.book_id]
-          );
-          const [book] = await pool.execute(
-            "SELECT book_title FROM books WHERE book_id=?",
-            [t.book_id]
-          );
-          returnedItems.push({
-            transaction_id: t.transaction_id,
-            item_type: "book",
-            item_id: t.book_id,
-            item_title: book[0]?.book_title || "Unknown Book",
-          });
-        }
-
-        if (t.research_paper_id) {
-          await pool.execute(
-            "UPDATE research_papers SET status='Available' WHERE research_paper_id=?",
-            [t.research_paper_id]
-          );
-          const [rp] = await pool.execute(
-            "SELECT research_title FROM research_papers WHERE research_paper_id=?",
-            [t.research_paper_id]
-          );
-          returnedItems.push({
-            transaction_id: t.transaction_id,
-            item_type: "research_paper",
-            item_id: t.research_paper_id,
-            item_title: rp[0]?.research_title || "Unknown Research Paper",
-          });
-        }
-      }
-
       // Determine whether there's a receipt in the database
       const dbHasReceipt = !!receiptImagePath;
 
@@ -492,7 +563,7 @@ router.post("/return", (req, res) => {
             has_penalties: penaltyChecks.length > 0
           },
           timestamp: new Date().toISOString()
-        });
+        }, { userId: transactionUserId });
 
         // SAVE TO ACTIVITY LOG
         try {
@@ -501,13 +572,15 @@ router.post("/return", (req, res) => {
           ).join(', ');
 
           await pool.execute(
-            `INSERT INTO activity_logs (user_id, action, details, status, created_at)
-             VALUES (?, ?, ?, ?, NOW())`,
+            `INSERT INTO activity_logs (user_id, action, details, status, actor_admin_id, actor_type, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, NOW())`,
             [
               transactionUserId,
               'BOOK_RETURNED',
               `Returned ${returnedItems.length} item(s) - Reference: ${allTransactions[0].reference_number} - Items: ${itemDetails}`,
-              'completed'
+              'completed',
+              req.admin ? req.admin.admin_id : null,
+              req.admin ? 'admin' : 'kiosk'
             ]
           );
         } catch (logError) {
@@ -531,10 +604,25 @@ router.post("/return", (req, res) => {
           receipt_url: receiptImagePath ? `${UPLOAD_DOMAIN}${receiptImagePath}` : null,
           receipt_stamped: receiptStamped,
           stamp_method: stampMethod,
+          holds_assigned: holds.map((h) => ({
+            reservation_id: h.reservation_id,
+            user_id: h.user_id,
+            item_type: h.item_type,
+            book_id: h.book_id,
+            research_paper_id: h.research_paper_id,
+            hold_expires_at: h.hold_expires_at,
+          })),
         },
       });
     } catch (error) {
+      try {
+        if (conn) {
+          await conn.rollback();
+          await conn.release();
+        }
+      } catch (e) {}
       console.error("Return error:", error);
+      await recordKioskError(req.kiosk && req.kiosk.kiosk_id, error.message);
       res.status(500).json({
         success: false,
         message: "Failed to return book/research paper",
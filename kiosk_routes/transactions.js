@@ -1,6 +1,10 @@
 const express = require("express");
 const router = express.Router();
 const { pool } = require("../config/database");
+const { auditAdminAction } = require("../helpers/activityLogger");
+const { renewLoan, getRenewalHistory } = require("../services/loanRenewal");
+const { getUserTransactions } = require("../services/patronRecords");
+const { requireAdmin } = require("../helpers/adminAuth");
 require('dotenv').config();
 
 // Get upload domain from environment
@@ -433,9 +437,15 @@ router.get("/:transaction_id", async (req, res) => {
       });
     }
 
+    // INCLUDE RENEWAL HISTORY
+    const renewals = await getRenewalHistory(transaction_id);
+
     res.status(200).json({
       success: true,
-      data: transactions[0]
+      data: {
+        ...transactions[0],
+        renewals
+      }
     });
 
   } catch (error) {
@@ -451,62 +461,7 @@ router.get("/:transaction_id", async (req, res) => {
 // GET TRANSACTIONS BY USER ID
 router.get("/user/:user_id", async (req, res) => {
   try {
-    const { user_id } = req.params;
-
-    const [transactions] = await pool.execute(
-      `SELECT 
-        t.*,
-        CASE 
-          WHEN t.receipt_image IS NOT NULL AND t.receipt_image != '' 
-          THEN CONCAT('${UPLOAD_DOMAIN}', t.receipt_image)
-          ELSE NULL 
-        END AS receipt_image,
-        u.first_name,
-        u.last_name,
-        u.email,
-        u.student_id,
-        u.year_level,
-        u.position,
-        d.department_name,
-        d.department_acronym,
-        b.book_title,
-        CASE 
-          WHEN bc.file_path IS NOT NULL AND bc.file_path != '' THEN CONCAT('${UPLOAD_DOMAIN}', bc.file_path)
-          ELSE NULL 
-        END AS book_cover,
-        b.book_number,
-        b.isUsingDepartment,
-        (SELECT GROUP_CONCAT(ba2.book_author SEPARATOR ', ') FROM book_author ba2 WHERE ba2.book_author_id = b.book_author_id) AS book_authors,
-        CASE 
-          WHEN b.isUsingDepartment = 1 THEN bd.department_name 
-          ELSE bg.book_genre 
-        END as book_genre,
-        rp.research_title,
-        rp.research_abstract,
-        (SELECT GROUP_CONCAT(ra2.author_name SEPARATOR ', ') FROM research_author ra2 WHERE ra2.research_paper_id = rp.research_paper_id) AS research_authors,
-        rd.department_name as research_department,
-        CASE
-          WHEN COALESCE(NULLIF(TRIM(t.status), ''), '') <> '' THEN t.status
-          WHEN t.return_date IS NOT NULL 
-               AND TRIM(t.return_date) NOT IN ('', '0000-00-00', '0000-00-00 00:00:00') THEN 'returned'
-          WHEN LOWER(COALESCE(t.transaction_type, '')) = 'reserve' THEN 'reserved'
-          WHEN LOWER(COALESCE(t.transaction_type, '')) = 'borrow' THEN 'active'
-          WHEN LOWER(COALESCE(t.transaction_type, '')) = 'return' THEN 'returned'
-          ELSE COALESCE(t.transaction_type, '')
-        END as status
-      FROM transactions t
-      LEFT JOIN users u ON t.user_id = u.user_id
-      LEFT JOIN departments d ON u.department_id = d.department_id
-      LEFT JOIN books b ON t.book_id = b.book_id
-      LEFT JOIN book_covers bc ON b.batch_registration_key = bc.batch_registration_key
-      LEFT JOIN book_genre bg ON b.book_genre_id = bg.book_genre_id AND b.isUsingDepartment = 0
-      LEFT JOIN departments bd ON b.book_genre_id = bd.department_id AND b.isUsingDepartment = 1
-      LEFT JOIN research_papers rp ON t.research_paper_id = rp.research_paper_id
-      LEFT JOIN departments rd ON rp.department_id = rd.department_id
-      WHERE t.user_id = ?
-      ORDER BY t.transaction_date DESC`,
-      [user_id]
-    );
+    const transactions = await getUserTransactions(req.params.user_id);
 
     res.status(200).json({
       success: true,
@@ -684,7 +639,7 @@ router.get("/stats/fines/:user_id", async (req, res) => {
 });
 
 // SEND REMINDER EMAIL FOR OVERDUE/DUE TRANSACTIONS
-router.post("/send-reminder", async (req, res) => {
+router.post("/send-reminder", auditAdminAction("TRANSACTION_REMINDER_SENT"), async (req, res) => {
   try {
     const { transaction_ids } = req.body;
 
@@ -780,4 +735,35 @@ router.post("/send-reminder", async (req, res) => {
   }
 });
 
+// RENEW A LOAN (ADMIN)
+router.post("/:transaction_id/renew", requireAdmin('perm_book_transactions'), async (req, res) => {
+  try {
+    const { transaction_id } = req.params;
+
+    const result = await renewLoan({
+      transaction_id,
+      renewed_by: "admin",
+      admin: req.admin
+    });
+
+    if (!result.success) {
+      const { status, success, ...details } = result;
+      return res.status(status).json({ success: false, ...details });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data
+    });
+  } catch (error) {
+    console.error("Error renewing loan:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to renew loan",
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,88 @@
+const { pool } = require('./config/database');
+const { AUTHORITY_TYPES, collapseDuplicateAuthorities } = require('./services/bookAuthorities');
+
+// Usage: node migrate_book_authorities.js [--dry-run] [--split-combined]
+//   --dry-run         report what would change and roll back
+//   --split-combined  link "A, B" names saved by the old add form as separate authors/publishers
+const dryRun = process.argv.includes('--dry-run');
+const splitCombined = process.argv.includes('--split-combined');
+
+async function migrateBookAuthorities() {
+  let conn;
+  try {
+    console.log(`\n=== Collapsing Duplicate Authors, Publishers and Genres${dryRun ? ' (dry run)' : ''} ===\n`);
+
+    // The columns and link tables come from sql/schema_updates.sql
+    const [columns] = await pool.execute(`
+      SELECT TABLE_NAME
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE()
+        AND COLUMN_NAME = 'normalized_name'
+        AND TABLE_NAME IN ('book_author', 'book_publisher', 'book_genre')
+    `);
+    const [linkTables] = await pool.execute(`
+      SELECT TABLE_NAME
+      FROM INFORMATION_SCHEMA.TABLES
+      WHERE TABLE_SCHEMA = DATABASE()
+        AND TABLE_NAME IN ('book_author_links', 'book_publisher_links')
+    `);
+    if (columns.length < 3 || linkTables.length < 2) {
+      console.error('❌ Apply sql/schema_updates.sql first (normalized_name columns and link tables are missing)');
+      await pool.end();
+      process.exit(1);
+    }
+
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    for (const type of Object.keys(AUTHORITY_TYPES)) {
+      const summary = await collapseDuplicateAuthorities(conn, type, { splitCombined });
+      console.log(`${type}:`);
+      console.log(`  - ${summary.normalized} names normalized`);
+      console.log(`  - ${summary.merged_rows} duplicates merged into ${summary.merged_groups} ${type}`);
+      console.log(`  - ${summary.books_updated} book copies repointed`);
+      if (AUTHORITY_TYPES[type].linkTable) {
+        console.log(`  - ${summary.batches_linked} batches linked`);
+        if (splitCombined) console.log(`  - ${summary.removed_unused} combined names removed`);
+      }
+      console.log('');
+    }
+
+    if (dryRun) {
+      await conn.rollback();
+      conn.release();
+      await pool.end();
+      console.log('Dry run: nothing was changed\n');
+      process.exit(0);
+    }
+
+    await conn.commit();
+    conn.release();
+    conn = null;
+
+    // Each name exists once now, so new duplicates can be refused by the database
+    for (const config of Object.values(AUTHORITY_TYPES)) {
+      await pool.execute(
+        `ALTER TABLE ${config.table} ADD UNIQUE INDEX IF NOT EXISTS uq_${config.table}_normalized_name (normalized_name)`
+      );
+      console.log(`✅ Unique name index on ${config.table}`);
+    }
+
+    await pool.end();
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error during migration:', error);
+    if (conn) {
+      try {
+        await conn.rollback();
+        conn.release();
+      } catch (e) {}
+    }
+    await pool.end();
+    process.exit(1);
+  }
+}
+
+migrateBookAuthorities();
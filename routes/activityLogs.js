@@ -14,19 +14,19 @@ router.post("/", async (req, res) => {
     const { user_id, action, details, status } = req.body;
 
     // Validate required fields
-    if (!user_id || !action) {
+    if (!action) {
       return res.status(400).json({
         success: false,
         message: "Missing required fields",
-        error: "user_id and action are required"
+        error: "action is required"
       });
     }
 
-    // Insert activity log
+    // Insert activity log with the authenticated admin as the actor
     const [result] = await pool.execute(
-      `INSERT INTO activity_logs (user_id, action, details, status, created_at)
-       VALUES (?, ?, ?, ?, NOW())`,
-      [user_id, action, safe(details), safe(status) || 'completed']
+      `INSERT INTO activity_logs (user_id, action, details, status, actor_admin_id, actor_type, created_at)
+       VALUES (?, ?, ?, ?, ?, 'admin', NOW())`,
+      [safe(user_id), action, safe(details), safe(status) || 'completed', req.admin.admin_id]
     );
 
     // Format created_at to Asia/Manila before returning
@@ -37,8 +37,10 @@ router.post("/", async (req, res) => {
       message: "Activity log created successfully",
       data: {
         activity_log_id: result.insertId,
-        user_id,
+        user_id: safe(user_id),
         action,
+        actor_admin_id: req.admin.admin_id,
+        actor_type: 'admin',
         details: safe(details),
         status: safe(status) || 'completed',
         created_at: createdAt
@@ -62,6 +64,8 @@ router.get("/", async (req, res) => {
       user_id, 
       action, 
       status, 
+      actor_admin_id,
+      actor_type,
       limit = 50, 
       offset = 0,
       start_date,
@@ -76,6 +80,16 @@ router.get("/", async (req, res) => {
       params.push(user_id);
     }
 
+    if (actor_admin_id) {
+      whereClause += " AND al.actor_admin_id = ?";
+      params.push(actor_admin_id);
+    }
+
+    if (actor_type) {
+      whereClause += " AND al.actor_type = ?";
+      params.push(actor_type);
+    }
+
     if (action) {
       whereClause += " AND al.action LIKE ?";
       params.push(`%${action}%`);
@@ -119,19 +133,21 @@ router.get("/", async (req, res) => {
     // Build SQL without parameter placeholders for LIMIT/OFFSET (some MySQL drivers have issues binding them)
     const logsSql = `SELECT 
         al.*,
-        COALESCE(CONCAT(u.first_name, ' ', u.last_name), CONCAT(a.first_name, ' ', a.last_name)) as user_name,
-        COALESCE(u.position, a.role) as position,
-        COALESCE(u.email, a.email) as email,
+        COALESCE(CONCAT(u.first_name, ' ', u.last_name), CONCAT(a.first_name, ' ', a.last_name), CONCAT(actor.first_name, ' ', actor.last_name)) as user_name,
+        COALESCE(u.position, a.role, actor.role) as position,
+        COALESCE(u.email, a.email, actor.email) as email,
         d.department_name,
         d.department_acronym,
-        CASE
+        CONCAT(actor.first_name, ' ', actor.last_name) as actor_admin_name,
+        COALESCE(al.actor_type, CASE
           WHEN u.user_id IS NOT NULL THEN 'user'
           WHEN a.admin_id IS NOT NULL THEN 'admin'
           ELSE 'unknown'
-        END as actor_type
+        END) as actor_type
        FROM activity_logs al
        LEFT JOIN users u ON al.user_id = u.user_id
-       LEFT JOIN administrators a ON al.user_id = a.admin_id
+       LEFT JOIN administrators a ON al.user_id = a.admin_id AND al.actor_admin_id IS NULL
+       LEFT JOIN administrators actor ON al.actor_admin_id = actor.admin_id
        LEFT JOIN departments d ON u.department_id = d.department_id
        ${whereClause}
        ORDER BY al.created_at DESC
@@ -202,19 +218,21 @@ router.get("/user/:user_id", async (req, res) => {
     // Get activity logs for the user (inject sanitized LIMIT/OFFSET)
     const userLogsSql = `SELECT 
         al.*,
-        COALESCE(CONCAT(u.first_name, ' ', u.last_name), CONCAT(a.first_name, ' ', a.last_name)) as user_name,
-        COALESCE(u.position, a.role) as position,
-        COALESCE(u.email, a.email) as email,
+        COALESCE(CONCAT(u.first_name, ' ', u.last_name), CONCAT(a.first_name, ' ', a.last_name), CONCAT(actor.first_name, ' ', actor.last_name)) as user_name,
+        COALESCE(u.position, a.role, actor.role) as position,
+        COALESCE(u.email, a.email, actor.email) as email,
         d.department_name,
         d.department_acronym,
-        CASE
+        CONCAT(actor.first_name, ' ', actor.last_name) as actor_admin_name,
+        COALESCE(al.actor_type, CASE
           WHEN u.user_id IS NOT NULL THEN 'user'
           WHEN a.admin_id IS NOT NULL THEN 'admin'
           ELSE 'unknown'
-        END as actor_type
+        END) as actor_type
        FROM activity_logs al
        LEFT JOIN users u ON al.user_id = u.user_id
-       LEFT JOIN administrators a ON al.user_id = a.admin_id
+       LEFT JOIN administrators a ON al.user_id = a.admin_id AND al.actor_admin_id IS NULL
+       LEFT JOIN administrators actor ON al.actor_admin_id = actor.admin_id
        LEFT JOIN departments d ON u.department_id = d.department_id
        WHERE al.user_id = ?
        ORDER BY al.created_at DESC
@@ -260,19 +278,21 @@ router.get("/:activity_log_id", async (req, res) => {
     const [logs] = await pool.execute(
       `SELECT 
         al.*,
-        COALESCE(CONCAT(u.first_name, ' ', u.last_name), CONCAT(a.first_name, ' ', a.last_name)) as user_name,
-        COALESCE(u.position, a.role) as position,
-        COALESCE(u.email, a.email) as email,
+        COALESCE(CONCAT(u.first_name, ' ', u.last_name), CONCAT(a.first_name, ' ', a.last_name), CONCAT(actor.first_name, ' ', actor.last_name)) as user_name,
+        COALESCE(u.position, a.role, actor.role) as position,
+        COALESCE(u.email, a.email, actor.email) as email,
         d.department_name,
         d.department_acronym,
-        CASE
+        CONCAT(actor.first_name, ' ', actor.last_name) as actor_admin_name,
+        COALESCE(al.actor_type, CASE
           WHEN u.user_id IS NOT NULL THEN 'user'
           WHEN a.admin_id IS NOT NULL THEN 'admin'
           ELSE 'unknown'
-        END as actor_type
+        END) as actor_type
        FROM activity_logs al
        LEFT JOIN users u ON al.user_id = u.user_id
-       LEFT JOIN administrators a ON al.user_id = a.admin_id
+       LEFT JOIN administrators a ON al.user_id = a.admin_id AND al.actor_admin_id IS NULL
+       LEFT JOIN administrators actor ON al.actor_admin_id = actor.admin_id
        LEFT JOIN departments d ON u.department_id = d.department_id
        WHERE al.activity_log_id = ?`,
       [activity_log_id]
@@ -310,13 +330,10 @@ router.get("/:activity_log_id", async (req, res) => {
 router.post('/:activity_log_id/read', async (req, res) => {
   try {
     const { activity_log_id } = req.params;
-    const { admin_id, read = true } = req.body;
+    const { read = true } = req.body;
+    const admin_id = req.admin.admin_id;
 
     if (read) {
-      if (!admin_id) {
-        return res.status(400).json({ success: false, message: 'admin_id is required when marking as read' });
-      }
-
       const [result] = await pool.execute(
         `UPDATE activity_logs SET is_read = 1, read_at = NOW(), read_by_admin_id = ? WHERE activity_log_id = ?`,
         [admin_id, activity_log_id]
@@ -340,7 +357,8 @@ router.post('/:activity_log_id/read', async (req, res) => {
 // MARK MULTIPLE ACTIVITY LOGS AS READ/UNREAD (BATCH)
 router.post('/read', async (req, res) => {
   try {
-    const { ids, admin_id, read = true } = req.body;
+    const { ids, read = true } = req.body;
+    const admin_id = req.admin.admin_id;
 
     if (!Array.isArray(ids) || ids.length === 0) {
       return res.status(400).json({ success: false, message: 'ids (array) is required' });
@@ -355,10 +373,6 @@ router.post('/read', async (req, res) => {
     const placeholders = sanitizedIds.map(() => '?').join(',');
 
     if (read) {
-      if (!admin_id) {
-        return res.status(400).json({ success: false, message: 'admin_id is required when marking as read' });
-      }
-
       const sql = `UPDATE activity_logs SET is_read = 1, read_at = NOW(), read_by_admin_id = ? WHERE activity_log_id IN (${placeholders})`;
       const params = [admin_id, ...sanitizedIds];
       const [result] = await pool.execute(sql, params);
@@ -391,11 +405,7 @@ router.get('/unread/count', async (req, res) => {
 // MARK ALL UNREAD ACTIVITY LOGS AS READ (ADMIN ONLY)
 router.post('/read/all', async (req, res) => {
   try {
-    const { admin_id } = req.body;
-
-    if (!admin_id) {
-      return res.status(400).json({ success: false, message: 'admin_id is required' });
-    }
+    const admin_id = req.admin.admin_id;
 
     const [result] = await pool.execute(
       `UPDATE activity_logs SET is_read = 1, read_at = NOW(), read_by_admin_id = ? WHERE is_read = 0`,
@@ -0,0 +1,268 @@
+const express = require("express");
+const router = express.Router();
+const { pool } = require("../config/database");
+const { auditAdminAction } = require("../helpers/activityLogger");
+const {
+  formatCampaign,
+  getActiveCampaigns,
+  validateCampaign,
+  getAmnestyReport
+} = require("../services/fineAmnesty");
+const { roundAmount } = require("../services/penaltyLedger");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const CAMPAIGN_COLUMNS = `
+  c.campaign_id, c.campaign_name, c.description,
+  DATE_FORMAT(c.start_date, '%Y-%m-%d') as start_date,
+  DATE_FORMAT(c.end_date, '%Y-%m-%d') as end_date,
+  c.penalty_types, c.user_positions, c.discount_type, c.discount_value,
+  c.require_return_in_window, c.is_active,
+  c.created_by_admin_id, c.created_at, c.updated_at`;
+
+// GET ALL CAMPAIGNS
+router.get("/", async (req, res) => {
+  try {
+    const [campaigns] = await pool.execute(
+      `SELECT ${CAMPAIGN_COLUMNS}
+       FROM fine_amnesty_campaigns c
+       ORDER BY c.start_date DESC`
+    );
+
+    res.status(200).json({ success: true, count: campaigns.length, data: campaigns.map(formatCampaign) });
+  } catch (error) {
+    console.error("Error fetching amnesty campaigns:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch amnesty campaigns", error: error.message });
+  }
+});
+
+// GET CAMPAIGNS RUNNING TODAY (public, so patrons can see current amnesties)
+router.get("/active", async (req, res) => {
+  try {
+    const campaigns = await getActiveCampaigns();
+    res.status(200).json({ success: true, count: campaigns.length, data: campaigns });
+  } catch (error) {
+    console.error("Error fetching active amnesty campaigns:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch active amnesty campaigns", error: error.message });
+  }
+});
+
+// FORGIVENESS REPORT PER CAMPAIGN (?from=&to= limits to campaigns overlapping the range)
+router.get("/report", async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return res.status(400).json({ success: false, message: "from and to must be in YYYY-MM-DD format" });
+    }
+
+    res.status(200).json({ success: true, data: await getAmnestyReport({ from, to }) });
+  } catch (error) {
+    console.error("Error generating amnesty report:", error);
+    res.status(500).json({ success: false, message: "Failed to generate amnesty report", error: error.message });
+  }
+});
+
+// GET A CAMPAIGN WITH THE PENALTIES IT FORGAVE
+router.get("/:campaign_id", async (req, res) => {
+  try {
+    const [campaigns] = await pool.execute(
+      `SELECT ${CAMPAIGN_COLUMNS}
+       FROM fine_amnesty_campaigns c
+       WHERE c.campaign_id = ?`,
+      [req.params.campaign_id]
+    );
+
+    if (campaigns.length === 0) {
+      return res.status(404).json({ success: false, message: "Amnesty campaign not found" });
+    }
+
+    const [penalties] = await pool.execute(
+      `SELECT p.penalty_id, p.user_id, p.penalty_type, p.fine, p.book_price, p.status,
+              p.amnesty_amount, p.amnesty_applied_at,
+              t.reference_number,
+              CONCAT(u.first_name, ' ', u.last_name) as user_name,
+              u.position,
+              b.book_title,
+              rp.research_title
+       FROM penalties p
+       LEFT JOIN transactions t ON p.transaction_id = t.transaction_id
+       LEFT JOIN users u ON p.user_id = u.user_id
+       LEFT JOIN books b ON t.book_id = b.book_id
+       LEFT JOIN research_papers rp ON t.research_paper_id = rp.research_paper_id
+       WHERE p.amnesty_campaign_id = ?
+       ORDER BY p.amnesty_applied_at DESC`,
+      [req.params.campaign_id]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...formatCampaign(campaigns[0]),
+        total_forgiven: roundAmount(penalties.reduce((sum, p) => sum + (parseFloat(p.amnesty_amount) || 0), 0)),
+        penalties: penalties.map((p) => ({
+          ...p,
+          item_title: p.book_title || p.research_title || "Unknown Item"
+        }))
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching amnesty campaign:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch amnesty campaign", error: error.message });
+  }
+});
+
+// CREATE A CAMPAIGN
+router.post("/", auditAdminAction("AMNESTY_CAMPAIGN_CREATED", { details: (req) => `Created amnesty campaign: ${req.body.campaign_name} (${req.body.start_date} to ${req.body.end_date})` }), async (req, res) => {
+  const {
+    campaign_name,
+    description = null,
+    start_date,
+    end_date,
+    penalty_types,
+    user_positions = [],
+    discount_type,
+    discount_value,
+    require_return_in_window = false,
+    is_active = true
+  } = req.body;
+
+  const validationError = validateCampaign(req.body);
+  if (validationError) {
+    return res.status(400).json({ success: false, message: validationError });
+  }
+  if (end_date < start_date) {
+    return res.status(400).json({ success: false, message: "end_date cannot be before start_date" });
+  }
+
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO fine_amnesty_campaigns
+        (campaign_name, description, start_date, end_date, penalty_types, user_positions,
+         discount_type, discount_value, require_return_in_window, is_active, created_by_admin_id, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        String(campaign_name).trim(),
+        description,
+        start_date,
+        end_date,
+        [...new Set(penalty_types)].join(","),
+        (user_positions || []).map((position) => String(position).trim()).join(",") || null,
+        discount_type,
+        parseFloat(discount_value),
+        require_return_in_window ? 1 : 0,
+        is_active ? 1 : 0,
+        req.admin.admin_id
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Amnesty campaign created successfully",
+      data: { campaign_id: result.insertId }
+    });
+  } catch (error) {
+    console.error("Error creating amnesty campaign:", error);
+    res.status(500).json({ success: false, message: "Failed to create amnesty campaign", error: error.message });
+  }
+});
+
+// UPDATE A CAMPAIGN (amounts already forgiven are not recalculated)
+router.put("/:campaign_id", auditAdminAction("AMNESTY_CAMPAIGN_UPDATED", { details: (req) => `Updated amnesty campaign ID: ${req.params.campaign_id}` }), async (req, res) => {
+  const { campaign_id } = req.params;
+
+  try {
+    const [existing] = await pool.execute(
+      `SELECT ${CAMPAIGN_COLUMNS} FROM fine_amnesty_campaigns c WHERE c.campaign_id = ?`,
+      [campaign_id]
+    );
+    if (existing.length === 0) {
+      return res.status(404).json({ success: false, message: "Amnesty campaign not found" });
+    }
+
+    // Validate against the stored discount type so a new value alone is still range checked
+    const current = formatCampaign(existing[0]);
+    const validationError = validateCampaign({
+      discount_type: current.discount_type,
+      discount_value: req.body.discount_type !== undefined ? current.discount_value : undefined,
+      ...req.body
+    }, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const startDate = req.body.start_date || current.start_date;
+    const endDate = req.body.end_date || current.end_date;
+    if (endDate < startDate) {
+      return res.status(400).json({ success: false, message: "end_date cannot be before start_date" });
+    }
+
+    const fields = {
+      campaign_name: req.body.campaign_name !== undefined ? String(req.body.campaign_name).trim() : undefined,
+      description: req.body.description,
+      start_date: req.body.start_date,
+      end_date: req.body.end_date,
+      penalty_types: req.body.penalty_types !== undefined ? [...new Set(req.body.penalty_types)].join(",") : undefined,
+      user_positions: req.body.user_positions !== undefined
+        ? (req.body.user_positions || []).map((position) => String(position).trim()).join(",") || null
+        : undefined,
+      discount_type: req.body.discount_type,
+      discount_value: req.body.discount_value !== undefined ? parseFloat(req.body.discount_value) : undefined,
+      require_return_in_window: req.body.require_return_in_window !== undefined ? (req.body.require_return_in_window ? 1 : 0) : undefined,
+      is_active: req.body.is_active !== undefined ? (req.body.is_active ? 1 : 0) : undefined
+    };
+
+    const updateFields = [];
+    const updateValues = [];
+    Object.entries(fields).forEach(([column, value]) => {
+      if (value !== undefined) {
+        updateFields.push(`${column} = ?`);
+        updateValues.push(value);
+      }
+    });
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({ success: false, message: "No fields to update" });
+    }
+
+    await pool.execute(
+      `UPDATE fine_amnesty_campaigns SET ${updateFields.join(", ")}, updated_at = NOW() WHERE campaign_id = ?`,
+      [...updateValues, campaign_id]
+    );
+
+    res.status(200).json({ success: true, message: "Amnesty campaign updated successfully" });
+  } catch (error) {
+    console.error("Error updating amnesty campaign:", error);
+    res.status(500).json({ success: false, message: "Failed to update amnesty campaign", error: error.message });
+  }
+});
+
+// DELETE A CAMPAIGN (only if it never forgave anything; otherwise deactivate it)
+router.delete("/:campaign_id", auditAdminAction("AMNESTY_CAMPAIGN_DELETED", { details: (req) => `Deleted amnesty campaign ID: ${req.params.campaign_id}` }), async (req, res) => {
+  try {
+    const [applied] = await pool.execute(
+      `SELECT COUNT(*) as count FROM penalties WHERE amnesty_campaign_id = ?`,
+      [req.params.campaign_id]
+    );
+    if (parseInt(applied[0].count) > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "This campaign has already been applied to penalties. Set is_active to false instead of deleting it."
+      });
+    }
+
+    const [result] = await pool.execute(
+      `DELETE FROM fine_amnesty_campaigns WHERE campaign_id = ?`,
+      [req.params.campaign_id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: "Amnesty campaign not found" });
+    }
+
+    res.status(200).json({ success: true, message: "Amnesty campaign deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting amnesty campaign:", error);
+    res.status(500).json({ success: false, message: "Failed to delete amnesty campaign", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require("express");
+const router = express.Router();
+const { auditAdminAction } = require("../helpers/activityLogger");
+const {
+  listAuthorities,
+  renameAuthority,
+  mergeAuthorities
+} = require("../services/bookAuthorities");
+
+// LIST AUTHORS, PUBLISHERS OR GENRES WITH THE NUMBER OF BATCHES USING EACH (?search=)
+router.get("/:type", async (req, res) => {
+  try {
+    const { status, ...body } = await listAuthorities(req.params.type, { search: req.query.search || null });
+    res.status(status).json(body.success ? { ...body, count: body.data.length } : body);
+  } catch (error) {
+    console.error("Error fetching book authorities:", error);
+    res.status(500).json({ success: false, message: `Failed to fetch ${req.params.type}`, error: error.message });
+  }
+});
+
+// MERGE DUPLICATES INTO ONE (body: target_id, source_ids)
+router.post("/:type/merge", auditAdminAction("BOOK_AUTHORITIES_MERGED", { details: (req) => `Merged ${req.params.type} ${[].concat(req.body.source_ids || []).join(", ")} into ${req.body.target_id}` }), async (req, res) => {
+  try {
+    const { target_id, source_ids } = req.body;
+    const { status, ...body } = await mergeAuthorities(req.params.type, target_id, source_ids);
+    res.status(status).json(body);
+  } catch (error) {
+    console.error("Error merging book authorities:", error);
+    res.status(500).json({ success: false, message: `Failed to merge ${req.params.type}`, error: error.message });
+  }
+});
+
+// RENAME (body: name); every batch linked to it shows the new name
+router.put("/:type/:id", auditAdminAction("BOOK_AUTHORITY_RENAMED", { details: (req) => `Renamed ${req.params.type} ${req.params.id} to "${req.body.name}"` }), async (req, res) => {
+  try {
+    const { status, ...body } = await renameAuthority(req.params.type, req.params.id, req.body.name);
+    res.status(status).json(body);
+  } catch (error) {
+    console.error("Error renaming book authority:", error);
+    res.status(500).json({ success: false, message: `Failed to rename ${req.params.type}`, error: error.message });
+  }
+});
+
+module.exports = router;
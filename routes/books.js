@@ -1,11 +1,44 @@
 const express = require("express");
 const router = express.Router();
 const { pool } = require("../config/database");
+const { auditAdminAction } = require("../helpers/activityLogger");
 const QRCode = require("qrcode");
 const fs = require("fs");
 const path = require("path");
 const axios = require("axios");
 const FormData = require("form-data");
+const {
+  createImportJob,
+  getImportJob,
+  commitImportJob,
+  recordQrProgress,
+  getTemplateCsv
+} = require("../services/catalogImport");
+const {
+  MARC_FORMATS,
+  getMarcRecords,
+  toMarc21,
+  toMarcXml,
+  importMarcFile
+} = require("../services/marcRecords");
+const { lookupIsbn, normalizeMetadataFields } = require("../services/bookMetadata");
+const {
+  normalizeName,
+  parseNameList,
+  findOrCreateAuthority,
+  setBatchAuthorities,
+  getBatchAuthorities,
+  attachBatchAuthorities
+} = require("../services/bookAuthorities");
+const {
+  getBatchCopies,
+  addCopies,
+  updateCopy,
+  withdrawCopy,
+  moveCopy
+} = require("../services/bookCopies");
+const { notifyHoldAssigned } = require("../services/reservationHolds");
+const { uploadQRCode, renameUploadedFile, storeBookQr } = require("../services/bookQr");
 require('dotenv').config();
 
 // Get upload domain from environment
@@ -37,49 +70,47 @@ async function uploadBookCover(fileBuffer, filename, mimeType) {
   }
 }
 
-// Helper function to upload QR code to file system
-async function uploadQRCode(qrBuffer, filename) {
-  try {
-    const formData = new FormData();
-    formData.append('file', qrBuffer, { filename, contentType: 'image/png' });
-    
-    const response = await axios.post(`${SERVER_BASE_URL}/api/uploads/qr-code`, formData, {
-      headers: {
-        ...formData.getHeaders(),
-      },
-      timeout: 30000,
-    });
-    
-    return response.data;
-  } catch (error) {
-    console.error('Error uploading QR code:', error);
-    throw new Error('Failed to upload QR code to file system');
+// Helper function to store the QR codes of imported batches; uploads run after the catalog
+// rows are committed, so a failed upload is reported instead of undoing the import
+async function storeBatchQrCodes(batches, onProgress = null) {
+  const qr = { uploaded: 0, failed: [] };
+  for (const batch of batches) {
+    for (const copy of batch.copies) {
+      try {
+        await storeBookQr(copy.book_id, copy.book_number);
+        qr.uploaded++;
+      } catch (qrError) {
+        console.error(`Failed to upload QR for book ${copy.book_id}:`, qrError);
+        qr.failed.push(copy.book_id);
+      }
+      if (onProgress) await onProgress(qr);
+    }
   }
+  return qr;
 }
 
-// Helper function to rename uploaded file
-async function renameUploadedFile(endpoint, oldFilename, newFilename) {
-  try {
-    const response = await axios.patch(`${SERVER_BASE_URL}/api/uploads/${endpoint}/${oldFilename}`, {
-      newName: newFilename
-    }, {
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      timeout: 10000,
-    });
-    
-    return response.data;
-  } catch (error) {
-    console.error(`Error renaming ${endpoint} file:`, error);
-    throw new Error(`Failed to rename ${endpoint} file`);
-  }
+// Catalog imports upload their QR codes one job at a time after the commit has been answered;
+// progress is saved on the import job row so GET /import/:import_id can report it
+let importQrQueue = Promise.resolve();
+
+function queueImportQrCodes(importId, batches) {
+  importQrQueue = importQrQueue.then(async () => {
+    try {
+      await recordQrProgress(importId, { status: "Running", uploaded: 0, failed: [] });
+      const qr = await storeBatchQrCodes(batches, (progress) =>
+        recordQrProgress(importId, { status: "Running", ...progress })
+      );
+      await recordQrProgress(importId, { status: "Completed", ...qr });
+    } catch (error) {
+      console.error(`Error storing QR codes of catalog import ${importId}:`, error);
+    }
+  });
 }
 
 // GET ALL BOOKS ROUTE
 router.get("/", async (req, res) => {
   try {
-    const [books] = await pool.execute(`
+    const [bookRows] = await pool.execute(`
       SELECT 
         b.book_id,
         b.book_title,
@@ -96,6 +127,12 @@ router.get("/", async (req, res) => {
         b.book_year,
         b.book_price,
         b.book_donor,
+        b.book_isbn,
+        b.book_isbn10,
+        b.book_subject,
+        b.book_language,
+        b.book_pages,
+        b.book_call_number,
         b.batch_registration_key,
         b.isUsingDepartment,
         CASE 
@@ -125,6 +162,7 @@ router.get("/", async (req, res) => {
       LEFT JOIN book_shelf_location bs ON b.book_shelf_location_id = bs.book_shelf_loc_id
       ORDER BY b.book_id DESC
     `);
+    const books = attachBatchAuthorities(bookRows, await getBatchAuthorities());
 
     // Get ratings for all books grouped by batch_registration_key
     const [ratings] = await pool.execute(`
@@ -215,6 +253,12 @@ router.get("/:batch_registration_key", async (req, res) => {
         b.book_year,
         b.book_price,
         b.book_donor,
+        b.book_isbn,
+        b.book_isbn10,
+        b.book_subject,
+        b.book_language,
+        b.book_pages,
+        b.book_call_number,
         b.batch_registration_key,
         b.isUsingDepartment,
         CASE 
@@ -297,8 +341,9 @@ router.get("/:batch_registration_key", async (req, res) => {
         [req.params.batch_registration_key]
       );
       const activeBooks = allBooks.filter(b => b.status !== 'Removed');
+      const [book] = attachBatchAuthorities(books, await getBatchAuthorities(pool, [req.params.batch_registration_key]));
       const bookData = {
-        ...books[0],
+        ...book,
         quantity: activeBooks.length,
         average_rating: avgRating ? parseFloat(avgRating.toFixed(1)) : null,
         total_ratings: reviews.length,
@@ -352,6 +397,12 @@ router.get("/book/:book_id", async (req, res) => {
         b.book_year,
         b.book_price,
         b.book_donor,
+        b.book_isbn,
+        b.book_isbn10,
+        b.book_subject,
+        b.book_language,
+        b.book_pages,
+        b.book_call_number,
         b.batch_registration_key,
         b.isUsingDepartment,
         CASE 
@@ -428,10 +479,11 @@ router.get("/book/:book_id", async (req, res) => {
       ? reviews.reduce((sum, r) => sum + r.star_rating, 0) / reviews.length
       : null;
 
+    const [book] = attachBatchAuthorities(books, await getBatchAuthorities(pool, [books[0].batch_registration_key]));
     res.status(200).json({
       success: true,
       data: {
-        ...books[0],
+        ...book,
         average_rating: avgRating ? parseFloat(avgRating.toFixed(1)) : null,
         total_ratings: reviews.length,
         reviews: reviews
@@ -448,7 +500,7 @@ router.get("/book/:book_id", async (req, res) => {
 });
 
 // INSERT BOOKS ROUTE
-router.post("/add", (req, res) => {
+router.post("/add", auditAdminAction("BOOK_ADDED", { details: (req) => `Added book: ${req.body.bookTitle || "Untitled"}` }), (req, res) => {
   const upload = req.upload.single("bookCover");
   upload(req, res, async (err) => {
     if (err) {
@@ -484,6 +536,11 @@ router.post("/add", (req, res) => {
         bookShelfLocId,
         quantity = 1,
         batchRegistrationKey,
+        bookIsbn,
+        bookSubject,
+        bookLanguage,
+        bookPages,
+        bookCallNumber,
       } = req.body;
 
       console.log("Authors data:", {
@@ -522,63 +579,34 @@ router.post("/add", (req, res) => {
       });
     }
 
-    // GENRE OR DEPARTMENT
-    let categoryId;
-    if (isUsingDepartment) {
-      // Use the department ID directly (it should already exist)
-      categoryId = safe(department);
-    } else {
-      // Create new genre entry
-      const [genreResult] = await pool.execute(
-        "INSERT INTO book_genre (book_genre, created_at) VALUES (?, ?)",
-        [safe(genre), new Date()]
-      );
-      categoryId = genreResult.insertId;
-    }
-
-    // PUBLISHER - Handle multiple publishers
-    let finalPublisher = publisher;
-    if (publishers && Array.isArray(publishers) && publishers.length > 0) {
-      finalPublisher = publishers.join(", ");
-    } else if (typeof publishers === 'string') {
-      try {
-        const parsedPublishers = JSON.parse(publishers);
-        if (Array.isArray(parsedPublishers) && parsedPublishers.length > 0) {
-          finalPublisher = parsedPublishers.join(", ");
-        }
-      } catch (e) {
-        // If parsing fails, use the string as is
-        finalPublisher = publishers;
-      }
+    // ISBN AND METADATA - ISBN-10 or ISBN-13, stored as ISBN-13 plus ISBN-10 when one exists
+    const metadata = normalizeMetadataFields({
+      isbn: bookIsbn,
+      subject: bookSubject,
+      language: bookLanguage,
+      pages: bookPages,
+      call_number: bookCallNumber,
+    });
+    if (metadata.error) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid book metadata",
+        error: metadata.error,
+      });
     }
-    
-    const [publisherResult] = await pool.execute(
-      "INSERT INTO book_publisher (publisher, created_at) VALUES (?, ?)",
-      [safe(finalPublisher), new Date()]
-    );
-    const publisherId = publisherResult.insertId;
 
-    // AUTHOR - Handle multiple authors
-    let finalAuthor = author;
-    if (authors && Array.isArray(authors) && authors.length > 0) {
-      finalAuthor = authors.join(", ");
-    } else if (typeof authors === 'string') {
-      try {
-        const parsedAuthors = JSON.parse(authors);
-        if (Array.isArray(parsedAuthors) && parsedAuthors.length > 0) {
-          finalAuthor = parsedAuthors.join(", ");
-        }
-      } catch (e) {
-        // If parsing fails, use the string as is
-        finalAuthor = authors;
-      }
+    // AUTHORS AND PUBLISHERS - a list (array or JSON string) or the single name
+    const listedAuthors = parseNameList(authors);
+    const listedPublishers = parseNameList(publishers);
+    const authorNames = listedAuthors.length > 0 ? listedAuthors : parseNameList([author]);
+    const publisherNames = listedPublishers.length > 0 ? listedPublishers : parseNameList([publisher]);
+    if (authorNames.length === 0 || publisherNames.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required fields",
+        error: "At least one author and one publisher name are required.",
+      });
     }
-    
-    const [authorResult] = await pool.execute(
-      "INSERT INTO book_author (book_author, created_at) VALUES (?, ?)",
-      [safe(finalAuthor), new Date()]
-    );
-    const authorId = authorResult.insertId;
 
     // SHELF LOCATION
     const shelfLocationId = safe(bookShelfLocId);
@@ -591,6 +619,22 @@ router.post("/add", (req, res) => {
       });
     }
 
+    // GENRE OR DEPARTMENT
+    let categoryId;
+    if (isUsingDepartment) {
+      // Use the department ID directly (it should already exist)
+      categoryId = safe(department);
+    } else {
+      // Reuse the genre with the same name, or create it
+      categoryId = await findOrCreateAuthority(pool, "genres", genre);
+    }
+
+    // Authors and publishers are shared rows matched by name and linked to the batch in order
+    const authorIds = await setBatchAuthorities(pool, "authors", batchRegistrationKey, authorNames);
+    const publisherIds = await setBatchAuthorities(pool, "publishers", batchRegistrationKey, publisherNames);
+    const authorId = authorIds[0];
+    const publisherId = publisherIds[0];
+
     // Insert multiple books based on quantity
     const bookIds = [];
     const now = new Date();
@@ -619,8 +663,9 @@ router.post("/add", (req, res) => {
       const [bookResult] = await pool.execute(
         `INSERT INTO books (
           book_title, book_number, book_qr, book_edition, book_year, book_price, book_donor,
+          book_isbn, book_isbn10, book_subject, book_language, book_pages, book_call_number,
           book_genre_id, book_publisher_id, book_shelf_location_id, book_author_id, batch_registration_key, isUsingDepartment, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           safe(bookTitle),
           i,
@@ -629,6 +674,12 @@ router.post("/add", (req, res) => {
           safe(bookYear),
           safe(bookPrice),
           safe(bookDonor),
+          safe(metadata.values.book_isbn),
+          safe(metadata.values.book_isbn10),
+          safe(metadata.values.book_subject),
+          safe(metadata.values.book_language),
+          safe(metadata.values.book_pages),
+          safe(metadata.values.book_call_number),
           categoryId,
           publisherId,
           shelfLocationId,
@@ -684,6 +735,8 @@ router.post("/add", (req, res) => {
         categoryId,
         publisherId,
         authorId,
+        authorIds,
+        publisherIds,
         shelfLocationId,
         batchRegistrationKey,
         quantity: qtyNumber,
@@ -701,8 +754,194 @@ router.post("/add", (req, res) => {
   });
 });
 
+// LOOK UP AN ISBN TO PREFILL A NEW BATCH - Catalog first, then the metadata providers
+router.get("/isbn/:isbn", async (req, res) => {
+  try {
+    const { status, ...body } = await lookupIsbn(req.params.isbn);
+    res.status(status).json(body);
+  } catch (error) {
+    console.error("Error looking up ISBN:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to look up ISBN",
+      error: error.message,
+    });
+  }
+});
+
+// CATALOG IMPORT TEMPLATE - CSV with the accepted columns
+router.get("/import/template", (req, res) => {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", 'attachment; filename="catalog_import_template.csv"');
+  res.status(200).send(getTemplateCsv());
+});
+
+// CATALOG IMPORT DRY RUN - Validates every row of a CSV/XLSX file and stores it as an import job
+router.post("/import", auditAdminAction("BOOKS_IMPORT_VALIDATED", { details: (req) => `Dry run of catalog import: ${req.file ? req.file.originalname : "no file"}` }), (req, res) => {
+  const upload = req.upload.single("file");
+  upload(req, res, async (err) => {
+    if (err) {
+      console.error("File upload error:", err);
+      return res.status(400).json({
+        success: false,
+        message: "File upload error",
+        error: err.message,
+      });
+    }
+
+    try {
+      const { status, ...body } = await createImportJob({ file: req.file, admin: req.admin });
+      res.status(status).json(body);
+    } catch (error) {
+      console.error("Error validating catalog import:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to validate catalog import",
+        error: error.message,
+      });
+    }
+  });
+});
+
+// GET CATALOG IMPORT JOB REPORT
+router.get("/import/:import_id", async (req, res) => {
+  try {
+    const job = await getImportJob(req.params.import_id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Import job not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    console.error("Error fetching catalog import:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch catalog import",
+      error: error.message,
+    });
+  }
+});
+
+// COMMIT A CATALOG IMPORT - Creates the batches and copies of a validated job; their QR codes are uploaded in the background
+router.post("/import/:import_id/commit", auditAdminAction("BOOKS_IMPORTED", { details: (req) => `Committed catalog import ID: ${req.params.import_id}` }), async (req, res) => {
+  try {
+    const { status, ...body } = await commitImportJob(req.params.import_id, req.admin);
+    if (!body.success) {
+      return res.status(status).json(body);
+    }
+
+    res.status(status).json({
+      ...body,
+      data: { ...body.data, qr_codes: { status: "Pending", total: body.data.copy_count, uploaded: 0, failed: [] } },
+    });
+
+    queueImportQrCodes(req.params.import_id, body.data.batches);
+  } catch (error) {
+    console.error("Error committing catalog import:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to commit catalog import",
+      error: error.message,
+    });
+  }
+});
+
+// EXPORT BOOKS AS MARC - GET ?batch_registration_keys=k1,k2&format=marcxml|marc21, or POST the same in the body for large sets
+const exportMarc = async (req, res) => {
+  try {
+    const source = req.method === "GET" ? req.query : req.body;
+    const format = source.format || "marcxml";
+    const batchKeys = Array.isArray(source.batch_registration_keys)
+      ? source.batch_registration_keys
+      : String(source.batch_registration_keys || "").split(",");
+
+    if (!MARC_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${MARC_FORMATS.join(", ")}`,
+      });
+    }
+
+    const { records, missing_keys } = await getMarcRecords(batchKeys);
+    if (records.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "No books found for the given batch registration keys",
+      });
+    }
+
+    const isXml = format === "marcxml";
+    res.setHeader("Content-Type", isXml ? "application/marcxml+xml; charset=utf-8" : "application/marc");
+    res.setHeader("Content-Disposition", `attachment; filename="lib-track-catalog.${isXml ? "xml" : "mrc"}"`);
+    res.setHeader("X-Record-Count", String(records.length));
+    if (missing_keys.length > 0) {
+      res.setHeader("X-Missing-Batch-Keys", missing_keys.join(","));
+    }
+    res.status(200).send(isXml ? toMarcXml(records) : toMarc21(records));
+  } catch (error) {
+    console.error("Error exporting MARC records:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to export MARC records",
+      error: error.message,
+    });
+  }
+};
+
+router.get("/marc/export", exportMarc);
+router.post("/marc/export", exportMarc);
+
+// IMPORT MARC21/MARCXML RECORDS - Valid records become batches; the report lists skipped records and unmapped fields, and QR codes are uploaded in the background
+// - form-data: file, dry_run, default_shelf (ID or number-column-row), default_genre
+router.post("/marc/import", auditAdminAction("BOOKS_MARC_IMPORTED", { details: (req) => `MARC import: ${req.file ? req.file.originalname : "no file"}${req.body.dry_run === "true" ? " (dry run)" : ""}` }), (req, res) => {
+  const upload = req.upload.single("file");
+  upload(req, res, async (err) => {
+    if (err) {
+      console.error("File upload error:", err);
+      return res.status(400).json({
+        success: false,
+        message: "File upload error",
+        error: err.message,
+      });
+    }
+
+    try {
+      const { status, ...body } = await importMarcFile({
+        file: req.file,
+        dry_run: req.body.dry_run === true || req.body.dry_run === "true",
+        default_shelf: req.body.default_shelf || null,
+        default_genre: req.body.default_genre || null,
+        admin: req.admin,
+      });
+      if (!body.success || body.data.dry_run) {
+        return res.status(status).json(body);
+      }
+
+      res.status(status).json({
+        ...body,
+        data: { ...body.data, qr_codes: { status: "Pending", total: body.data.summary.copies, uploaded: 0, failed: [] } },
+      });
+
+      queueImportQrCodes(body.data.import_id, body.data.batches);
+    } catch (error) {
+      console.error("Error importing MARC records:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to import MARC records",
+        error: error.message,
+      });
+    }
+  });
+});
+
 // UPDATE BOOK ROUTE
-router.put("/:batch_registration_key", (req, res) => {
+router.put("/:batch_registration_key", auditAdminAction("BOOK_UPDATED", { details: (req) => `Updated book batch: ${req.params.batch_registration_key}` }), (req, res) => {
   const upload = req.upload.single("bookCover");
   upload(req, res, async (err) => {
     if (err) {
@@ -718,10 +957,12 @@ router.put("/:batch_registration_key", (req, res) => {
       let {
         book_title,
         author,
+        authors,
         genre,
         department,
         useDepartmentInstead,
         publisher,
+        publishers,
         book_edition,
         book_year,
         book_price,
@@ -730,8 +971,28 @@ router.put("/:batch_registration_key", (req, res) => {
         copiesToRemove,
         copiesToAdd,
         book_cover,
+        book_isbn,
+        book_subject,
+        book_language,
+        book_pages,
+        book_call_number,
       } = req.body;
 
+      const metadata = normalizeMetadataFields({
+        isbn: book_isbn,
+        subject: book_subject,
+        language: book_language,
+        pages: book_pages,
+        call_number: book_call_number,
+      });
+      if (metadata.error) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid book metadata",
+          error: metadata.error,
+        });
+      }
+
       console.log('Received update data:', {
         department,
         useDepartmentInstead,
@@ -851,43 +1112,47 @@ router.put("/:batch_registration_key", (req, res) => {
     } else {
       if (genre !== undefined && genre !== null) {
         console.log(`Genre update: existing=${existing.book_genre_id}, new=${genre}, isUsingDept=${existing.isUsingDepartment}`);
-        // Update existing genre or create new one based on current state
+        // Genres are shared between batches, so the batch is pointed at the genre with
+        // the new name instead of renaming the one it has
+        categoryId = await findOrCreateAuthority(pool, "genres", genre);
+        shouldUpdateCategory = true;
         if (existing.isUsingDepartment === 1) {
-          // Was using department, now switching to genre - create new genre
-          const [genreResult] = await pool.execute(
-            "INSERT INTO book_genre (book_genre, created_at) VALUES (?, ?)",
-            [genre, new Date()]
-          );
-          categoryId = genreResult.insertId;
-          shouldUpdateCategory = true;
           shouldUpdateIsUsingDepartment = true;
-          console.log(`Switching from department to genre, created new genre ID: ${categoryId}`);
-        } else {
-          // Was using genre, update existing genre
-          await pool.execute(
-            "UPDATE book_genre SET book_genre = ? WHERE book_genre_id = ?",
-            [genre, categoryId]
-          );
-          shouldUpdateCategory = true;
-          console.log(`Updated existing genre ID ${categoryId} with new name: ${genre}`);
+          console.log(`Switching from department to genre ID: ${categoryId}`);
         }
       }
     }
 
+    // AUTHORS AND PUBLISHERS - relinked the same way; the joined names returned by GET
+    // can be sent back as author / publisher without changing anything
+    const [current] = attachBatchAuthorities(
+      [{ batch_registration_key: batchRegistrationKey, author_id: existing.book_author_id, publisher_id: existing.book_publisher_id }],
+      await getBatchAuthorities(pool, [batchRegistrationKey])
+    );
+    const changedNames = (list, single, currentNames) => {
+      if (list !== undefined && list !== null) return parseNameList(list);
+      if (single === undefined || single === null) return null;
+      if (normalizeName(single) === normalizeName(currentNames.map((item) => item.name).join(", "))) return null;
+      return parseNameList([single]);
+    };
+    const authorNames = changedNames(authors, author, current.authors);
+    const publisherNames = changedNames(publishers, publisher, current.publishers);
+    if ((authorNames && authorNames.length === 0) || (publisherNames && publisherNames.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authors or publishers",
+        error: "A book needs at least one author and one publisher.",
+      });
+    }
+
     let publisherId = existing.book_publisher_id;
-    if (publisher !== undefined && publisher !== null) {
-      await pool.execute(
-        "UPDATE book_publisher SET publisher = ? WHERE book_publisher_id = ?",
-        [publisher, publisherId]
-      );
+    if (publisherNames) {
+      [publisherId] = await setBatchAuthorities(pool, "publishers", batchRegistrationKey, publisherNames);
     }
 
     let authorId = existing.book_author_id;
-    if (author !== undefined && author !== null) {
-      await pool.execute(
-        "UPDATE book_author SET book_author = ? WHERE book_author_id = ?",
-        [author, authorId]
-      );
+    if (authorNames) {
+      [authorId] = await setBatchAuthorities(pool, "authors", batchRegistrationKey, authorNames);
     }
 
     const updateFields = [];
@@ -918,6 +1183,10 @@ router.put("/:batch_registration_key", (req, res) => {
       updateFields.push("book_shelf_location_id = ?");
       updateValues.push(book_shelf_loc_id);
     }
+    Object.entries(metadata.values).forEach(([column, value]) => {
+      updateFields.push(`${column} = ?`);
+      updateValues.push(value);
+    });
     if (shouldUpdateCategory) {
       updateFields.push("book_genre_id = ?");
       updateValues.push(categoryId);
@@ -960,8 +1229,9 @@ router.put("/:batch_registration_key", (req, res) => {
         const [bookResult] = await pool.execute(
           `INSERT INTO books (
             book_title, book_number, book_qr, book_edition, book_year, book_price, book_donor,
+            book_isbn, book_isbn10, book_subject, book_language, book_pages, book_call_number,
             book_genre_id, book_publisher_id, book_shelf_location_id, book_author_id, batch_registration_key, isUsingDepartment, created_at
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [
             book_title || existing.book_title,
             bookNumber,
@@ -970,6 +1240,9 @@ router.put("/:batch_registration_key", (req, res) => {
             book_year || existing.book_year,
             book_price || existing.book_price,
             book_donor || existing.book_donor,
+            ...["book_isbn", "book_isbn10", "book_subject", "book_language", "book_pages", "book_call_number"].map((column) =>
+              metadata.values[column] !== undefined ? metadata.values[column] : existing[column]
+            ),
             categoryId,
             publisherId,
             book_shelf_loc_id || existing.book_shelf_location_id,
@@ -1029,7 +1302,7 @@ const deleteUploadedFile = async (endpoint, filename) => {
 };
 
 // DELETE BOOKS BY BATCH REGISTRATION KEY ROUTE
-router.delete('/:batch_registration_key', async (req, res) => {
+router.delete('/:batch_registration_key', auditAdminAction("BOOK_DELETED", { details: (req) => `Deleted book batch: ${req.params.batch_registration_key}` }), async (req, res) => {
   try {
     const batchRegistrationKey = req.params.batch_registration_key;
 
@@ -1091,6 +1364,10 @@ router.delete('/:batch_registration_key', async (req, res) => {
       [batchRegistrationKey]
     );
 
+    // Delete author and publisher links (the shared names stay)
+    await pool.execute('DELETE FROM book_author_links WHERE batch_registration_key = ?', [batchRegistrationKey]);
+    await pool.execute('DELETE FROM book_publisher_links WHERE batch_registration_key = ?', [batchRegistrationKey]);
+
     res.status(200).json({
       success: true,
       message: 'Books, cover, and associated files deleted successfully',
@@ -1213,6 +1490,89 @@ router.get("/copy/:book_id/:book_number", async (req, res) => {
   }
 });
 
+// LIST THE COPIES OF A BATCH (?include_withdrawn=true also lists withdrawn copies)
+router.get("/:batch_registration_key/copies", async (req, res) => {
+  try {
+    const { status, ...body } = await getBatchCopies(req.params.batch_registration_key, {
+      include_withdrawn: req.query.include_withdrawn === "true",
+    });
+    res.status(status).json(body);
+  } catch (error) {
+    console.error("Error fetching book copies:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch book copies", error: error.message });
+  }
+});
+
+// ADD COPIES TO A BATCH (body: quantity, shelf_location_id, condition, condition_notes)
+router.post("/:batch_registration_key/copies", auditAdminAction("BOOK_COPIES_ADDED", { details: (req) => `Added ${req.body.quantity || 1} copies to book batch: ${req.params.batch_registration_key}` }), async (req, res) => {
+  try {
+    const { quantity, shelf_location_id, condition, condition_notes } = req.body;
+    const { status, ...body } = await addCopies({
+      batch_registration_key: req.params.batch_registration_key,
+      quantity: quantity === undefined ? 1 : quantity,
+      shelf_location_id,
+      condition,
+      condition_notes,
+    });
+    if (!body.success) return res.status(status).json(body);
+
+    for (const hold of body.data.holds) {
+      await notifyHoldAssigned(hold);
+    }
+
+    // QR codes are uploaded after the copies are committed; failed uploads are reported
+    const qr = await storeBatchQrCodes([body.data]);
+    res.status(status).json({ ...body, data: { ...body.data, qr } });
+  } catch (error) {
+    console.error("Error adding book copies:", error);
+    res.status(500).json({ success: false, message: "Failed to add book copies", error: error.message });
+  }
+});
+
+// UPDATE A COPY'S CONDITION, NOTES, BARCODE OR STATUS (Available / In Repair)
+router.put("/:batch_registration_key/copies/:book_id", auditAdminAction("BOOK_COPY_UPDATED", { details: (req) => `Updated copy ${req.params.book_id} of book batch: ${req.params.batch_registration_key}` }), async (req, res) => {
+  try {
+    const { condition, condition_notes, barcode, status: copyStatus } = req.body;
+    const { status, ...body } = await updateCopy(req.params.batch_registration_key, req.params.book_id, {
+      condition,
+      condition_notes,
+      barcode,
+      status: copyStatus,
+    });
+    if (body.success && body.data.hold) {
+      await notifyHoldAssigned(body.data.hold);
+    }
+    res.status(status).json(body);
+  } catch (error) {
+    console.error("Error updating book copy:", error);
+    res.status(500).json({ success: false, message: "Failed to update book copy", error: error.message });
+  }
+});
+
+// MOVE A COPY TO ANOTHER SHELF (body: shelf_location_id)
+router.put("/:batch_registration_key/copies/:book_id/shelf", auditAdminAction("BOOK_COPY_MOVED", { details: (req) => `Moved copy ${req.params.book_id} of book batch ${req.params.batch_registration_key} to shelf ${req.body.shelf_location_id}` }), async (req, res) => {
+  try {
+    const { status, ...body } = await moveCopy(req.params.batch_registration_key, req.params.book_id, req.body.shelf_location_id);
+    res.status(status).json(body);
+  } catch (error) {
+    console.error("Error moving book copy:", error);
+    res.status(500).json({ success: false, message: "Failed to move book copy", error: error.message });
+  }
+});
 
+// WITHDRAW ONE COPY FROM CIRCULATION (body: reason, optional condition)
+router.post("/:batch_registration_key/copies/:book_id/withdraw", auditAdminAction("BOOK_COPY_WITHDRAWN", { details: (req) => `Withdrew copy ${req.params.book_id} of book batch ${req.params.batch_registration_key}: ${req.body.reason || ""}` }), async (req, res) => {
+  try {
+    const { status, ...body } = await withdrawCopy(req.params.batch_registration_key, req.params.book_id, {
+      reason: req.body.reason,
+      condition: req.body.condition,
+      admin: req.admin,
+    });
+    res.status(status).json(body);
+  } catch (error) {
+    console.error("Error withdrawing book copy:", error);
+    res.status(500).json({ success: false, message: "Failed to withdraw book copy", error: error.message });
+  }
+});
 
 module.exports = router;
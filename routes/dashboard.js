@@ -1,68 +1,84 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
+const { getFineSettings, calculateFine } = require('../services/fineEngine');
+const { loadCalendarSince } = require('../services/libraryCalendar');
+const { BALANCE_SQL } = require('../services/penaltyLedger');
 
 // GET /api/dashboard/analytics - Get comprehensive analytics for dashboard
 router.get('/analytics', async (req, res) => {
   try {
     const { period = 'all' } = req.query; // 'daily', 'weekly', 'monthly', 'all'
 
-    // prepare dateCondition early so it can be used by subsequent queries
-    let dateCondition = '';
-    switch(period) {
-      case 'daily':
-        dateCondition = "DATE(t.transaction_date) = CURDATE()";
-        break;
-      case 'weekly':
-        dateCondition = "YEARWEEK(t.transaction_date, 1) = YEARWEEK(CURDATE(), 1)";
-        break;
-      case 'monthly':
-        dateCondition = "YEAR(t.transaction_date) = YEAR(CURDATE()) AND MONTH(t.transaction_date) = MONTH(CURDATE())";
-        break;
-      default:
-        dateCondition = '1=1';
-    }
+    // prepare period conditions early so they can be used by subsequent queries
+    const getPeriodCondition = (column) => {
+      switch(period) {
+        case 'daily':
+          return `DATE(${column}) = CURDATE()`;
+        case 'weekly':
+          return `YEARWEEK(${column}, 1) = YEARWEEK(CURDATE(), 1)`;
+        case 'monthly':
+          return `YEAR(${column}) = YEAR(CURDATE()) AND MONTH(${column}) = MONTH(CURDATE())`;
+        default:
+          return '1=1';
+      }
+    };
+    const dateCondition = getPeriodCondition('t.transaction_date');
 
     // 1. Overdue Books and Fines Analytics (apply period filter)
     // Count overdue items based on missing return_date so we include transactions
     // where `status` may be NULL (older inserts didn't set status). This treats
     // any transaction without a return_date as active and thus eligible to be overdue.
-    const [overdueStats] = await pool.execute(`
+    const [overdueTransactions] = await pool.execute(`
       SELECT 
-        COUNT(DISTINCT t.transaction_id) as overdue_count,
-        SUM(CASE 
-          WHEN DATEDIFF(CURDATE(), STR_TO_DATE(t.due_date, '%Y-%m-%d')) > 0 
-          THEN DATEDIFF(CURDATE(), STR_TO_DATE(t.due_date, '%Y-%m-%d'))
-          ELSE 0 
-        END) as total_overdue_days,
-        COUNT(DISTINCT t.user_id) as users_with_overdue
+        t.transaction_id,
+        t.user_id,
+        t.book_id,
+        t.research_paper_id,
+        t.due_date,
+        u.position
       FROM transactions t
+      LEFT JOIN users u ON t.user_id = u.user_id
       WHERE (t.return_date IS NULL)
         AND t.due_date IS NOT NULL
         AND STR_TO_DATE(t.due_date, '%Y-%m-%d') < CURDATE()
         AND (${dateCondition})
     `);
 
-    // 2. Fines Collected
-    // 2. Fines Collected (apply period filter via linked transactions)
+    // Days overdue and accrued fines come from the shared fine engine so the
+    // dashboard matches the amounts charged on the penalties page
+    const fineSettings = await getFineSettings();
+    const calendar = await loadCalendarSince(overdueTransactions.map((t) => t.due_date));
+    const overdueStats = {
+      overdue_count: overdueTransactions.length,
+      total_overdue_days: 0,
+      accrued_fines: 0,
+      users_with_overdue: new Set(overdueTransactions.map((t) => t.user_id)).size
+    };
+    for (const transaction of overdueTransactions) {
+      const result = await calculateFine(transaction, fineSettings, new Date(), calendar);
+      overdueStats.total_overdue_days += result.days_overdue;
+      overdueStats.accrued_fines += result.fine;
+    }
+
+    // 2. Fines Collected (from the payment ledger, by payment date; includes partial payments)
     const [finesStats] = await pool.execute(`
       SELECT 
-        COUNT(*) as total_paid_penalties,
-        SUM(p.fine) as total_fines_collected,
-        AVG(p.fine) as average_fine
-      FROM penalties p
-      LEFT JOIN transactions t ON p.transaction_id = t.transaction_id
-      WHERE p.status = 'Paid'
-        AND (${dateCondition})
+        COUNT(DISTINCT pp.penalty_id) as total_paid_penalties,
+        COUNT(*) as total_payments,
+        SUM(pp.amount) as total_fines_collected,
+        AVG(pp.amount) as average_fine
+      FROM penalty_payments pp
+      WHERE (${getPeriodCondition('pp.paid_at')})
     `);
 
-    // 2b. Pending / Collectable fines (total outstanding across system)
+    // 2b. Pending / Collectable fines (outstanding balances across system)
     const [pendingStats] = await pool.execute(`
       SELECT
         COUNT(*) as total_unpaid_penalties,
-        SUM(CASE WHEN p.fine > 0 THEN p.fine ELSE 0 END) as total_unpaid_fines
+        SUM(GREATEST(${BALANCE_SQL}, 0)) as total_unpaid_fines
       FROM penalties p
-      WHERE (p.status IS NULL OR p.status != 'Paid')
+      WHERE (p.status IS NULL OR p.status NOT IN ('Paid', 'Waived'))
     `);
 
     // 3. User Session Analytics (active users by period)
@@ -178,13 +194,11 @@ router.get('/analytics', async (req, res) => {
       ) overdue ON overdue.month = m.month
       LEFT JOIN (
         SELECT 
-          DATE_FORMAT(t.transaction_date, '%Y-%m') AS month,
-          SUM(p.fine) AS fines_collected
-        FROM penalties p
-        LEFT JOIN transactions t ON p.transaction_id = t.transaction_id
-        WHERE p.status = 'Paid'
-          AND t.transaction_date >= DATE_SUB(CURDATE(), INTERVAL 6 MONTH)
-        GROUP BY DATE_FORMAT(t.transaction_date, '%Y-%m')
+          DATE_FORMAT(pp.paid_at, '%Y-%m') AS month,
+          SUM(pp.amount) AS fines_collected
+        FROM penalty_payments pp
+        WHERE pp.paid_at >= DATE_SUB(CURDATE(), INTERVAL 6 MONTH)
+        GROUP BY DATE_FORMAT(pp.paid_at, '%Y-%m')
       ) fines ON fines.month = m.month
       ORDER BY m.month ASC
     `);
@@ -251,13 +265,15 @@ router.get('/analytics', async (req, res) => {
       success: true,
       data: {
         overdue: {
-          count: overdueStats[0]?.overdue_count || 0,
-          totalDays: overdueStats[0]?.total_overdue_days || 0,
-          affectedUsers: overdueStats[0]?.users_with_overdue || 0
+          count: overdueStats.overdue_count,
+          totalDays: overdueStats.total_overdue_days,
+          accruedFines: overdueStats.accrued_fines,
+          affectedUsers: overdueStats.users_with_overdue
         },
         fines: {
           totalCollected: parseFloat(finesStats[0]?.total_fines_collected || 0),
           totalPenalties: finesStats[0]?.total_paid_penalties || 0,
+          totalPayments: finesStats[0]?.total_payments || 0,
           averageFine: parseFloat(finesStats[0]?.average_fine || 0),
           collectable: parseFloat(pendingStats[0]?.total_unpaid_fines || 0),
           unpaidPenalties: pendingStats[0]?.total_unpaid_penalties || 0
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
+const { auditAdminAction } = require('../helpers/activityLogger');
 
 // GET / - list faqs (optional query: q=text, active=1)
 router.get('/', async (req, res) => {
@@ -49,7 +50,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST / - create faq
-router.post('/', async (req, res) => {
+router.post('/', auditAdminAction('FAQ_CREATED'), async (req, res) => {
 	const { question, answer, is_active = 1, sort_order = 0, created_by = null } = req.body;
 	if (!question || !question.toString().trim() || !answer || !answer.toString().trim()) {
 		return res.status(400).json({ success: false, message: 'Question and answer are required' });
@@ -71,7 +72,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /:id - update faq
-router.put('/:id', async (req, res) => {
+router.put('/:id', auditAdminAction('FAQ_UPDATED', { details: (req) => `Updated FAQ ID: ${req.params.id}` }), async (req, res) => {
 	const id = parseInt(req.params.id, 10);
 	if (!id) return res.status(400).json({ success: false, message: 'Invalid id' });
 
@@ -115,7 +116,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /:id - delete faq
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', auditAdminAction('FAQ_DELETED', { details: (req) => `Deleted FAQ ID: ${req.params.id}` }), async (req, res) => {
 	const id = parseInt(req.params.id, 10);
 	if (!id) return res.status(400).json({ success: false, message: 'Invalid id' });
 
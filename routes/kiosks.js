@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { auditAdminAction } = require('../helpers/activityLogger');
+const {
+  HEARTBEAT_TIMEOUT_SECONDS,
+  registerKiosk,
+  rotateKioskKey,
+  getKioskStatuses
+} = require('../services/kioskRegistry');
+
+// GET all kiosks with last-seen time, app version, current patron session and error counts
+router.get('/', async (req, res) => {
+  try {
+    const kiosks = await getKioskStatuses();
+    res.status(200).json({
+      success: true,
+      count: kiosks.length,
+      online: kiosks.filter((kiosk) => kiosk.is_online).length,
+      heartbeat_timeout_seconds: HEARTBEAT_TIMEOUT_SECONDS,
+      data: kiosks
+    });
+  } catch (error) {
+    console.error('Error fetching kiosks:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch kiosks', error: error.message });
+  }
+});
+
+// GET single kiosk status
+router.get('/:kiosk_id', async (req, res) => {
+  try {
+    const kiosks = await getKioskStatuses(req.params.kiosk_id);
+    if (kiosks.length === 0) {
+      return res.status(404).json({ success: false, message: 'Kiosk not found' });
+    }
+    res.status(200).json({ success: true, data: kiosks[0] });
+  } catch (error) {
+    console.error('Error fetching kiosk:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch kiosk', error: error.message });
+  }
+});
+
+// REGISTER A KIOSK (the credential is only returned once)
+router.post('/', auditAdminAction('KIOSK_REGISTERED', { details: (req) => `Registered kiosk: ${req.body.kiosk_name}` }), async (req, res) => {
+  const { kiosk_name, location } = req.body;
+
+  if (!kiosk_name || !String(kiosk_name).trim()) {
+    return res.status(400).json({ success: false, message: 'kiosk_name is required' });
+  }
+
+  try {
+    const { kiosk_id, kiosk_key } = await registerKiosk({
+      kiosk_name: String(kiosk_name).trim(),
+      location: location || null,
+      admin_id: req.admin.admin_id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Kiosk registered. Store the kiosk key now; it will not be shown again.',
+      data: { kiosk_id, kiosk_name: String(kiosk_name).trim(), location: location || null, kiosk_key }
+    });
+  } catch (error) {
+    console.error('Error registering kiosk:', error);
+    res.status(500).json({ success: false, message: 'Failed to register kiosk', error: error.message });
+  }
+});
+
+// UPDATE KIOSK DETAILS OR STATUS
+router.put('/:kiosk_id', auditAdminAction('KIOSK_UPDATED', { details: (req) => `Updated kiosk ID: ${req.params.kiosk_id}` }), async (req, res) => {
+  const { kiosk_id } = req.params;
+  const { kiosk_name, location, status } = req.body;
+
+  if (status !== undefined && !['Active', 'Disabled'].includes(status)) {
+    return res.status(400).json({ success: false, message: "status must be 'Active' or 'Disabled'" });
+  }
+
+  const updateFields = [];
+  const updateValues = [];
+  if (kiosk_name !== undefined) {
+    updateFields.push('kiosk_name = ?');
+    updateValues.push(String(kiosk_name).trim());
+  }
+  if (location !== undefined) {
+    updateFields.push('location = ?');
+    updateValues.push(location || null);
+  }
+  if (status !== undefined) {
+    updateFields.push('status = ?');
+    updateValues.push(status);
+  }
+
+  if (updateFields.length === 0) {
+    return res.status(400).json({ success: false, message: 'No fields to update' });
+  }
+
+  try {
+    const [result] = await pool.execute(
+      `UPDATE kiosks SET ${updateFields.join(', ')}, updated_at = NOW() WHERE kiosk_id = ?`,
+      [...updateValues, kiosk_id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Kiosk not found' });
+    }
+
+    const kiosks = await getKioskStatuses(kiosk_id);
+    res.status(200).json({ success: true, message: 'Kiosk updated successfully', data: kiosks[0] });
+  } catch (error) {
+    console.error('Error updating kiosk:', error);
+    res.status(500).json({ success: false, message: 'Failed to update kiosk', error: error.message });
+  }
+});
+
+// ISSUE A NEW CREDENTIAL FOR A KIOSK
+router.post('/:kiosk_id/rotate-key', auditAdminAction('KIOSK_KEY_ROTATED', { details: (req) => `Rotated key for kiosk ID: ${req.params.kiosk_id}` }), async (req, res) => {
+  try {
+    const kioskKey = await rotateKioskKey(req.params.kiosk_id);
+    if (!kioskKey) {
+      return res.status(404).json({ success: false, message: 'Kiosk not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Kiosk key rotated. Store the new key now; it will not be shown again.',
+      data: { kiosk_id: parseInt(req.params.kiosk_id), kiosk_key: kioskKey }
+    });
+  } catch (error) {
+    console.error('Error rotating kiosk key:', error);
+    res.status(500).json({ success: false, message: 'Failed to rotate kiosk key', error: error.message });
+  }
+});
+
+// RESET A KIOSK'S ERROR COUNT
+router.post('/:kiosk_id/reset-errors', auditAdminAction('KIOSK_ERRORS_RESET', { details: (req) => `Reset errors for kiosk ID: ${req.params.kiosk_id}` }), async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      `UPDATE kiosks SET error_count = 0, last_error = NULL, last_error_at = NULL WHERE kiosk_id = ?`,
+      [req.params.kiosk_id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Kiosk not found' });
+    }
+
+    res.status(200).json({ success: true, message: 'Kiosk error count reset' });
+  } catch (error) {
+    console.error('Error resetting kiosk errors:', error);
+    res.status(500).json({ success: false, message: 'Failed to reset kiosk errors', error: error.message });
+  }
+});
+
+// DELETE A KIOSK (its credential stops working; past transactions keep the kiosk ID)
+router.delete('/:kiosk_id', auditAdminAction('KIOSK_DELETED', { details: (req) => `Deleted kiosk ID: ${req.params.kiosk_id}` }), async (req, res) => {
+  try {
+    const [result] = await pool.execute(`DELETE FROM kiosks WHERE kiosk_id = ?`, [req.params.kiosk_id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Kiosk not found' });
+    }
+
+    res.status(200).json({ success: true, message: 'Kiosk deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting kiosk:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete kiosk', error: error.message });
+  }
+});
+
+module.exports = router;
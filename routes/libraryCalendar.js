@@ -0,0 +1,279 @@
+const express = require("express");
+const router = express.Router();
+const { pool } = require("../config/database");
+const { auditAdminAction } = require("../helpers/activityLogger");
+const {
+  DAY_NAMES,
+  CLOSURE_TYPES,
+  formatDate,
+  getWeeklyClosedDays,
+  isLibraryOpen,
+  getNextOpenDay,
+  countOpenDays
+} = require("../services/libraryCalendar");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// VALIDATE A HOLIDAY / CLOSURE BODY, RETURNS AN ERROR MESSAGE OR NULL
+const validateClosure = ({ holiday_name, holiday_date, end_date, closure_type }, partial = false) => {
+  if (!partial || holiday_name !== undefined) {
+    if (!holiday_name || !String(holiday_name).trim()) return "holiday_name is required";
+  }
+  if (!partial || holiday_date !== undefined) {
+    if (!DATE_PATTERN.test(holiday_date || "")) return "holiday_date must be in YYYY-MM-DD format";
+  }
+  if (end_date !== undefined && end_date !== null && end_date !== "" && !DATE_PATTERN.test(end_date)) {
+    return "end_date must be in YYYY-MM-DD format";
+  }
+  if (closure_type !== undefined && !CLOSURE_TYPES.includes(closure_type)) {
+    return `closure_type must be one of: ${CLOSURE_TYPES.join(", ")}`;
+  }
+  return null;
+};
+
+// GET CALENDAR OVERVIEW (WEEKLY CLOSURES + HOLIDAYS/CLOSURES IN A DATE RANGE)
+router.get("/", async (req, res) => {
+  try {
+    const from = req.query.from || formatDate(new Date());
+    const to = req.query.to || null;
+
+    if (!DATE_PATTERN.test(from) || (to && !DATE_PATTERN.test(to))) {
+      return res.status(400).json({ success: false, message: "from and to must be in YYYY-MM-DD format" });
+    }
+
+    const weeklyClosedDays = await getWeeklyClosedDays();
+    const [closures] = await pool.execute(
+      `SELECT holiday_id,
+              holiday_name,
+              DATE_FORMAT(holiday_date, '%Y-%m-%d') as holiday_date,
+              DATE_FORMAT(end_date, '%Y-%m-%d') as end_date,
+              closure_type,
+              created_at
+       FROM library_holidays
+       WHERE COALESCE(end_date, holiday_date) >= ?
+         ${to ? "AND holiday_date <= ?" : ""}
+       ORDER BY holiday_date ASC`,
+      to ? [from, to] : [from]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        weekly_closures: weeklyClosedDays.map((day) => ({ day_of_week: day, day_name: DAY_NAMES[day] })),
+        closures
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching library calendar:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch library calendar", error: error.message });
+  }
+});
+
+// CHECK IF THE LIBRARY IS OPEN ON A DATE
+router.get("/check", async (req, res) => {
+  try {
+    const date = req.query.date || formatDate(new Date());
+    if (!DATE_PATTERN.test(date)) {
+      return res.status(400).json({ success: false, message: "date must be in YYYY-MM-DD format" });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        date,
+        is_open: await isLibraryOpen(date),
+        next_open_day: await getNextOpenDay(date)
+      }
+    });
+  } catch (error) {
+    console.error("Error checking library calendar:", error);
+    res.status(500).json({ success: false, message: "Failed to check library calendar", error: error.message });
+  }
+});
+
+// COUNT OPEN DAYS AFTER `from` UP TO AND INCLUDING `to`
+router.get("/open-days", async (req, res) => {
+  const { from, to } = req.query;
+  if (!DATE_PATTERN.test(from || "") || !DATE_PATTERN.test(to || "")) {
+    return res.status(400).json({ success: false, message: "from and to are required in YYYY-MM-DD format" });
+  }
+
+  try {
+    res.status(200).json({
+      success: true,
+      data: { from, to, open_days: await countOpenDays(from, to) }
+    });
+  } catch (error) {
+    console.error("Error counting open days:", error);
+    res.status(500).json({ success: false, message: "Failed to count open days", error: error.message });
+  }
+});
+
+// GET WEEKLY CLOSURES
+router.get("/weekly-closures", async (req, res) => {
+  try {
+    const weeklyClosedDays = await getWeeklyClosedDays();
+    res.status(200).json({
+      success: true,
+      data: weeklyClosedDays.map((day) => ({ day_of_week: day, day_name: DAY_NAMES[day] }))
+    });
+  } catch (error) {
+    console.error("Error fetching weekly closures:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch weekly closures", error: error.message });
+  }
+});
+
+// REPLACE WEEKLY CLOSURES (days: array of 0 = Sunday ... 6 = Saturday)
+router.put("/weekly-closures", auditAdminAction("WEEKLY_CLOSURES_UPDATED", { details: (req) => `Closed days: ${(req.body.days || []).map((day) => DAY_NAMES[day]).join(", ") || "none"}` }), async (req, res) => {
+  const { days } = req.body;
+
+  if (!Array.isArray(days)) {
+    return res.status(400).json({ success: false, message: "days must be an array of day numbers (0 = Sunday ... 6 = Saturday)" });
+  }
+
+  const closedDays = [...new Set(days.map((day) => parseInt(day)))];
+  if (closedDays.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return res.status(400).json({ success: false, message: "days must only contain numbers from 0 (Sunday) to 6 (Saturday)" });
+  }
+  if (closedDays.length === 7) {
+    return res.status(400).json({ success: false, message: "The library must be open on at least one day of the week" });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    await conn.execute(`DELETE FROM library_weekly_closures`);
+    for (const day of closedDays) {
+      await conn.execute(
+        `INSERT INTO library_weekly_closures (day_of_week, created_at) VALUES (?, NOW())`,
+        [day]
+      );
+    }
+
+    await conn.commit();
+    conn.release();
+    conn = null;
+
+    res.status(200).json({
+      success: true,
+      message: "Weekly closures updated successfully",
+      data: closedDays.sort().map((day) => ({ day_of_week: day, day_name: DAY_NAMES[day] }))
+    });
+  } catch (error) {
+    if (conn) {
+      try { await conn.rollback(); } catch (e) {}
+      try { conn.release(); } catch (e) {}
+    }
+    console.error("Error updating weekly closures:", error);
+    res.status(500).json({ success: false, message: "Failed to update weekly closures", error: error.message });
+  }
+});
+
+// ADD A HOLIDAY OR CLOSURE (single day, or a range when end_date is given)
+router.post("/holidays", auditAdminAction("LIBRARY_CLOSURE_CREATED", { details: (req) => `Added closure: ${req.body.holiday_name} (${req.body.holiday_date}${req.body.end_date ? ` to ${req.body.end_date}` : ""})` }), async (req, res) => {
+  const { holiday_name, holiday_date, end_date, closure_type = "holiday" } = req.body;
+
+  const validationError = validateClosure({ holiday_name, holiday_date, end_date, closure_type });
+  if (validationError) {
+    return res.status(400).json({ success: false, message: validationError });
+  }
+  if (end_date && end_date < holiday_date) {
+    return res.status(400).json({ success: false, message: "end_date cannot be before holiday_date" });
+  }
+
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO library_holidays (holiday_date, end_date, holiday_name, closure_type, created_at)
+       VALUES (?, ?, ?, ?, NOW())`,
+      [holiday_date, end_date && end_date !== holiday_date ? end_date : null, String(holiday_name).trim(), closure_type]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Library closure added successfully",
+      data: { holiday_id: result.insertId, holiday_name: String(holiday_name).trim(), holiday_date, end_date: end_date || null, closure_type }
+    });
+  } catch (error) {
+    console.error("Error adding library closure:", error);
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ success: false, message: "A closure already starts on this date" });
+    }
+    res.status(500).json({ success: false, message: "Failed to add library closure", error: error.message });
+  }
+});
+
+// UPDATE A HOLIDAY OR CLOSURE
+router.put("/holidays/:holiday_id", auditAdminAction("LIBRARY_CLOSURE_UPDATED", { details: (req) => `Updated closure ID: ${req.params.holiday_id}` }), async (req, res) => {
+  const { holiday_id } = req.params;
+  const { holiday_name, holiday_date, end_date, closure_type } = req.body;
+
+  const validationError = validateClosure({ holiday_name, holiday_date, end_date, closure_type }, true);
+  if (validationError) {
+    return res.status(400).json({ success: false, message: validationError });
+  }
+
+  try {
+    const [existing] = await pool.execute(
+      `SELECT DATE_FORMAT(holiday_date, '%Y-%m-%d') as holiday_date,
+              DATE_FORMAT(end_date, '%Y-%m-%d') as end_date
+       FROM library_holidays WHERE holiday_id = ?`,
+      [holiday_id]
+    );
+    if (existing.length === 0) {
+      return res.status(404).json({ success: false, message: "Library closure not found" });
+    }
+
+    const startDate = holiday_date || existing[0].holiday_date;
+    const endDate = end_date !== undefined ? (end_date || null) : existing[0].end_date;
+    if (endDate && endDate < startDate) {
+      return res.status(400).json({ success: false, message: "end_date cannot be before holiday_date" });
+    }
+
+    const updateFields = ["holiday_date = ?", "end_date = ?"];
+    const updateValues = [startDate, endDate && endDate !== startDate ? endDate : null];
+    if (holiday_name !== undefined) {
+      updateFields.push("holiday_name = ?");
+      updateValues.push(String(holiday_name).trim());
+    }
+    if (closure_type !== undefined) {
+      updateFields.push("closure_type = ?");
+      updateValues.push(closure_type);
+    }
+
+    await pool.execute(
+      `UPDATE library_holidays SET ${updateFields.join(", ")} WHERE holiday_id = ?`,
+      [...updateValues, holiday_id]
+    );
+
+    res.status(200).json({ success: true, message: "Library closure updated successfully" });
+  } catch (error) {
+    console.error("Error updating library closure:", error);
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ success: false, message: "A closure already starts on this date" });
+    }
+    res.status(500).json({ success: false, message: "Failed to update library closure", error: error.message });
+  }
+});
+
+// DELETE A HOLIDAY OR CLOSURE
+router.delete("/holidays/:holiday_id", auditAdminAction("LIBRARY_CLOSURE_DELETED", { details: (req) => `Deleted closure ID: ${req.params.holiday_id}` }), async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      `DELETE FROM library_holidays WHERE holiday_id = ?`,
+      [req.params.holiday_id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: "Library closure not found" });
+    }
+
+    res.status(200).json({ success: true, message: "Library closure deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting library closure:", error);
+    res.status(500).json({ success: false, message: "Failed to delete library closure", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require("express");
+const router = express.Router();
+const { auditAdminAction } = require("../helpers/activityLogger");
+const {
+  DISPUTE_STATUSES,
+  getDisputes,
+  getDispute,
+  getDisputeAttachment,
+  startReview,
+  resolveDispute
+} = require("../services/penaltyDisputes");
+
+// SEND A SERVICE RESULT ({ success, status, message, data }) AS THE RESPONSE
+const sendResult = (res, result) => {
+  const { status, ...body } = result;
+  res.status(status).json(body);
+};
+
+// LIST DISPUTES (?status=Submitted|Under Review|Approved|Rejected&user_id=&penalty_id=)
+router.get("/", async (req, res) => {
+  try {
+    const { status, user_id, penalty_id } = req.query;
+
+    if (status && !DISPUTE_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${DISPUTE_STATUSES.join(", ")}` });
+    }
+
+    const disputes = await getDisputes({ status, user_id, penalty_id });
+    res.status(200).json({ success: true, count: disputes.length, data: disputes });
+  } catch (error) {
+    console.error("Error fetching penalty disputes:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch penalty disputes", error: error.message });
+  }
+});
+
+// GET A SINGLE DISPUTE
+router.get("/:dispute_id", async (req, res) => {
+  try {
+    const dispute = await getDispute(req.params.dispute_id);
+    if (!dispute) {
+      return res.status(404).json({ success: false, message: "Dispute not found" });
+    }
+
+    res.status(200).json({ success: true, data: dispute });
+  } catch (error) {
+    console.error("Error fetching penalty dispute:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch penalty dispute", error: error.message });
+  }
+});
+
+// DOWNLOAD A DISPUTE'S ATTACHMENT
+router.get("/:dispute_id/attachment", async (req, res) => {
+  try {
+    const attachment = await getDisputeAttachment(req.params.dispute_id);
+    if (!attachment) {
+      return res.status(404).json({ success: false, message: "Attachment not found" });
+    }
+
+    res.setHeader("Content-Type", attachment.attachment_type || "application/octet-stream");
+    res.setHeader("Content-Disposition", `inline; filename="${(attachment.attachment_name || "attachment").replace(/"/g, "")}"`);
+    res.status(200).send(attachment.attachment);
+  } catch (error) {
+    console.error("Error fetching dispute attachment:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch dispute attachment", error: error.message });
+  }
+});
+
+// START REVIEWING A SUBMITTED DISPUTE
+router.put("/:dispute_id/review", auditAdminAction("PENALTY_DISPUTE_REVIEW_STARTED", { details: (req) => `Dispute ID: ${req.params.dispute_id}` }), async (req, res) => {
+  try {
+    sendResult(res, await startReview(req.params.dispute_id, req.admin));
+  } catch (error) {
+    console.error("Error starting dispute review:", error);
+    res.status(500).json({ success: false, message: "Failed to start dispute review", error: error.message });
+  }
+});
+
+// APPROVE A DISPUTE WITH A FULL OR PARTIAL WAIVER
+// - waiver_type: 'full' (default) waives the outstanding balance; 'partial' waives waiver_amount
+router.put("/:dispute_id/approve", async (req, res) => {
+  try {
+    const { waiver_type = "full", waiver_amount, resolution_notes } = req.body;
+
+    if (waiver_type === "partial" && !Number.isFinite(parseFloat(waiver_amount))) {
+      return res.status(400).json({ success: false, message: "waiver_amount must be a number for a partial waiver" });
+    }
+
+    sendResult(res, await resolveDispute({
+      dispute_id: req.params.dispute_id,
+      decision: "approve",
+      waiver_type,
+      waiver_amount,
+      resolution_notes,
+      admin: req.admin
+    }));
+  } catch (error) {
+    console.error("Error approving dispute:", error);
+    res.status(500).json({ success: false, message: "Failed to approve dispute", error: error.message });
+  }
+});
+
+// REJECT A DISPUTE (resolution_notes is shown to the patron)
+router.put("/:dispute_id/reject", async (req, res) => {
+  try {
+    sendResult(res, await resolveDispute({
+      dispute_id: req.params.dispute_id,
+      decision: "reject",
+      resolution_notes: req.body.resolution_notes,
+      admin: req.admin
+    }));
+  } catch (error) {
+    console.error("Error rejecting dispute:", error);
+    res.status(500).json({ success: false, message: "Failed to reject dispute", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -33,11 +33,20 @@ router.post("/scan", async (req, res) => {
     } else if (researchMatch) {
       // Handle research paper scanning
       return await scanResearchPaper(researchMatch, res);
+    }
+
+    // Otherwise it may be a barcode given to a single book copy
+    const [barcodeCopies] = await pool.execute(
+      "SELECT book_id, book_number FROM books WHERE copy_barcode = ? LIMIT 1",
+      [String(qrData).trim()]
+    );
+    if (barcodeCopies.length > 0) {
+      return await scanBook([qrData, barcodeCopies[0].book_id, barcodeCopies[0].book_number], res);
     } else {
       return res.status(400).json({
         success: false,
         message: "Invalid QR code format",
-        error: "QR code does not match any expected format (BookID:xxx-No:xxx or ResearchPaperID:xxx)",
+        error: "QR code does not match any expected format (BookID:xxx-No:xxx, ResearchPaperID:xxx or a copy barcode)",
       });
     }
   } catch (error) {
@@ -72,6 +81,9 @@ async function scanBook(match, res) {
       b.book_donor,
       b.batch_registration_key,
       b.status,
+      b.copy_condition,
+      b.condition_notes,
+      b.copy_barcode,
       b.isUsingDepartment,
       CASE 
         WHEN b.isUsingDepartment = 1 THEN d.department_id 
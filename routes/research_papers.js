@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
+const { auditAdminAction } = require('../helpers/activityLogger');
 const QRCode = require('qrcode');
 
 // UNDEFINED VALUE SQL PARAMS HELPER
@@ -300,7 +301,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // INSERT RESEARCH PAPER
-router.post('/add', async (req, res) => {
+router.post('/add', auditAdminAction('RESEARCH_PAPER_ADDED', { details: (req) => `Added research paper: ${req.body.researchTitle || 'Untitled'}` }), async (req, res) => {
   try {
     const {
       researchTitle,
@@ -379,7 +380,7 @@ router.post('/add', async (req, res) => {
 });
 
 // UPDATE RESEARCH PAPER
-router.put('/:id', async (req, res) => {
+router.put('/:id', auditAdminAction('RESEARCH_PAPER_UPDATED', { details: (req) => `Updated research paper ID: ${req.params.id}` }), async (req, res) => {
   try {
     const researchPaperId = req.params.id;
     let {
@@ -489,7 +490,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE RESEARCH PAPER
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', auditAdminAction('RESEARCH_PAPER_DELETED', { details: (req) => `Deleted research paper ID: ${req.params.id}` }), async (req, res) => {
   try {
     const researchPaperId = req.params.id;
 
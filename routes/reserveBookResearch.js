@@ -1,16 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
-const { logReservation } = require('../helpers/activityLogger');
+const { logReservation, auditAdminAction } = require('../helpers/activityLogger');
+const { passHoldToNext, notifyHoldAssigned } = require('../services/reservationHolds');
+const { getUserReservations } = require('../services/patronRecords');
+const { createReservation, cancelReservation } = require('../services/reservations');
 
 // Upload domain for file URLs
 const UPLOAD_DOMAIN = (process.env.UPLOAD_DOMAIN || 'https://uploads.codehub.site').replace(/\/+$/, '');
 
-// UNDEFINED VALUE SQL PARAMS HELPER
-function safe(val) {
-  return val === undefined ? null : val;
-}
-
 // GET ALL RESERVATIONS
 router.get('/', async (req, res) => {
   try {
@@ -42,11 +40,13 @@ router.get('/', async (req, res) => {
         r.status,
         r.reason,
         r.updated_at,
+        r.hold_book_id,
+        r.hold_expires_at,
         -- Queue position: number of active (Pending/Approved) reservations for the same resource
         (
           SELECT COUNT(*) FROM reservations r2
           WHERE (
-            (r.book_id IS NOT NULL AND r2.book_id = r.book_id)
+            (r.batch_registration_key IS NOT NULL AND r2.batch_registration_key = r.batch_registration_key)
             OR (r.research_paper_id IS NOT NULL AND r2.research_paper_id = r.research_paper_id)
           )
           AND r2.status IN ('Pending','Approved')
@@ -57,7 +57,7 @@ router.get('/', async (req, res) => {
         u.email,
         u.contact_number,
         CASE 
-          WHEN r.book_id IS NOT NULL THEN 'book'
+          WHEN r.book_id IS NOT NULL OR r.batch_registration_key IS NOT NULL THEN 'book'
           WHEN r.research_paper_id IS NOT NULL THEN 'research_paper'
           ELSE 'unknown'
         END AS reservation_type,
@@ -84,7 +84,12 @@ router.get('/', async (req, res) => {
         dept.department_name AS research_department
       FROM reservations r
       LEFT JOIN users u ON r.user_id = u.user_id
-      LEFT JOIN books b ON r.book_id = b.book_id
+      -- Title reservations show the held copy, the requested copy, or the first copy of the title
+      LEFT JOIN books b ON b.book_id = COALESCE(
+        r.hold_book_id,
+        r.book_id,
+        (SELECT MIN(b2.book_id) FROM books b2 WHERE b2.batch_registration_key = r.batch_registration_key)
+      )
       LEFT JOIN book_covers bc ON b.batch_registration_key = bc.batch_registration_key
       LEFT JOIN book_author ba ON b.book_author_id = ba.book_author_id
       LEFT JOIN book_genre bg ON b.book_genre_id = bg.book_genre_id AND b.isUsingDepartment = 0
@@ -101,6 +106,8 @@ router.get('/', async (req, res) => {
         r.status,
         r.reason,
         r.updated_at,
+        r.hold_book_id,
+        r.hold_expires_at,
         u.first_name,
         u.last_name,
         u.email,
@@ -131,6 +138,8 @@ router.get('/', async (req, res) => {
         status: reservation.status,
         reason: reservation.reason,
         updated_at: reservation.updated_at,
+        hold_book_id: reservation.hold_book_id,
+        hold_expires_at: reservation.hold_expires_at,
         position: reservation.queue_position || 1,
         reservation_type: reservation.reservation_type
       };
@@ -189,10 +198,12 @@ router.get('/:id', async (req, res) => {
         r.status,
         r.reason,
         r.updated_at,
+        r.hold_book_id,
+        r.hold_expires_at,
         (
           SELECT COUNT(*) FROM reservations r2
           WHERE (
-            (r.book_id IS NOT NULL AND r2.book_id = r.book_id)
+            (r.batch_registration_key IS NOT NULL AND r2.batch_registration_key = r.batch_registration_key)
             OR (r.research_paper_id IS NOT NULL AND r2.research_paper_id = r.research_paper_id)
           )
           AND r2.status IN ('Pending','Approved')
@@ -203,7 +214,7 @@ router.get('/:id', async (req, res) => {
         u.email,
         u.contact_number,
         CASE 
-          WHEN r.book_id IS NOT NULL THEN 'book'
+          WHEN r.book_id IS NOT NULL OR r.batch_registration_key IS NOT NULL THEN 'book'
           WHEN r.research_paper_id IS NOT NULL THEN 'research_paper'
           ELSE 'unknown'
         END AS reservation_type,
@@ -230,7 +241,12 @@ router.get('/:id', async (req, res) => {
         dept.department_name AS research_department
       FROM reservations r
       LEFT JOIN users u ON r.user_id = u.user_id
-      LEFT JOIN books b ON r.book_id = b.book_id
+      -- Title reservations show the held copy, the requested copy, or the first copy of the title
+      LEFT JOIN books b ON b.book_id = COALESCE(
+        r.hold_book_id,
+        r.book_id,
+        (SELECT MIN(b2.book_id) FROM books b2 WHERE b2.batch_registration_key = r.batch_registration_key)
+      )
       LEFT JOIN book_covers bc ON b.batch_registration_key = bc.batch_registration_key
       LEFT JOIN book_author ba ON b.book_author_id = ba.book_author_id
       LEFT JOIN book_genre bg ON b.book_genre_id = bg.book_genre_id AND b.isUsingDepartment = 0
@@ -247,6 +263,8 @@ router.get('/:id', async (req, res) => {
         r.status,
         r.reason,
         r.updated_at,
+        r.hold_book_id,
+        r.hold_expires_at,
         u.first_name,
         u.last_name,
         u.email,
@@ -283,6 +301,8 @@ router.get('/:id', async (req, res) => {
       status: reservation.status,
       reason: reservation.reason,
       updated_at: reservation.updated_at,
+      hold_book_id: reservation.hold_book_id,
+      hold_expires_at: reservation.hold_expires_at,
       position: reservation.queue_position || 1,
       reservation_type: reservation.reservation_type
     };
@@ -320,163 +340,12 @@ router.get('/:id', async (req, res) => {
 });
 
 // CREATE NEW RESERVATION
+// Books are reserved by title: pass batch_registration_key, or a book_id whose title is used
 router.post('/', async (req, res) => {
   try {
-    const {
-      book_id,
-      research_paper_id,
-      user_id,
-      reason
-    } = req.body;
-
-    // VALIDATION - must have either book_id or research_paper_id, but not both
-    if (!user_id) {
-      return res.status(400).json({
-        success: false,
-        message: 'User ID is required'
-      });
-    }
-
-    if ((!book_id && !research_paper_id) || (book_id && research_paper_id)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Must specify either book_id or research_paper_id, but not both'
-      });
-    }
-
-    // Check if user exists
-    const [users] = await pool.execute(
-      'SELECT user_id FROM users WHERE user_id = ?',
-      [user_id]
-    );
-
-    if (users.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    // Check if book or research paper exists
-    if (book_id) {
-      const [books] = await pool.execute(
-        'SELECT book_id, status FROM books WHERE book_id = ?',
-        [book_id]
-      );
-
-      if (books.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Book not found'
-        });
-      }
-
-      // Check if book is available
-      if (books[0].status !== 'Available') {
-        return res.status(400).json({
-          success: false,
-          message: `Book is currently ${books[0].status} and cannot be reserved`
-        });
-      }
-
-      // Check if user already has a pending reservation for this book
-      const [existingReservations] = await pool.execute(
-        'SELECT reservation_id FROM reservations WHERE user_id = ? AND book_id = ? AND status = ?',
-        [user_id, book_id, 'Pending']
-      );
-
-      if (existingReservations.length > 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'You already have a pending reservation for this book'
-        });
-      }
-    }
-
-    if (research_paper_id) {
-      const [papers] = await pool.execute(
-        'SELECT research_paper_id FROM research_papers WHERE research_paper_id = ?',
-        [research_paper_id]
-      );
-
-      if (papers.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Research paper not found'
-        });
-      }
-
-      // Check if user already has a pending reservation for this research paper
-      const [existingReservations] = await pool.execute(
-        'SELECT reservation_id FROM reservations WHERE user_id = ? AND research_paper_id = ? AND status = ?',
-        [user_id, research_paper_id, 'Pending']
-      );
-
-      if (existingReservations.length > 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'You already have a pending reservation for this research paper'
-        });
-      }
-    }
-
-    // Create the reservation
-    const [result] = await pool.execute(
-      `INSERT INTO reservations (book_id, research_paper_id, user_id, status, reason, updated_at) 
-       VALUES (?, ?, ?, ?, ?, NOW())`,
-      [safe(book_id), safe(research_paper_id), user_id, 'Pending', safe(reason)]
-    );
-
-    const reservationId = result.insertId;
-
-    // LOG RESERVATION CREATION
-    try {
-      // Get item title for logging
-      let itemTitle = 'Unknown';
-      let itemType = book_id ? 'book' : 'research_paper';
-      
-      if (book_id) {
-        const [books] = await pool.execute(
-          'SELECT book_title FROM books WHERE book_id = ?',
-          [book_id]
-        );
-        if (books.length > 0) {
-          itemTitle = books[0].book_title;
-        }
-      } else if (research_paper_id) {
-        const [papers] = await pool.execute(
-          'SELECT research_title FROM research_papers WHERE research_paper_id = ?',
-          [research_paper_id]
-        );
-        if (papers.length > 0) {
-          itemTitle = papers[0].research_title;
-        }
-      }
-
-      await logReservation({
-        user_id,
-        action: 'RESERVATION_CREATED',
-        item_type: itemType,
-        item_title: itemTitle,
-        reservation_id: reservationId
-      });
-    } catch (logError) {
-      console.error('Error logging reservation creation:', logError);
-      // Don't fail the request if logging fails
-    }
-
-    res.status(201).json({
-      success: true,
-      message: 'Reservation created successfully',
-      data: {
-        reservation_id: reservationId,
-        book_id: book_id || null,
-        research_paper_id: research_paper_id || null,
-        user_id,
-        status: 'Pending',
-        reason: reason || null
-      }
-    });
+    const { book_id, batch_registration_key, research_paper_id, user_id, reason } = req.body;
+    const { status, ...body } = await createReservation({ book_id, batch_registration_key, research_paper_id, user_id, reason });
+    res.status(status).json(body);
   } catch (error) {
     console.error('Error creating reservation:', error);
     res.status(500).json({
@@ -491,7 +360,7 @@ router.post('/', async (req, res) => {
 router.put('/:id', async (req, res) => {
   try {
     const reservationId = req.params.id;
-    const { status, reason, admin_id, admin_name } = req.body;
+    const { status, reason } = req.body;
 
     // VALIDATION
     const validStatuses = ['Pending', 'Approved', 'Rejected'];
@@ -504,7 +373,7 @@ router.put('/:id', async (req, res) => {
 
     // Check if reservation exists and get book/research paper info with user_id
     const [reservations] = await pool.execute(
-      'SELECT reservation_id, status, book_id, research_paper_id, user_id FROM reservations WHERE reservation_id = ?',
+      'SELECT reservation_id, status, book_id, batch_registration_key, research_paper_id, user_id, hold_book_id FROM reservations WHERE reservation_id = ?',
       [reservationId]
     );
 
@@ -541,6 +410,29 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    // Approving a title reservation sets aside an available copy of that title
+    let reservedCopyId = reservation.hold_book_id;
+    if (status === 'Approved' && reservation.batch_registration_key && !reservation.hold_book_id) {
+      const [copies] = await pool.execute(
+        `SELECT book_id FROM books
+         WHERE batch_registration_key = ? AND status = 'Available'
+         ORDER BY (book_id = ?) DESC, book_id ASC
+         LIMIT 1`,
+        [reservation.batch_registration_key, reservation.book_id || 0]
+      );
+
+      if (copies.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No copy of this title is available yet. The reservation stays in the queue and will be held when a copy is returned.'
+        });
+      }
+
+      reservedCopyId = copies[0].book_id;
+      updateFields.push('hold_book_id = ?');
+      updateValues.push(reservedCopyId);
+    }
+
     updateValues.push(reservationId);
 
     await pool.execute(
@@ -549,33 +441,37 @@ router.put('/:id', async (req, res) => {
     );
 
     // Update book or research paper status based on reservation status
-    if (status) {
-      if (reservation.book_id) {
-        // Update book status
-        if (status === 'Approved') {
-          await pool.execute(
-            'UPDATE books SET status = ? WHERE book_id = ?',
-            ['Reserved', reservation.book_id]
-          );
-        } else if (status === 'Rejected') {
+    let nextHold = null;
+    if (status === 'Rejected' && ['On Hold', 'Approved'].includes(reservation.status)) {
+      // The copy or paper set aside for this reservation goes to the next patron in the queue
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        nextHold = await passHoldToNext(conn, {
+          ...reservation,
+          hold_book_id: reservation.hold_book_id || reservation.book_id
+        });
+        await conn.commit();
+      } catch (holdError) {
+        await conn.rollback();
+        throw holdError;
+      } finally {
+        conn.release();
+      }
+    } else if (status === 'Approved') {
+      if (reservation.batch_registration_key || reservation.book_id) {
+        // Update the status of the copy set aside for this reservation
+        if (reservedCopyId) {
           await pool.execute(
             'UPDATE books SET status = ? WHERE book_id = ?',
-            ['Available', reservation.book_id]
+            ['Reserved', reservedCopyId]
           );
         }
       } else if (reservation.research_paper_id) {
-        // Update research paper status
-        if (status === 'Approved') {
-          await pool.execute(
-            'UPDATE research_papers SET status = ? WHERE research_paper_id = ?',
-            ['Reserved', reservation.research_paper_id]
-          );
-        } else if (status === 'Rejected') {
-          await pool.execute(
-            'UPDATE research_papers SET status = ? WHERE research_paper_id = ?',
-            ['Available', reservation.research_paper_id]
-          );
-        }
+        await pool.execute(
+          'UPDATE research_papers SET status = ? WHERE research_paper_id = ?',
+          ['Reserved', reservation.research_paper_id]
+        );
       }
     }
 
@@ -583,12 +479,12 @@ router.put('/:id', async (req, res) => {
     if (status && status !== reservation.status) {
       try {
         let itemTitle = 'Unknown';
-        let itemType = reservation.book_id ? 'book' : 'research_paper';
+        let itemType = reservation.batch_registration_key || reservation.book_id ? 'book' : 'research_paper';
         
-        if (reservation.book_id) {
+        if (reservation.batch_registration_key || reservation.book_id) {
           const [books] = await pool.execute(
-            'SELECT book_title FROM books WHERE book_id = ?',
-            [reservation.book_id]
+            'SELECT book_title FROM books WHERE batch_registration_key = ? OR book_id = ? LIMIT 1',
+            [reservation.batch_registration_key, reservation.book_id]
           );
           if (books.length > 0) {
             itemTitle = books[0].book_title;
@@ -616,8 +512,7 @@ router.put('/:id', async (req, res) => {
           item_type: itemType,
           item_title: itemTitle,
           reservation_id: reservationId,
-          admin_id: admin_id || null,
-          admin_name: admin_name || null,
+          admin_id: req.admin ? req.admin.admin_id : null,
           reason: reason || null
         });
       } catch (logError) {
@@ -626,6 +521,10 @@ router.put('/:id', async (req, res) => {
       }
     }
 
+    if (nextHold) {
+      await notifyHoldAssigned(nextHold);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Reservation updated successfully',
@@ -634,6 +533,8 @@ router.put('/:id', async (req, res) => {
         status: status || reservation.status,
         reason: reason !== undefined ? reason : null,
         book_id: reservation.book_id,
+        batch_registration_key: reservation.batch_registration_key,
+        reserved_copy_id: reservedCopyId || null,
         research_paper_id: reservation.research_paper_id
       }
     });
@@ -648,29 +549,53 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE RESERVATION
-router.delete('/:id', async (req, res) => {
+// A held or approved reservation passes its copy or paper to the next patron in the queue first
+router.delete('/:id', auditAdminAction('RESERVATION_DELETED', { details: (req) => `Deleted reservation ID: ${req.params.id}` }), async (req, res) => {
+  const reservationId = req.params.id;
+  let conn;
   try {
-    const reservationId = req.params.id;
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
 
     // Check if reservation exists
-    const [reservations] = await pool.execute(
-      'SELECT reservation_id FROM reservations WHERE reservation_id = ?',
+    const [reservations] = await conn.execute(
+      'SELECT reservation_id, status, book_id, research_paper_id, hold_book_id FROM reservations WHERE reservation_id = ? FOR UPDATE',
       [reservationId]
     );
 
     if (reservations.length === 0) {
+      await conn.rollback();
+      conn.release();
+      conn = null;
       return res.status(404).json({
         success: false,
         message: 'Reservation not found'
       });
     }
 
+    const reservation = reservations[0];
+    let nextHold = null;
+    if (reservation.status === 'On Hold' || reservation.status === 'Approved') {
+      nextHold = await passHoldToNext(conn, {
+        ...reservation,
+        hold_book_id: reservation.hold_book_id || reservation.book_id
+      });
+    }
+
     // Delete the reservation
-    await pool.execute(
+    await conn.execute(
       'DELETE FROM reservations WHERE reservation_id = ?',
       [reservationId]
     );
 
+    await conn.commit();
+    conn.release();
+    conn = null;
+
+    if (nextHold) {
+      await notifyHoldAssigned(nextHold);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Reservation deleted successfully',
@@ -680,6 +605,7 @@ router.delete('/:id', async (req, res) => {
     });
   } catch (error) {
     console.error('Error deleting reservation:', error);
+    try { if (conn) { await conn.rollback(); conn.release(); } } catch (e) {}
     res.status(500).json({
       success: false,
       message: 'Failed to delete reservation',
@@ -688,60 +614,22 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// CANCEL RESERVATION (mark as Cancelled; if previously Approved restore resource status)
+// CANCEL RESERVATION (mark as Cancelled; a held or approved item goes to the next patron in the queue)
 router.post('/:id/cancel', async (req, res) => {
-  const reservationId = req.params.id;
-  let conn;
   try {
-    conn = await pool.getConnection();
-    await conn.beginTransaction();
-
-    // load reservation
-    const [rows] = await conn.execute(
-      'SELECT reservation_id, status, book_id, research_paper_id FROM reservations WHERE reservation_id = ?',
-      [reservationId]
-    );
-
-    if (rows.length === 0) {
-      await conn.release();
-      return res.status(404).json({ success: false, message: 'Reservation not found' });
-    }
-
-    const reservation = rows[0];
-    const prevStatus = reservation.status;
-
-    if (prevStatus === 'Cancelled') {
-      await conn.release();
-      return res.status(400).json({ success: false, message: 'Reservation is already cancelled' });
+    const { status, ...body } = await cancelReservation(req.params.id);
+    if (!body.success) {
+      return res.status(status).json(body);
     }
 
-    // Update reservation status to Cancelled
-    await conn.execute(
-      'UPDATE reservations SET status = ?, updated_at = NOW() WHERE reservation_id = ?',
-      ['Cancelled', reservationId]
-    );
-
-    // If the reservation was previously Approved, we must restore the resource availability
-    if (prevStatus === 'Approved') {
-      if (reservation.book_id) {
-        await conn.execute('UPDATE books SET status = ? WHERE book_id = ?', ['Available', reservation.book_id]);
-      }
-      if (reservation.research_paper_id) {
-        await conn.execute('UPDATE research_papers SET status = ? WHERE research_paper_id = ?', ['Available', reservation.research_paper_id]);
-      }
+    const { hold, ...data } = body.data;
+    if (hold) {
+      await notifyHoldAssigned(hold);
     }
 
-    await conn.commit();
-    await conn.release();
-
-    return res.status(200).json({
-      success: true,
-      message: 'Reservation cancelled successfully',
-      data: { reservation_id: reservationId, previous_status: prevStatus, status: 'Cancelled' }
-    });
+    return res.status(status).json({ ...body, data });
   } catch (error) {
     console.error('Error cancelling reservation:', error);
-    try { if (conn) { await conn.rollback(); await conn.release(); } } catch (e) {}
     return res.status(500).json({ success: false, message: 'Failed to cancel reservation', error: error.message });
   }
 });
@@ -749,134 +637,12 @@ router.post('/:id/cancel', async (req, res) => {
 // GET USER'S RESERVATIONS
 router.get('/user/:user_id', async (req, res) => {
   try {
-    const userId = req.params.user_id;
-    const { status } = req.query;
-
-    let whereClause = 'WHERE r.user_id = ?';
-    let queryParams = [userId];
-
-    if (status) {
-      whereClause += ' AND r.status = ?';
-      queryParams.push(status);
-    }
-
-    const [reservations] = await pool.execute(`
-      SELECT 
-        r.reservation_id,
-        r.book_id,
-        r.research_paper_id,
-        r.status,
-        r.reason,
-        r.updated_at,
-        (
-          SELECT COUNT(*) FROM reservations r2
-          WHERE (
-            (r.book_id IS NOT NULL AND r2.book_id = r.book_id)
-            OR (r.research_paper_id IS NOT NULL AND r2.research_paper_id = r.research_paper_id)
-          )
-          AND r2.status IN ('Pending','Approved')
-          AND r2.updated_at <= r.updated_at
-        ) AS queue_position,
-        CASE 
-          WHEN r.book_id IS NOT NULL THEN 'book'
-          WHEN r.research_paper_id IS NOT NULL THEN 'research_paper'
-          ELSE 'unknown'
-        END AS reservation_type,
-        -- Book details
-        b.book_title,
-        b.batch_registration_key,
-        CASE 
-          WHEN bc.file_path IS NOT NULL AND bc.file_path != '' THEN CONCAT('${UPLOAD_DOMAIN}', bc.file_path)
-          ELSE NULL 
-        END AS book_cover,
-        b.book_number,
-        CASE 
-          WHEN b.book_qr IS NOT NULL AND b.book_qr != '' THEN CONCAT('${UPLOAD_DOMAIN}', b.book_qr)
-          ELSE NULL 
-        END AS book_qr,
-        ba.book_author,
-        bg.book_genre,
-        d.department_name AS book_department,
-        -- Research paper details
-        rp.research_title,
-        rp.year_publication,
-        rp.research_paper_qr,
-        GROUP_CONCAT(DISTINCT ra.author_name) AS research_authors,
-        dept.department_name AS research_department
-      FROM reservations r
-      LEFT JOIN books b ON r.book_id = b.book_id
-      LEFT JOIN book_covers bc ON b.batch_registration_key = bc.batch_registration_key
-      LEFT JOIN book_author ba ON b.book_author_id = ba.book_author_id
-      LEFT JOIN book_genre bg ON b.book_genre_id = bg.book_genre_id AND b.isUsingDepartment = 0
-      LEFT JOIN departments d ON b.book_genre_id = d.department_id AND b.isUsingDepartment = 1
-      LEFT JOIN research_papers rp ON r.research_paper_id = rp.research_paper_id
-      LEFT JOIN research_author ra ON rp.research_paper_id = ra.research_paper_id
-      LEFT JOIN departments dept ON rp.department_id = dept.department_id
-      ${whereClause}
-      GROUP BY 
-        r.reservation_id, 
-        r.book_id, 
-        r.research_paper_id, 
-        r.status, 
-        r.reason, 
-        r.updated_at,
-        b.book_title,
-        b.batch_registration_key,
-        bc.file_path,
-        b.book_number,
-        b.book_qr,
-        ba.book_author,
-        bg.book_genre,
-        d.department_name,
-        rp.research_title,
-        rp.year_publication,
-        rp.research_paper_qr,
-        dept.department_name
-      ORDER BY r.updated_at DESC
-    `, queryParams);
-
-    // Format the response
-    const formattedReservations = reservations.map(reservation => {
-      const baseData = {
-        reservation_id: reservation.reservation_id,
-        status: reservation.status,
-        reason: reservation.reason,
-        updated_at: reservation.updated_at,
-        position: reservation.queue_position || 1,
-        reservation_type: reservation.reservation_type
-      };
-
-      if (reservation.reservation_type === 'book') {
-        return {
-          ...baseData,
-          book_id: reservation.book_id,
-          book_title: reservation.book_title,
-          batch_registration_key: reservation.batch_registration_key,
-          book_cover: reservation.book_cover,
-          book_number: reservation.book_number,
-          book_qr: reservation.book_qr,
-          author: reservation.book_author,
-          genre: reservation.book_department || reservation.book_genre
-        };
-      } else if (reservation.reservation_type === 'research_paper') {
-        return {
-          ...baseData,
-          research_paper_id: reservation.research_paper_id,
-          research_title: reservation.research_title,
-          year_publication: reservation.year_publication,
-          research_paper_qr: reservation.research_paper_qr,
-          authors: reservation.research_authors,
-          department: reservation.research_department
-        };
-      }
-
-      return baseData;
-    });
+    const reservations = await getUserReservations(req.params.user_id, { status: req.query.status || null });
 
     res.status(200).json({
       success: true,
-      count: formattedReservations.length,
-      data: formattedReservations
+      count: reservations.length,
+      data: reservations
     });
   } catch (error) {
     console.error('Error fetching user reservations:', error);
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
+const { auditAdminAction } = require('../helpers/activityLogger');
 
 // GET /api/rules - Get all rules grouped by headers
 router.get('/', async (req, res) => {
@@ -57,7 +58,7 @@ router.get('/', async (req, res) => {
 });
 
 // POST /api/rules - Add new rules under a header (creates header if needed)
-router.post('/', async (req, res) => {
+router.post('/', auditAdminAction('RULE_CREATED'), async (req, res) => {
   const connection = await pool.getConnection();
   try {
     const { heading, rules } = req.body;
@@ -122,7 +123,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/rules/:id - Update a single rule
-router.put('/:id', async (req, res) => {
+router.put('/:id', auditAdminAction('RULE_UPDATED', { details: (req) => `Updated rule ID: ${req.params.id}` }), async (req, res) => {
   try {
     const ruleId = Number(req.params.id);
     const { title, content, heading } = req.body;
@@ -208,7 +209,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/rules/:id - Delete a single rule
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', auditAdminAction('RULE_DELETED', { details: (req) => `Deleted rule ID: ${req.params.id}` }), async (req, res) => {
   try {
     const ruleId = Number(req.params.id);
     
@@ -226,7 +227,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // PUT /api/rules/:id/reorder - Update sort order for a rule
-router.put('/:id/reorder', async (req, res) => {
+router.put('/:id/reorder', auditAdminAction('RULE_REORDERED', { details: (req) => `Reordered rule ID: ${req.params.id}` }), async (req, res) => {
   const connection = await pool.getConnection();
   try {
     const ruleId = Number(req.params.id);
@@ -292,7 +293,7 @@ router.put('/:id/reorder', async (req, res) => {
 });
 
 // DELETE /api/rules/header/:id - Delete header and all its rules
-router.delete('/header/:id', async (req, res) => {
+router.delete('/header/:id', auditAdminAction('RULE_HEADER_DELETED', { details: (req) => `Deleted rule header ID: ${req.params.id}` }), async (req, res) => {
   try {
     const headerId = Number(req.params.id);
     
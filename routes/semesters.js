@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const { pool } = require("../config/database");
+const { auditAdminAction } = require("../helpers/activityLogger");
 
 // GET ALL SEMESTERS
 router.get("/", async (req, res) => {
@@ -78,7 +79,7 @@ router.get("/active", async (req, res) => {
 });
 
 // CREATE NEW SEMESTER
-router.post("/", async (req, res) => {
+router.post("/", auditAdminAction("SEMESTER_CREATED", { details: (req) => `Created semester: ${req.body.semester_name || ""}` }), async (req, res) => {
   const { semester_name, school_year, start_date, end_date, is_active } = req.body;
 
   if (!semester_name || !school_year || !start_date || !end_date) {
@@ -122,7 +123,7 @@ router.post("/", async (req, res) => {
 });
 
 // UPDATE SEMESTER
-router.put("/:semester_id", async (req, res) => {
+router.put("/:semester_id", auditAdminAction("SEMESTER_UPDATED", { details: (req) => `Updated semester ID: ${req.params.semester_id}` }), async (req, res) => {
   const { semester_id } = req.params;
   const { semester_name, school_year, start_date, end_date, is_active } = req.body;
 
@@ -199,7 +200,7 @@ router.put("/:semester_id", async (req, res) => {
 });
 
 // SET ACTIVE SEMESTER
-router.put("/:semester_id/activate", async (req, res) => {
+router.put("/:semester_id/activate", auditAdminAction("SEMESTER_ACTIVATED", { details: (req) => `Activated semester ID: ${req.params.semester_id}` }), async (req, res) => {
   const { semester_id } = req.params;
 
   try {
@@ -245,7 +246,7 @@ router.put("/:semester_id/activate", async (req, res) => {
 });
 
 // DELETE SEMESTER
-router.delete("/:semester_id", async (req, res) => {
+router.delete("/:semester_id", auditAdminAction("SEMESTER_DELETED", { details: (req) => `Deleted semester ID: ${req.params.semester_id}` }), async (req, res) => {
   const { semester_id } = req.params;
 
   try {
@@ -355,7 +356,7 @@ router.get("/:semester_id/users", async (req, res) => {
 });
 
 // RESET SEMESTER VERIFICATION FOR ALL USERS (when new semester starts)
-router.post("/:semester_id/reset-verification", async (req, res) => {
+router.post("/:semester_id/reset-verification", auditAdminAction("SEMESTER_VERIFICATION_RESET", { details: (req) => `Reset verification for semester ID: ${req.params.semester_id}` }), async (req, res) => {
   const { semester_id } = req.params;
 
   try {
@@ -415,7 +416,7 @@ router.get("/:semester_id/stats", async (req, res) => {
 });
 
 // ENROLL USER(S) FOR SEMESTER (Mark as verified)
-router.post("/enroll", async (req, res) => {
+router.post("/enroll", auditAdminAction("SEMESTER_USERS_ENROLLED", { details: (req) => `Enrolled user IDs: ${(req.body.user_ids || []).join(", ")}` }), async (req, res) => {
   const { user_ids } = req.body;
 
   if (!user_ids || !Array.isArray(user_ids) || user_ids.length === 0) {
@@ -1,9 +1,12 @@
 const express = require("express");
 const router = express.Router();
 const { pool } = require("../config/database");
+const { auditAdminAction } = require("../helpers/activityLogger");
+const { requireAdmin, requireKiosk } = require("../helpers/adminAuth");
+const { getStoredPin, savePin, comparePin, verifyKioskPin } = require("../services/kioskPin");
 
 // ADD NEW SHELF
-router.post("/add-shelf", async (req, res) => {
+router.post("/add-shelf", auditAdminAction("SHELF_ADDED"), async (req, res) => {
   const { shelf_number, shelf_column, shelf_row } = req.body;
 
   if (!shelf_number || !shelf_column || !shelf_row) {
@@ -65,7 +68,7 @@ router.get("/shelves", async (req, res) => {
 });
 
 // DELETE SHELF
-router.delete("/delete-shelf/:shelf_number", async (req, res) => {
+router.delete("/delete-shelf/:shelf_number", auditAdminAction("SHELF_DELETED", { details: (req) => `Deleted shelf number: ${req.params.shelf_number}` }), async (req, res) => {
   const { shelf_number } = req.params;
 
   console.log("Received request to delete shelf with number:", shelf_number);
@@ -109,7 +112,7 @@ router.delete("/delete-shelf/:shelf_number", async (req, res) => {
 });
 
 // UPDATE SHELF
-router.put("/update-shelf/:shelf_id", async (req, res) => {
+router.put("/update-shelf/:shelf_id", auditAdminAction("SHELF_UPDATED", { details: (req) => `Updated shelf ID: ${req.params.shelf_id}` }), async (req, res) => {
   const { shelf_id } = req.params;
   const { shelf_number, shelf_column, shelf_row } = req.body;
 
@@ -154,7 +157,7 @@ router.put("/update-shelf/:shelf_id", async (req, res) => {
 });
 
 // ADD ROW TO SHELF
-router.post("/shelf/:shelf_id/add-row", async (req, res) => {
+router.post("/shelf/:shelf_id/add-row", auditAdminAction("SHELF_ROW_ADDED", { details: (req) => `Shelf ID: ${req.params.shelf_id}` }), async (req, res) => {
   const { shelf_id } = req.params;
   const { new_row_count } = req.body;
 
@@ -250,7 +253,7 @@ router.post("/shelf/:shelf_id/add-row", async (req, res) => {
 });
 
 // REMOVE ROW FROM SHELF
-router.post("/shelf/:shelf_id/remove-row", async (req, res) => {
+router.post("/shelf/:shelf_id/remove-row", auditAdminAction("SHELF_ROW_REMOVED", { details: (req) => `Shelf ID: ${req.params.shelf_id}` }), async (req, res) => {
   const { shelf_id } = req.params;
   const { new_row_count } = req.body;
 
@@ -335,7 +338,7 @@ router.post("/shelf/:shelf_id/remove-row", async (req, res) => {
 });
 
 // DELETE ROW FROM SHELF
-router.delete("/shelf/:shelf_id/delete-row/:row_number", async (req, res) => {
+router.delete("/shelf/:shelf_id/delete-row/:row_number", auditAdminAction("SHELF_ROW_DELETED", { details: (req) => `Shelf ID: ${req.params.shelf_id} - Row: ${req.params.row_number}` }), async (req, res) => {
   const { shelf_id, row_number } = req.params;
 
   if (!shelf_id || !row_number) {
@@ -392,7 +395,7 @@ router.delete("/shelf/:shelf_id/delete-row/:row_number", async (req, res) => {
 });
 
 // ADD COLUMN TO SHELF
-router.post("/shelf/:shelf_id/add-column", async (req, res) => {
+router.post("/shelf/:shelf_id/add-column", auditAdminAction("SHELF_COLUMN_ADDED", { details: (req) => `Shelf ID: ${req.params.shelf_id}` }), async (req, res) => {
   const { shelf_id } = req.params;
   const { new_column_count } = req.body;
 
@@ -490,7 +493,7 @@ router.post("/shelf/:shelf_id/add-column", async (req, res) => {
 });
 
 // REMOVE COLUMN FROM SHELF
-router.post("/shelf/:shelf_id/remove-column", async (req, res) => {
+router.post("/shelf/:shelf_id/remove-column", auditAdminAction("SHELF_COLUMN_REMOVED", { details: (req) => `Shelf ID: ${req.params.shelf_id}` }), async (req, res) => {
   const { shelf_id } = req.params;
   const { new_column_count } = req.body;
 
@@ -577,7 +580,7 @@ router.post("/shelf/:shelf_id/remove-column", async (req, res) => {
 });
 
 // DELETE COLUMN FROM SHELF
-router.delete("/shelf/:shelf_id/delete-column/:column", async (req, res) => {
+router.delete("/shelf/:shelf_id/delete-column/:column", auditAdminAction("SHELF_COLUMN_DELETED", { details: (req) => `Shelf ID: ${req.params.shelf_id} - Column: ${req.params.column}` }), async (req, res) => {
   const { shelf_id, column } = req.params;
 
   if (!shelf_id || !column) {
@@ -634,7 +637,7 @@ router.delete("/shelf/:shelf_id/delete-column/:column", async (req, res) => {
 });
 
 // Add multiple rows at once to a shelf
-router.post("/shelf/:shelf_id/add-rows", async (req, res) => {
+router.post("/shelf/:shelf_id/add-rows", auditAdminAction("SHELF_ROWS_ADDED", { details: (req) => `Shelf ID: ${req.params.shelf_id}` }), async (req, res) => {
   const { shelf_id } = req.params;
   const { rows, column } = req.body;
 
@@ -688,7 +691,7 @@ router.post("/shelf/:shelf_id/add-rows", async (req, res) => {
 });
 
 // Add multiple columns at once to a shelf
-router.post("/shelf/:shelf_id/add-columns", async (req, res) => {
+router.post("/shelf/:shelf_id/add-columns", auditAdminAction("SHELF_COLUMNS_ADDED", { details: (req) => `Shelf ID: ${req.params.shelf_id}` }), async (req, res) => {
   const { shelf_id } = req.params;
   const { columns, row } = req.body;
 
@@ -766,7 +769,7 @@ router.get("/departments", async (req, res) => {
 });
 
 // CREATE DEPARTMENT
-router.post('/departments', async (req, res) => {
+router.post('/departments', auditAdminAction("DEPARTMENT_ADDED", { details: (req) => `Added department: ${req.body.department_name || ""}` }), async (req, res) => {
   const { department_name, department_acronym } = req.body;
 
   if (!department_name) {
@@ -802,7 +805,7 @@ router.post('/departments', async (req, res) => {
 });
 
 // UPDATE DEPARTMENT
-router.put('/departments/:id', async (req, res) => {
+router.put('/departments/:id', auditAdminAction("DEPARTMENT_UPDATED", { details: (req) => `Updated department ID: ${req.params.id}` }), async (req, res) => {
   const { id } = req.params;
   const { department_name, department_acronym } = req.body;
 
@@ -833,7 +836,7 @@ router.put('/departments/:id', async (req, res) => {
 });
 
 // DELETE DEPARTMENT
-router.delete('/departments/:id', async (req, res) => {
+router.delete('/departments/:id', auditAdminAction("DEPARTMENT_DELETED", { details: (req) => `Deleted department ID: ${req.params.id}` }), async (req, res) => {
   const { id } = req.params;
 
   if (!id) return res.status(400).json({ success: false, message: 'Missing required parameter: id' });
@@ -868,30 +871,41 @@ router.get("/system-settings", async (req, res) => {
       borrowingLimits: {
         student: {
           maxBooks: parseInt(settingsRow.student_max_book) || 3,
-          borrowPeriod: parseInt(settingsRow.student_borrow_days) || 3
+          borrowPeriod: parseInt(settingsRow.student_borrow_days) || 3,
+          researchBorrowPeriod: parseInt(settingsRow.student_research_borrow_days) || null,
+          maxRenewals: settingsRow.student_max_renewals != null ? parseInt(settingsRow.student_max_renewals) : 1
         },
         faculty: {
           maxBooks: parseInt(settingsRow.faculty_max_books) || 5,
-          borrowPeriod: parseInt(settingsRow.faculty_borrow_days) || 90
+          borrowPeriod: parseInt(settingsRow.faculty_borrow_days) || 90,
+          researchBorrowPeriod: parseInt(settingsRow.faculty_research_borrow_days) || null,
+          maxRenewals: settingsRow.faculty_max_renewals != null ? parseInt(settingsRow.faculty_max_renewals) : 2
         }
       },
       fineStructure: {
         student: {
-          dailyFine: parseFloat(settingsRow.student_daily_fine) || 5.00
+          dailyFine: parseFloat(settingsRow.student_daily_fine) || 5.00,
+          researchDailyFine: settingsRow.student_research_daily_fine != null ? parseFloat(settingsRow.student_research_daily_fine) : null
         },
         faculty: {
-          dailyFine: parseFloat(settingsRow.faculty_daily_fine) || 10.00
-        }
+          dailyFine: parseFloat(settingsRow.faculty_daily_fine) || 10.00,
+          researchDailyFine: settingsRow.faculty_research_daily_fine != null ? parseFloat(settingsRow.faculty_research_daily_fine) : null
+        },
+        gracePeriodDays: parseInt(settingsRow.fine_grace_days) || 0,
+        maxFinePerItem: settingsRow.fine_max_per_item != null ? parseFloat(settingsRow.fine_max_per_item) : 200.00
       },
       kioskSettings: {
         preventLowQuantityBorrowing: settingsRow.kiosk_prevent_borrow === 1
+      },
+      reservationSettings: {
+        holdHours: parseInt(settingsRow.reservation_hold_hours) || 48
       }
     };
 
     res.status(200).json({
       success: true,
       data: settingsObject,
-      rawSettings: settings
+      rawSettings: settings.map(({ kiosk_pin, ...row }) => row)
     });
   } catch (error) {
     console.error("Error fetching system settings:", error);
@@ -904,10 +918,10 @@ router.get("/system-settings", async (req, res) => {
 });
 
 // UPDATE SYSTEM SETTINGS
-router.put("/system-settings", async (req, res) => {
-  const { borrowingLimits, fineStructure, kioskSettings } = req.body;
+router.put("/system-settings", auditAdminAction("SYSTEM_SETTINGS_UPDATED", { details: (req) => `Updated: ${Object.keys(req.body).join(", ")}` }), async (req, res) => {
+  const { borrowingLimits, fineStructure, kioskSettings, reservationSettings } = req.body;
 
-  if (!borrowingLimits && !fineStructure && !kioskSettings) {
+  if (!borrowingLimits && !fineStructure && !kioskSettings && !reservationSettings) {
     return res.status(400).json({
       success: false,
       message: "No settings provided to update",
@@ -929,6 +943,14 @@ router.put("/system-settings", async (req, res) => {
           updateFields.push('student_borrow_days = ?');
           updateValues.push(borrowingLimits.student.borrowPeriod);
         }
+        if (borrowingLimits.student.researchBorrowPeriod !== undefined) {
+          updateFields.push('student_research_borrow_days = ?');
+          updateValues.push(borrowingLimits.student.researchBorrowPeriod || null);
+        }
+        if (borrowingLimits.student.maxRenewals !== undefined) {
+          updateFields.push('student_max_renewals = ?');
+          updateValues.push(borrowingLimits.student.maxRenewals);
+        }
       }
       if (borrowingLimits.faculty) {
         if (borrowingLimits.faculty.maxBooks !== undefined) {
@@ -939,6 +961,14 @@ router.put("/system-settings", async (req, res) => {
           updateFields.push('faculty_borrow_days = ?');
           updateValues.push(borrowingLimits.faculty.borrowPeriod);
         }
+        if (borrowingLimits.faculty.researchBorrowPeriod !== undefined) {
+          updateFields.push('faculty_research_borrow_days = ?');
+          updateValues.push(borrowingLimits.faculty.researchBorrowPeriod || null);
+        }
+        if (borrowingLimits.faculty.maxRenewals !== undefined) {
+          updateFields.push('faculty_max_renewals = ?');
+          updateValues.push(borrowingLimits.faculty.maxRenewals);
+        }
       }
     }
 
@@ -948,10 +978,26 @@ router.put("/system-settings", async (req, res) => {
         updateFields.push('student_daily_fine = ?');
         updateValues.push(fineStructure.student.dailyFine);
       }
+      if (fineStructure.student && fineStructure.student.researchDailyFine !== undefined) {
+        updateFields.push('student_research_daily_fine = ?');
+        updateValues.push(fineStructure.student.researchDailyFine === '' ? null : fineStructure.student.researchDailyFine);
+      }
       if (fineStructure.faculty && fineStructure.faculty.dailyFine !== undefined) {
         updateFields.push('faculty_daily_fine = ?');
         updateValues.push(fineStructure.faculty.dailyFine);
       }
+      if (fineStructure.faculty && fineStructure.faculty.researchDailyFine !== undefined) {
+        updateFields.push('faculty_research_daily_fine = ?');
+        updateValues.push(fineStructure.faculty.researchDailyFine === '' ? null : fineStructure.faculty.researchDailyFine);
+      }
+      if (fineStructure.gracePeriodDays !== undefined) {
+        updateFields.push('fine_grace_days = ?');
+        updateValues.push(fineStructure.gracePeriodDays);
+      }
+      if (fineStructure.maxFinePerItem !== undefined) {
+        updateFields.push('fine_max_per_item = ?');
+        updateValues.push(fineStructure.maxFinePerItem);
+      }
     }
 
     // Prepare kiosk settings updates
@@ -962,6 +1008,14 @@ router.put("/system-settings", async (req, res) => {
       }
     }
 
+    // Prepare reservation settings updates
+    if (reservationSettings) {
+      if (reservationSettings.holdHours !== undefined) {
+        updateFields.push('reservation_hold_hours = ?');
+        updateValues.push(reservationSettings.holdHours);
+      }
+    }
+
     if (updateFields.length === 0) {
       return res.status(400).json({
         success: false,
@@ -990,7 +1044,7 @@ router.put("/system-settings", async (req, res) => {
 });
 
 // UPDATE INDIVIDUAL SYSTEM SETTING
-router.put("/system-setting/:settingName", async (req, res) => {
+router.put("/system-setting/:settingName", auditAdminAction("SYSTEM_SETTING_UPDATED", { details: (req) => `Updated setting: ${req.params.settingName}` }), async (req, res) => {
   const { settingName } = req.params;
   const { settingValue } = req.body;
 
@@ -1007,8 +1061,17 @@ router.put("/system-setting/:settingName", async (req, res) => {
     'student_borrow_days', 
     'faculty_max_books',
     'faculty_borrow_days',
+    'student_research_borrow_days',
+    'faculty_research_borrow_days',
+    'student_max_renewals',
+    'faculty_max_renewals',
+    'reservation_hold_hours',
     'student_daily_fine',
     'faculty_daily_fine',
+    'student_research_daily_fine',
+    'faculty_research_daily_fine',
+    'fine_grace_days',
+    'fine_max_per_item',
     'kiosk_prevent_borrow'
   ];
 
@@ -1042,19 +1105,14 @@ router.put("/system-setting/:settingName", async (req, res) => {
   }
 });
 
-// GET KIOSK PIN
-router.get("/kiosk-pin", async (req, res) => {
+// GET KIOSK PIN STATUS (the PIN itself is stored hashed and never returned)
+router.get("/kiosk-pin", requireAdmin("perm_settings"), async (req, res) => {
   try {
-    const [settings] = await pool.execute(
-      `SELECT kiosk_pin FROM system_settings LIMIT 1`
-    );
-
-    const kioskPin = settings[0]?.kiosk_pin || null;
+    const storedPin = await getStoredPin();
 
     res.status(200).json({
       success: true,
-      hasPin: !!kioskPin,
-      pin: kioskPin, // Only send if needed for verification
+      hasPin: !!storedPin,
     });
   } catch (error) {
     console.error("Error fetching kiosk PIN:", error);
@@ -1067,7 +1125,7 @@ router.get("/kiosk-pin", async (req, res) => {
 });
 
 // CREATE/UPDATE KIOSK PIN
-router.put("/kiosk-pin", async (req, res) => {
+router.put("/kiosk-pin", auditAdminAction("KIOSK_PIN_UPDATED", { details: () => "Kiosk PIN changed" }), async (req, res) => {
   const { pin, currentPin } = req.body;
 
   if (!pin) {
@@ -1087,25 +1145,18 @@ router.put("/kiosk-pin", async (req, res) => {
 
   try {
     // Check if updating existing PIN
-    const [existing] = await pool.execute(
-      `SELECT kiosk_pin FROM system_settings LIMIT 1`
-    );
-
-    const existingPin = existing[0]?.kiosk_pin;
+    const existingPin = await getStoredPin();
 
     // If updating, verify current PIN
-    if (existingPin && currentPin !== existingPin) {
+    if (existingPin && !(await comparePin(currentPin, existingPin))) {
       return res.status(403).json({
         success: false,
         message: "Current PIN is incorrect",
       });
     }
 
-    // Update the PIN
-    const [result] = await pool.execute(
-      `UPDATE system_settings SET kiosk_pin = ?`,
-      [pin]
-    );
+    // Store the new PIN as a hash
+    const result = await savePin(pin);
 
     res.status(200).json({
       success: true,
@@ -1123,7 +1174,7 @@ router.put("/kiosk-pin", async (req, res) => {
 });
 
 // DELETE KIOSK PIN
-router.delete("/kiosk-pin", async (req, res) => {
+router.delete("/kiosk-pin", auditAdminAction("KIOSK_PIN_REMOVED", { details: () => "Kiosk PIN removed" }), async (req, res) => {
   const { currentPin } = req.body;
 
   if (!currentPin) {
@@ -1135,11 +1186,7 @@ router.delete("/kiosk-pin", async (req, res) => {
 
   try {
     // Verify current PIN
-    const [existing] = await pool.execute(
-      `SELECT kiosk_pin FROM system_settings LIMIT 1`
-    );
-
-    const existingPin = existing[0]?.kiosk_pin;
+    const existingPin = await getStoredPin();
 
     if (!existingPin) {
       return res.status(404).json({
@@ -1148,7 +1195,7 @@ router.delete("/kiosk-pin", async (req, res) => {
       });
     }
 
-    if (currentPin !== existingPin) {
+    if (!(await comparePin(currentPin, existingPin))) {
       return res.status(403).json({
         success: false,
         message: "Current PIN is incorrect",
@@ -1156,9 +1203,7 @@ router.delete("/kiosk-pin", async (req, res) => {
     }
 
     // Delete the PIN (set to NULL)
-    const [result] = await pool.execute(
-      `UPDATE system_settings SET kiosk_pin = NULL`
-    );
+    const result = await savePin(null);
 
     res.status(200).json({
       success: true,
@@ -1175,8 +1220,8 @@ router.delete("/kiosk-pin", async (req, res) => {
   }
 });
 
-// VERIFY KIOSK PIN
-router.post("/kiosk-pin/verify", async (req, res) => {
+// VERIFY KIOSK PIN (throttled per kiosk)
+router.post("/kiosk-pin/verify", requireKiosk(), async (req, res) => {
   const { pin } = req.body;
 
   if (!pin) {
@@ -1187,25 +1232,20 @@ router.post("/kiosk-pin/verify", async (req, res) => {
   }
 
   try {
-    const [settings] = await pool.execute(
-      `SELECT kiosk_pin FROM system_settings LIMIT 1`
-    );
-
-    const kioskPin = settings[0]?.kiosk_pin;
-
-    if (!kioskPin) {
-      return res.status(404).json({
-        success: false,
-        message: "No PIN is currently set",
-      });
+    // Registered kiosks are throttled separately; kiosks still on the shared
+    // key share one counter, and admins each have their own
+    const kioskKey = req.kiosk
+      ? (req.kiosk.kiosk_id ? String(req.kiosk.kiosk_id) : "shared")
+      : `admin:${req.admin.admin_id}`;
+    const { status, ...result } = await verifyKioskPin({ kiosk_key: kioskKey, pin });
+
+    if (status === 429) {
+      res.set("Retry-After", String(result.retry_after));
     }
 
-    const isValid = pin === kioskPin;
-
-    res.status(200).json({
-      success: true,
-      valid: isValid,
-      message: isValid ? "PIN is correct" : "PIN is incorrect",
+    res.status(status).json({
+      success: status === 200,
+      ...result,
     });
   } catch (error) {
     console.error("Error verifying kiosk PIN:", error);
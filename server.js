@@ -19,7 +19,7 @@ app.use(helmet());
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'Cache-Control', 'Pragma'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'Cache-Control', 'Pragma', 'X-Kiosk-Key'],
   credentials: false,
   preflightContinue: false,
   optionsSuccessStatus: 200
@@ -32,7 +32,7 @@ app.use(bodyParser.urlencoded({ extended: true, limit: "50mb" }));
 app.options('*', (req, res) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin, Cache-Control, Pragma');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin, Cache-Control, Pragma, X-Kiosk-Key');
   res.sendStatus(200);
 });
 
@@ -53,42 +53,61 @@ app.use((req, res, next) => {
   next();
 });
 
-// BOOKS ROUTE
-app.use('/api/books', require('./routes/books'));
+// ADMIN AND KIOSK ACCESS CONTROL
+const { adminGuard, requireKiosk } = require('./helpers/adminAuth');
+
+// BOOKS ROUTE (catalog import reports are not public reads)
+app.use('/api/books/import', adminGuard('perm_manage_books'));
+app.use('/api/books', adminGuard('perm_manage_books', { publicReads: true }), require('./routes/books'));
+
+// BOOK AUTHORITIES ROUTE (authors, publishers and genres shared between batches)
+app.use('/api/book-authorities', adminGuard('perm_manage_books', { publicReads: true }), require('./routes/bookAuthorities'));
 
 // RESEARCH ROUTE
-app.use('/api/research-papers', require('./routes/research_papers'));
+app.use('/api/research-papers', adminGuard('perm_manage_books', { publicReads: true }), require('./routes/research_papers'));
 
 // QR SCAN ROUTE (Unified for books and research papers)
 app.use('/api/qr', require('./routes/qrScan'));
 
 // SETTINGS ROUTE
-app.use('/api/settings', require('./routes/settings'));
+app.use('/api/settings', adminGuard('perm_settings', {
+  publicReads: true,
+  publicRoutes: [['POST', /^\/kiosk-pin\/verify$/]]
+}), require('./routes/settings'));
 // FAQS ROUTE
-app.use('/api/faqs', require('./routes/faqs'));
+app.use('/api/faqs', adminGuard('perm_settings', { publicReads: true }), require('./routes/faqs'));
 
 // SEMESTERS ROUTE
-app.use('/api/semesters', require('./routes/semesters'));
+app.use('/api/semesters', adminGuard('perm_manage_registrations', { publicReads: true }), require('./routes/semesters'));
 
 // ACTIVITY LOGS ROUTE
-app.use('/api/activity-logs', require('./routes/activityLogs'));
+app.use('/api/activity-logs', adminGuard('perm_activity_logs'), require('./routes/activityLogs'));
 
 // KIOSK ROUTES (Load but don't use yet - will inject WebSocket after initialization)
 const borrowBookRoute = require('./kiosk_routes/borrowBook');
 const returnBookRoute = require('./kiosk_routes/returnBook');
 const penaltiesRoute = require('./kiosk_routes/penalties');
 
+app.use('/api/kiosk', requireKiosk());
 app.use('/api/kiosk', borrowBookRoute);
 app.use('/api/kiosk', returnBookRoute);
 
-// TRANSACTIONS ROUTE
-app.use('/api/transactions', require('./kiosk_routes/transactions'));
+// TRANSACTIONS ROUTE (patrons read their own loans, penalties and reservations through /api/user)
+app.use('/api/transactions', adminGuard('perm_book_transactions', { kioskReads: true }), require('./kiosk_routes/transactions'));
 
 // FINE CALCULATION ROUTE
-app.use('/api/fines', require('./kiosk_routes/fineCalculation'));
+app.use('/api/fines', adminGuard('perm_settings', { kioskReads: true }), require('./kiosk_routes/fineCalculation'));
 
 // PENALTIES ROUTE
-app.use('/api/penalties', penaltiesRoute);
+app.use('/api/penalties', adminGuard('perm_manage_penalties', { kioskReads: true }), penaltiesRoute);
+
+// PENALTY DISPUTES ROUTE (patrons file disputes through /api/user)
+app.use('/api/penalty-disputes', adminGuard('perm_manage_penalties'), require('./routes/penaltyDisputes'));
+
+// FINE AMNESTY CAMPAIGNS ROUTE
+app.use('/api/amnesty-campaigns', adminGuard('perm_manage_penalties', {
+  publicRoutes: [['GET', /^\/active$/]]
+}), require('./routes/amnestyCampaigns'));
 
 // RATING ROUTE
 app.use('/api/rating', require('./kiosk_routes/rate'));
@@ -100,12 +119,15 @@ app.use('/api/kiosk/ratings', require('./kiosk_routes/getRatings'));
 app.use('/api/stats', require('./kiosk_routes/getStats'));
 
 // RULES AND REGULATIONS ROUTE
-app.use('/api/rules', require('./routes/rulesAndRegulations'));
+app.use('/api/rules', adminGuard('perm_settings', { publicReads: true }), require('./routes/rulesAndRegulations'));
 
 // RESERVATION ROUTE
-app.use('/api/reservations', require('./routes/reserveBookResearch'));
+app.use('/api/reservations', adminGuard('perm_book_reservations', { kioskReads: true }), require('./routes/reserveBookResearch'));
 
 // USER REGISTRATION ROUTE
+app.use('/api/users', adminGuard('perm_manage_registrations', {
+  publicRoutes: [['POST', /^\/register$/], ['POST', /^\/login$/]]
+}));
 app.use('/api/users', require('./user_routes/registration'));
 app.use('/api/users', require('./user_routes/getUsers'));
 app.use('/api/users', require('./user_routes/updateUsers'));
@@ -127,13 +149,19 @@ app.use('/api/bot', botRoutes);
 app.use('/api/chatbot', require('./routes/chatbot'));
 
 // ADMIN MANAGEMENT ROUTE
-app.use('/api/admins', require('./routes/manageAdmins'));
+app.use('/api/admins', adminGuard('perm_manage_administrators'), require('./routes/manageAdmins'));
+
+// KIOSK REGISTRY ROUTE
+app.use('/api/kiosks', adminGuard('perm_settings'), require('./routes/kiosks'));
+
+// LIBRARY CALENDAR ROUTE (weekly closures, holidays and closure ranges)
+app.use('/api/library-calendar', adminGuard('perm_settings', { publicReads: true }), require('./routes/libraryCalendar'));
 
 // ADMIN LOGIN ROUTE
 app.use('/api/admin', require('./routes/adminLogin'));
 
 // DASHBOARD ROUTE
-app.use('/api/dashboard', require('./routes/dashboard'));
+app.use('/api/dashboard', adminGuard('perm_dashboard'), require('./routes/dashboard'));
 
 // FILE UPLOAD ROUTE
 app.use('/api/uploads', require('./upload/bookCover_Uploads'));
@@ -224,6 +252,9 @@ const server = http.createServer(app);
 const wsServer = new WebSocketServer(server);
 console.log("✅ WebSocket server started and ready for connections");
 
+// PATRON NOTIFICATIONS ARE SAVED, THEN PUSHED OVER THE WEBSOCKET
+require('./services/userNotifications').setWebSocketServer(wsServer);
+
 // INJECT WEBSOCKET SERVER INTO ROUTES THAT NEED IT
 borrowBookRoute.setWebSocketServer(wsServer);
 returnBookRoute.setWebSocketServer(wsServer);
@@ -235,9 +266,16 @@ if (botRoutes && typeof botRoutes.setWebSocketServer === 'function') {
 
 // INITIALIZE PENALTY NOTIFICATION SCHEDULER
 const penaltyScheduler = require('./services/penaltyScheduler');
-penaltyScheduler.setWebSocketServer(wsServer);
 penaltyScheduler.startPenaltyScheduler();
 
+// PENALTY DISPUTE NOTIFICATIONS
+require('./services/penaltyDisputes').setWebSocketServer(wsServer);
+
+// INITIALIZE RESERVATION HOLD EXPIRY SCHEDULER
+const reservationHolds = require('./services/reservationHolds');
+reservationHolds.setWebSocketServer(wsServer);
+reservationHolds.startHoldExpiryScheduler();
+
 wsServer.broadcast({ 
   type: 'SERVER_STARTED',
   message: "Library Tracker Server Started",
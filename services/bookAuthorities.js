@@ -0,0 +1,464 @@
+const { pool } = require("../config/database");
+
+const MAX_NAME_LENGTH = 255;
+
+/**
+ * Authority tables for names shared between batches. Authors and publishers are
+ * linked to a batch in order through their link table; books keep the first one
+ * in book_author_id / book_publisher_id so existing joins still show a name.
+ * A batch has a single genre, so genres have no link table.
+ */
+const AUTHORITY_TYPES = {
+  authors: {
+    label: "author",
+    table: "book_author",
+    idColumn: "book_author_id",
+    nameColumn: "book_author",
+    linkTable: "book_author_links",
+    bookFilter: "",
+  },
+  publishers: {
+    label: "publisher",
+    table: "book_publisher",
+    idColumn: "book_publisher_id",
+    nameColumn: "publisher",
+    linkTable: "book_publisher_links",
+    bookFilter: "",
+  },
+  genres: {
+    label: "genre",
+    table: "book_genre",
+    idColumn: "book_genre_id",
+    nameColumn: "book_genre",
+    linkTable: null,
+    // Department IDs share books.book_genre_id, so only genre batches are matched
+    bookFilter: " AND isUsingDepartment = 0",
+  },
+};
+
+// Display form: trimmed with single spaces
+const cleanName = (value) => String(value === undefined || value === null ? "" : value).trim().replace(/\s+/g, " ");
+
+/**
+ * Comparison key for a name: case, accents, periods, commas and extra spaces are
+ * ignored, so "J.K. Rowling" and "j. k.  rowling" are the same author
+ * @param {string} value - Name
+ * @returns {string}
+ */
+const normalizeName = (value) =>
+  cleanName(value)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[.,;:]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_NAME_LENGTH);
+
+/**
+ * Names from a form field: an array, a JSON array string or a single name.
+ * Blank names and repeats of the same normalized name are dropped.
+ * @param {Array|string} value - Field value
+ * @returns {Array<string>}
+ */
+const parseNameList = (value) => {
+  let names = value;
+  if (typeof value === "string") {
+    try {
+      const parsed = JSON.parse(value);
+      names = Array.isArray(parsed) ? parsed : [value];
+    } catch (e) {
+      names = [value];
+    }
+  }
+  if (!Array.isArray(names)) names = names === undefined || names === null ? [] : [names];
+
+  const seen = new Set();
+  return names.map(cleanName).filter((name) => {
+    const key = normalizeName(name);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const getType = (type) => {
+  const config = AUTHORITY_TYPES[type];
+  if (!config) throw new Error(`Unknown authority type "${type}"`);
+  return config;
+};
+
+/**
+ * Find an authority by normalized name, or create it
+ * @param {object} db - Pool or connection
+ * @param {string} type - 'authors', 'publishers' or 'genres'
+ * @param {string} name - Name as entered
+ * @returns {Promise<number>} Authority ID
+ */
+const findOrCreateAuthority = async (db, type, name) => {
+  const config = getType(type);
+  const display = cleanName(name).slice(0, MAX_NAME_LENGTH);
+  const key = normalizeName(display);
+  if (!key) throw new Error(`A ${config.label} name is required`);
+
+  const [existing] = await db.execute(
+    `SELECT ${config.idColumn} AS id FROM ${config.table} WHERE normalized_name = ? ORDER BY ${config.idColumn} ASC LIMIT 1`,
+    [key]
+  );
+  if (existing.length > 0) return existing[0].id;
+
+  // Once the migration has added the unique key, a concurrent insert of the same name resolves to its row
+  const [inserted] = await db.execute(
+    `INSERT INTO ${config.table} (${config.nameColumn}, normalized_name, created_at) VALUES (?, ?, NOW())
+     ON DUPLICATE KEY UPDATE ${config.idColumn} = LAST_INSERT_ID(${config.idColumn})`,
+    [display, key]
+  );
+  return inserted.insertId;
+};
+
+/**
+ * Replace the authors or publishers of a batch, in order. The first one is also
+ * stored on the batch's books.
+ * @param {object} db - Pool or connection
+ * @param {string} type - 'authors' or 'publishers'
+ * @param {string} batchKey - batch_registration_key
+ * @param {Array<string>} names - Names in display order
+ * @returns {Promise<Array<number>>} Authority IDs in order
+ */
+const setBatchAuthorities = async (db, type, batchKey, names) => {
+  const config = getType(type);
+  if (!config.linkTable) throw new Error(`A batch has a single ${config.label}`);
+
+  const ids = [];
+  for (const name of names) {
+    const id = await findOrCreateAuthority(db, type, name);
+    if (!ids.includes(id)) ids.push(id);
+  }
+
+  await db.execute(`DELETE FROM ${config.linkTable} WHERE batch_registration_key = ?`, [batchKey]);
+  for (let index = 0; index < ids.length; index++) {
+    await db.execute(
+      `INSERT INTO ${config.linkTable} (batch_registration_key, ${config.idColumn}, position, created_at) VALUES (?, ?, ?, NOW())`,
+      [batchKey, ids[index], index + 1]
+    );
+  }
+  if (ids.length > 0) {
+    await db.execute(`UPDATE books SET ${config.idColumn} = ? WHERE batch_registration_key = ?`, [ids[0], batchKey]);
+  }
+  return ids;
+};
+
+/**
+ * Linked authors and publishers of batches, in order
+ * @param {object} db - Pool or connection
+ * @param {Array<string>|null} batchKeys - batch_registration_key values, or null for every batch
+ * @returns {Promise<Map>} batch_registration_key -> { authors: [{ author_id, name }], publishers: [{ publisher_id, name }] }
+ */
+const getBatchAuthorities = async (db = pool, batchKeys = null) => {
+  const names = new Map();
+  if (Array.isArray(batchKeys) && batchKeys.length === 0) return names;
+
+  const entry = (key) => {
+    if (!names.has(key)) names.set(key, { authors: [], publishers: [] });
+    return names.get(key);
+  };
+
+  for (const [type, idName] of [["authors", "author_id"], ["publishers", "publisher_id"]]) {
+    const config = AUTHORITY_TYPES[type];
+    const [rows] = await db.query(
+      `SELECT l.batch_registration_key, a.${config.idColumn} AS id, a.${config.nameColumn} AS name
+       FROM ${config.linkTable} l
+       INNER JOIN ${config.table} a ON l.${config.idColumn} = a.${config.idColumn}
+       ${batchKeys ? "WHERE l.batch_registration_key IN (?)" : ""}
+       ORDER BY l.batch_registration_key, l.position ASC`,
+      batchKeys ? [batchKeys] : []
+    );
+    rows.forEach((row) => entry(row.batch_registration_key)[type].push({ [idName]: row.id, name: row.name }));
+  }
+  return names;
+};
+
+/**
+ * Add the authors and publishers arrays to book rows; author and publisher become
+ * the joined names. Batches without links (not migrated yet) keep their single name.
+ * @param {Array<object>} books - Rows with batch_registration_key, author_id, author, publisher_id, publisher
+ * @param {Map} names - From getBatchAuthorities
+ */
+const attachBatchAuthorities = (books, names) =>
+  books.map((book) => {
+    const linked = names.get(book.batch_registration_key) || { authors: [], publishers: [] };
+    const authors = linked.authors.length > 0
+      ? linked.authors
+      : book.author_id ? [{ author_id: book.author_id, name: book.author }] : [];
+    const publishers = linked.publishers.length > 0
+      ? linked.publishers
+      : book.publisher_id ? [{ publisher_id: book.publisher_id, name: book.publisher }] : [];
+    return {
+      ...book,
+      author: authors.length > 0 ? authors.map((author) => author.name).join(", ") : book.author,
+      authors,
+      publisher: publishers.length > 0 ? publishers.map((publisher) => publisher.name).join(", ") : book.publisher,
+      publishers,
+    };
+  });
+
+// Number of batches using each authority
+const usageSql = (config) => config.linkTable
+  ? `(SELECT COUNT(DISTINCT l.batch_registration_key) FROM ${config.linkTable} l WHERE l.${config.idColumn} = a.${config.idColumn})`
+  : `(SELECT COUNT(DISTINCT batch_registration_key) FROM books WHERE books.${config.idColumn} = a.${config.idColumn}${config.bookFilter})`;
+
+/**
+ * List authorities of a type with the number of batches using each
+ * @param {string} type - 'authors', 'publishers' or 'genres'
+ * @param {object} options - { search }
+ */
+const listAuthorities = async (type, { search = null } = {}) => {
+  const config = AUTHORITY_TYPES[type];
+  if (!config) return { success: false, status: 400, message: `Type must be one of: ${Object.keys(AUTHORITY_TYPES).join(", ")}` };
+
+  const key = search ? normalizeName(search) : "";
+  const [rows] = await pool.execute(
+    `SELECT a.${config.idColumn} AS id, a.${config.nameColumn} AS name, a.normalized_name, a.created_at,
+            ${usageSql(config)} AS batch_count
+     FROM ${config.table} a
+     ${key ? "WHERE a.normalized_name LIKE ? OR LOWER(a." + config.nameColumn + ") LIKE ?" : ""}
+     ORDER BY a.${config.nameColumn} ASC, a.${config.idColumn} ASC`,
+    key ? [`%${key}%`, `%${String(search).trim().toLowerCase()}%`] : []
+  );
+  return { success: true, status: 200, message: `${rows.length} ${type} found`, data: rows };
+};
+
+const getAuthority = async (db, config, id) => {
+  const [rows] = await db.execute(
+    `SELECT ${config.idColumn} AS id, ${config.nameColumn} AS name, normalized_name FROM ${config.table} WHERE ${config.idColumn} = ?`,
+    [id]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Rename an authority; every batch linked to it shows the new name
+ * @param {string} type - 'authors', 'publishers' or 'genres'
+ * @param {number} id - Authority ID
+ * @param {string} name - New name
+ */
+const renameAuthority = async (type, id, name) => {
+  const config = AUTHORITY_TYPES[type];
+  if (!config) return { success: false, status: 400, message: `Type must be one of: ${Object.keys(AUTHORITY_TYPES).join(", ")}` };
+
+  const display = cleanName(name);
+  const key = normalizeName(display);
+  if (!key) return { success: false, status: 400, message: "Name is required" };
+  if (display.length > MAX_NAME_LENGTH) return { success: false, status: 400, message: `Name cannot be longer than ${MAX_NAME_LENGTH} characters` };
+
+  const authority = await getAuthority(pool, config, id);
+  if (!authority) return { success: false, status: 404, message: `The ${config.label} was not found` };
+
+  const [duplicates] = await pool.execute(
+    `SELECT ${config.idColumn} AS id, ${config.nameColumn} AS name FROM ${config.table} WHERE normalized_name = ? AND ${config.idColumn} != ? LIMIT 1`,
+    [key, id]
+  );
+  if (duplicates.length > 0) {
+    return {
+      success: false,
+      status: 409,
+      message: `"${duplicates[0].name}" already exists as ${config.label} ${duplicates[0].id}; merge the two instead`,
+      data: { existing: duplicates[0] },
+    };
+  }
+
+  await pool.execute(
+    `UPDATE ${config.table} SET ${config.nameColumn} = ?, normalized_name = ? WHERE ${config.idColumn} = ?`,
+    [display, key, id]
+  );
+  return {
+    success: true,
+    status: 200,
+    message: `Renamed ${config.label} "${authority.name}" to "${display}"`,
+    data: { id: Number(id), previous_name: authority.name, name: display },
+  };
+};
+
+/**
+ * Point every link and book of the source authorities at the target, then delete
+ * the sources. Batches linked to both keep a single link to the target.
+ * @param {object} conn - Connection inside a transaction
+ * @param {object} config - Entry of AUTHORITY_TYPES
+ * @param {number} targetId - Authority that is kept
+ * @param {Array<number>} sourceIds - Authorities merged into the target
+ * @returns {Promise<number>} Books repointed
+ */
+const mergeInto = async (conn, config, targetId, sourceIds) => {
+  if (config.linkTable) {
+    await conn.query(
+      `UPDATE IGNORE ${config.linkTable} SET ${config.idColumn} = ? WHERE ${config.idColumn} IN (?)`,
+      [targetId, sourceIds]
+    );
+    await conn.query(`DELETE FROM ${config.linkTable} WHERE ${config.idColumn} IN (?)`, [sourceIds]);
+  }
+  const [books] = await conn.query(
+    `UPDATE books SET ${config.idColumn} = ? WHERE ${config.idColumn} IN (?)${config.bookFilter}`,
+    [targetId, sourceIds]
+  );
+  await conn.query(`DELETE FROM ${config.table} WHERE ${config.idColumn} IN (?)`, [sourceIds]);
+  return books.affectedRows;
+};
+
+/**
+ * Merge duplicate authorities into one
+ * @param {string} type - 'authors', 'publishers' or 'genres'
+ * @param {number} targetId - Authority that is kept
+ * @param {Array<number>} sourceIds - Authorities merged into the target and deleted
+ */
+const mergeAuthorities = async (type, targetId, sourceIds) => {
+  const config = AUTHORITY_TYPES[type];
+  if (!config) return { success: false, status: 400, message: `Type must be one of: ${Object.keys(AUTHORITY_TYPES).join(", ")}` };
+
+  const target = parseInt(targetId);
+  const sources = [...new Set((Array.isArray(sourceIds) ? sourceIds : [sourceIds]).map((id) => parseInt(id)))];
+  if (!Number.isInteger(target) || sources.length === 0 || sources.some((id) => !Number.isInteger(id))) {
+    return { success: false, status: 400, message: "target_id and source_ids (a list of IDs) are required" };
+  }
+  if (sources.includes(target)) {
+    return { success: false, status: 400, message: "The target cannot also be a source" };
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const fail = async (status, message) => {
+      await conn.rollback();
+      conn.release();
+      conn = null;
+      return { success: false, status, message };
+    };
+
+    const [locked] = await conn.query(
+      `SELECT ${config.idColumn} AS id, ${config.nameColumn} AS name FROM ${config.table} WHERE ${config.idColumn} IN (?) FOR UPDATE`,
+      [[target, ...sources]]
+    );
+    const targetRow = locked.find((row) => row.id === target);
+    if (!targetRow) return fail(404, `The target ${config.label} was not found`);
+    const missing = sources.filter((id) => !locked.some((row) => row.id === id));
+    if (missing.length > 0) return fail(404, `${config.label} ${missing.join(", ")} not found`);
+
+    const booksUpdated = await mergeInto(conn, config, target, sources);
+
+    await conn.commit();
+    conn.release();
+    conn = null;
+
+    return {
+      success: true,
+      status: 200,
+      message: `Merged ${sources.length} ${sources.length === 1 ? config.label : type} into "${targetRow.name}"`,
+      data: {
+        target: targetRow,
+        merged: locked.filter((row) => row.id !== target),
+        books_updated: booksUpdated,
+      },
+    };
+  } catch (error) {
+    if (conn) {
+      try {
+        await conn.rollback();
+        conn.release();
+      } catch (e) {}
+    }
+    throw error;
+  }
+};
+
+/**
+ * One-time cleanup, run inside a transaction: fill normalized_name, merge rows
+ * with the same normalized name into the oldest one, and link every batch that
+ * has no links yet to the authority on its books. With splitCombined, a name
+ * that the add form joined from several ("A, B") is linked as separate names.
+ *
+ * @param {object} conn - Connection inside a transaction
+ * @param {string} type - 'authors', 'publishers' or 'genres'
+ * @param {object} options - { splitCombined }
+ * @returns {Promise<object>} { normalized, merged_groups, merged_rows, books_updated, batches_linked, removed_unused }
+ */
+const collapseDuplicateAuthorities = async (conn, type, { splitCombined = false } = {}) => {
+  const config = getType(type);
+  const summary = { normalized: 0, merged_groups: 0, merged_rows: 0, books_updated: 0, batches_linked: 0, removed_unused: 0 };
+
+  const [rows] = await conn.execute(
+    `SELECT ${config.idColumn} AS id, ${config.nameColumn} AS name, normalized_name FROM ${config.table} ORDER BY ${config.idColumn} ASC`
+  );
+  const groups = new Map();
+  for (const row of rows) {
+    const key = normalizeName(row.name);
+    if (key !== row.normalized_name) {
+      await conn.execute(
+        `UPDATE ${config.table} SET ${config.nameColumn} = ?, normalized_name = ? WHERE ${config.idColumn} = ?`,
+        [cleanName(row.name), key || null, row.id]
+      );
+      summary.normalized++;
+    }
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row.id);
+  }
+
+  for (const [targetId, ...sourceIds] of groups.values()) {
+    if (sourceIds.length === 0) continue;
+    summary.books_updated += await mergeInto(conn, config, targetId, sourceIds);
+    summary.merged_groups++;
+    summary.merged_rows += sourceIds.length;
+  }
+
+  if (config.linkTable) {
+    const [unlinked] = await conn.execute(
+      `SELECT b.batch_registration_key, MIN(a.${config.nameColumn}) AS name, MIN(a.${config.idColumn}) AS id
+       FROM books b
+       INNER JOIN ${config.table} a ON b.${config.idColumn} = a.${config.idColumn}
+       WHERE b.batch_registration_key IS NOT NULL
+         AND NOT EXISTS (SELECT 1 FROM ${config.linkTable} l WHERE l.batch_registration_key = b.batch_registration_key)
+       GROUP BY b.batch_registration_key`
+    );
+    for (const batch of unlinked) {
+      const names = splitCombined ? parseNameList(String(batch.name).split(/\s*,\s*/)) : [];
+      if (names.length > 1) {
+        await setBatchAuthorities(conn, type, batch.batch_registration_key, names);
+      } else {
+        await conn.execute(
+          `INSERT INTO ${config.linkTable} (batch_registration_key, ${config.idColumn}, position, created_at) VALUES (?, ?, 1, NOW())`,
+          [batch.batch_registration_key, batch.id]
+        );
+      }
+      summary.batches_linked++;
+    }
+
+    // Combined names that were split are no longer used by any batch
+    if (splitCombined) {
+      const [removed] = await conn.execute(
+        `DELETE a FROM ${config.table} a
+         WHERE NOT EXISTS (SELECT 1 FROM ${config.linkTable} l WHERE l.${config.idColumn} = a.${config.idColumn})
+           AND NOT EXISTS (SELECT 1 FROM books b WHERE b.${config.idColumn} = a.${config.idColumn})`
+      );
+      summary.removed_unused = removed.affectedRows;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  AUTHORITY_TYPES,
+  MAX_NAME_LENGTH,
+  cleanName,
+  normalizeName,
+  parseNameList,
+  findOrCreateAuthority,
+  setBatchAuthorities,
+  getBatchAuthorities,
+  attachBatchAuthorities,
+  listAuthorities,
+  renameAuthority,
+  mergeAuthorities,
+  collapseDuplicateAuthorities,
+};
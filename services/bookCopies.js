@@ -0,0 +1,438 @@
+const { pool } = require("../config/database");
+const { assignNextHold } = require("./reservationHolds");
+
+const UPLOAD_DOMAIN = (process.env.UPLOAD_DOMAIN || "https://uploads.codehub.site").replace(/\/+$/, "");
+
+// Physical condition recorded per copy
+const COPY_CONDITIONS = ["New", "Good", "Fair", "Poor", "Damaged"];
+
+// Statuses an admin sets directly; Borrowed, On Hold and Lost belong to their
+// workflows and Removed is set by withdrawing the copy
+const COPY_STATUSES = ["Available", "In Repair"];
+
+const MAX_COPIES_PER_REQUEST = 100;
+const MAX_BARCODE_LENGTH = 100;
+const MAX_NOTES_LENGTH = 1000;
+const BARCODE_PATTERN = /^[A-Za-z0-9._\/-]+$/;
+
+const COPY_COLUMNS = `
+  b.book_id, b.book_number, b.batch_registration_key, b.status,
+  b.copy_condition, b.condition_notes, b.copy_barcode,
+  b.withdrawn_at, b.withdrawal_reason, b.withdrawn_by_admin_id,
+  CASE
+    WHEN b.book_qr LIKE '/qr_codes/%' THEN CONCAT('${UPLOAD_DOMAIN}', b.book_qr)
+    ELSE NULL
+  END AS book_qr,
+  b.created_at,
+  bs.book_shelf_loc_id AS shelf_location_id, bs.shelf_number, bs.shelf_column, bs.shelf_row`;
+
+const formatCopy = (copy) => ({
+  ...copy,
+  qr_data: `BookID:${copy.book_id}-No:${copy.book_number}`,
+  withdrawn: copy.status === "Removed",
+});
+
+/**
+ * Get one copy of a batch
+ * @param {object} db - Pool or connection
+ * @param {string} batchKey - batch_registration_key
+ * @param {number} bookId - Copy's book_id
+ * @param {boolean} forUpdate - Lock the row
+ */
+const getCopy = async (db, batchKey, bookId, forUpdate = false) => {
+  const [copies] = await db.execute(
+    `SELECT ${COPY_COLUMNS}
+     FROM books b
+     LEFT JOIN book_shelf_location bs ON b.book_shelf_location_id = bs.book_shelf_loc_id
+     WHERE b.batch_registration_key = ? AND b.book_id = ?
+     ${forUpdate ? "FOR UPDATE" : ""}`,
+    [batchKey, bookId]
+  );
+  return copies.length > 0 ? formatCopy(copies[0]) : null;
+};
+
+/**
+ * List the copies of a batch with their condition, barcode, status and shelf
+ * @param {string} batchKey - batch_registration_key
+ * @param {object} options - { include_withdrawn }
+ */
+const getBatchCopies = async (batchKey, { include_withdrawn = false } = {}) => {
+  const [copies] = await pool.execute(
+    `SELECT ${COPY_COLUMNS}
+     FROM books b
+     LEFT JOIN book_shelf_location bs ON b.book_shelf_location_id = bs.book_shelf_loc_id
+     WHERE b.batch_registration_key = ?
+     ORDER BY b.book_number ASC`,
+    [batchKey]
+  );
+  if (copies.length === 0) {
+    return { success: false, status: 404, message: "Book batch not found" };
+  }
+
+  const visible = include_withdrawn ? copies : copies.filter((copy) => copy.status !== "Removed");
+  return {
+    success: true,
+    status: 200,
+    message: `${visible.length} ${visible.length === 1 ? "copy" : "copies"} found`,
+    data: {
+      batch_registration_key: batchKey,
+      active_count: copies.filter((copy) => copy.status !== "Removed").length,
+      withdrawn_count: copies.filter((copy) => copy.status === "Removed").length,
+      copies: visible.map(formatCopy),
+    },
+  };
+};
+
+const validateCondition = (condition) =>
+  condition === undefined || condition === null || condition === "" || COPY_CONDITIONS.includes(condition)
+    ? null
+    : `Condition must be one of: ${COPY_CONDITIONS.join(", ")}`;
+
+const validateNotes = (notes) =>
+  notes !== undefined && notes !== null && String(notes).length > MAX_NOTES_LENGTH
+    ? `Condition notes cannot be longer than ${MAX_NOTES_LENGTH} characters`
+    : null;
+
+const findShelf = async (db, shelfId) => {
+  const [shelves] = await db.execute(
+    `SELECT book_shelf_loc_id, shelf_number, shelf_column, shelf_row FROM book_shelf_location WHERE book_shelf_loc_id = ?`,
+    [shelfId]
+  );
+  return shelves[0] || null;
+};
+
+/**
+ * Add copies to an existing batch. New copies take the batch's catalog fields from
+ * its latest copy and continue the book numbers; the caller uploads their QR codes.
+ * Each new copy goes to the next pending reservation for the title, if there is one.
+ *
+ * @param {object} params
+ * @param {string} params.batch_registration_key - Batch to add to
+ * @param {number} params.quantity - Number of copies (default 1)
+ * @param {number} params.shelf_location_id - Shelf for the new copies (default: the latest copy's)
+ * @param {string} params.condition - Condition of the new copies
+ * @param {string} params.condition_notes - Notes for the new copies
+ * @returns {Promise<object>} { success, status, message, data: { copies: [{ book_id, book_number }], holds } }
+ */
+const addCopies = async ({ batch_registration_key, quantity = 1, shelf_location_id = null, condition = null, condition_notes = null }) => {
+  const count = Number(quantity);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_COPIES_PER_REQUEST) {
+    return { success: false, status: 400, message: `Quantity must be a whole number from 1 to ${MAX_COPIES_PER_REQUEST}` };
+  }
+  const invalid = validateCondition(condition) || validateNotes(condition_notes);
+  if (invalid) return { success: false, status: 400, message: invalid };
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const fail = async (status, message) => {
+      await conn.rollback();
+      conn.release();
+      conn = null;
+      return { success: false, status, message };
+    };
+
+    // Locking the batch keeps two requests from taking the same book numbers
+    const [batch] = await conn.execute(
+      `SELECT * FROM books WHERE batch_registration_key = ? ORDER BY book_number DESC FOR UPDATE`,
+      [batch_registration_key]
+    );
+    if (batch.length === 0) return await fail(404, "Book batch not found");
+
+    const template = batch.find((copy) => copy.status !== "Removed") || batch[0];
+    let shelfId = template.book_shelf_location_id;
+    if (shelf_location_id !== null && shelf_location_id !== undefined && shelf_location_id !== "") {
+      const shelf = await findShelf(conn, shelf_location_id);
+      if (!shelf) return await fail(404, "Shelf location not found");
+      shelfId = shelf.book_shelf_loc_id;
+    }
+
+    const firstNumber = Math.max(...batch.map((copy) => copy.book_number || 0)) + 1;
+    const copies = [];
+    const holds = [];
+    for (let i = 0; i < count; i++) {
+      const bookNumber = firstNumber + i;
+      const [result] = await conn.execute(
+        `INSERT INTO books (
+          book_title, book_number, book_qr, book_edition, book_year, book_price, book_donor,
+          book_isbn, book_isbn10, book_subject, book_language, book_pages, book_call_number,
+          book_genre_id, book_publisher_id, book_shelf_location_id, book_author_id, batch_registration_key, isUsingDepartment,
+          copy_condition, condition_notes, status, created_at
+        ) VALUES (?, ?, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'Available', NOW())`,
+        [
+          template.book_title,
+          bookNumber,
+          template.book_edition,
+          template.book_year,
+          template.book_price,
+          template.book_donor,
+          template.book_isbn,
+          template.book_isbn10,
+          template.book_subject,
+          template.book_language,
+          template.book_pages,
+          template.book_call_number,
+          template.book_genre_id,
+          template.book_publisher_id,
+          shelfId,
+          template.book_author_id,
+          batch_registration_key,
+          template.isUsingDepartment,
+          condition || null,
+          condition_notes ? String(condition_notes).trim() : null,
+        ]
+      );
+      copies.push({ book_id: result.insertId, book_number: bookNumber });
+
+      const hold = await assignNextHold(conn, { book_id: result.insertId });
+      if (hold) holds.push(hold);
+    }
+
+    await conn.commit();
+    conn.release();
+    conn = null;
+
+    return {
+      success: true,
+      status: 201,
+      message: `Added ${count} ${count === 1 ? "copy" : "copies"} to the batch`,
+      data: { batch_registration_key, book_title: template.book_title, copies, holds },
+    };
+  } catch (error) {
+    if (conn) {
+      try {
+        await conn.rollback();
+        conn.release();
+      } catch (e) {}
+    }
+    throw error;
+  }
+};
+
+/**
+ * Update a copy's condition, notes, barcode or status (Available / In Repair).
+ * A copy coming back as Available goes to the next pending reservation first.
+ * @param {string} batchKey - batch_registration_key
+ * @param {number} bookId - Copy's book_id
+ * @param {object} fields - { condition, condition_notes, barcode, status }; undefined means unchanged
+ */
+const updateCopy = async (batchKey, bookId, { condition, condition_notes, barcode, status }) => {
+  const invalid = validateCondition(condition) || validateNotes(condition_notes);
+  if (invalid) return { success: false, status: 400, message: invalid };
+
+  const updates = [];
+  const values = [];
+  if (condition !== undefined) {
+    updates.push("copy_condition = ?");
+    values.push(condition || null);
+  }
+  if (condition_notes !== undefined) {
+    updates.push("condition_notes = ?");
+    values.push(condition_notes === null ? null : String(condition_notes).trim() || null);
+  }
+
+  let cleanBarcode;
+  if (barcode !== undefined) {
+    cleanBarcode = barcode === null ? "" : String(barcode).trim();
+    if (cleanBarcode && (cleanBarcode.length > MAX_BARCODE_LENGTH || !BARCODE_PATTERN.test(cleanBarcode))) {
+      return {
+        success: false,
+        status: 400,
+        message: `Barcode must be up to ${MAX_BARCODE_LENGTH} letters, digits or . _ / - characters`,
+      };
+    }
+    updates.push("copy_barcode = ?");
+    values.push(cleanBarcode || null);
+  }
+
+  if (status !== undefined && !COPY_STATUSES.includes(status)) {
+    return { success: false, status: 400, message: `Status must be one of: ${COPY_STATUSES.join(", ")}` };
+  }
+  if (updates.length === 0 && status === undefined) {
+    return { success: false, status: 400, message: "Nothing to update: send condition, condition_notes, barcode or status" };
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const fail = async (code, message, data) => {
+      await conn.rollback();
+      conn.release();
+      conn = null;
+      return { success: false, status: code, message, ...(data ? { data } : {}) };
+    };
+
+    const copy = await getCopy(conn, batchKey, bookId, true);
+    if (!copy) return await fail(404, "Copy not found in this batch");
+    if (copy.status === "Removed") return await fail(409, "This copy has been withdrawn");
+
+    if (status !== undefined && status !== copy.status) {
+      if (!COPY_STATUSES.includes(copy.status)) {
+        return await fail(409, `The copy is ${copy.status}; its status changes when it is returned or resolved`);
+      }
+      updates.push("status = ?");
+      values.push(status);
+    }
+
+    if (cleanBarcode) {
+      const [taken] = await conn.execute(
+        `SELECT book_id, batch_registration_key, book_number FROM books WHERE copy_barcode = ? AND book_id != ?`,
+        [cleanBarcode, copy.book_id]
+      );
+      if (taken.length > 0) return await fail(409, `Barcode ${cleanBarcode} is already used by book ${taken[0].book_id}`, { existing: taken[0] });
+    }
+
+    if (updates.length > 0) {
+      await conn.execute(`UPDATE books SET ${updates.join(", ")} WHERE book_id = ?`, [...values, copy.book_id]);
+    }
+    const hold = status === "Available" && copy.status !== "Available"
+      ? await assignNextHold(conn, { book_id: copy.book_id })
+      : null;
+    const updated = await getCopy(conn, batchKey, copy.book_id);
+
+    await conn.commit();
+    conn.release();
+    conn = null;
+
+    return { success: true, status: 200, message: "Copy updated", data: { ...updated, hold } };
+  } catch (error) {
+    if (conn) {
+      try {
+        await conn.rollback();
+        conn.release();
+      } catch (e) {}
+    }
+    throw error;
+  }
+};
+
+/**
+ * Withdraw one copy from circulation (damaged, discarded, donated away). The copy
+ * keeps its history and is marked Removed like copies removed through the batch update.
+ *
+ * @param {string} batchKey - batch_registration_key
+ * @param {number} bookId - Copy's book_id
+ * @param {object} params - { reason, condition, admin }
+ */
+const withdrawCopy = async (batchKey, bookId, { reason, condition, admin }) => {
+  const cleanReason = String(reason || "").trim();
+  if (!cleanReason) return { success: false, status: 400, message: "A withdrawal reason is required" };
+  if (cleanReason.length > 255) return { success: false, status: 400, message: "Reason cannot be longer than 255 characters" };
+  const invalid = validateCondition(condition);
+  if (invalid) return { success: false, status: 400, message: invalid };
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const fail = async (status, message) => {
+      await conn.rollback();
+      conn.release();
+      conn = null;
+      return { success: false, status, message };
+    };
+
+    const copy = await getCopy(conn, batchKey, bookId, true);
+    if (!copy) return await fail(404, "Copy not found in this batch");
+    if (copy.status === "Removed") return await fail(409, "This copy has already been withdrawn");
+    if (!COPY_STATUSES.includes(copy.status)) {
+      return await fail(409, `The copy is ${copy.status}; it can be withdrawn once it is back on the shelf`);
+    }
+
+    await conn.execute(
+      `UPDATE books
+       SET status = 'Removed', withdrawn_at = NOW(), withdrawal_reason = ?, withdrawn_by_admin_id = ?,
+           copy_condition = COALESCE(?, copy_condition)
+       WHERE book_id = ?`,
+      [cleanReason, admin ? admin.admin_id : null, condition || null, copy.book_id]
+    );
+    const updated = await getCopy(conn, batchKey, copy.book_id);
+
+    await conn.commit();
+    conn.release();
+    conn = null;
+
+    return { success: true, status: 200, message: `Copy ${copy.book_number} withdrawn`, data: updated };
+  } catch (error) {
+    if (conn) {
+      try {
+        await conn.rollback();
+        conn.release();
+      } catch (e) {}
+    }
+    throw error;
+  }
+};
+
+/**
+ * Move one copy to another shelf
+ * @param {string} batchKey - batch_registration_key
+ * @param {number} bookId - Copy's book_id
+ * @param {number} shelfLocationId - Target book_shelf_loc_id
+ */
+const moveCopy = async (batchKey, bookId, shelfLocationId) => {
+  if (shelfLocationId === undefined || shelfLocationId === null || shelfLocationId === "") {
+    return { success: false, status: 400, message: "shelf_location_id is required" };
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const fail = async (status, message) => {
+      await conn.rollback();
+      conn.release();
+      conn = null;
+      return { success: false, status, message };
+    };
+
+    const copy = await getCopy(conn, batchKey, bookId, true);
+    if (!copy) return await fail(404, "Copy not found in this batch");
+    if (copy.status === "Removed") return await fail(409, "This copy has been withdrawn");
+
+    const shelf = await findShelf(conn, shelfLocationId);
+    if (!shelf) return await fail(404, "Shelf location not found");
+
+    await conn.execute(`UPDATE books SET book_shelf_location_id = ? WHERE book_id = ?`, [shelf.book_shelf_loc_id, copy.book_id]);
+    const updated = await getCopy(conn, batchKey, copy.book_id);
+
+    await conn.commit();
+    conn.release();
+    conn = null;
+
+    return {
+      success: true,
+      status: 200,
+      message: `Copy ${copy.book_number} moved to shelf ${shelf.shelf_number}-${shelf.shelf_column}-${shelf.shelf_row}`,
+      data: {
+        ...updated,
+        previous_shelf_location_id: copy.shelf_location_id,
+      },
+    };
+  } catch (error) {
+    if (conn) {
+      try {
+        await conn.rollback();
+        conn.release();
+      } catch (e) {}
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  COPY_CONDITIONS,
+  COPY_STATUSES,
+  MAX_COPIES_PER_REQUEST,
+  getBatchCopies,
+  addCopies,
+  updateCopy,
+  withdrawCopy,
+  moveCopy,
+};
@@ -0,0 +1,221 @@
+const fs = require("fs");
+const path = require("path");
+const { pool } = require("../config/database");
+const { normalizeIsbn } = require("./isbn");
+
+// Local stand-in for an online metadata service: a JSON object keyed by ISBN-13
+const METADATA_FILE = process.env.ISBN_METADATA_FILE || path.join(__dirname, "..", "data", "isbn_metadata.json");
+
+// Fields a provider may return; anything else is dropped
+const METADATA_FIELDS = ["title", "authors", "publisher", "edition", "year", "subject", "language", "pages", "call_number"];
+
+const MAX_PAGES = 100000;
+
+const pickMetadata = (metadata) => {
+  const picked = {};
+  METADATA_FIELDS.forEach((field) => {
+    if (metadata[field] !== undefined && metadata[field] !== null && metadata[field] !== "") picked[field] = metadata[field];
+  });
+  if (picked.authors && !Array.isArray(picked.authors)) picked.authors = [String(picked.authors)];
+  return picked;
+};
+
+/**
+ * Provider backed by the local JSON file. Lookups work offline, and results
+ * from other providers are written back so the next scan of the same ISBN
+ * does not need them.
+ *
+ * @param {string} filePath - JSON file ({ "<isbn13>": { title, authors, ... } })
+ */
+const createFileProvider = (filePath = METADATA_FILE) => {
+  let entries = null;
+  // Writes run one at a time, so an older snapshot never replaces a newer one
+  let writes = Promise.resolve();
+  let tempCounter = 0;
+
+  const load = () => {
+    if (entries) return entries;
+    try {
+      entries = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") console.error(`Error reading ISBN metadata file ${filePath}:`, error.message);
+      entries = {};
+    }
+    return entries;
+  };
+
+  return {
+    name: "local_file",
+    lookup: async (isbn13) => load()[isbn13] || null,
+    store: (isbn13, metadata) => {
+      const write = writes.then(async () => {
+        const data = load();
+        data[isbn13] = { ...pickMetadata(metadata), cached_at: new Date().toISOString() };
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        // Unique per process too, in case several server processes share the file
+        tempCounter += 1;
+        const tempPath = `${filePath}.${process.pid}.${tempCounter}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.promises.rename(tempPath, filePath);
+      });
+      // A failed write is reported to its caller and does not stop the next one
+      writes = write.catch(() => {});
+      return write;
+    },
+  };
+};
+
+// Provider that reuses a batch already in the catalog with the same ISBN
+const catalogProvider = {
+  name: "catalog",
+  lookup: async (isbn13) => {
+    const [books] = await pool.execute(
+      `SELECT b.book_title, b.book_edition, b.book_year, b.book_subject, b.book_language, b.book_pages,
+              b.book_call_number, b.batch_registration_key,
+              bp.publisher, ba.book_author
+       FROM books b
+       LEFT JOIN book_publisher bp ON b.book_publisher_id = bp.book_publisher_id
+       LEFT JOIN book_author ba ON b.book_author_id = ba.book_author_id
+       WHERE b.book_isbn = ?
+       ORDER BY b.book_id DESC
+       LIMIT 1`,
+      [isbn13]
+    );
+    if (books.length === 0) return null;
+
+    const book = books[0];
+    return {
+      title: book.book_title,
+      authors: book.book_author ? [book.book_author] : [],
+      publisher: book.publisher,
+      edition: book.book_edition,
+      year: book.book_year,
+      subject: book.book_subject,
+      language: book.book_language,
+      pages: book.book_pages,
+      call_number: book.book_call_number,
+      existing_batch_registration_key: book.batch_registration_key,
+    };
+  },
+};
+
+const fileProvider = createFileProvider();
+
+/**
+ * Providers are tried in order until one knows the ISBN. A provider is
+ * { name, lookup: async (isbn13) => metadata | null }; metadata uses the
+ * METADATA_FIELDS keys. Online services are added with registerMetadataProvider.
+ */
+const providers = [catalogProvider, fileProvider];
+
+/**
+ * Add a metadata provider (e.g. an online ISBN service) after the local ones
+ * @param {object} provider - { name, lookup }
+ */
+const registerMetadataProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.lookup !== "function") {
+    throw new Error("A metadata provider needs a name and a lookup(isbn13) function");
+  }
+  const index = providers.findIndex((existing) => existing.name === provider.name);
+  if (index === -1) providers.push(provider);
+  else providers[index] = provider;
+};
+
+/**
+ * Look up the metadata for an ISBN to prefill a new batch
+ * @param {string} value - ISBN-10 or ISBN-13 (hyphens allowed)
+ * @returns {Promise<object>} { success, status, message, data: { isbn13, isbn10, source, metadata } }
+ */
+const lookupIsbn = async (value) => {
+  const isbn = normalizeIsbn(value);
+  if (!isbn) {
+    return { success: false, status: 400, message: "Invalid ISBN: the check digit does not match an ISBN-10 or ISBN-13" };
+  }
+
+  for (const provider of providers) {
+    let metadata;
+    try {
+      metadata = await provider.lookup(isbn.isbn13);
+    } catch (error) {
+      console.error(`Metadata provider ${provider.name} failed for ISBN ${isbn.isbn13}:`, error.message);
+      continue;
+    }
+    if (!metadata) continue;
+
+    if (provider !== catalogProvider && provider !== fileProvider) {
+      try {
+        await fileProvider.store(isbn.isbn13, metadata);
+      } catch (error) {
+        console.error(`Error caching metadata for ISBN ${isbn.isbn13}:`, error.message);
+      }
+    }
+
+    return {
+      success: true,
+      status: 200,
+      message: "Metadata found",
+      data: {
+        ...isbn,
+        source: provider.name,
+        existing_batch_registration_key: metadata.existing_batch_registration_key || null,
+        metadata: pickMetadata(metadata),
+      },
+    };
+  }
+
+  return { success: false, status: 404, message: `No metadata found for ISBN ${isbn.isbn13}`, data: { ...isbn } };
+};
+
+/**
+ * Validate the ISBN and metadata fields of a book form
+ * @param {object} fields - { isbn, subject, language, pages, call_number }; undefined or null means not given
+ * @returns {object} { error } or { values } with book_* column values for the fields that were given
+ */
+const normalizeMetadataFields = ({ isbn, subject, language, pages, call_number }) => {
+  const values = {};
+  const given = (value) => value !== undefined && value !== null;
+  const text = (value) => String(value).trim() || null;
+
+  if (given(isbn)) {
+    if (String(isbn).trim() === "") {
+      values.book_isbn = null;
+      values.book_isbn10 = null;
+    } else {
+      const normalized = normalizeIsbn(isbn);
+      if (!normalized) return { error: "Invalid ISBN: the check digit does not match an ISBN-10 or ISBN-13" };
+      values.book_isbn = normalized.isbn13;
+      values.book_isbn10 = normalized.isbn10;
+    }
+  }
+  if (given(subject)) {
+    if (String(subject).trim().length > 255) return { error: "Subject cannot be longer than 255 characters" };
+    values.book_subject = text(subject);
+  }
+  if (given(language)) {
+    if (String(language).trim().length > 50) return { error: "Language cannot be longer than 50 characters" };
+    values.book_language = text(language);
+  }
+  if (given(pages)) {
+    if (String(pages).trim() === "") {
+      values.book_pages = null;
+    } else {
+      const count = Number(pages);
+      if (!Number.isInteger(count) || count < 1 || count > MAX_PAGES) return { error: "Pages must be a whole number greater than zero" };
+      values.book_pages = count;
+    }
+  }
+  if (given(call_number)) {
+    if (String(call_number).trim().length > 100) return { error: "Call number cannot be longer than 100 characters" };
+    values.book_call_number = text(call_number);
+  }
+  return { values };
+};
+
+module.exports = {
+  METADATA_FILE,
+  METADATA_FIELDS,
+  createFileProvider,
+  registerMetadataProvider,
+  lookupIsbn,
+  normalizeMetadataFields,
+};
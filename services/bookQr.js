@@ -0,0 +1,85 @@
+const axios = require("axios");
+const FormData = require("form-data");
+const QRCode = require("qrcode");
+const { pool } = require("../config/database");
+
+const SERVER_BASE_URL = process.env.SERVER_BASE_URL || "http://localhost:4000";
+
+/**
+ * Upload a QR code image to the file system
+ * @param {Buffer} qrBuffer - PNG image
+ * @param {string} filename - Requested file name
+ * @returns {Promise<object>} Upload response
+ */
+const uploadQRCode = async (qrBuffer, filename) => {
+  try {
+    const formData = new FormData();
+    formData.append("file", qrBuffer, { filename, contentType: "image/png" });
+
+    const response = await axios.post(`${SERVER_BASE_URL}/api/uploads/qr-code`, formData, {
+      headers: {
+        ...formData.getHeaders(),
+      },
+      timeout: 30000,
+    });
+
+    return response.data;
+  } catch (error) {
+    console.error("Error uploading QR code:", error);
+    throw new Error("Failed to upload QR code to file system");
+  }
+};
+
+/**
+ * Rename a file on the file system
+ * @param {string} endpoint - Upload endpoint (e.g. 'qr-code')
+ * @param {string} oldFilename - Current file name
+ * @param {string} newFilename - New file name
+ * @returns {Promise<object>} Rename response
+ */
+const renameUploadedFile = async (endpoint, oldFilename, newFilename) => {
+  try {
+    const response = await axios.patch(`${SERVER_BASE_URL}/api/uploads/${endpoint}/${oldFilename}`, {
+      newName: newFilename,
+    }, {
+      headers: {
+        "Content-Type": "application/json",
+      },
+      timeout: 10000,
+    });
+
+    return response.data;
+  } catch (error) {
+    console.error(`Error renaming ${endpoint} file:`, error);
+    throw new Error(`Failed to rename ${endpoint} file`);
+  }
+};
+
+/**
+ * Generate, upload and store the QR code of one copy. Call it after the copy
+ * is committed; the upload is an HTTP request and must not hold a transaction open.
+ *
+ * @param {number} bookId - Copy ID
+ * @param {number} bookNumber - Copy number within its batch
+ */
+const storeBookQr = async (bookId, bookNumber) => {
+  const qrCodeBuffer = await QRCode.toBuffer(`BookID:${bookId}-No:${bookNumber}`);
+  const qrFilename = `book_id_${bookId}_QrCode.png`;
+  const qrUpload = await uploadQRCode(qrCodeBuffer, qrFilename);
+
+  if (qrUpload.success && qrUpload.file && qrUpload.file.name !== qrFilename) {
+    try {
+      await renameUploadedFile("qr-code", qrUpload.file.name, qrFilename);
+    } catch (renameError) {
+      console.warn("Could not rename QR code, using generated name:", qrUpload.file.name);
+    }
+  }
+
+  await pool.execute("UPDATE books SET book_qr = ? WHERE book_id = ?", [`/qr_codes/${qrFilename}`, bookId]);
+};
+
+module.exports = {
+  uploadQRCode,
+  renameUploadedFile,
+  storeBookQr,
+};
@@ -0,0 +1,361 @@
+const { pool } = require("../config/database");
+const { addOpenDays } = require("./libraryCalendar");
+const { BALANCE_SQL } = require("./penaltyLedger");
+
+// DENIAL REASON CODES RETURNED BY THE ELIGIBILITY ENGINE
+const DENIAL_CODES = {
+  USER_NOT_FOUND: "USER_NOT_FOUND",
+  NOT_APPROVED: "NOT_APPROVED",
+  USER_RESTRICTED: "USER_RESTRICTED",
+  SEMESTER_NOT_VERIFIED: "SEMESTER_NOT_VERIFIED",
+  UNPAID_PENALTIES: "UNPAID_PENALTIES",
+  BORROW_LIMIT_EXCEEDED: "BORROW_LIMIT_EXCEEDED",
+  ITEM_NOT_FOUND: "ITEM_NOT_FOUND",
+  ITEM_UNAVAILABLE: "ITEM_UNAVAILABLE",
+  LOW_QUANTITY: "LOW_QUANTITY",
+};
+
+// Normalize a single id or list of ids into an array of integers
+const toIdArray = (ids) => {
+  if (ids === undefined || ids === null || ids === "") return [];
+  const list = Array.isArray(ids) ? ids : [ids];
+  return list
+    .map((id) => parseInt(id, 10))
+    .filter((id) => Number.isInteger(id));
+};
+
+/**
+ * Get the borrowing related system settings
+ * @param {object} db - Pool or connection to run the query on
+ */
+const getBorrowingSettings = async (db = pool) => {
+  const [settings] = await db.execute(
+    `SELECT student_max_book, faculty_max_books, kiosk_prevent_borrow,
+            student_borrow_days, faculty_borrow_days,
+            student_research_borrow_days, faculty_research_borrow_days,
+            student_max_renewals, faculty_max_renewals
+     FROM system_settings
+     LIMIT 1`
+  );
+
+  const row = settings[0] || {};
+  const studentBorrowDays = parseInt(row.student_borrow_days) || 3;
+  const facultyBorrowDays = parseInt(row.faculty_borrow_days) || 90;
+  return {
+    student_max_book: parseInt(row.student_max_book) || 3,
+    faculty_max_books: parseInt(row.faculty_max_books) || 5,
+    kiosk_prevent_borrow: row.kiosk_prevent_borrow === 1,
+    student_borrow_days: studentBorrowDays,
+    faculty_borrow_days: facultyBorrowDays,
+    // Research paper periods fall back to the book periods when not set
+    student_research_borrow_days: parseInt(row.student_research_borrow_days) || studentBorrowDays,
+    faculty_research_borrow_days: parseInt(row.faculty_research_borrow_days) || facultyBorrowDays,
+    student_max_renewals: row.student_max_renewals != null ? parseInt(row.student_max_renewals) : 1,
+    faculty_max_renewals: row.faculty_max_renewals != null ? parseInt(row.faculty_max_renewals) : 2,
+  };
+};
+
+/**
+ * Check whether a user is allowed to borrow the given items.
+ * Every failed rule is collected so the kiosk can show all problems at once.
+ * @param {object} params - { user_id, book_ids, research_paper_ids }
+ * @param {object} db - Pool or connection to run the queries on
+ * @returns {Promise<object>} { eligible, reasons, summary }
+ */
+const checkBorrowingEligibility = async (
+  { user_id, book_ids, research_paper_ids },
+  db = pool
+) => {
+  const bookIds = toIdArray(book_ids);
+  const researchPaperIds = toIdArray(research_paper_ids);
+  const reasons = [];
+
+  const deny = (code, message, details = {}) => {
+    reasons.push({ code, message, ...details });
+  };
+
+  // CHECK IF USER EXISTS
+  const [users] = await db.execute(
+    `SELECT user_id, position, librarian_approval, restriction, semester_id, semester_verified
+     FROM users
+     WHERE user_id = ?`,
+    [user_id]
+  );
+
+  if (users.length === 0) {
+    deny(DENIAL_CODES.USER_NOT_FOUND, "User not found");
+    return { eligible: false, reasons, summary: null };
+  }
+
+  const user = users[0];
+  const isStudent = !user.position || user.position === "Student";
+  const settings = await getBorrowingSettings(db);
+
+  // CHECK IF USER IS APPROVED
+  if (user.librarian_approval !== 1) {
+    deny(DENIAL_CODES.NOT_APPROVED, "User not approved for borrowing");
+  }
+
+  // CHECK IF USER IS RESTRICTED
+  if (user.restriction === 1) {
+    deny(DENIAL_CODES.USER_RESTRICTED, "User account is restricted from borrowing");
+  }
+
+  // CHECK SEMESTER VERIFICATION (STUDENTS ONLY)
+  if (isStudent) {
+    const [activeSemester] = await db.execute(
+      `SELECT semester_id, semester_name, school_year
+       FROM semesters
+       WHERE is_active = 1
+       LIMIT 1`
+    );
+
+    if (
+      activeSemester.length > 0 &&
+      (user.semester_id !== activeSemester[0].semester_id || user.semester_verified !== 1)
+    ) {
+      deny(
+        DENIAL_CODES.SEMESTER_NOT_VERIFIED,
+        "User is not verified for the active semester",
+        {
+          semester_id: activeSemester[0].semester_id,
+          semester_name: activeSemester[0].semester_name,
+          school_year: activeSemester[0].school_year,
+        }
+      );
+    }
+  }
+
+  // CHECK FOR UNPAID PENALTIES
+  const [unpaid] = await db.execute(
+    `SELECT COUNT(*) as unpaid_count,
+            COALESCE(SUM(${BALANCE_SQL}), 0) as unpaid_total
+     FROM penalties p
+     WHERE p.user_id = ?
+       AND (p.status IS NULL OR p.status NOT IN ('Paid', 'Waived'))
+       AND ${BALANCE_SQL} > 0`,
+    [user_id]
+  );
+
+  const unpaidCount = parseInt(unpaid[0].unpaid_count) || 0;
+  if (unpaidCount > 0) {
+    deny(DENIAL_CODES.UNPAID_PENALTIES, "User has unpaid penalties", {
+      unpaid_count: unpaidCount,
+      unpaid_total: parseFloat(unpaid[0].unpaid_total) || 0,
+    });
+  }
+
+  // CHECK BORROW LIMIT (ACTIVE LOANS + ITEMS IN CART)
+  const [activeLoans] = await db.execute(
+    `SELECT COUNT(*) as active_count
+     FROM transactions
+     WHERE user_id = ?
+       AND return_date IS NULL
+       AND (status IS NULL OR status = 'Borrowed')`,
+    [user_id]
+  );
+
+  const activeCount = parseInt(activeLoans[0].active_count) || 0;
+  const requestedCount = bookIds.length + researchPaperIds.length;
+  const maxItems = isStudent ? settings.student_max_book : settings.faculty_max_books;
+
+  if (activeCount + requestedCount > maxItems) {
+    deny(
+      DENIAL_CODES.BORROW_LIMIT_EXCEEDED,
+      `Borrow limit exceeded. ${isStudent ? "Students" : "Faculty"} may borrow up to ${maxItems} item(s) at a time`,
+      {
+        max_items: maxItems,
+        active_loans: activeCount,
+        requested: requestedCount,
+        remaining: Math.max(maxItems - activeCount, 0),
+      }
+    );
+  }
+
+  // ITEMS ON HOLD OR RESERVED FOR THIS USER CAN BE PICKED UP
+  const [userHolds] = await db.execute(
+    `SELECT hold_book_id, research_paper_id
+     FROM reservations
+     WHERE user_id = ? AND status IN ('On Hold', 'Approved')`,
+    [user_id]
+  );
+  const heldBookIds = userHolds.filter((h) => h.hold_book_id).map((h) => h.hold_book_id);
+  const heldResearchIds = userHolds
+    .filter((h) => !h.hold_book_id && h.research_paper_id)
+    .map((h) => h.research_paper_id);
+
+  // CHECK IF BOOKS EXIST AND ARE AVAILABLE
+  if (bookIds.length > 0) {
+    const placeholders = bookIds.map(() => "?").join(",");
+    const [books] = await db.execute(
+      `SELECT book_id, book_title, status, batch_registration_key
+       FROM books
+       WHERE book_id IN (${placeholders})`,
+      bookIds
+    );
+
+    const foundIds = books.map((book) => book.book_id);
+    const notFoundIds = bookIds.filter((id) => !foundIds.includes(id));
+    if (notFoundIds.length > 0) {
+      deny(DENIAL_CODES.ITEM_NOT_FOUND, "Some books not found", {
+        book_ids: notFoundIds,
+      });
+    }
+
+    const isHeldForUser = (book) =>
+      (book.status === "On Hold" || book.status === "Reserved") && heldBookIds.includes(book.book_id);
+    const unavailableBooks = books
+      .filter((book) => book.status !== "Available" && !isHeldForUser(book))
+      .map((book) => ({ id: book.book_id, title: book.book_title, status: book.status }));
+    if (unavailableBooks.length > 0) {
+      deny(DENIAL_CODES.ITEM_UNAVAILABLE, "Some books are not available for borrowing", {
+        unavailable_books: unavailableBooks,
+      });
+    }
+
+    // KEEP AT LEAST ONE COPY OF EACH TITLE ON THE SHELF WHEN ENABLED
+    if (settings.kiosk_prevent_borrow) {
+      const requestedPerBatch = {};
+      books.forEach((book) => {
+        if (!book.batch_registration_key || isHeldForUser(book)) return;
+        if (!requestedPerBatch[book.batch_registration_key]) {
+          requestedPerBatch[book.batch_registration_key] = { title: book.book_title, count: 0 };
+        }
+        requestedPerBatch[book.batch_registration_key].count += 1;
+      });
+
+      const batchKeys = Object.keys(requestedPerBatch);
+      if (batchKeys.length > 0) {
+        const batchPlaceholders = batchKeys.map(() => "?").join(",");
+        const [availableCopies] = await db.execute(
+          `SELECT batch_registration_key, COUNT(*) as available_count
+           FROM books
+           WHERE batch_registration_key IN (${batchPlaceholders})
+             AND status = 'Available'
+           GROUP BY batch_registration_key`,
+          batchKeys
+        );
+
+        const availableMap = {};
+        availableCopies.forEach((row) => {
+          availableMap[row.batch_registration_key] = parseInt(row.available_count) || 0;
+        });
+
+        const lowQuantityTitles = batchKeys
+          .filter((key) => (availableMap[key] || 0) - requestedPerBatch[key].count < 1)
+          .map((key) => ({
+            batch_registration_key: key,
+            title: requestedPerBatch[key].title,
+            available_copies: availableMap[key] || 0,
+          }));
+
+        if (lowQuantityTitles.length > 0) {
+          deny(
+            DENIAL_CODES.LOW_QUANTITY,
+            "The last available copy of a title cannot be borrowed from the kiosk",
+            { low_quantity_titles: lowQuantityTitles }
+          );
+        }
+      }
+    }
+  }
+
+  // CHECK IF RESEARCH PAPERS EXIST AND ARE AVAILABLE
+  if (researchPaperIds.length > 0) {
+    const placeholders = researchPaperIds.map(() => "?").join(",");
+    const [papers] = await db.execute(
+      `SELECT research_paper_id, research_title, status
+       FROM research_papers
+       WHERE research_paper_id IN (${placeholders})`,
+      researchPaperIds
+    );
+
+    const foundIds = papers.map((rp) => rp.research_paper_id);
+    const notFoundIds = researchPaperIds.filter((id) => !foundIds.includes(id));
+    if (notFoundIds.length > 0) {
+      deny(DENIAL_CODES.ITEM_NOT_FOUND, "Some research papers not found", {
+        research_paper_ids: notFoundIds,
+      });
+    }
+
+    const unavailablePapers = papers
+      .filter((rp) => rp.status && rp.status !== "Available" &&
+        !((rp.status === "On Hold" || rp.status === "Reserved") && heldResearchIds.includes(rp.research_paper_id)))
+      .map((rp) => ({ id: rp.research_paper_id, title: rp.research_title, status: rp.status }));
+    if (unavailablePapers.length > 0) {
+      deny(DENIAL_CODES.ITEM_UNAVAILABLE, "Some research papers are not available for borrowing", {
+        unavailable_research_papers: unavailablePapers,
+      });
+    }
+  }
+
+  return {
+    eligible: reasons.length === 0,
+    reasons,
+    summary: {
+      user_id: user.user_id,
+      user_type: isStudent ? "Student" : "Faculty",
+      max_items: maxItems,
+      active_loans: activeCount,
+      requested: requestedCount,
+      book_ids: bookIds,
+      research_paper_ids: researchPaperIds,
+    },
+  };
+};
+
+/**
+ * Get the loan period in library days for a user type and item type
+ * @param {object} settings - Settings from getBorrowingSettings
+ * @param {boolean} isStudent - Whether the borrower is a student
+ * @param {string} itemType - 'book' or 'research_paper'
+ */
+const getLoanPeriodDays = (settings, isStudent, itemType) => {
+  if (itemType === "research_paper") {
+    return isStudent
+      ? settings.student_research_borrow_days
+      : settings.faculty_research_borrow_days;
+  }
+  return isStudent ? settings.student_borrow_days : settings.faculty_borrow_days;
+};
+
+/**
+ * Compute due dates for a borrow from the loan policy and the library calendar
+ * @param {object} params - { position, borrow_date }
+ * @param {object} db - Pool or connection to read settings from
+ * @returns {Promise<object>} { book, research_paper, loan_days } with 'YYYY-MM-DD' dates
+ */
+const computeDueDates = async ({ position, borrow_date = new Date() }, db = pool) => {
+  const settings = await getBorrowingSettings(db);
+  const isStudent = !position || position === "Student";
+
+  const bookDays = getLoanPeriodDays(settings, isStudent, "book");
+  const researchDays = getLoanPeriodDays(settings, isStudent, "research_paper");
+
+  return {
+    book: await addOpenDays(borrow_date, bookDays),
+    research_paper: await addOpenDays(borrow_date, researchDays),
+    loan_days: { book: bookDays, research_paper: researchDays },
+  };
+};
+
+/**
+ * Pick the HTTP status for a denied eligibility result
+ * @param {Array} reasons - Denial reasons from checkBorrowingEligibility
+ */
+const getDenialStatusCode = (reasons) => {
+  const notFound = reasons.some(
+    (r) => r.code === DENIAL_CODES.USER_NOT_FOUND || r.code === DENIAL_CODES.ITEM_NOT_FOUND
+  );
+  return notFound ? 404 : 403;
+};
+
+module.exports = {
+  DENIAL_CODES,
+  toIdArray,
+  getBorrowingSettings,
+  getLoanPeriodDays,
+  computeDueDates,
+  checkBorrowingEligibility,
+  getDenialStatusCode,
+};
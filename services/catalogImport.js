@@ -0,0 +1,560 @@
+const { pool } = require("../config/database");
+const { readSpreadsheet } = require("./spreadsheetReader");
+const { normalizeMetadataFields } = require("./bookMetadata");
+const { findOrCreateAuthority, setBatchAuthorities } = require("./bookAuthorities");
+
+const MAX_IMPORT_ROWS = 2000;
+const MAX_COPIES_PER_ROW = 100;
+
+// Header names accepted for each column, compared lower-cased with spaces, dashes and slashes as underscores
+const COLUMN_ALIASES = {
+  title: ["title", "book_title"],
+  authors: ["authors", "author"],
+  publisher: ["publisher", "publishers"],
+  edition: ["edition", "book_edition"],
+  year: ["year", "book_year", "year_published"],
+  price: ["price", "book_price"],
+  donor: ["donor", "book_donor"],
+  genre: ["genre"],
+  department: ["department"],
+  category: ["category", "genre_department", "genre_or_department"],
+  shelf: ["shelf", "shelf_location", "shelf_location_id", "book_shelf_loc_id"],
+  quantity: ["quantity", "qty", "copies"],
+  isbn: ["isbn", "isbn13", "isbn_13", "isbn10", "isbn_10"],
+  subject: ["subject", "subjects"],
+  language: ["language"],
+  pages: ["pages", "page_count"],
+  call_number: ["call_number", "call_no"],
+};
+
+const TEMPLATE_COLUMNS = [
+  "title", "authors", "publisher", "edition", "year", "price", "donor", "genre", "department", "shelf", "quantity",
+  "isbn", "subject", "language", "pages", "call_number",
+];
+
+const normalizeHeader = (header) =>
+  String(header || "").trim().toLowerCase().replace(/[\s\-\/]+/g, "_");
+
+// Several authors or publishers in one cell are separated by ";" or "|"
+const splitNames = (value) => [
+  ...new Set(
+    String(value || "")
+      .split(/[;|]/)
+      .map((name) => name.trim().replace(/\s+/g, " "))
+      .filter(Boolean)
+  ),
+];
+
+const nameKey = (value) => String(value || "").trim().toLowerCase();
+
+/**
+ * Turn spreadsheet rows into records keyed by column, using the header row
+ * @param {Array<{ row_number: number, values: string[] }>} rows - Rows from readSpreadsheet
+ * @returns {object} { records, errors, warnings }
+ */
+const mapRows = (rows) => {
+  const errors = [];
+  const warnings = [];
+  if (rows.length === 0) {
+    return { records: [], errors: [{ row_number: null, field: null, message: "The file is empty" }], warnings };
+  }
+
+  const [header, ...body] = rows;
+  const columns = {};
+  header.values.forEach((value, index) => {
+    const name = normalizeHeader(value);
+    if (!name) return;
+    const column = Object.keys(COLUMN_ALIASES).find((key) => COLUMN_ALIASES[key].includes(name));
+    if (!column) {
+      warnings.push({ row_number: header.row_number, field: value, message: `Unknown column "${value}" is ignored` });
+    } else if (columns[column] === undefined) {
+      columns[column] = index;
+    }
+  });
+
+  ["title", "authors", "publisher", "shelf"]
+    .filter((column) => columns[column] === undefined)
+    .forEach((column) => errors.push({ row_number: header.row_number, field: column, message: `Missing required column "${column}"` }));
+  if (columns.genre === undefined && columns.department === undefined && columns.category === undefined) {
+    errors.push({ row_number: header.row_number, field: "genre", message: 'A "genre", "department" or "category" column is required' });
+  }
+  if (body.length > MAX_IMPORT_ROWS) {
+    errors.push({ row_number: null, field: null, message: `An import is limited to ${MAX_IMPORT_ROWS} rows; this file has ${body.length}` });
+  }
+  if (errors.length > 0) return { records: [], errors, warnings };
+
+  const records = body.map((row) => {
+    const record = { row_number: row.row_number };
+    Object.entries(columns).forEach(([column, index]) => {
+      record[column] = String(row.values[index] === undefined ? "" : row.values[index]).trim();
+    });
+    return record;
+  });
+  return { records, errors, warnings };
+};
+
+/**
+ * Load the shelves, departments and existing titles that rows are validated against
+ * @param {object} db - Pool or connection
+ */
+const loadLookups = async (db = pool) => {
+  const [shelves] = await db.execute(
+    `SELECT book_shelf_loc_id, shelf_number, shelf_column, shelf_row FROM book_shelf_location`
+  );
+  const [departments] = await db.execute(
+    `SELECT department_id, department_name, department_acronym FROM departments`
+  );
+  const [titles] = await db.execute(
+    `SELECT batch_registration_key, book_title, book_edition, book_isbn
+     FROM books
+     WHERE status IS NULL OR status != 'Removed'
+     GROUP BY batch_registration_key, book_title, book_edition, book_isbn`
+  );
+
+  return {
+    shelves,
+    departments,
+    titles: new Map(titles.map((t) => [`${nameKey(t.book_title)}|${nameKey(t.book_edition)}`, t.batch_registration_key])),
+    isbns: new Map(titles.filter((t) => t.book_isbn).map((t) => [t.book_isbn, t.batch_registration_key])),
+  };
+};
+
+// Shelf by its ID or as "number-column-row" (e.g. "2-B-3")
+const findShelf = (shelves, value) => {
+  if (/^\d+$/.test(value)) {
+    const shelf = shelves.find((s) => String(s.book_shelf_loc_id) === value);
+    if (shelf) return shelf;
+  }
+  const parts = value.split(/\s*-\s*/).map(nameKey);
+  if (parts.length !== 3) return null;
+  return shelves.find((s) =>
+    nameKey(s.shelf_number) === parts[0] && nameKey(s.shelf_column) === parts[1] && nameKey(s.shelf_row) === parts[2]
+  ) || null;
+};
+
+const findDepartment = (departments, value) =>
+  departments.find((d) => nameKey(d.department_name) === nameKey(value) || (d.department_acronym && nameKey(d.department_acronym) === nameKey(value))) || null;
+
+/**
+ * Validate mapped records and resolve them to catalog values
+ * @param {Array<object>} records - Records from mapRows
+ * @param {object} lookups - From loadLookups
+ * @returns {object} { rows, errors, warnings }
+ */
+const validateRecords = (records, lookups) => {
+  const rows = [];
+  const errors = [];
+  const warnings = [];
+  const seenTitles = new Map();
+  const maxYear = new Date().getFullYear() + 1;
+
+  records.forEach((record) => {
+    const rowErrors = [];
+    const addError = (field, message) => rowErrors.push({ row_number: record.row_number, field, message });
+
+    if (!record.title) addError("title", "Title is required");
+
+    const authors = splitNames(record.authors);
+    if (authors.length === 0) addError("authors", "At least one author is required");
+
+    const publishers = splitNames(record.publisher);
+    if (publishers.length === 0) addError("publisher", "Publisher is required");
+
+    let year = null;
+    if (record.year) {
+      year = parseInt(record.year);
+      if (!/^\d{4}$/.test(record.year) || year < 1000 || year > maxYear) {
+        addError("year", `Year must be a four digit year no later than ${maxYear}`);
+      }
+    }
+
+    let price = null;
+    if (record.price) {
+      price = Number(record.price.replace(/[₱,\s]|PHP/gi, ""));
+      if (!Number.isFinite(price) || price < 0) addError("price", "Price must be a number of zero or more");
+    }
+
+    const quantity = record.quantity ? Number(record.quantity) : 1;
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_COPIES_PER_ROW) {
+      addError("quantity", `Quantity must be a whole number from 1 to ${MAX_COPIES_PER_ROW}`);
+    }
+
+    // Category: a department, or a genre by name; "category" matches a department first
+    let department = null;
+    let genre = null;
+    if (record.genre && record.department) {
+      addError("department", "Give either a genre or a department, not both");
+    } else if (record.department) {
+      department = findDepartment(lookups.departments, record.department);
+      if (!department) addError("department", `Unknown department "${record.department}"`);
+    } else if (record.genre) {
+      genre = record.genre;
+    } else if (record.category) {
+      department = findDepartment(lookups.departments, record.category);
+      if (!department) genre = record.category;
+    } else {
+      addError("genre", "A genre or department is required");
+    }
+
+    const shelf = record.shelf ? findShelf(lookups.shelves, record.shelf) : null;
+    if (!record.shelf) addError("shelf", "Shelf location is required");
+    else if (!shelf) addError("shelf", `Unknown shelf location "${record.shelf}"`);
+
+    const metadata = normalizeMetadataFields({
+      isbn: record.isbn,
+      subject: record.subject,
+      language: record.language,
+      pages: record.pages,
+      call_number: record.call_number,
+    });
+    if (metadata.error) addError(/ISBN/.test(metadata.error) ? "isbn" : "metadata", metadata.error);
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+      return;
+    }
+
+    const titleKey = `${nameKey(record.title)}|${nameKey(record.edition)}`;
+    if (lookups.titles.has(titleKey)) {
+      warnings.push({
+        row_number: record.row_number,
+        field: "title",
+        message: `"${record.title}" is already in the catalog (batch ${lookups.titles.get(titleKey)}); a separate batch will be created`,
+      });
+    }
+    const isbn = metadata.values.book_isbn;
+    if (isbn && lookups.isbns && lookups.isbns.has(isbn)) {
+      warnings.push({
+        row_number: record.row_number,
+        field: "isbn",
+        message: `ISBN ${isbn} is already in the catalog (batch ${lookups.isbns.get(isbn)})`,
+      });
+    }
+    if (seenTitles.has(titleKey)) {
+      warnings.push({
+        row_number: record.row_number,
+        field: "title",
+        message: `"${record.title}" is also on row ${seenTitles.get(titleKey)}`,
+      });
+    } else {
+      seenTitles.set(titleKey, record.row_number);
+    }
+
+    rows.push({
+      row_number: record.row_number,
+      title: record.title,
+      authors,
+      publishers,
+      edition: record.edition || null,
+      year,
+      price,
+      donor: record.donor || null,
+      is_using_department: !!department,
+      department_id: department ? department.department_id : null,
+      genre,
+      shelf_location_id: shelf.book_shelf_loc_id,
+      quantity,
+      isbn: metadata.values.book_isbn || null,
+      isbn10: metadata.values.book_isbn10 || null,
+      subject: metadata.values.book_subject || null,
+      language: metadata.values.book_language || null,
+      pages: metadata.values.book_pages || null,
+      call_number: metadata.values.book_call_number || null,
+    });
+  });
+
+  return { rows, errors, warnings };
+};
+
+/**
+ * Create one batch and its copies from a validated row, inside the caller's transaction.
+ * Genres, publishers and authors reuse the authority with the same name, so later rows
+ * and existing batches share them.
+ *
+ * @param {object} conn - Connection with an open transaction
+ * @param {object} row - Row from validateRecords
+ * @param {string} batchKey - batch_registration_key for the new batch
+ * @returns {Promise<object>} { row_number, batch_registration_key, book_title, copies: [{ book_id, book_number }] }
+ */
+const createBatch = async (conn, row, batchKey) => {
+  const categoryId = row.is_using_department
+    ? row.department_id
+    : await findOrCreateAuthority(conn, "genres", row.genre);
+  const [publisherId] = await setBatchAuthorities(conn, "publishers", batchKey, row.publishers);
+  const [authorId] = await setBatchAuthorities(conn, "authors", batchKey, row.authors);
+
+  const now = new Date();
+  const copies = [];
+  for (let bookNumber = 1; bookNumber <= row.quantity; bookNumber++) {
+    const [book] = await conn.execute(
+      `INSERT INTO books (
+        book_title, book_number, book_qr, book_edition, book_year, book_price, book_donor,
+        book_isbn, book_isbn10, book_subject, book_language, book_pages, book_call_number,
+        book_genre_id, book_publisher_id, book_shelf_location_id, book_author_id, batch_registration_key, isUsingDepartment, created_at
+      ) VALUES (?, ?, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        row.title,
+        bookNumber,
+        row.edition,
+        row.year,
+        row.price,
+        row.donor,
+        row.isbn,
+        row.isbn10,
+        row.subject,
+        row.language,
+        row.pages,
+        row.call_number,
+        categoryId,
+        publisherId,
+        row.shelf_location_id,
+        authorId,
+        batchKey,
+        row.is_using_department ? 1 : 0,
+        now,
+      ]
+    );
+    copies.push({ book_id: book.insertId, book_number: bookNumber });
+  }
+
+  return {
+    row_number: row.row_number,
+    batch_registration_key: batchKey,
+    book_title: row.title,
+    copies,
+  };
+};
+
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+const formatJob = (job) => ({
+  import_id: job.import_id,
+  file_name: job.file_name,
+  status: job.status,
+  can_commit: job.status === "Validated",
+  total_rows: job.total_rows,
+  valid_rows: job.valid_rows,
+  batch_count: job.batch_count,
+  copy_count: job.copy_count,
+  errors: parseJson(job.errors, []),
+  warnings: parseJson(job.warnings, []),
+  result: parseJson(job.result, null),
+  qr_codes: job.qr_status
+    ? {
+        status: job.qr_status,
+        total: job.qr_total,
+        uploaded: job.qr_uploaded,
+        failed: parseJson(job.qr_failed, []),
+      }
+    : null,
+  created_by_admin_id: job.created_by_admin_id,
+  committed_by_admin_id: job.committed_by_admin_id,
+  created_at: job.created_at,
+  completed_at: job.completed_at,
+});
+
+/**
+ * Dry run: read and validate an uploaded catalog file and store it as an import job.
+ * Nothing is added to the catalog until the job is committed.
+ *
+ * @param {object} params
+ * @param {object} params.file - Multer file (CSV or XLSX)
+ * @param {object} params.admin - Administrator running the import
+ * @returns {Promise<object>} { success, status, message, data }
+ */
+const createImportJob = async ({ file, admin }) => {
+  if (!file) {
+    return { success: false, status: 400, message: "Upload a CSV or XLSX file in the \"file\" field" };
+  }
+
+  let sheetRows;
+  try {
+    sheetRows = readSpreadsheet(file);
+  } catch (error) {
+    return { success: false, status: 400, message: error.message };
+  }
+
+  const mapped = mapRows(sheetRows);
+  const validated = mapped.errors.length > 0
+    ? { rows: [], errors: [], warnings: [] }
+    : validateRecords(mapped.records, await loadLookups());
+
+  const errors = [...mapped.errors, ...validated.errors];
+  const warnings = [...mapped.warnings, ...validated.warnings];
+  if (mapped.errors.length === 0 && mapped.records.length === 0) {
+    errors.push({ row_number: null, field: null, message: "The file has no rows below the header" });
+  }
+  const status = errors.length === 0 ? "Validated" : "Invalid";
+
+  const [result] = await pool.execute(
+    `INSERT INTO book_import_jobs
+      (file_name, status, total_rows, valid_rows, batch_count, copy_count, records, errors, warnings, created_by_admin_id, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      file.originalname,
+      status,
+      mapped.records.length,
+      validated.rows.length,
+      validated.rows.length,
+      validated.rows.reduce((sum, row) => sum + row.quantity, 0),
+      JSON.stringify(mapped.records),
+      JSON.stringify(errors),
+      JSON.stringify(warnings),
+      admin ? admin.admin_id : null,
+    ]
+  );
+
+  const job = await getImportJob(result.insertId);
+  return {
+    success: true,
+    status: 200,
+    message: status === "Validated"
+      ? `Dry run passed: ${job.batch_count} batches and ${job.copy_count} copies ready to import`
+      : `Dry run found ${errors.length} ${errors.length === 1 ? "error" : "errors"}; fix the file and upload it again`,
+    data: { ...job, preview: validated.rows.slice(0, 20) },
+  };
+};
+
+/**
+ * Get an import job report
+ * @param {number} importId - Import job ID
+ */
+const getImportJob = async (importId) => {
+  const [jobs] = await pool.execute(
+    `SELECT import_id, file_name, status, total_rows, valid_rows, batch_count, copy_count,
+            errors, warnings, result, qr_status, qr_total, qr_uploaded, qr_failed, created_by_admin_id, committed_by_admin_id, created_at, completed_at
+     FROM book_import_jobs
+     WHERE import_id = ?`,
+    [importId]
+  );
+  return jobs.length > 0 ? formatJob(jobs[0]) : null;
+};
+
+/**
+ * Commit a validated import job: rows are validated again against the current
+ * catalog, then every batch and copy is created in a single transaction.
+ *
+ * @param {number} importId - Import job ID
+ * @param {object} admin - Administrator committing the import
+ * @returns {Promise<object>} { success, status, message, data } with the created copies in data.batches
+ */
+const commitImportJob = async (importId, admin) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const fail = async (status, message, extra = {}) => {
+      await conn.rollback();
+      conn.release();
+      conn = null;
+      return { success: false, status, message, ...extra };
+    };
+
+    const [jobs] = await conn.execute(
+      `SELECT import_id, status, records FROM book_import_jobs WHERE import_id = ? FOR UPDATE`,
+      [importId]
+    );
+    if (jobs.length === 0) return await fail(404, "Import job not found");
+    if (jobs[0].status === "Completed") return await fail(409, "This import has already been committed");
+    if (jobs[0].status !== "Validated") return await fail(409, "Only an import whose dry run passed can be committed");
+
+    const lookups = await loadLookups(conn);
+    const validated = validateRecords(parseJson(jobs[0].records, []), lookups);
+    if (validated.errors.length > 0) {
+      return await fail(409, "The catalog changed since the dry run and some rows are no longer valid; upload the file again", {
+        errors: validated.errors,
+      });
+    }
+
+    const batches = [];
+    for (const row of validated.rows) {
+      batches.push(await createBatch(conn, row, `import_${importId}_${row.row_number}`));
+    }
+
+    const copyCount = batches.reduce((sum, batch) => sum + batch.copies.length, 0);
+    await conn.execute(
+      `UPDATE book_import_jobs
+       SET status = 'Completed', batch_count = ?, copy_count = ?, result = ?,
+           qr_status = 'Pending', qr_total = ?, qr_uploaded = 0, qr_failed = NULL,
+           committed_by_admin_id = ?, completed_at = NOW()
+       WHERE import_id = ?`,
+      [
+        batches.length,
+        copyCount,
+        JSON.stringify({
+          batches: batches.map((batch) => ({
+            row_number: batch.row_number,
+            batch_registration_key: batch.batch_registration_key,
+            book_title: batch.book_title,
+            book_ids: batch.copies.map((copy) => copy.book_id),
+          })),
+        }),
+        copyCount,
+        admin ? admin.admin_id : null,
+        importId,
+      ]
+    );
+
+    await conn.commit();
+    conn.release();
+    conn = null;
+
+    return {
+      success: true,
+      status: 201,
+      message: `Imported ${batches.length} ${batches.length === 1 ? "batch" : "batches"} (${copyCount} ${copyCount === 1 ? "copy" : "copies"})`,
+      data: { import_id: Number(importId), batch_count: batches.length, copy_count: copyCount, batches },
+    };
+  } catch (error) {
+    if (conn) {
+      try { await conn.rollback(); } catch (e) {}
+      try { conn.release(); } catch (e) {}
+    }
+    throw error;
+  }
+};
+
+/**
+ * Record the progress of the QR uploads that run after a commit
+ * @param {number} importId - Import job ID
+ * @param {object} qr - { status: 'Running' | 'Completed', uploaded, failed: [book_id] }
+ */
+const recordQrProgress = async (importId, qr) => {
+  await pool.execute(
+    `UPDATE book_import_jobs SET qr_status = ?, qr_uploaded = ?, qr_failed = ? WHERE import_id = ?`,
+    [qr.status, qr.uploaded, JSON.stringify(qr.failed), importId]
+  );
+};
+
+// CSV with the accepted columns and one example row
+const getTemplateCsv = () =>
+  [
+    TEMPLATE_COLUMNS.join(","),
+    '"Introduction to Algorithms","Cormen, Thomas H.; Leiserson, Charles E.","MIT Press","3rd",2009,2500.00,"Alumni Association","Computer Science","","1-A-1",2,"978-0-262-03384-8","Computer algorithms","English",1292,"QA76.6 .C662 2009"',
+  ].join("\r\n") + "\r\n";
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  MAX_COPIES_PER_ROW,
+  TEMPLATE_COLUMNS,
+  nameKey,
+  findShelf,
+  mapRows,
+  loadLookups,
+  validateRecords,
+  createBatch,
+  createImportJob,
+  getImportJob,
+  commitImportJob,
+  recordQrProgress,
+  getTemplateCsv,
+};
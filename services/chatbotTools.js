@@ -1,4 +1,5 @@
 const { pool } = require('../config/database');
+const { cleanIsbn, toIsbn13 } = require('./isbn');
 
 /**
  * Database Tools for Ollama Chatbot
@@ -286,7 +287,7 @@ const toolImplementations = {
   /**
    * Enhanced book search with intelligent matching
    * Features: fuzzy matching, tokenization, multi-word support, variation handling
-   * Searches: title, author, category/genre, publisher, year, department, keywords
+   * Searches: title, author, category/genre, publisher, year, department, ISBN, subject, call number, keywords
    * Supports: partial matches, exact matches, keyword-based matches, word variations
    * Prioritizes: exact > partial > keyword matches, available > unavailable
    */
@@ -307,14 +308,20 @@ const toolImplementations = {
       const scoreConditions = [];
       const params = [];
       
+      // ISBN scans and typed ISBNs match either stored form, with or without hyphens
+      const isbnQuery = toIsbn13(original) || cleanIsbn(original);
+
       // Pattern 1: Exact or close match on original query
       whereConditions.push(`(
         LOWER(b.book_title) LIKE ? OR
         LOWER(COALESCE(ba.book_author, '')) LIKE ? OR
         LOWER(COALESCE(bg.book_genre, '')) LIKE ? OR
-        LOWER(COALESCE(d.department_name, '')) LIKE ?
+        LOWER(COALESCE(d.department_name, '')) LIKE ? OR
+        LOWER(COALESCE(b.book_subject, '')) LIKE ? OR
+        LOWER(COALESCE(b.book_call_number, '')) LIKE ? OR
+        b.book_isbn = ? OR b.book_isbn10 = ?
       )`);
-      params.push(`%${original}%`, `%${original}%`, `%${original}%`, `%${original}%`);
+      params.push(`%${original}%`, `%${original}%`, `%${original}%`, `%${original}%`, `%${original}%`, `%${original}%`, isbnQuery, isbnQuery);
       
       // Pattern 2: Normalized match (handles punctuation variations)
       if (normalized !== original) {
@@ -328,11 +335,11 @@ const toolImplementations = {
       // Pattern 3: Token-based matching (all tokens present)
       if (tokens.length > 0) {
         const tokenConditions = tokens.map(() => 
-          `(LOWER(b.book_title) LIKE ? OR LOWER(COALESCE(ba.book_author, '')) LIKE ?)`
+          `(LOWER(b.book_title) LIKE ? OR LOWER(COALESCE(ba.book_author, '')) LIKE ? OR LOWER(COALESCE(b.book_subject, '')) LIKE ?)`
         ).join(' AND ');
         whereConditions.push(`(${tokenConditions})`);
         tokens.forEach(token => {
-          params.push(`%${token}%`, `%${token}%`);
+          params.push(`%${token}%`, `%${token}%`, `%${token}%`);
         });
       }
       
@@ -350,6 +357,11 @@ const toolImplementations = {
             ELSE bg.book_genre 
           END AS category,
           b.book_edition,
+          b.book_isbn AS isbn,
+          b.book_subject AS subject,
+          b.book_language AS language,
+          b.book_pages AS pages,
+          b.book_call_number AS call_number,
           b.status,
           CASE
             WHEN b.status = 'Available' THEN 'Available'
@@ -362,6 +374,7 @@ const toolImplementations = {
             -- Exact matches (highest priority)
             CASE WHEN LOWER(b.book_title) = LOWER(?) THEN 100 ELSE 0 END +
             CASE WHEN LOWER(COALESCE(ba.book_author, '')) = LOWER(?) THEN 95 ELSE 0 END +
+            CASE WHEN b.book_isbn = ? OR b.book_isbn10 = ? THEN 100 ELSE 0 END +
             
             -- Starts with matches
             CASE WHEN LOWER(b.book_title) LIKE LOWER(?) THEN 60 ELSE 0 END +
@@ -387,6 +400,10 @@ const toolImplementations = {
             CASE WHEN LOWER(COALESCE(bg.book_genre, '')) LIKE LOWER(?) THEN 25 ELSE 0 END +
             CASE WHEN LOWER(COALESCE(d.department_name, '')) LIKE LOWER(?) THEN 25 ELSE 0 END +
             
+            -- Subject and call number
+            CASE WHEN LOWER(COALESCE(b.book_subject, '')) LIKE LOWER(?) THEN 25 ELSE 0 END +
+            CASE WHEN LOWER(COALESCE(b.book_call_number, '')) LIKE LOWER(?) THEN 45 ELSE 0 END +
+            
             -- Publisher, year, book number
             CASE WHEN LOWER(COALESCE(bp.publisher, '')) LIKE LOWER(?) THEN 18 ELSE 0 END +
             CASE WHEN b.book_number LIKE ? THEN 45 ELSE 0 END +
@@ -403,7 +420,8 @@ const toolImplementations = {
         LEFT JOIN ratings r ON b.book_id = r.book_id
         WHERE ${whereConditions.join(' OR ')}
         GROUP BY b.book_id, b.book_title, ba.book_author, b.book_number, 
-                 bp.publisher, b.book_year, category, b.book_edition, b.status
+                 bp.publisher, b.book_year, category, b.book_edition, b.status,
+                 b.book_isbn, b.book_subject, b.book_language, b.book_pages, b.book_call_number
         HAVING relevance_score > 0
         ORDER BY 
           relevance_score DESC,
@@ -415,12 +433,14 @@ const toolImplementations = {
           ...params, // WHERE clause params
           // Relevance score parameters
           original, original, // exact matches
+          isbnQuery, isbnQuery, // ISBN
           `${original}%`, `${original}%`, // starts with
           `%${original}%`, `%${original}%`, // contains original
           `%${normalized}%`, `%${normalized}%`, // normalized
           ...tokens.map(t => `%${t}%`), // title tokens
           ...tokens.map(t => `%${t}%`), // author tokens
           `%${original}%`, `%${original}%`, // genre, department
+          `%${original}%`, `%${original}%`, // subject, call number
           `%${original}%`, `%${original}%`, `%${original}%`, // publisher, book_number, year
           parseInt(limit)
         ]
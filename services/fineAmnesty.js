@@ -0,0 +1,236 @@
+const { pool } = require("../config/database");
+const { formatDate } = require("./libraryCalendar");
+const { roundAmount } = require("./penaltyLedger");
+
+const PENALTY_TYPES = ["overdue", "lost_damaged"];
+const DISCOUNT_TYPES = ["percentage", "fixed_amount"];
+
+// Stored comma separated; an empty user_positions list means every position
+const splitList = (value) =>
+  String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const formatCampaign = (campaign) => ({
+  ...campaign,
+  penalty_types: splitList(campaign.penalty_types),
+  user_positions: splitList(campaign.user_positions),
+  discount_value: roundAmount(campaign.discount_value),
+  require_return_in_window: !!campaign.require_return_in_window,
+  is_active: !!campaign.is_active,
+});
+
+/**
+ * Get the campaigns whose window covers a date
+ * @param {Date|string} date - Date to check (default today)
+ * @param {object} db - Pool or connection to run the query on
+ */
+const getActiveCampaigns = async (date = new Date(), db = pool) => {
+  const day = formatDate(date);
+  const [campaigns] = await db.execute(
+    `SELECT campaign_id, campaign_name, description,
+            DATE_FORMAT(start_date, '%Y-%m-%d') as start_date,
+            DATE_FORMAT(end_date, '%Y-%m-%d') as end_date,
+            penalty_types, user_positions, discount_type, discount_value,
+            require_return_in_window, is_active
+     FROM fine_amnesty_campaigns
+     WHERE is_active = 1 AND start_date <= ? AND end_date >= ?
+     ORDER BY start_date ASC`,
+    [day, day]
+  );
+  return campaigns.map(formatCampaign);
+};
+
+/**
+ * Check whether a campaign covers a penalty
+ * @param {object} campaign - Campaign from getActiveCampaigns
+ * @param {object} penalty - { penalty_type, position, return_date }
+ */
+const isEligible = (campaign, penalty) => {
+  if (!campaign.penalty_types.includes(penalty.penalty_type || "overdue")) return false;
+
+  // Users without a position are treated as students everywhere else
+  const position = (penalty.position || "Student").toLowerCase();
+  if (campaign.user_positions.length > 0 &&
+      !campaign.user_positions.some((allowed) => allowed.toLowerCase() === position)) {
+    return false;
+  }
+
+  if (campaign.require_return_in_window) {
+    const returned = formatDate(penalty.return_date);
+    if (!returned || returned < campaign.start_date || returned > campaign.end_date) return false;
+  }
+  return true;
+};
+
+/**
+ * Amount a campaign takes off an outstanding balance
+ * @param {object} campaign - Campaign
+ * @param {number} balance - Outstanding balance
+ */
+const getDiscount = (campaign, balance) => {
+  const discount = campaign.discount_type === "percentage"
+    ? balance * campaign.discount_value / 100
+    : campaign.discount_value;
+  return Math.min(roundAmount(discount), roundAmount(balance));
+};
+
+/**
+ * Apply the best eligible campaign to a penalty, at most once per penalty.
+ * Must run inside the caller's transaction with the penalty row locked; the
+ * forgiven amount is stored in penalties.amnesty_amount so the ledger balance
+ * drops by it.
+ *
+ * @param {object} conn - Connection holding the penalty lock
+ * @param {object} penalty - Locked penalty row
+ * @param {number} balance - Outstanding balance before the campaign
+ * @returns {Promise<object|null>} { campaign_id, campaign_name, amount } or null if none applied
+ */
+const applyAmnesty = async (conn, penalty, balance) => {
+  if (penalty.amnesty_campaign_id || !(balance > 0)) return null;
+
+  const campaigns = await getActiveCampaigns(new Date(), conn);
+  if (campaigns.length === 0) return null;
+
+  const [details] = await conn.execute(
+    `SELECT u.position, t.return_date
+     FROM penalties p
+     LEFT JOIN users u ON p.user_id = u.user_id
+     LEFT JOIN transactions t ON p.transaction_id = t.transaction_id
+     WHERE p.penalty_id = ?`,
+    [penalty.penalty_id]
+  );
+  const subject = { ...penalty, ...(details[0] || {}) };
+
+  // Several campaigns can overlap; the patron gets the biggest discount
+  let best = null;
+  campaigns
+    .filter((campaign) => isEligible(campaign, subject))
+    .forEach((campaign) => {
+      const amount = getDiscount(campaign, balance);
+      if (amount > 0 && (!best || amount > best.amount)) {
+        best = { campaign_id: campaign.campaign_id, campaign_name: campaign.campaign_name, amount };
+      }
+    });
+  if (!best) return null;
+
+  await conn.execute(
+    `UPDATE penalties
+     SET amnesty_campaign_id = ?, amnesty_amount = ?, amnesty_applied_at = NOW(), updated_at = NOW()
+     WHERE penalty_id = ?`,
+    [best.campaign_id, best.amount, penalty.penalty_id]
+  );
+  return best;
+};
+
+/**
+ * Validate a campaign body, returns an error message or null
+ * @param {object} body - Campaign fields
+ * @param {boolean} partial - Only validate the fields that are present (updates)
+ */
+const validateCampaign = (body, partial = false) => {
+  const { campaign_name, start_date, end_date, penalty_types, user_positions, discount_type, discount_value } = body;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  if ((!partial || campaign_name !== undefined) && (!campaign_name || !String(campaign_name).trim())) {
+    return "campaign_name is required";
+  }
+  if ((!partial || start_date !== undefined) && !datePattern.test(start_date || "")) {
+    return "start_date must be in YYYY-MM-DD format";
+  }
+  if ((!partial || end_date !== undefined) && !datePattern.test(end_date || "")) {
+    return "end_date must be in YYYY-MM-DD format";
+  }
+  if (!partial || penalty_types !== undefined) {
+    if (!Array.isArray(penalty_types) || penalty_types.length === 0 ||
+        penalty_types.some((type) => !PENALTY_TYPES.includes(type))) {
+      return `penalty_types must be a non-empty array of: ${PENALTY_TYPES.join(", ")}`;
+    }
+  }
+  if (user_positions !== undefined && user_positions !== null &&
+      (!Array.isArray(user_positions) || user_positions.some((position) => !String(position).trim()))) {
+    return "user_positions must be an array of positions (empty for everyone)";
+  }
+  if ((!partial || discount_type !== undefined) && !DISCOUNT_TYPES.includes(discount_type)) {
+    return `discount_type must be one of: ${DISCOUNT_TYPES.join(", ")}`;
+  }
+  if (!partial || discount_value !== undefined) {
+    const value = parseFloat(discount_value);
+    if (!Number.isFinite(value) || value <= 0) return "discount_value must be greater than zero";
+    if (discount_type === "percentage" && value > 100) return "A percentage discount cannot exceed 100";
+  }
+  return null;
+};
+
+/**
+ * Totals forgiven under each campaign
+ * @param {object} filters - { from, to } limit campaigns to those overlapping the range
+ * @returns {Promise<object>} { campaigns: [...], totals }
+ */
+const getAmnestyReport = async ({ from = null, to = null } = {}) => {
+  const conditions = [];
+  const params = [];
+  if (from) {
+    conditions.push("c.end_date >= ?");
+    params.push(from);
+  }
+  if (to) {
+    conditions.push("c.start_date <= ?");
+    params.push(to);
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT c.campaign_id, c.campaign_name,
+            DATE_FORMAT(c.start_date, '%Y-%m-%d') as start_date,
+            DATE_FORMAT(c.end_date, '%Y-%m-%d') as end_date,
+            c.discount_type, c.discount_value, c.is_active,
+            COUNT(p.penalty_id) as penalties_count,
+            COUNT(DISTINCT p.user_id) as users_count,
+            COALESCE(SUM(p.amnesty_amount), 0) as total_forgiven,
+            COALESCE(SUM(CASE WHEN p.penalty_type = 'lost_damaged' THEN p.amnesty_amount ELSE 0 END), 0) as lost_damaged_forgiven,
+            COALESCE(SUM(CASE WHEN p.penalty_type = 'lost_damaged' THEN 0 ELSE p.amnesty_amount END), 0) as overdue_forgiven,
+            SUM(CASE WHEN p.status = 'Paid' THEN 1 ELSE 0 END) as settled_by_payment,
+            SUM(CASE WHEN p.status = 'Waived' THEN 1 ELSE 0 END) as settled_by_waiver
+     FROM fine_amnesty_campaigns c
+     LEFT JOIN penalties p ON p.amnesty_campaign_id = c.campaign_id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+     GROUP BY c.campaign_id
+     ORDER BY c.start_date DESC`,
+    params
+  );
+
+  const campaigns = rows.map((row) => ({
+    ...row,
+    discount_value: roundAmount(row.discount_value),
+    is_active: !!row.is_active,
+    penalties_count: parseInt(row.penalties_count) || 0,
+    users_count: parseInt(row.users_count) || 0,
+    total_forgiven: roundAmount(row.total_forgiven),
+    overdue_forgiven: roundAmount(row.overdue_forgiven),
+    lost_damaged_forgiven: roundAmount(row.lost_damaged_forgiven),
+    settled_by_payment: parseInt(row.settled_by_payment) || 0,
+    settled_by_waiver: parseInt(row.settled_by_waiver) || 0,
+  }));
+
+  return {
+    campaigns,
+    totals: {
+      campaigns: campaigns.length,
+      penalties_count: campaigns.reduce((sum, c) => sum + c.penalties_count, 0),
+      total_forgiven: roundAmount(campaigns.reduce((sum, c) => sum + c.total_forgiven, 0)),
+    },
+  };
+};
+
+module.exports = {
+  PENALTY_TYPES,
+  DISCOUNT_TYPES,
+  formatCampaign,
+  getActiveCampaigns,
+  isEligible,
+  getDiscount,
+  applyAmnesty,
+  validateCampaign,
+  getAmnestyReport,
+};
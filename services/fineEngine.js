@@ -0,0 +1,133 @@
+const { pool } = require("../config/database");
+const { formatDate, addOpenDays, countOpenDays } = require("./libraryCalendar");
+const { getBorrowingSettings, getLoanPeriodDays } = require("./borrowingPolicy");
+
+// Defaults used when system_settings has no value (match the schema defaults)
+const DEFAULT_FINE_SETTINGS = {
+  student_daily_fine: 5,
+  faculty_daily_fine: 10,
+  fine_grace_days: 0,
+  fine_max_per_item: 200,
+};
+
+/**
+ * Get the fine related system settings, including the loan periods used when
+ * an old transaction has no stored due date
+ * @param {object} db - Pool or connection to run the query on
+ */
+const getFineSettings = async (db = pool) => {
+  const [settings] = await db.execute(
+    `SELECT student_daily_fine, faculty_daily_fine,
+            student_research_daily_fine, faculty_research_daily_fine,
+            fine_grace_days, fine_max_per_item
+     FROM system_settings
+     LIMIT 1`
+  );
+
+  const row = settings[0] || {};
+  const toAmount = (value, fallback) => {
+    const amount = parseFloat(value);
+    return Number.isFinite(amount) && amount >= 0 ? amount : fallback;
+  };
+
+  const studentDailyFine = toAmount(row.student_daily_fine, DEFAULT_FINE_SETTINGS.student_daily_fine);
+  const facultyDailyFine = toAmount(row.faculty_daily_fine, DEFAULT_FINE_SETTINGS.faculty_daily_fine);
+
+  return {
+    ...(await getBorrowingSettings(db)),
+    student_daily_fine: studentDailyFine,
+    faculty_daily_fine: facultyDailyFine,
+    // Research paper rates fall back to the book rates when not set
+    student_research_daily_fine: toAmount(row.student_research_daily_fine, studentDailyFine),
+    faculty_research_daily_fine: toAmount(row.faculty_research_daily_fine, facultyDailyFine),
+    fine_grace_days: parseInt(row.fine_grace_days) || DEFAULT_FINE_SETTINGS.fine_grace_days,
+    // 0 disables the cap
+    fine_max_per_item: toAmount(row.fine_max_per_item, DEFAULT_FINE_SETTINGS.fine_max_per_item),
+  };
+};
+
+/**
+ * Work out whether a transaction is for a book or a research paper
+ * @param {object} transaction - Row with book_id / research_paper_id
+ * @returns {string} 'book' or 'research_paper'
+ */
+const getItemType = (transaction) =>
+  transaction.research_paper_id && !transaction.book_id ? "research_paper" : "book";
+
+/**
+ * Get the daily fine for a user type and item type
+ * @param {object} settings - Settings from getFineSettings
+ * @param {boolean} isStudent - Whether the borrower is a student
+ * @param {string} itemType - 'book' or 'research_paper'
+ */
+const getDailyFine = (settings, isStudent, itemType) => {
+  if (itemType === "research_paper") {
+    return isStudent
+      ? settings.student_research_daily_fine
+      : settings.faculty_research_daily_fine;
+  }
+  return isStudent ? settings.student_daily_fine : settings.faculty_daily_fine;
+};
+
+/**
+ * Compute the overdue fine for a single borrowed item.
+ *
+ * Only open library days are counted, from the due date (or transaction date +
+ * loan period for old rows without one) to the return date, or to today while
+ * the item is still out. Sundays, holidays and closures never accrue fines.
+ * The first fine_grace_days overdue days are free, and the result is capped at
+ * fine_max_per_item. Lost item replacement costs are not part of this amount.
+ *
+ * @param {object} transaction - { due_date, transaction_date, return_date, position, book_id, research_paper_id }
+ * @param {object} settings - Settings from getFineSettings (loaded when omitted)
+ * @param {Date|string} asOf - Date to compute the fine for while the item is out (default today)
+ * @param {object} calendar - Calendar from loadCalendarSince, so a list of loans is not a query per loan (optional)
+ * @returns {Promise<object>} { fine, uncapped_fine, capped, days_overdue, chargeable_days, grace_days, daily_fine, max_fine, user_type, item_type, due_date, calculation_date }
+ */
+const calculateFine = async (transaction, settings = null, asOf = new Date(), calendar = null) => {
+  if (!settings) settings = await getFineSettings();
+
+  const isStudent = !transaction.position || transaction.position === "Student";
+  const itemType = getItemType(transaction);
+
+  let dueDate = formatDate(transaction.due_date);
+  if (!dueDate && transaction.transaction_date) {
+    dueDate = await addOpenDays(
+      transaction.transaction_date,
+      getLoanPeriodDays(settings, isStudent, itemType)
+    );
+  }
+
+  const calculationDate = formatDate(transaction.return_date || asOf);
+  const dailyFine = getDailyFine(settings, isStudent, itemType);
+  const graceDays = settings.fine_grace_days;
+  const maxFine = settings.fine_max_per_item;
+
+  const daysOverdue = dueDate ? await countOpenDays(dueDate, calculationDate, calendar) : 0;
+  const chargeableDays = Math.max(0, daysOverdue - graceDays);
+  const uncappedFine = chargeableDays * dailyFine;
+  const capped = maxFine > 0 && uncappedFine > maxFine;
+
+  return {
+    fine: capped ? maxFine : uncappedFine,
+    uncapped_fine: uncappedFine,
+    capped,
+    days_overdue: daysOverdue,
+    chargeable_days: chargeableDays,
+    grace_days: graceDays,
+    daily_fine: dailyFine,
+    max_fine: maxFine,
+    user_type: isStudent ? "student" : "faculty",
+    item_type: itemType,
+    due_date: dueDate,
+    calculation_date: calculationDate,
+  };
+};
+
+module.exports = {
+  DEFAULT_FINE_SETTINGS,
+  getFineSettings,
+  getItemType,
+  getDailyFine,
+  calculateFine,
+};
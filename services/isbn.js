@@ -0,0 +1,74 @@
+/**
+ * ISBN helpers: checksum validation and ISBN-10 <-> ISBN-13 conversion.
+ * Books store the ISBN-13 (book_isbn) and, for 978 numbers, the ISBN-10 (book_isbn10).
+ */
+
+// Strip spaces and hyphens; an ISBN-10 may end in X
+const cleanIsbn = (value) => String(value || "").replace(/[\s-]/g, "").toUpperCase();
+
+const isbn10CheckDigit = (first9) => {
+  const sum = first9.split("").reduce((total, digit, index) => total + Number(digit) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? "X" : String(check);
+};
+
+const isbn13CheckDigit = (first12) => {
+  const sum = first12.split("").reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+const isValidIsbn10 = (value) => {
+  const isbn = cleanIsbn(value);
+  return /^\d{9}[\dX]$/.test(isbn) && isbn10CheckDigit(isbn.slice(0, 9)) === isbn[9];
+};
+
+const isValidIsbn13 = (value) => {
+  const isbn = cleanIsbn(value);
+  return /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12];
+};
+
+/**
+ * Convert a valid ISBN-10 to ISBN-13 (978 prefix)
+ * @param {string} value - ISBN-10
+ * @returns {string|null}
+ */
+const toIsbn13 = (value) => {
+  const isbn = cleanIsbn(value);
+  if (isValidIsbn13(isbn)) return isbn;
+  if (!isValidIsbn10(isbn)) return null;
+  const first12 = `978${isbn.slice(0, 9)}`;
+  return `${first12}${isbn13CheckDigit(first12)}`;
+};
+
+/**
+ * Convert a valid ISBN-13 to ISBN-10; only 978 numbers have one
+ * @param {string} value - ISBN-13
+ * @returns {string|null}
+ */
+const toIsbn10 = (value) => {
+  const isbn = cleanIsbn(value);
+  if (isValidIsbn10(isbn)) return isbn;
+  if (!isValidIsbn13(isbn) || !isbn.startsWith("978")) return null;
+  const first9 = isbn.slice(3, 12);
+  return `${first9}${isbn10CheckDigit(first9)}`;
+};
+
+/**
+ * Validate an ISBN-10 or ISBN-13 and return both forms
+ * @param {string} value - ISBN as scanned or typed (hyphens allowed)
+ * @returns {object|null} { isbn13, isbn10 } or null when the ISBN is invalid
+ */
+const normalizeIsbn = (value) => {
+  const isbn13 = toIsbn13(value);
+  if (!isbn13) return null;
+  return { isbn13, isbn10: toIsbn10(isbn13) };
+};
+
+module.exports = {
+  cleanIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  toIsbn13,
+  toIsbn10,
+  normalizeIsbn,
+};
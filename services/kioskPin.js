@@ -0,0 +1,208 @@
+const bcrypt = require("bcryptjs");
+const { pool } = require("../config/database");
+const { logActivity } = require("../helpers/activityLogger");
+
+// Failed guesses allowed before a kiosk is locked out
+const MAX_FAILED_ATTEMPTS = 5;
+
+// Lockout length in minutes for the 1st, 2nd, 3rd... lockout in a row
+const LOCKOUT_MINUTES = [1, 5, 15, 60];
+
+const SALT_ROUNDS = 10;
+
+/**
+ * Check if a stored PIN is already a bcrypt hash
+ * @param {string} storedPin - Value of system_settings.kiosk_pin
+ */
+const isHashed = (storedPin) => /^\$2[aby]\$\d{2}\$/.test(storedPin || "");
+
+/**
+ * Hash a kiosk PIN for storage
+ * @param {string} pin - 6 digit PIN
+ */
+const hashPin = (pin) => bcrypt.hash(String(pin), SALT_ROUNDS);
+
+/**
+ * Compare a PIN with the stored value.
+ * PINs saved before hashing was introduced are compared as plaintext and
+ * re-saved as a hash on the first successful match.
+ *
+ * @param {string} pin - PIN entered
+ * @param {string} storedPin - Value of system_settings.kiosk_pin
+ * @returns {Promise<boolean>}
+ */
+const comparePin = async (pin, storedPin) => {
+  if (!pin || !storedPin) return false;
+
+  if (isHashed(storedPin)) {
+    return bcrypt.compare(String(pin), storedPin);
+  }
+
+  const matches = String(pin) === storedPin;
+  if (matches) {
+    await pool.execute(`UPDATE system_settings SET kiosk_pin = ?`, [await hashPin(pin)]);
+  }
+  return matches;
+};
+
+/**
+ * Get the stored kiosk PIN hash (never sent to clients)
+ */
+const getStoredPin = async () => {
+  const [settings] = await pool.execute(`SELECT kiosk_pin FROM system_settings LIMIT 1`);
+  return settings[0]?.kiosk_pin || null;
+};
+
+/**
+ * Save a new kiosk PIN as a bcrypt hash, or clear it
+ * @param {string|null} pin - New PIN, or null to remove it
+ */
+const savePin = async (pin) => {
+  const value = pin ? await hashPin(pin) : null;
+  const [result] = await pool.execute(`UPDATE system_settings SET kiosk_pin = ?`, [value]);
+  return result;
+};
+
+/**
+ * Verify a PIN entered at a kiosk, throttled per kiosk.
+ * After MAX_FAILED_ATTEMPTS wrong guesses the kiosk is locked out; each
+ * consecutive lockout lasts longer (see LOCKOUT_MINUTES) and is written to the
+ * activity log. A correct PIN resets the counters.
+ *
+ * Guesses from one kiosk are checked one at a time: the kiosk's attempts row
+ * is locked for the whole check, so parallel requests cannot get past the
+ * limit.
+ *
+ * @param {Object} params
+ * @param {string} params.kiosk_key - Kiosk identifier used for throttling
+ * @param {string} params.pin - PIN entered
+ * @returns {Promise<Object>} { status, valid, locked, message, attempts_remaining, locked_until, retry_after }
+ */
+const verifyKioskPin = async ({ kiosk_key, pin }) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    await conn.execute(
+      `INSERT IGNORE INTO kiosk_pin_attempts (kiosk_key) VALUES (?)`,
+      [kiosk_key]
+    );
+    const [attempts] = await conn.execute(
+      `SELECT failed_attempts, lockout_count, locked_until, locked_until > NOW() as is_locked,
+              GREATEST(TIMESTAMPDIFF(SECOND, NOW(), locked_until), 0) as retry_after
+       FROM kiosk_pin_attempts
+       WHERE kiosk_key = ?
+       FOR UPDATE`,
+      [kiosk_key]
+    );
+    const state = attempts[0];
+
+    if (state.is_locked) {
+      await conn.rollback();
+      conn.release();
+      conn = null;
+      return {
+        status: 429,
+        valid: false,
+        locked: true,
+        message: "Too many incorrect PIN attempts. Please try again later.",
+        locked_until: state.locked_until,
+        retry_after: parseInt(state.retry_after) || 0
+      };
+    }
+
+    const storedPin = await getStoredPin();
+    if (!storedPin) {
+      await conn.rollback();
+      conn.release();
+      conn = null;
+      return { status: 404, valid: false, locked: false, message: "No PIN is currently set" };
+    }
+
+    if (await comparePin(pin, storedPin)) {
+      await conn.execute(`DELETE FROM kiosk_pin_attempts WHERE kiosk_key = ?`, [kiosk_key]);
+      await conn.commit();
+      conn.release();
+      conn = null;
+      return { status: 200, valid: true, locked: false, message: "PIN is correct" };
+    }
+
+    await conn.execute(
+      `UPDATE kiosk_pin_attempts
+       SET failed_attempts = failed_attempts + 1, last_failed_at = NOW()
+       WHERE kiosk_key = ?`,
+      [kiosk_key]
+    );
+    const [counted] = await conn.execute(
+      `SELECT failed_attempts, lockout_count FROM kiosk_pin_attempts WHERE kiosk_key = ?`,
+      [kiosk_key]
+    );
+    const failedAttempts = parseInt(counted[0].failed_attempts) || 0;
+
+    if (failedAttempts < MAX_FAILED_ATTEMPTS) {
+      await conn.commit();
+      conn.release();
+      conn = null;
+      return {
+        status: 200,
+        valid: false,
+        locked: false,
+        message: "PIN is incorrect",
+        attempts_remaining: MAX_FAILED_ATTEMPTS - failedAttempts
+      };
+    }
+
+    // LOCK OUT THE KIOSK, LONGER FOR EACH CONSECUTIVE LOCKOUT
+    const lockoutCount = (parseInt(counted[0].lockout_count) || 0) + 1;
+    const lockoutMinutes = LOCKOUT_MINUTES[Math.min(lockoutCount, LOCKOUT_MINUTES.length) - 1];
+
+    await conn.execute(
+      `UPDATE kiosk_pin_attempts
+       SET failed_attempts = 0, lockout_count = ?, locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+       WHERE kiosk_key = ?`,
+      [lockoutCount, lockoutMinutes, kiosk_key]
+    );
+    const [locked] = await conn.execute(
+      `SELECT locked_until FROM kiosk_pin_attempts WHERE kiosk_key = ?`,
+      [kiosk_key]
+    );
+
+    await conn.commit();
+    conn.release();
+    conn = null;
+
+    await logActivity({
+      action: "KIOSK_PIN_LOCKOUT",
+      details: `Kiosk ${kiosk_key} locked out for ${lockoutMinutes} minute(s) after ${MAX_FAILED_ATTEMPTS} incorrect PIN attempts (lockout #${lockoutCount})`,
+      status: "failed",
+      actor_type: "kiosk"
+    });
+
+    return {
+      status: 429,
+      valid: false,
+      locked: true,
+      message: `Too many incorrect PIN attempts. Kiosk locked for ${lockoutMinutes} minute(s).`,
+      locked_until: locked[0]?.locked_until || null,
+      retry_after: lockoutMinutes * 60
+    };
+  } catch (error) {
+    if (conn) {
+      try {
+        await conn.rollback();
+        conn.release();
+      } catch (e) {}
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  MAX_FAILED_ATTEMPTS,
+  LOCKOUT_MINUTES,
+  comparePin,
+  getStoredPin,
+  savePin,
+  verifyKioskPin
+};
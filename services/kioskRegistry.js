@@ -0,0 +1,166 @@
+const crypto = require("crypto");
+const { pool } = require("../config/database");
+
+// A kiosk is reported offline when no heartbeat arrived within this window
+const HEARTBEAT_TIMEOUT_SECONDS = 90;
+
+/**
+ * Generate a new kiosk credential. Only the SHA-256 hash is stored, so the
+ * plain key is shown to the admin once when the kiosk is registered.
+ */
+const generateKioskKey = () => `kiosk_${crypto.randomBytes(24).toString("hex")}`;
+
+/**
+ * Hash a kiosk credential for storage and lookup
+ * @param {string} kioskKey - Plain kiosk key
+ */
+const hashKioskKey = (kioskKey) =>
+  crypto.createHash("sha256").update(String(kioskKey)).digest("hex");
+
+/**
+ * Find the active kiosk that owns a credential
+ * @param {string} kioskKey - Plain kiosk key from the X-Kiosk-Key header
+ * @returns {Promise<Object|null>} Kiosk row or null
+ */
+const findKioskByKey = async (kioskKey) => {
+  if (!kioskKey) return null;
+  const [kiosks] = await pool.execute(
+    `SELECT kiosk_id, kiosk_name, location, status
+     FROM kiosks
+     WHERE api_key_hash = ? AND status = 'Active'
+     LIMIT 1`,
+    [hashKioskKey(kioskKey)]
+  );
+  return kiosks[0] || null;
+};
+
+/**
+ * Register a kiosk device and issue its credential
+ * @param {Object} params - { kiosk_name, location, admin_id }
+ * @returns {Promise<Object>} { kiosk_id, kiosk_key }
+ */
+const registerKiosk = async ({ kiosk_name, location = null, admin_id = null }) => {
+  const kioskKey = generateKioskKey();
+  const [result] = await pool.execute(
+    `INSERT INTO kiosks (kiosk_name, location, api_key_hash, key_prefix, status, created_by_admin_id, created_at)
+     VALUES (?, ?, ?, ?, 'Active', ?, NOW())`,
+    [kiosk_name, location, hashKioskKey(kioskKey), kioskKey.slice(0, 12), admin_id]
+  );
+  return { kiosk_id: result.insertId, kiosk_key: kioskKey };
+};
+
+/**
+ * Replace a kiosk's credential; the old key stops working immediately
+ * @param {number} kiosk_id - Kiosk ID
+ * @returns {Promise<string|null>} New plain key, or null if the kiosk does not exist
+ */
+const rotateKioskKey = async (kiosk_id) => {
+  const kioskKey = generateKioskKey();
+  const [result] = await pool.execute(
+    `UPDATE kiosks SET api_key_hash = ?, key_prefix = ?, updated_at = NOW() WHERE kiosk_id = ?`,
+    [hashKioskKey(kioskKey), kioskKey.slice(0, 12), kiosk_id]
+  );
+  return result.affectedRows > 0 ? kioskKey : null;
+};
+
+/**
+ * Record a heartbeat sent by a kiosk over the WebSocket connection
+ * @param {number} kiosk_id - Kiosk ID
+ * @param {Object} data - { app_version, current_user_id, errors, last_error }
+ * @param {string} ip_address - Remote address of the socket (optional)
+ */
+const recordHeartbeat = async (kiosk_id, data = {}, ip_address = null) => {
+  const newErrors = Math.max(parseInt(data.errors) || 0, 0);
+  await pool.execute(
+    `UPDATE kiosks
+     SET last_seen_at = NOW(),
+         last_ip = COALESCE(?, last_ip),
+         app_version = COALESCE(?, app_version),
+         current_user_id = ?,
+         session_started_at = CASE
+           WHEN ? IS NULL THEN NULL
+           WHEN current_user_id <=> ? THEN session_started_at
+           ELSE NOW()
+         END,
+         error_count = error_count + ?,
+         last_error = COALESCE(?, last_error),
+         last_error_at = CASE WHEN ? IS NOT NULL THEN NOW() ELSE last_error_at END
+     WHERE kiosk_id = ?`,
+    [
+      ip_address,
+      data.app_version || null,
+      data.current_user_id || null,
+      data.current_user_id || null,
+      data.current_user_id || null,
+      newErrors,
+      data.last_error || null,
+      data.last_error || null,
+      kiosk_id
+    ]
+  );
+};
+
+/**
+ * Count a server-side error against the kiosk that made the request
+ * @param {number} kiosk_id - Kiosk ID
+ * @param {string} message - Error message
+ */
+const recordKioskError = async (kiosk_id, message) => {
+  if (!kiosk_id) return;
+  try {
+    await pool.execute(
+      `UPDATE kiosks
+       SET error_count = error_count + 1, last_error = ?, last_error_at = NOW()
+       WHERE kiosk_id = ?`,
+      [String(message || "Unknown error").slice(0, 500), kiosk_id]
+    );
+  } catch (error) {
+    console.error(`[Kiosk Registry] Error recording error for kiosk ${kiosk_id}:`, error);
+  }
+};
+
+/**
+ * List kiosks with their status (never includes the credential hash)
+ * @param {number} kiosk_id - Only this kiosk (optional)
+ */
+const getKioskStatuses = async (kiosk_id = null) => {
+  const [kiosks] = await pool.execute(
+    `SELECT
+       k.kiosk_id, k.kiosk_name, k.location, k.status, k.key_prefix, k.app_version,
+       k.last_seen_at, k.last_ip,
+       (k.last_seen_at IS NOT NULL AND k.last_seen_at >= DATE_SUB(NOW(), INTERVAL ? SECOND)) as is_online,
+       k.current_user_id, k.session_started_at,
+       CONCAT(u.first_name, ' ', u.last_name) as current_user_name,
+       k.error_count, k.last_error, k.last_error_at,
+       k.created_by_admin_id, k.created_at, k.updated_at,
+       (SELECT COUNT(*) FROM transactions t
+        WHERE t.kiosk_id = k.kiosk_id AND DATE(t.transaction_date) = CURDATE()) as borrows_today,
+       (SELECT COUNT(*) FROM transactions t
+        WHERE t.return_kiosk_id = k.kiosk_id AND DATE(t.return_date) = CURDATE()) as returns_today
+     FROM kiosks k
+     LEFT JOIN users u ON k.current_user_id = u.user_id
+     ${kiosk_id ? "WHERE k.kiosk_id = ?" : ""}
+     ORDER BY k.kiosk_name ASC`,
+    kiosk_id ? [HEARTBEAT_TIMEOUT_SECONDS, kiosk_id] : [HEARTBEAT_TIMEOUT_SECONDS]
+  );
+
+  return kiosks.map((kiosk) => ({
+    ...kiosk,
+    is_online: !!kiosk.is_online,
+    // The patron session is only meaningful while the kiosk is reporting in
+    current_user_id: kiosk.is_online ? kiosk.current_user_id : null,
+    current_user_name: kiosk.is_online ? kiosk.current_user_name : null,
+    session_started_at: kiosk.is_online ? kiosk.session_started_at : null
+  }));
+};
+
+module.exports = {
+  HEARTBEAT_TIMEOUT_SECONDS,
+  hashKioskKey,
+  findKioskByKey,
+  registerKiosk,
+  rotateKioskKey,
+  recordHeartbeat,
+  recordKioskError,
+  getKioskStatuses
+};
@@ -0,0 +1,194 @@
+const { pool } = require("../config/database");
+const moment = require("moment-timezone");
+
+const LIBRARY_TIMEZONE = "Asia/Manila";
+
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Kinds of dated closures stored in library_holidays
+const CLOSURE_TYPES = ["holiday", "closure", "semester_break"];
+
+/**
+ * Format a Date or date string as 'YYYY-MM-DD' in library time
+ * @param {Date|string} date - Date to format
+ */
+const formatDate = (date) => {
+  if (!date) return null;
+  if (typeof date === "string" && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+  return moment(date).tz(LIBRARY_TIMEZONE).format("YYYY-MM-DD");
+};
+
+/**
+ * Parse a date as a moment at midnight library time
+ * @param {Date|string} date - Date to parse
+ */
+const toLibraryDay = (date) => moment.tz(formatDate(date), "YYYY-MM-DD", LIBRARY_TIMEZONE);
+
+/**
+ * Get the days of the week the library is always closed
+ * @returns {Promise<number[]>} Day numbers (0 = Sunday ... 6 = Saturday)
+ */
+const getWeeklyClosedDays = async () => {
+  const [rows] = await pool.execute(
+    `SELECT day_of_week FROM library_weekly_closures ORDER BY day_of_week ASC`
+  );
+  return rows.map((row) => parseInt(row.day_of_week));
+};
+
+/**
+ * Get library holidays and closures between two dates as a Set of 'YYYY-MM-DD'
+ * strings. Date ranges are expanded to every day they cover.
+ * @param {string} fromDate - Start date (inclusive)
+ * @param {string} toDate - End date (inclusive)
+ */
+const getHolidaySet = async (fromDate, toDate) => {
+  const [rows] = await pool.execute(
+    `SELECT DATE_FORMAT(holiday_date, '%Y-%m-%d') as start_date,
+            DATE_FORMAT(COALESCE(end_date, holiday_date), '%Y-%m-%d') as end_date
+     FROM library_holidays
+     WHERE holiday_date <= ? AND COALESCE(end_date, holiday_date) >= ?`,
+    [toDate, fromDate]
+  );
+
+  const holidays = new Set();
+  rows.forEach((row) => {
+    const day = moment.max(toLibraryDay(row.start_date), toLibraryDay(fromDate));
+    const last = moment.min(toLibraryDay(row.end_date), toLibraryDay(toDate));
+    while (day.isSameOrBefore(last, "day")) {
+      holidays.add(day.format("YYYY-MM-DD"));
+      day.add(1, "day");
+    }
+  });
+  return holidays;
+};
+
+/**
+ * Load everything needed to check open days between two dates
+ * @param {string} fromDate - Start date (inclusive)
+ * @param {string} toDate - End date (inclusive)
+ * @returns {Promise<object>} { weeklyClosedDays, holidays, from, to }
+ */
+const loadCalendar = async (fromDate, toDate) => ({
+  weeklyClosedDays: await getWeeklyClosedDays(),
+  holidays: await getHolidaySet(fromDate, toDate),
+  from: formatDate(fromDate),
+  to: formatDate(toDate),
+});
+
+/**
+ * Load the calendar once for many open day counts, e.g. the fines of every
+ * overdue loan in a request. Covers the earliest of the dates up to toDate.
+ * @param {Array<Date|string>} dates - Start dates of the counts (e.g. due dates)
+ * @param {Date|string} toDate - Latest end date (default today)
+ * @returns {Promise<object>} Calendar to pass to countOpenDays / calculateFine
+ */
+const loadCalendarSince = async (dates, toDate = new Date()) => {
+  const to = formatDate(toDate);
+  const from = dates.map(formatDate).filter(Boolean).reduce((min, day) => (day < min ? day : min), to);
+  return loadCalendar(from, to);
+};
+
+/**
+ * Check if the library is open on a given day
+ * @param {moment.Moment} day - Day to check
+ * @param {object} calendar - Calendar from loadCalendar
+ */
+const isOpenDay = (day, calendar) => {
+  if (calendar.weeklyClosedDays.includes(day.day())) return false;
+  return !calendar.holidays.has(day.format("YYYY-MM-DD"));
+};
+
+/**
+ * Add a number of open library days to a date, skipping weekly closures,
+ * holidays and closure ranges
+ * @param {Date|string} startDate - Borrow date
+ * @param {number} days - Number of open days to add
+ * @returns {Promise<string>} Due date as 'YYYY-MM-DD'
+ */
+const addOpenDays = async (startDate, days) => {
+  const start = toLibraryDay(startDate);
+
+  // Holidays are loaded for a generous window so long loans only need one query
+  const windowEnd = start.clone().add(days * 2 + 60, "days");
+  const calendar = await loadCalendar(start.format("YYYY-MM-DD"), windowEnd.format("YYYY-MM-DD"));
+
+  // Every day of the week closed: fall back to calendar days rather than loop forever
+  if (calendar.weeklyClosedDays.length >= 7) {
+    return start.clone().add(days, "days").format("YYYY-MM-DD");
+  }
+
+  const due = start.clone();
+  let remaining = days;
+  while (remaining > 0) {
+    due.add(1, "day");
+    if (due.isAfter(windowEnd)) {
+      windowEnd.add(days * 2 + 60, "days");
+      calendar.holidays = await getHolidaySet(due.format("YYYY-MM-DD"), windowEnd.format("YYYY-MM-DD"));
+    }
+    if (isOpenDay(due, calendar)) remaining -= 1;
+  }
+
+  return due.format("YYYY-MM-DD");
+};
+
+/**
+ * Count the open library days after one date up to and including another.
+ * Used for overdue days, so a closed day between the due date and the
+ * return date is never counted.
+ * @param {Date|string} fromDate - Exclusive start (e.g. the due date)
+ * @param {Date|string} toDate - Inclusive end (e.g. today or the return date)
+ * @param {object} preloaded - Calendar from loadCalendar / loadCalendarSince, used when it covers the range
+ * @returns {Promise<number>} Number of open days (0 if toDate is not after fromDate)
+ */
+const countOpenDays = async (fromDate, toDate, preloaded = null) => {
+  const from = toLibraryDay(fromDate);
+  const to = toLibraryDay(toDate);
+  if (!to.isAfter(from, "day")) return 0;
+
+  const firstDay = from.clone().add(1, "day").format("YYYY-MM-DD");
+  const lastDay = to.format("YYYY-MM-DD");
+  const calendar = preloaded && preloaded.from <= firstDay && preloaded.to >= lastDay
+    ? preloaded
+    : await loadCalendar(firstDay, lastDay);
+
+  let count = 0;
+  const day = from.clone();
+  while (day.isBefore(to, "day")) {
+    day.add(1, "day");
+    if (isOpenDay(day, calendar)) count += 1;
+  }
+  return count;
+};
+
+/**
+ * Get the first open library day after a date
+ * @param {Date|string} date - Date to start from (exclusive)
+ * @returns {Promise<string>} Next open day as 'YYYY-MM-DD'
+ */
+const getNextOpenDay = (date) => addOpenDays(date, 1);
+
+/**
+ * Check if the library is open on a date
+ * @param {Date|string} date - Date to check (default today)
+ * @returns {Promise<boolean>}
+ */
+const isLibraryOpen = async (date = new Date()) => {
+  const day = formatDate(date);
+  return isOpenDay(toLibraryDay(day), await loadCalendar(day, day));
+};
+
+module.exports = {
+  LIBRARY_TIMEZONE,
+  DAY_NAMES,
+  CLOSURE_TYPES,
+  formatDate,
+  getWeeklyClosedDays,
+  getHolidaySet,
+  loadCalendar,
+  loadCalendarSince,
+  isOpenDay,
+  addOpenDays,
+  countOpenDays,
+  getNextOpenDay,
+  isLibraryOpen,
+};
@@ -0,0 +1,209 @@
+const { pool } = require("../config/database");
+const { getBorrowingSettings, getLoanPeriodDays } = require("./borrowingPolicy");
+const { addOpenDays, formatDate } = require("./libraryCalendar");
+const { BALANCE_SQL } = require("./penaltyLedger");
+const { logActivity } = require("../helpers/activityLogger");
+
+/**
+ * Renew an active loan.
+ *
+ * The new due date is the current due date plus one loan period (open library
+ * days only). Renewal is refused when the renewal limit for the user type is
+ * reached, when someone is waiting on the book, when the loan is overdue, or
+ * when the borrower has an unpaid penalty.
+ *
+ * @param {Object} params
+ * @param {number} params.transaction_id - Transaction to renew
+ * @param {number} params.user_id - Patron requesting the renewal (patron renewals only)
+ * @param {string} params.renewed_by - 'patron' or 'admin'
+ * @param {Object} params.admin - Administrator row for admin renewals (optional)
+ * @returns {Promise<Object>} { success, status, code, message, data }
+ */
+const renewLoan = async ({ transaction_id, user_id = null, renewed_by = "patron", admin = null }) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const fail = async (status, code, message, extra = {}) => {
+      await conn.rollback();
+      await conn.release();
+      conn = null;
+      return { success: false, status, code, message, ...extra };
+    };
+
+    // LOCK THE TRANSACTION BEING RENEWED
+    const [transactions] = await conn.execute(
+      `SELECT t.transaction_id, t.reference_number, t.user_id, t.book_id, t.research_paper_id,
+              t.due_date, t.status, t.return_date, COALESCE(t.renewal_count, 0) as renewal_count,
+              u.position, b.book_title, b.batch_registration_key, rp.research_title
+       FROM transactions t
+       LEFT JOIN users u ON t.user_id = u.user_id
+       LEFT JOIN books b ON t.book_id = b.book_id
+       LEFT JOIN research_papers rp ON t.research_paper_id = rp.research_paper_id
+       WHERE t.transaction_id = ?
+       FOR UPDATE`,
+      [transaction_id]
+    );
+
+    if (transactions.length === 0) {
+      return await fail(404, "TRANSACTION_NOT_FOUND", "Transaction not found");
+    }
+
+    const transaction = transactions[0];
+
+    if (user_id && transaction.user_id !== parseInt(user_id)) {
+      return await fail(403, "NOT_OWNER", "This loan does not belong to you");
+    }
+
+    const isActive = !transaction.return_date &&
+      (!transaction.status || transaction.status === "Borrowed");
+    if (!isActive) {
+      return await fail(400, "LOAN_NOT_ACTIVE", "Only active loans can be renewed");
+    }
+
+    // CHECK RENEWAL LIMIT FOR THE USER TYPE
+    const settings = await getBorrowingSettings(conn);
+    const isStudent = !transaction.position || transaction.position === "Student";
+    const maxRenewals = isStudent ? settings.student_max_renewals : settings.faculty_max_renewals;
+
+    if (transaction.renewal_count >= maxRenewals) {
+      return await fail(400, "RENEWAL_LIMIT_REACHED",
+        `Renewal limit reached. ${isStudent ? "Students" : "Faculty"} may renew a loan up to ${maxRenewals} time(s)`,
+        { max_renewals: maxRenewals, renewal_count: transaction.renewal_count }
+      );
+    }
+
+    // CHECK FOR PENDING RESERVATIONS ON THE TITLE
+    const [pendingReservations] = transaction.book_id
+      ? await conn.execute(
+          `SELECT COUNT(*) as pending_count
+           FROM reservations
+           WHERE batch_registration_key = ? AND status = 'Pending'`,
+          [transaction.batch_registration_key]
+        )
+      : await conn.execute(
+          `SELECT COUNT(*) as pending_count
+           FROM reservations
+           WHERE research_paper_id = ? AND status = 'Pending'`,
+          [transaction.research_paper_id]
+        );
+
+    if (parseInt(pendingReservations[0].pending_count) > 0) {
+      return await fail(409, "PENDING_RESERVATION", "This item has a pending reservation and cannot be renewed");
+    }
+
+    // CHECK FOR UNPAID PENALTIES
+    const [unpaid] = await conn.execute(
+      `SELECT COUNT(*) as unpaid_count
+       FROM penalties p
+       WHERE p.user_id = ?
+         AND (p.status IS NULL OR p.status NOT IN ('Paid', 'Waived'))
+         AND ${BALANCE_SQL} > 0`,
+      [transaction.user_id]
+    );
+
+    if (parseInt(unpaid[0].unpaid_count) > 0) {
+      return await fail(402, "UNPAID_PENALTIES", "Loans cannot be renewed while there are unpaid penalties");
+    }
+
+    // OVERDUE LOANS ARE NOT RENEWED; moving the due date would erase the overdue days the fine is assessed from
+    const previousDueDate = formatDate(transaction.due_date);
+    const today = formatDate(new Date());
+    if (previousDueDate && previousDueDate < today) {
+      return await fail(400, "LOAN_OVERDUE", "Overdue loans cannot be renewed; return the item so the overdue fine can be assessed",
+        { due_date: previousDueDate }
+      );
+    }
+
+    // COMPUTE THE NEW DUE DATE FROM THE CURRENT ONE
+    const itemType = transaction.book_id ? "book" : "research_paper";
+    const loanDays = getLoanPeriodDays(settings, isStudent, itemType);
+    const newDueDate = await addOpenDays(previousDueDate || today, loanDays);
+
+    await conn.execute(
+      `UPDATE transactions
+       SET due_date = ?, renewal_count = COALESCE(renewal_count, 0) + 1
+       WHERE transaction_id = ?`,
+      [newDueDate, transaction.transaction_id]
+    );
+
+    // RECORD THE RENEWAL IN THE TRANSACTION HISTORY
+    const [renewalResult] = await conn.execute(
+      `INSERT INTO transaction_renewals
+        (transaction_id, user_id, previous_due_date, new_due_date, renewed_by, admin_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        transaction.transaction_id,
+        transaction.user_id,
+        previousDueDate || null,
+        newDueDate,
+        renewed_by,
+        admin ? admin.admin_id : null
+      ]
+    );
+
+    await conn.commit();
+    await conn.release();
+    conn = null;
+
+    const itemTitle = transaction.book_title || transaction.research_title || "Item";
+    await logActivity({
+      user_id: transaction.user_id,
+      action: "LOAN_RENEWED",
+      details: `Renewed "${itemTitle}" - Reference: ${transaction.reference_number} - Due: ${previousDueDate || "N/A"} -> ${newDueDate}`,
+      status: "completed",
+      admin_id: admin ? admin.admin_id : null,
+      actor_type: admin ? "admin" : "user"
+    });
+
+    return {
+      success: true,
+      status: 200,
+      message: "Loan renewed successfully",
+      data: {
+        renewal_id: renewalResult.insertId,
+        transaction_id: transaction.transaction_id,
+        reference_number: transaction.reference_number,
+        item_type: itemType,
+        item_title: itemTitle,
+        previous_due_date: previousDueDate,
+        due_date: newDueDate,
+        renewal_count: transaction.renewal_count + 1,
+        max_renewals: maxRenewals,
+        renewed_by
+      }
+    };
+  } catch (error) {
+    try {
+      if (conn) {
+        await conn.rollback();
+        await conn.release();
+      }
+    } catch (e) {}
+    throw error;
+  }
+};
+
+/**
+ * Get the renewal history of a transaction
+ * @param {number} transaction_id - Transaction ID
+ */
+const getRenewalHistory = async (transaction_id) => {
+  const [renewals] = await pool.execute(
+    `SELECT tr.renewal_id, tr.transaction_id, tr.user_id, tr.previous_due_date, tr.new_due_date,
+            tr.renewed_by, tr.admin_id, tr.created_at,
+            CONCAT(a.first_name, ' ', a.last_name) as admin_name
+     FROM transaction_renewals tr
+     LEFT JOIN administrators a ON tr.admin_id = a.admin_id
+     WHERE tr.transaction_id = ?
+     ORDER BY tr.created_at ASC`,
+    [transaction_id]
+  );
+  return renewals;
+};
+
+module.exports = {
+  renewLoan,
+  getRenewalHistory,
+};
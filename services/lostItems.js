@@ -0,0 +1,457 @@
+const { pool } = require("../config/database");
+const { formatDate } = require("./libraryCalendar");
+const { getFineSettings, calculateFine } = require("./fineEngine");
+const { roundAmount, getPenaltyTotal, formatReceiptNumber } = require("./penaltyLedger");
+const { assignNextHold } = require("./reservationHolds");
+
+// How money already paid beyond the new amount owed is given back
+const SETTLEMENT_TYPES = ["refund", "credit"];
+
+/**
+ * Get the lost record and related rows for a transaction, locking them
+ * @param {object} conn - Connection inside a transaction
+ * @param {number} transactionId - Transaction ID
+ */
+const lockLostItem = async (conn, transactionId) => {
+  const [records] = await conn.execute(
+    `SELECT * FROM lost_item_records
+     WHERE transaction_id = ?
+     ORDER BY lost_id DESC
+     LIMIT 1
+     FOR UPDATE`,
+    [transactionId]
+  );
+  if (records.length === 0) return null;
+  const record = records[0];
+
+  const [transactions] = await conn.execute(
+    `SELECT t.*, u.position
+     FROM transactions t
+     LEFT JOIN users u ON t.user_id = u.user_id
+     WHERE t.transaction_id = ?
+     FOR UPDATE`,
+    [transactionId]
+  );
+  const [penalties] = record.penalty_id
+    ? await conn.execute(`SELECT * FROM penalties WHERE penalty_id = ? FOR UPDATE`, [record.penalty_id])
+    : [[]];
+
+  return { record, transaction: transactions[0], penalty: penalties[0] || null };
+};
+
+/**
+ * Give back what was paid beyond the new amount owed on a penalty. A refund is
+ * a negative ledger row; a credit moves the amount off the penalty and onto the
+ * patron's account credit, usable with payment_method 'account_credit'.
+ *
+ * @param {object} conn - Connection inside a transaction
+ * @param {object} penalty - Locked penalty row
+ * @param {number} amount - Amount overpaid
+ * @param {string} settlement - 'refund' or 'credit'
+ * @param {number} adminId - Admin handling it
+ * @param {string} reason - Ledger note
+ * @returns {Promise<object>} { settlement, amount, payment_id, credit_id }
+ */
+const settleOverpayment = async (conn, penalty, amount, settlement, adminId, reason) => {
+  const [result] = await conn.execute(
+    `INSERT INTO penalty_payments (penalty_id, user_id, amount, payment_method, notes, cashier_admin_id, paid_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    [penalty.penalty_id, penalty.user_id, -amount, settlement === "refund" ? "refund" : "credit_transfer", reason, adminId]
+  );
+  await conn.execute(
+    `UPDATE penalty_payments SET receipt_number = ? WHERE payment_id = ?`,
+    [formatReceiptNumber(result.insertId), result.insertId]
+  );
+
+  let creditId = null;
+  if (settlement === "credit") {
+    const [credit] = await conn.execute(
+      `INSERT INTO patron_credits (user_id, amount, penalty_id, source, notes, admin_id, created_at)
+       VALUES (?, ?, ?, 'lost_item', ?, ?, NOW())`,
+      [penalty.user_id, amount, penalty.penalty_id, reason, adminId]
+    );
+    creditId = credit.insertId;
+  }
+
+  return { settlement, amount, payment_id: result.insertId, credit_id: creditId };
+};
+
+/**
+ * Bring a penalty's status in line with its ledger after the amount owed changed,
+ * settling any overpayment
+ * @returns {Promise<object>} { penalty_status, total_amount, total_paid, balance, settlement }
+ */
+const rebalancePenalty = async (conn, penaltyId, { settlement, adminId, reason }) => {
+  const [penalties] = await conn.execute(`SELECT * FROM penalties WHERE penalty_id = ?`, [penaltyId]);
+  const penalty = penalties[0];
+
+  const [paidRows] = await conn.execute(
+    `SELECT COALESCE(SUM(amount), 0) as total_paid FROM penalty_payments WHERE penalty_id = ?`,
+    [penaltyId]
+  );
+  const totalAmount = getPenaltyTotal(penalty);
+  let totalPaid = roundAmount(paidRows[0].total_paid);
+
+  let settled = null;
+  const overpaid = roundAmount(totalPaid - totalAmount);
+  if (overpaid > 0) {
+    settled = await settleOverpayment(conn, penalty, overpaid, settlement, adminId, reason);
+    totalPaid = totalAmount;
+  }
+
+  const balance = Math.max(roundAmount(totalAmount - totalPaid), 0);
+  let status = penalty.status;
+  if (penalty.status !== "Waived") {
+    if (totalAmount <= 0 && totalPaid <= 0) status = "Waived";
+    else if (balance <= 0) status = "Paid";
+    else if (totalPaid > 0) status = "Partially Paid";
+    else status = "Pending Payment";
+  }
+
+  if (status === "Waived" && penalty.status !== "Waived") {
+    await conn.execute(
+      `UPDATE penalties SET status = 'Waived', waive_reason = ?, waived_by = ?, updated_at = NOW() WHERE penalty_id = ?`,
+      [reason, "Lost item resolution", penaltyId]
+    );
+  } else {
+    await conn.execute(
+      `UPDATE penalties SET status = ?, updated_at = NOW() WHERE penalty_id = ?`,
+      [status, penaltyId]
+    );
+  }
+
+  return { penalty_status: status, total_amount: totalAmount, total_paid: totalPaid, balance, settlement: settled };
+};
+
+/**
+ * Accept a replacement copy from the patron instead of payment for a lost book.
+ * The new copy joins the lost copy's batch as the next book number, and the
+ * replacement price is dropped from the penalty (the overdue fine stays).
+ * The copy is held for the next reservation of the title when there is one
+ * (data.hold); the caller uploads its QR code once the commit is done.
+ *
+ * @param {object} params
+ * @param {number} params.transaction_id - Transaction of the lost book
+ * @param {object} params.admin - Administrator row receiving the copy
+ * @param {number} params.book_price - Price of the new copy (defaults to the lost copy's)
+ * @param {string} params.settlement - 'refund' or 'credit' if the price was already paid
+ * @param {string} params.notes - Notes (optional)
+ * @returns {Promise<object>} { success, status, message, data }
+ */
+const acceptReplacement = async ({ transaction_id, admin, book_price = null, settlement = "credit", notes = null }) => {
+  if (!SETTLEMENT_TYPES.includes(settlement)) {
+    return { success: false, status: 400, message: `settlement must be one of: ${SETTLEMENT_TYPES.join(", ")}` };
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const fail = async (status, message) => {
+      await conn.rollback();
+      conn.release();
+      conn = null;
+      return { success: false, status, message };
+    };
+
+    const lost = await lockLostItem(conn, transaction_id);
+    if (!lost) {
+      return await fail(404, "No lost item record found for this transaction");
+    }
+    if (lost.record.status !== "Lost") {
+      return await fail(400, `This item has already been ${lost.record.status.toLowerCase()}`);
+    }
+    if (!lost.record.book_id) {
+      return await fail(400, "Replacement copies can only be accepted for books");
+    }
+
+    // The replacement copy takes the lost copy's catalogue details
+    const [books] = await conn.execute(`SELECT * FROM books WHERE book_id = ?`, [lost.record.book_id]);
+    const lostCopy = books[0];
+    if (!lostCopy) {
+      return await fail(404, "The lost copy no longer exists in the catalogue");
+    }
+
+    const [maxNumber] = await conn.execute(
+      `SELECT MAX(book_number) as max_number FROM books WHERE batch_registration_key = ?`,
+      [lostCopy.batch_registration_key]
+    );
+    const bookNumber = (maxNumber[0].max_number || 0) + 1;
+
+    const [bookResult] = await conn.execute(
+      `INSERT INTO books (
+        book_title, book_number, book_qr, book_edition, book_year, book_price, book_donor,
+        book_isbn, book_isbn10, book_subject, book_language, book_pages, book_call_number,
+        book_genre_id, book_publisher_id, book_shelf_location_id, book_author_id, batch_registration_key, isUsingDepartment, status, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'Available', NOW())`,
+      [
+        lostCopy.book_title,
+        bookNumber,
+        null,
+        lostCopy.book_edition,
+        lostCopy.book_year,
+        book_price !== null && book_price !== undefined && book_price !== "" ? parseFloat(book_price) : lostCopy.book_price,
+        lostCopy.book_donor,
+        lostCopy.book_isbn,
+        lostCopy.book_isbn10,
+        lostCopy.book_subject,
+        lostCopy.book_language,
+        lostCopy.book_pages,
+        lostCopy.book_call_number,
+        lostCopy.book_genre_id,
+        lostCopy.book_publisher_id,
+        lostCopy.book_shelf_location_id,
+        lostCopy.book_author_id,
+        lostCopy.batch_registration_key,
+        lostCopy.isUsingDepartment,
+      ]
+    );
+    const replacementBookId = bookResult.insertId;
+
+    // The new copy goes to the next reservation for the title, like any added copy
+    const hold = await assignNextHold(conn, { book_id: replacementBookId });
+
+    let penaltyResult = null;
+    if (lost.penalty) {
+      await conn.execute(
+        `UPDATE penalties SET book_price = 0, updated_at = NOW() WHERE penalty_id = ?`,
+        [lost.penalty.penalty_id]
+      );
+      penaltyResult = await rebalancePenalty(conn, lost.penalty.penalty_id, {
+        settlement,
+        adminId: admin.admin_id,
+        reason: `Replacement copy received for lost item (Ref: ${lost.transaction.reference_number})`,
+      });
+    }
+
+    await conn.execute(
+      `UPDATE lost_item_records
+       SET status = 'Replaced', replacement_book_id = ?, settlement_type = ?, settlement_amount = ?,
+           notes = COALESCE(?, notes), resolved_by_admin_id = ?, resolved_at = NOW()
+       WHERE lost_id = ?`,
+      [
+        replacementBookId,
+        penaltyResult && penaltyResult.settlement ? settlement : null,
+        penaltyResult && penaltyResult.settlement ? penaltyResult.settlement.amount : 0,
+        notes,
+        admin.admin_id,
+        lost.record.lost_id,
+      ]
+    );
+
+    await conn.commit();
+    conn.release();
+    conn = null;
+
+    return {
+      success: true,
+      status: 200,
+      message: "Replacement copy received",
+      data: {
+        lost_id: lost.record.lost_id,
+        transaction_id: lost.transaction.transaction_id,
+        reference_number: lost.transaction.reference_number,
+        user_id: lost.transaction.user_id,
+        replacement_book_id: replacementBookId,
+        replacement_book_number: bookNumber,
+        batch_registration_key: lostCopy.batch_registration_key,
+        penalty_id: lost.penalty ? lost.penalty.penalty_id : null,
+        hold,
+        ...(penaltyResult || {}),
+      },
+    };
+  } catch (error) {
+    if (conn) {
+      try { await conn.rollback(); } catch (e) {}
+      try { conn.release(); } catch (e) {}
+    }
+    throw error;
+  }
+};
+
+/**
+ * Reverse a lost item that turned up. The transaction is returned as of the
+ * found date, the item is available again, the penalty goes back to an overdue
+ * fine computed up to that date, and anything already paid beyond it is
+ * refunded or credited.
+ *
+ * @param {object} params
+ * @param {number} params.transaction_id - Transaction of the lost item
+ * @param {object} params.admin - Administrator row
+ * @param {string} params.found_date - Date the item was returned, 'YYYY-MM-DD' (default today)
+ * @param {string} params.settlement - 'refund' or 'credit'
+ * @param {string} params.notes - Notes (optional)
+ * @returns {Promise<object>} { success, status, message, data }
+ */
+const reverseLostItem = async ({ transaction_id, admin, found_date = null, settlement = "credit", notes = null }) => {
+  if (!SETTLEMENT_TYPES.includes(settlement)) {
+    return { success: false, status: 400, message: `settlement must be one of: ${SETTLEMENT_TYPES.join(", ")}` };
+  }
+
+  const foundDate = found_date || formatDate(new Date());
+  const fineSettings = await getFineSettings();
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const fail = async (status, message) => {
+      await conn.rollback();
+      conn.release();
+      conn = null;
+      return { success: false, status, message };
+    };
+
+    const lost = await lockLostItem(conn, transaction_id);
+    if (!lost) {
+      return await fail(404, "No lost item record found for this transaction");
+    }
+    if (lost.record.status === "Found") {
+      return await fail(400, "This item has already been marked as found");
+    }
+    if (lost.record.status === "Replaced") {
+      return await fail(400, "A replacement copy was already accepted for this item");
+    }
+    if (foundDate < formatDate(lost.transaction.transaction_date)) {
+      return await fail(400, "found_date cannot be before the borrow date");
+    }
+    if (foundDate > formatDate(new Date())) {
+      return await fail(400, "found_date cannot be in the future");
+    }
+
+    // Overdue fine as if the item had been returned on the found date
+    const fineResult = await calculateFine({ ...lost.transaction, return_date: foundDate }, fineSettings);
+
+    await conn.execute(
+      `UPDATE transactions SET status = 'Returned', return_date = ? WHERE transaction_id = ?`,
+      [foundDate, transaction_id]
+    );
+    // The found item goes to the next reservation in its queue, or back on the shelf
+    let hold = null;
+    if (lost.record.book_id) {
+      hold = await assignNextHold(conn, { book_id: lost.record.book_id });
+      if (!hold) {
+        await conn.execute(`UPDATE books SET status = 'Available' WHERE book_id = ?`, [lost.record.book_id]);
+      }
+    } else if (lost.record.research_paper_id) {
+      hold = await assignNextHold(conn, { research_paper_id: lost.record.research_paper_id });
+      if (!hold) {
+        await conn.execute(
+          `UPDATE research_papers SET status = 'Available' WHERE research_paper_id = ?`,
+          [lost.record.research_paper_id]
+        );
+      }
+    }
+
+    let penaltyResult = null;
+    if (lost.penalty) {
+      await conn.execute(
+        `UPDATE penalties
+         SET penalty_type = 'overdue', fine = ?, book_price = 0,
+             waive_reason = ?, updated_at = NOW()
+         WHERE penalty_id = ?`,
+        [fineResult.fine, `Lost item found on ${foundDate}; fine recalculated to overdue only`, lost.penalty.penalty_id]
+      );
+      penaltyResult = await rebalancePenalty(conn, lost.penalty.penalty_id, {
+        settlement,
+        adminId: admin.admin_id,
+        reason: `Lost item found (Ref: ${lost.transaction.reference_number}); fine recalculated to overdue only`,
+      });
+    }
+
+    await conn.execute(
+      `UPDATE lost_item_records
+       SET status = 'Found', found_date = ?, overdue_fine_on_found = ?,
+           settlement_type = ?, settlement_amount = ?,
+           notes = COALESCE(?, notes), resolved_by_admin_id = ?, resolved_at = NOW()
+       WHERE lost_id = ?`,
+      [
+        foundDate,
+        fineResult.fine,
+        penaltyResult && penaltyResult.settlement ? settlement : null,
+        penaltyResult && penaltyResult.settlement ? penaltyResult.settlement.amount : 0,
+        notes,
+        admin.admin_id,
+        lost.record.lost_id,
+      ]
+    );
+
+    await conn.commit();
+    conn.release();
+    conn = null;
+
+    return {
+      success: true,
+      status: 200,
+      message: "Lost item marked as found",
+      data: {
+        lost_id: lost.record.lost_id,
+        transaction_id: lost.transaction.transaction_id,
+        reference_number: lost.transaction.reference_number,
+        user_id: lost.transaction.user_id,
+        found_date: foundDate,
+        overdue_fine: fineResult.fine,
+        days_overdue: fineResult.days_overdue,
+        previous_status: lost.record.status,
+        penalty_id: lost.penalty ? lost.penalty.penalty_id : null,
+        hold,
+        ...(penaltyResult || {}),
+      },
+    };
+  } catch (error) {
+    if (conn) {
+      try { await conn.rollback(); } catch (e) {}
+      try { conn.release(); } catch (e) {}
+    }
+    throw error;
+  }
+};
+
+/**
+ * List lost item records
+ * @param {object} filters - { status, user_id }
+ */
+const getLostItems = async ({ status = null, user_id = null } = {}) => {
+  const conditions = [];
+  const params = [];
+  if (status) {
+    conditions.push("l.status = ?");
+    params.push(status);
+  }
+  if (user_id) {
+    conditions.push("l.user_id = ?");
+    params.push(user_id);
+  }
+
+  const [records] = await pool.execute(
+    `SELECT l.*,
+            t.reference_number,
+            CONCAT(u.first_name, ' ', u.last_name) as user_name,
+            b.book_title,
+            b.batch_registration_key,
+            rp.research_title
+     FROM lost_item_records l
+     LEFT JOIN transactions t ON l.transaction_id = t.transaction_id
+     LEFT JOIN users u ON l.user_id = u.user_id
+     LEFT JOIN books b ON l.book_id = b.book_id
+     LEFT JOIN research_papers rp ON l.research_paper_id = rp.research_paper_id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+     ORDER BY l.lost_at DESC`,
+    params
+  );
+
+  return records.map((record) => ({
+    ...record,
+    item_title: record.book_title || record.research_title || "Unknown Item",
+    item_type: record.book_id ? "book" : "research_paper",
+  }));
+};
+
+module.exports = {
+  SETTLEMENT_TYPES,
+  acceptReplacement,
+  reverseLostItem,
+  getLostItems,
+};
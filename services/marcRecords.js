@@ -0,0 +1,612 @@
+const path = require("path");
+const moment = require("moment-timezone");
+const { pool } = require("../config/database");
+const { LIBRARY_TIMEZONE } = require("./libraryCalendar");
+const { decodeXml } = require("./spreadsheetReader");
+const { normalizeIsbn } = require("./isbn");
+const { nameKey, loadLookups, validateRecords, createBatch } = require("./catalogImport");
+const { getBatchAuthorities, attachBatchAuthorities } = require("./bookAuthorities");
+
+const MARC_FORMATS = ["marc21", "marcxml"];
+const MARC_EXTENSIONS = [".mrc", ".marc", ".dat", ".xml"];
+const MAX_MARC_RECORDS = 2000;
+
+const FIELD_TERMINATOR = "\x1e";
+const SUBFIELD_DELIMITER = "\x1f";
+const RECORD_TERMINATOR = "\x1d";
+
+// Tag -> subfield codes the import reads; any other tag or subfield is reported as unmapped
+const MAPPED_SUBFIELDS = {
+  "020": ["a"],
+  "050": ["a", "b"], "082": ["a"], "090": ["a", "b"],
+  100: ["a"], 110: ["a"], 111: ["a"], 700: ["a"], 710: ["a"], 711: ["a"],
+  245: ["a", "b"],
+  250: ["a"],
+  260: ["b", "c"],
+  264: ["b", "c"],
+  300: ["a"],
+  365: ["b", "c"],
+  541: ["a"],
+  546: ["a"],
+  650: ["a"], 655: ["a"], 653: ["a"],
+  690: ["a"],
+  852: ["c", "p", "t"],
+};
+// Control fields: 001 is the batch key, 008 supplies the year and language when no field has them
+const MAPPED_CONTROL_FIELDS = ["001", "008"];
+// Housekeeping control fields that carry nothing the catalog stores
+const IGNORED_CONTROL_FIELDS = ["003", "005"];
+
+const isControlTag = (tag) => tag < "010";
+
+// ISBD punctuation that ends a MARC subfield ("Title /", "Publisher,", "2009.")
+const trimPunctuation = (value) =>
+  String(value || "").replace(/[\s\/:;,=.]+$/, "").replace(/^[\s\[]+|[\s\]]+$/g, "").trim();
+
+const subfield = (code, value) => [code, String(value)];
+
+/**
+ * Build MARC records for catalog batches, one record per batch with an 852 per copy
+ * @param {Array<string>} batchKeys - batch_registration_key values
+ * @returns {Promise<object>} { records, missing_keys }
+ */
+const getMarcRecords = async (batchKeys) => {
+  const keys = [...new Set(batchKeys.map((key) => String(key).trim()).filter(Boolean))];
+  if (keys.length === 0) return { records: [], missing_keys: [] };
+
+  const [books] = await pool.query(
+    `SELECT b.book_id, b.book_title, b.book_number, b.book_edition, b.book_year, b.book_price, b.book_donor,
+            b.book_isbn, b.book_isbn10, b.book_subject, b.book_language, b.book_pages, b.book_call_number,
+            b.batch_registration_key, b.isUsingDepartment, b.created_at,
+            CASE WHEN b.isUsingDepartment = 1 THEN d.department_name ELSE bg.book_genre END AS genre,
+            b.book_publisher_id AS publisher_id, bp.publisher,
+            b.book_author_id AS author_id, ba.book_author AS author,
+            bs.shelf_number, bs.shelf_column, bs.shelf_row
+     FROM books b
+     LEFT JOIN book_genre bg ON b.book_genre_id = bg.book_genre_id AND b.isUsingDepartment = 0
+     LEFT JOIN departments d ON b.book_genre_id = d.department_id AND b.isUsingDepartment = 1
+     LEFT JOIN book_publisher bp ON b.book_publisher_id = bp.book_publisher_id
+     LEFT JOIN book_author ba ON b.book_author_id = ba.book_author_id
+     LEFT JOIN book_shelf_location bs ON b.book_shelf_location_id = bs.book_shelf_loc_id
+     WHERE b.batch_registration_key IN (?)
+       AND (b.status IS NULL OR b.status != 'Removed')
+     ORDER BY b.batch_registration_key, b.book_number`,
+    [keys]
+  );
+
+  const batches = new Map();
+  attachBatchAuthorities(books, await getBatchAuthorities(pool, keys)).forEach((book) => {
+    if (!batches.has(book.batch_registration_key)) batches.set(book.batch_registration_key, []);
+    batches.get(book.batch_registration_key).push(book);
+  });
+
+  return {
+    records: keys.filter((key) => batches.has(key)).map((key) => buildRecord(batches.get(key))),
+    missing_keys: keys.filter((key) => !batches.has(key)),
+  };
+};
+
+/**
+ * Build one MARC record from the copies of a batch
+ * @param {Array<object>} copies - Book rows of one batch
+ */
+const buildRecord = (copies) => {
+  const book = copies[0];
+  const year = /^\d{4}$/.test(String(book.book_year || "")) ? String(book.book_year) : null;
+  const entered = moment(book.created_at || undefined).tz(LIBRARY_TIMEZONE);
+  const fields = [];
+
+  fields.push({ tag: "001", value: book.batch_registration_key });
+  fields.push({ tag: "005", value: `${moment().tz(LIBRARY_TIMEZONE).format("YYYYMMDDHHmmss")}.0` });
+  // 008: date entered, single known date, place (Philippines), language (a MARC code, else undetermined)
+  const languageCode = /^[a-z]{3}$/i.test(book.book_language || "") ? book.book_language.toLowerCase() : "und";
+  fields.push({ tag: "008", value: `${entered.format("YYMMDD")}s${year || "    "}    ph ${" ".repeat(17)}${languageCode} d` });
+
+  if (book.book_isbn) fields.push({ tag: "020", ind1: " ", ind2: " ", subfields: [subfield("a", book.book_isbn)] });
+  if (book.book_isbn10) fields.push({ tag: "020", ind1: " ", ind2: " ", subfields: [subfield("a", book.book_isbn10)] });
+  if (book.book_call_number) fields.push({ tag: "090", ind1: " ", ind2: " ", subfields: [subfield("a", book.book_call_number)] });
+
+  // First author is the main entry, the others are added entries
+  const authors = book.authors.filter((author) => author.name);
+  if (authors.length > 0) fields.push({ tag: "100", ind1: "1", ind2: " ", subfields: [subfield("a", authors[0].name)] });
+  fields.push({ tag: "245", ind1: authors.length > 0 ? "1" : "0", ind2: "0", subfields: [subfield("a", book.book_title || "")] });
+  if (book.book_edition) fields.push({ tag: "250", ind1: " ", ind2: " ", subfields: [subfield("a", book.book_edition)] });
+
+  const publication = [];
+  book.publishers.filter((publisher) => publisher.name).forEach((publisher) => publication.push(subfield("b", publisher.name)));
+  if (year) publication.push(subfield("c", year));
+  if (publication.length > 0) fields.push({ tag: "264", ind1: " ", ind2: "1", subfields: publication });
+
+  if (book.book_pages) fields.push({ tag: "300", ind1: " ", ind2: " ", subfields: [subfield("a", `${book.book_pages} p.`)] });
+
+  if (book.book_price !== null && book.book_price !== undefined && book.book_price !== "") {
+    fields.push({ tag: "365", ind1: " ", ind2: " ", subfields: [subfield("b", parseFloat(book.book_price).toFixed(2)), subfield("c", "PHP")] });
+  }
+  if (book.book_donor) fields.push({ tag: "541", ind1: " ", ind2: " ", subfields: [subfield("a", book.book_donor)] });
+  if (book.book_language && languageCode === "und") {
+    fields.push({ tag: "546", ind1: " ", ind2: " ", subfields: [subfield("a", book.book_language)] });
+  }
+  if (book.genre) {
+    fields.push(book.isUsingDepartment
+      ? { tag: "690", ind1: " ", ind2: " ", subfields: [subfield("a", book.genre)] }
+      : { tag: "650", ind1: " ", ind2: "4", subfields: [subfield("a", book.genre)] });
+  }
+  if (book.book_subject) fields.push({ tag: "653", ind1: " ", ind2: " ", subfields: [subfield("a", book.book_subject)] });
+  authors.slice(1).forEach((author) => {
+    fields.push({ tag: "700", ind1: "1", ind2: " ", subfields: [subfield("a", author.name)] });
+  });
+
+  // Holdings: shelf as "number-column-row", copy number and the copy's book ID
+  copies.forEach((copy) => {
+    const holding = [];
+    if (copy.shelf_number !== null && copy.shelf_number !== undefined) {
+      holding.push(subfield("c", `${copy.shelf_number}-${copy.shelf_column}-${copy.shelf_row}`));
+    }
+    holding.push(subfield("t", copy.book_number));
+    holding.push(subfield("p", copy.book_id));
+    fields.push({ tag: "852", ind1: " ", ind2: " ", subfields: holding });
+  });
+
+  return { leader: null, fields };
+};
+
+/**
+ * Serialize records as MARC21 binary (ISO 2709, UTF-8)
+ * @param {Array<object>} records - From getMarcRecords
+ * @returns {Buffer}
+ */
+const toMarc21 = (records) =>
+  Buffer.concat(records.map((record) => {
+    const data = record.fields.map((field) => Buffer.from(
+      isControlTag(field.tag)
+        ? `${field.value}${FIELD_TERMINATOR}`
+        : `${field.ind1}${field.ind2}${field.subfields.map(([code, value]) => `${SUBFIELD_DELIMITER}${code}${value}`).join("")}${FIELD_TERMINATOR}`,
+      "utf8"
+    ));
+
+    let offset = 0;
+    const directory = record.fields.map((field, index) => {
+      const entry = `${field.tag}${String(data[index].length).padStart(4, "0")}${String(offset).padStart(5, "0")}`;
+      offset += data[index].length;
+      return entry;
+    }).join("");
+
+    const baseAddress = 24 + directory.length + 1;
+    const recordLength = baseAddress + offset + 1;
+    const leader = `${String(recordLength).padStart(5, "0")}nam a22${String(baseAddress).padStart(5, "0")} i 4500`;
+
+    return Buffer.concat([
+      Buffer.from(`${leader}${directory}${FIELD_TERMINATOR}`, "ascii"),
+      ...data,
+      Buffer.from(RECORD_TERMINATOR, "ascii"),
+    ]);
+  }));
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Serialize records as a MARCXML collection
+ * @param {Array<object>} records - From getMarcRecords
+ * @returns {string}
+ */
+const toMarcXml = (records) => {
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<collection xmlns="http://www.loc.gov/MARC21/slim">'];
+  records.forEach((record) => {
+    lines.push("  <record>");
+    lines.push("    <leader>     nam a22      i 4500</leader>");
+    record.fields.forEach((field) => {
+      if (isControlTag(field.tag)) {
+        lines.push(`    <controlfield tag="${field.tag}">${escapeXml(field.value)}</controlfield>`);
+        return;
+      }
+      lines.push(`    <datafield tag="${field.tag}" ind1="${field.ind1}" ind2="${field.ind2}">`);
+      field.subfields.forEach(([code, value]) => {
+        lines.push(`      <subfield code="${code}">${escapeXml(value)}</subfield>`);
+      });
+      lines.push("    </datafield>");
+    });
+    lines.push("  </record>");
+  });
+  lines.push("</collection>");
+  return `${lines.join("\n")}\n`;
+};
+
+/**
+ * Parse MARC21 binary records
+ * @param {Buffer} buffer - File content
+ * @returns {Array<object>} { leader, fields, error } per record
+ */
+const parseMarc21 = (buffer) => {
+  const records = [];
+  let start = 0;
+  while (start < buffer.length) {
+    let end = buffer.indexOf(0x1d, start);
+    if (end === -1) end = buffer.length;
+    const raw = buffer.subarray(start, end);
+    start = end + 1;
+    if (raw.toString("latin1").trim() === "") continue;
+
+    try {
+      const leader = raw.toString("ascii", 0, 24);
+      const baseAddress = parseInt(leader.slice(12, 17), 10);
+      if (leader.length < 24 || !Number.isInteger(baseAddress) || baseAddress > raw.length) {
+        throw new Error("invalid leader");
+      }
+      // Leader/09 'a' is Unicode; anything else is MARC-8, read here as Latin-1
+      const encoding = leader[9] === "a" ? "utf8" : "latin1";
+
+      const fields = [];
+      for (let pos = 24; pos + 12 <= baseAddress - 1; pos += 12) {
+        const entry = raw.toString("ascii", pos, pos + 12);
+        const tag = entry.slice(0, 3);
+        const length = parseInt(entry.slice(3, 7), 10);
+        const offset = parseInt(entry.slice(7, 12), 10);
+        const value = raw
+          .subarray(baseAddress + offset, baseAddress + offset + length)
+          .toString(encoding)
+          .replace(/\x1e$/, "");
+
+        if (isControlTag(tag)) {
+          fields.push({ tag, value });
+        } else {
+          const [indicators, ...parts] = value.split(SUBFIELD_DELIMITER);
+          fields.push({
+            tag,
+            ind1: indicators[0] || " ",
+            ind2: indicators[1] || " ",
+            subfields: parts.filter(Boolean).map((part) => [part[0], part.slice(1)]),
+          });
+        }
+      }
+      records.push({ leader, fields, encoding });
+    } catch (error) {
+      records.push({ leader: null, fields: [], error: "The record could not be read as MARC21" });
+    }
+  }
+  return records;
+};
+
+const readAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : "";
+};
+
+/**
+ * Parse a MARCXML document (a collection or a single record; namespace prefixes allowed)
+ * @param {string} xml - File content
+ * @returns {Array<object>} { leader, fields } per record
+ */
+const parseMarcXml = (xml) => {
+  const records = [];
+  const recordPattern = /<(?:[\w-]+:)?record\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?record>/g;
+  let recordMatch;
+  while ((recordMatch = recordPattern.exec(xml)) !== null) {
+    const body = recordMatch[1];
+    const leaderMatch = body.match(/<(?:[\w-]+:)?leader[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?leader>/);
+    const fields = [];
+
+    const fieldPattern = /<(?:[\w-]+:)?(controlfield|datafield)\b([^>]*)>([\s\S]*?)<\/(?:[\w-]+:)?\1>/g;
+    let fieldMatch;
+    while ((fieldMatch = fieldPattern.exec(body)) !== null) {
+      const tag = readAttribute(fieldMatch[2], "tag");
+      if (fieldMatch[1] === "controlfield") {
+        fields.push({ tag, value: decodeXml(fieldMatch[3]) });
+        continue;
+      }
+
+      const subfields = [];
+      const subfieldPattern = /<(?:[\w-]+:)?subfield\b([^>]*)>([\s\S]*?)<\/(?:[\w-]+:)?subfield>/g;
+      let subfieldMatch;
+      while ((subfieldMatch = subfieldPattern.exec(fieldMatch[3])) !== null) {
+        subfields.push([readAttribute(subfieldMatch[1], "code"), decodeXml(subfieldMatch[2])]);
+      }
+      fields.push({
+        tag,
+        ind1: readAttribute(fieldMatch[2], "ind1") || " ",
+        ind2: readAttribute(fieldMatch[2], "ind2") || " ",
+        subfields,
+      });
+    }
+    records.push({ leader: leaderMatch ? decodeXml(leaderMatch[1]) : null, fields, encoding: "utf8" });
+  }
+  return records;
+};
+
+/**
+ * Read an uploaded MARC21 (.mrc/.marc/.dat) or MARCXML (.xml) file
+ * @param {object} file - Multer file ({ buffer, originalname })
+ */
+const readMarcFile = (file) => {
+  const extension = path.extname(file.originalname || "").toLowerCase();
+  if (!MARC_EXTENSIONS.includes(extension)) {
+    throw new Error(`Unsupported file type. Upload one of: ${MARC_EXTENSIONS.join(", ")}`);
+  }
+  const looksLikeXml = file.buffer.toString("utf8", 0, 200).replace(/^\uFEFF/, "").trim().startsWith("<");
+  return looksLikeXml ? parseMarcXml(file.buffer.toString("utf8")) : parseMarc21(file.buffer);
+};
+
+/**
+ * Map a MARC record to a catalog import record (the shape validateRecords expects)
+ * @param {object} record - Parsed MARC record
+ * @param {number} recordNumber - Position of the record in the file (1 based)
+ * @param {object} defaults - { shelf, genre } for records without an 852 shelf or a subject
+ * @returns {object} { record, control_number, unmapped_fields }
+ */
+const mapMarcRecord = (record, recordNumber, defaults = {}) => {
+  const unmapped = new Set();
+  const values = (tags, code) =>
+    record.fields
+      .filter((field) => tags.includes(field.tag) && field.subfields)
+      .flatMap((field) => field.subfields.filter(([c]) => c === code).map(([, value]) => trimPunctuation(value)))
+      .filter(Boolean);
+  const first = (tags, code) => values(tags, code)[0] || "";
+
+  record.fields.forEach((field) => {
+    if (isControlTag(field.tag)) {
+      if (!MAPPED_CONTROL_FIELDS.includes(field.tag) && !IGNORED_CONTROL_FIELDS.includes(field.tag)) unmapped.add(field.tag);
+      return;
+    }
+    const mapped = MAPPED_SUBFIELDS[field.tag];
+    if (!mapped) {
+      unmapped.add(field.tag);
+      return;
+    }
+    field.subfields
+      .filter(([code]) => !mapped.includes(code))
+      .forEach(([code]) => unmapped.add(`${field.tag}$${code}`));
+  });
+
+  const controlField = (tag) => (record.fields.find((field) => field.tag === tag) || {}).value || "";
+
+  // 245: title with its remainder (subtitle)
+  const titleField = record.fields.find((field) => field.tag === "245" && field.subfields);
+  const title = titleField
+    ? [first(["245"], "a"), first(["245"], "b")].filter(Boolean).join(": ")
+    : "";
+
+  // Publication: 264 with second indicator 1 (publication), else 260
+  const publicationField =
+    record.fields.find((field) => field.tag === "264" && field.ind2 === "1" && field.subfields) ||
+    record.fields.find((field) => field.tag === "260" && field.subfields);
+  const publishers = publicationField
+    ? publicationField.subfields.filter(([code]) => code === "b").map(([, value]) => trimPunctuation(value)).filter(Boolean)
+    : [];
+  const yearMatch = (publicationField
+    ? publicationField.subfields.filter(([code]) => code === "c").map(([, value]) => value).join(" ")
+    : ""
+  ).match(/\d{4}/) || controlField("008").slice(7, 11).match(/^\d{4}$/);
+
+  // First 020 whose ISBN passes the checksum; 020 $a often carries a qualifier ("0262033844 (hardcover)")
+  const isbn = values(["020"], "a")
+    .map((value) => value.split(/\s/)[0])
+    .find((value) => normalizeIsbn(value)) || "";
+
+  // Call number: local (090), then Library of Congress (050), then Dewey (082)
+  const callNumberField = ["090", "050", "082"]
+    .map((tag) => record.fields.find((field) => field.tag === tag && field.subfields))
+    .find(Boolean);
+  const callNumber = callNumberField
+    ? callNumberField.subfields.filter(([code]) => code === "a" || code === "b").map(([, value]) => value.trim()).join(" ")
+    : "";
+
+  const pagesMatch = first(["300"], "a").match(/(\d+)\s*(?:p\b|pages)/i);
+  const languageCode = controlField("008").slice(35, 38).trim();
+  const language = first(["546"], "a") || (/^[a-z]{3}$/.test(languageCode) && languageCode !== "und" ? languageCode : "");
+
+  const holdings = record.fields.filter((field) => field.tag === "852" && field.subfields);
+  const shelf = values(["852"], "c")[0] || (defaults.shelf ? String(defaults.shelf) : "");
+  const department = first(["690"], "a");
+
+  return {
+    control_number: controlField("001").trim() || null,
+    unmapped_fields: [...unmapped].sort(),
+    record: {
+      row_number: recordNumber,
+      title,
+      authors: values(["100", "110", "111", "700", "710", "711"], "a").join("; "),
+      publisher: publishers.join("; "),
+      edition: first(["250"], "a"),
+      year: yearMatch ? yearMatch[0] : "",
+      price: first(["365"], "b"),
+      donor: first(["541"], "a"),
+      department,
+      genre: department ? "" : (first(["650", "655"], "a") || (defaults.genre ? String(defaults.genre) : "")),
+      shelf,
+      quantity: String(Math.max(holdings.length, 1)),
+      isbn,
+      subject: first(["653"], "a"),
+      language,
+      pages: pagesMatch ? pagesMatch[1] : "",
+      call_number: callNumber,
+    },
+  };
+};
+
+/**
+ * Import a MARC21 or MARCXML file into the catalog. Records that map to a valid
+ * batch are created in one transaction; the rest are reported and skipped.
+ *
+ * @param {object} params
+ * @param {object} params.file - Multer file
+ * @param {boolean} params.dry_run - Only report what would be imported
+ * @param {string} params.default_shelf - Shelf ID or "number-column-row" for records without an 852 shelf
+ * @param {string} params.default_genre - Genre for records without a 650/655/690 subject
+ * @param {object} params.admin - Administrator importing the file
+ * @returns {Promise<object>} { success, status, message, data } with the created copies in data.batches
+ *   and the import job in data.import_id
+ */
+const importMarcFile = async ({ file, dry_run = false, default_shelf = null, default_genre = null, admin = null }) => {
+  if (!file) {
+    return { success: false, status: 400, message: "Upload a MARC21 or MARCXML file in the \"file\" field" };
+  }
+
+  let marcRecords;
+  try {
+    marcRecords = readMarcFile(file);
+  } catch (error) {
+    return { success: false, status: 400, message: error.message };
+  }
+  if (marcRecords.length === 0) {
+    return { success: false, status: 400, message: "No MARC records were found in the file" };
+  }
+  if (marcRecords.length > MAX_MARC_RECORDS) {
+    return { success: false, status: 400, message: `An import is limited to ${MAX_MARC_RECORDS} records; this file has ${marcRecords.length}` };
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const lookups = await loadLookups(conn);
+    const [existing] = await conn.query(`SELECT DISTINCT batch_registration_key FROM books`);
+    const existingKeys = new Set(existing.map((row) => nameKey(row.batch_registration_key)));
+
+    const report = [];
+    const importable = [];
+    marcRecords.forEach((marcRecord, index) => {
+      const recordNumber = index + 1;
+      if (marcRecord.error) {
+        report.push({ record_number: recordNumber, status: "skipped", errors: [marcRecord.error], unmapped_fields: [] });
+        return;
+      }
+
+      const mapped = mapMarcRecord(marcRecord, recordNumber, { shelf: default_shelf, genre: default_genre });
+      const safeControl = mapped.control_number ? mapped.control_number.replace(/[^A-Za-z0-9_-]/g, "").slice(0, 200) : "";
+      const batchKey = safeControl ? `marc_${safeControl}` : `marc_${Date.now()}_${recordNumber}`;
+      const entry = {
+        record_number: recordNumber,
+        control_number: mapped.control_number,
+        title: mapped.record.title || null,
+        batch_registration_key: batchKey,
+        unmapped_fields: mapped.unmapped_fields,
+        warnings: marcRecord.encoding === "latin1" ? ["MARC-8 record; non-ASCII characters may not be converted correctly"] : [],
+        errors: [],
+      };
+
+      if ((mapped.control_number && existingKeys.has(nameKey(mapped.control_number))) || existingKeys.has(nameKey(batchKey))) {
+        entry.status = "skipped";
+        entry.errors.push(`Control number ${mapped.control_number} is already in the catalog`);
+        report.push(entry);
+        return;
+      }
+      existingKeys.add(nameKey(batchKey));
+      report.push(entry);
+      importable.push({ entry, record: mapped.record });
+    });
+
+    const validated = validateRecords(importable.map((item) => item.record), lookups);
+    validated.errors.forEach((error) => {
+      const item = importable.find((candidate) => candidate.record.row_number === error.row_number);
+      item.entry.errors.push(`${error.field}: ${error.message}`);
+    });
+    validated.warnings.forEach((warning) => {
+      const item = importable.find((candidate) => candidate.record.row_number === warning.row_number);
+      item.entry.warnings.push(warning.message);
+    });
+
+    const batches = [];
+    for (const item of importable) {
+      if (item.entry.errors.length > 0) {
+        item.entry.status = "skipped";
+        continue;
+      }
+      item.entry.status = dry_run ? "ready" : "imported";
+      if (!dry_run) {
+        const row = validated.rows.find((candidate) => candidate.row_number === item.record.row_number);
+        const batch = await createBatch(conn, row, item.entry.batch_registration_key);
+        item.entry.book_ids = batch.copies.map((copy) => copy.book_id);
+        batches.push(batch);
+      }
+    }
+
+    const counted = (status) => report.filter((entry) => entry.status === status).length;
+    const summary = {
+      records: report.length,
+      imported: counted("imported"),
+      ready: counted("ready"),
+      skipped: counted("skipped"),
+      copies: batches.reduce((sum, batch) => sum + batch.copies.length, 0),
+      unmapped_fields: [...new Set(report.flatMap((entry) => entry.unmapped_fields))].sort(),
+    };
+
+    // A committed import gets a job row, like a catalog import, so its QR uploads can report progress
+    let importId = null;
+    if (!dry_run) {
+      const [jobResult] = await conn.execute(
+        `INSERT INTO book_import_jobs
+          (file_name, status, total_rows, valid_rows, batch_count, copy_count, errors, warnings, result,
+           qr_status, qr_total, created_by_admin_id, committed_by_admin_id, created_at, completed_at)
+         VALUES (?, 'Completed', ?, ?, ?, ?, ?, ?, ?, 'Pending', ?, ?, ?, NOW(), NOW())`,
+        [
+          file.originalname,
+          summary.records,
+          summary.imported,
+          batches.length,
+          summary.copies,
+          JSON.stringify(report.filter((entry) => entry.errors.length > 0).map((entry) => ({
+            row_number: entry.record_number,
+            field: null,
+            message: entry.errors.join("; "),
+          }))),
+          JSON.stringify(report.flatMap((entry) => entry.warnings.map((message) => ({
+            row_number: entry.record_number,
+            field: null,
+            message,
+          })))),
+          JSON.stringify({
+            batches: batches.map((batch) => ({
+              row_number: batch.row_number,
+              batch_registration_key: batch.batch_registration_key,
+              book_title: batch.book_title,
+              book_ids: batch.copies.map((copy) => copy.book_id),
+            })),
+          }),
+          summary.copies,
+          admin ? admin.admin_id : null,
+          admin ? admin.admin_id : null,
+        ]
+      );
+      importId = jobResult.insertId;
+    }
+
+    if (dry_run) await conn.rollback();
+    else await conn.commit();
+    conn.release();
+    conn = null;
+
+    return {
+      success: true,
+      status: dry_run ? 200 : 201,
+      message: dry_run
+        ? `Dry run: ${summary.ready} of ${summary.records} records can be imported`
+        : `Imported ${summary.imported} of ${summary.records} records (${summary.copies} copies)`,
+      data: { dry_run: !!dry_run, import_id: importId, summary, records: report, batches },
+    };
+  } catch (error) {
+    if (conn) {
+      try { await conn.rollback(); } catch (e) {}
+      try { conn.release(); } catch (e) {}
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  MARC_FORMATS,
+  MARC_EXTENSIONS,
+  getMarcRecords,
+  buildRecord,
+  toMarc21,
+  toMarcXml,
+  parseMarc21,
+  parseMarcXml,
+  readMarcFile,
+  mapMarcRecord,
+  importMarcFile,
+};
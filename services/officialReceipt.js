@@ -0,0 +1,300 @@
+const { pool } = require("../config/database");
+const moment = require("moment-timezone");
+const { LIBRARY_TIMEZONE, countOpenDays } = require("./libraryCalendar");
+const { roundAmount, getPenaltyTotal } = require("./penaltyLedger");
+
+// Same header as the smtp/penaltyNotification.js email templates
+const LIBRARY_NAME = "Lib-Track";
+const LIBRARY_SUBTITLE = "Western Mindanao State University Library System";
+
+// A5 portrait, in PDF points
+const PAGE_WIDTH = 420;
+const PAGE_HEIGHT = 595;
+const MARGIN = 36;
+
+// Helvetica glyph widths (per 1000 units) for the characters that matter when
+// centring and right-aligning; anything else uses an average width
+const HELVETICA_WIDTHS = {
+  " ": 278, ".": 278, ",": 278, "-": 333, ":": 278, "(": 333, ")": 333, "/": 278,
+  "0": 556, "1": 556, "2": 556, "3": 556, "4": 556, "5": 556, "6": 556, "7": 556, "8": 556, "9": 556,
+  P: 667, H: 722,
+};
+
+/**
+ * Load everything printed on the receipt for one payment
+ * @param {number} penaltyId - Penalty ID
+ * @param {number} paymentId - Payment ID (the latest payment when omitted)
+ * @returns {Promise<object|null>} Receipt data, or null if no such payment exists
+ */
+const getReceiptData = async (penaltyId, paymentId = null) => {
+  const [payments] = await pool.execute(
+    `SELECT pp.*,
+            CONCAT(a.first_name, ' ', a.last_name) as cashier_name
+     FROM penalty_payments pp
+     LEFT JOIN administrators a ON pp.cashier_admin_id = a.admin_id
+     WHERE pp.penalty_id = ?
+       ${paymentId ? "AND pp.payment_id = ?" : ""}
+     ORDER BY pp.paid_at DESC, pp.payment_id DESC
+     LIMIT 1`,
+    paymentId ? [penaltyId, paymentId] : [penaltyId]
+  );
+  if (payments.length === 0) return null;
+  const payment = payments[0];
+
+  const [penalties] = await pool.execute(
+    `SELECT p.*,
+            t.reference_number,
+            t.transaction_date,
+            t.due_date,
+            t.return_date,
+            CONCAT(u.first_name, ' ', u.last_name) as user_name,
+            u.email,
+            u.position,
+            u.student_id,
+            u.faculty_id,
+            d.department_name,
+            b.book_title,
+            rp.research_title,
+            fac.campaign_name as amnesty_campaign_name
+     FROM penalties p
+     LEFT JOIN transactions t ON p.transaction_id = t.transaction_id
+     LEFT JOIN users u ON p.user_id = u.user_id
+     LEFT JOIN departments d ON u.department_id = d.department_id
+     LEFT JOIN books b ON t.book_id = b.book_id
+     LEFT JOIN research_papers rp ON t.research_paper_id = rp.research_paper_id
+     LEFT JOIN fine_amnesty_campaigns fac ON p.amnesty_campaign_id = fac.campaign_id
+     WHERE p.penalty_id = ?`,
+    [penaltyId]
+  );
+  if (penalties.length === 0) return null;
+  const penalty = penalties[0];
+
+  // Everything paid before this receipt, so reprints always show the same figures
+  const [previous] = await pool.execute(
+    `SELECT COALESCE(SUM(amount), 0) as total
+     FROM penalty_payments
+     WHERE penalty_id = ?
+       AND (paid_at < ? OR (paid_at = ? AND payment_id < ?))`,
+    [penaltyId, payment.paid_at, payment.paid_at, payment.payment_id]
+  );
+
+  const isLost = penalty.penalty_type === "lost_damaged";
+  const totalAmount = getPenaltyTotal(penalty);
+  const previouslyPaid = roundAmount(previous[0].total);
+  const amountPaid = roundAmount(payment.amount);
+  const isStudent = !penalty.position || penalty.position === "Student";
+  // Open days only, matching how the fine itself was computed. Lost items were
+  // fined when marked lost, so their day count is not reconstructed here.
+  const daysOverdue = penalty.due_date && !isLost
+    ? await countOpenDays(penalty.due_date, penalty.return_date || payment.paid_at)
+    : 0;
+
+  return {
+    receipt_number: payment.receipt_number,
+    or_number: payment.or_number,
+    payment_id: payment.payment_id,
+    paid_at: payment.paid_at,
+    payment_method: payment.payment_method,
+    notes: payment.notes,
+    cashier_name: payment.cashier_name || "Library Staff",
+    penalty_id: penalty.penalty_id,
+    penalty_type: penalty.penalty_type || "overdue",
+    user_id: penalty.user_id,
+    user_name: penalty.user_name,
+    email: penalty.email,
+    patron_type: isStudent ? "Student" : penalty.position,
+    id_number: (isStudent ? penalty.student_id : penalty.faculty_id) || null,
+    department_name: penalty.department_name,
+    item_title: penalty.book_title || penalty.research_title || "Unknown Item",
+    item_type: penalty.research_title && !penalty.book_title ? "Research Paper" : "Book",
+    reference_number: penalty.reference_number,
+    due_date: penalty.due_date,
+    return_date: penalty.return_date,
+    days_overdue: daysOverdue,
+    overdue_fine: roundAmount(penalty.fine),
+    replacement_cost: isLost ? roundAmount(penalty.book_price) : 0,
+    waived_amount: roundAmount(penalty.waived_amount),
+    amnesty_amount: roundAmount(penalty.amnesty_amount),
+    amnesty_campaign_name: penalty.amnesty_campaign_name,
+    total_amount: totalAmount,
+    previously_paid: previouslyPaid,
+    amount_paid: amountPaid,
+    balance: Math.max(roundAmount(totalAmount - previouslyPaid - amountPaid), 0),
+  };
+};
+
+// Base-14 fonts only cover Latin-1, so accents are dropped and anything else
+// becomes '?' (the peso sign is written as "PHP")
+const toPdfText = (value) =>
+  String(value === null || value === undefined ? "" : value)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/₱/g, "PHP ")
+    .replace(/[^\x20-\x7e]/g, "?")
+    .replace(/\\/g, "\\\\")
+    .replace(/\(/g, "\\(")
+    .replace(/\)/g, "\\)");
+
+const textWidth = (text, size, bold = false) =>
+  String(text).split("").reduce((width, char) => width + (HELVETICA_WIDTHS[char] || (bold ? 611 : 556)), 0) * size / 1000;
+
+const formatAmount = (amount) =>
+  `PHP ${roundAmount(amount).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDateTime = (date, format) => moment(date).tz(LIBRARY_TIMEZONE).format(format);
+
+/**
+ * Build the receipt as a single page PDF
+ * @param {object} receipt - Receipt data from getReceiptData
+ * @returns {Buffer} PDF file contents
+ */
+const buildReceiptPdf = (receipt) => {
+  const ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const text = (value, x, size, bold = false) => {
+    ops.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${toPdfText(value)}) Tj ET`);
+  };
+  const centered = (value, size, bold = false) => {
+    text(value, (PAGE_WIDTH - textWidth(value, size, bold)) / 2, size, bold);
+  };
+  const rightAligned = (value, size, bold = false) => {
+    text(value, PAGE_WIDTH - MARGIN - textWidth(value, size, bold), size, bold);
+  };
+  const rule = (width = 0.5) => {
+    ops.push(`${width} w ${MARGIN} ${y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${y.toFixed(2)} l S`);
+  };
+  const field = (label, value) => {
+    text(label, MARGIN, 9, true);
+    // Long titles are cut rather than wrapped so the layout stays on one page
+    const shown = String(value || "-");
+    text(shown.length > 52 ? `${shown.slice(0, 49)}...` : shown, MARGIN + 110, 9);
+    y -= 14;
+  };
+  const amountRow = (label, amount, bold = false) => {
+    text(label, MARGIN, 10, bold);
+    rightAligned(formatAmount(amount), 10, bold);
+    y -= 16;
+  };
+
+  // HEADER
+  centered(LIBRARY_NAME, 20, true);
+  y -= 16;
+  centered(LIBRARY_SUBTITLE, 9);
+  y -= 12;
+  rule(1);
+  y -= 20;
+  centered("OFFICIAL RECEIPT", 14, true);
+  y -= 22;
+
+  field("Receipt No.:", receipt.receipt_number);
+  if (receipt.or_number) field("Cashier OR No.:", receipt.or_number);
+  field("Date:", formatDateTime(receipt.paid_at, "MMMM D, YYYY h:mm A"));
+  y -= 4;
+  rule();
+  y -= 18;
+
+  // PATRON
+  text("RECEIVED FROM", MARGIN, 10, true);
+  y -= 16;
+  field("Name:", receipt.user_name);
+  field(receipt.patron_type === "Student" ? "Student ID:" : "Faculty ID:", receipt.id_number);
+  field("Type:", receipt.patron_type);
+  if (receipt.department_name) field("Department:", receipt.department_name);
+  y -= 4;
+  rule();
+  y -= 18;
+
+  // ITEM / TRANSACTION
+  text("FOR", MARGIN, 10, true);
+  y -= 16;
+  field(`${receipt.item_type}:`, receipt.item_title);
+  field("Transaction Ref.:", receipt.reference_number);
+  field("Penalty:", receipt.penalty_type === "lost_damaged" ? "Lost / damaged item" : "Overdue return");
+  if (receipt.due_date) field("Due Date:", formatDateTime(receipt.due_date, "MMMM D, YYYY"));
+  y -= 4;
+  rule();
+  y -= 18;
+
+  // BREAKDOWN
+  text("FINE BREAKDOWN", MARGIN, 10, true);
+  y -= 18;
+  amountRow(
+    receipt.days_overdue > 0 ? `Overdue fine (${receipt.days_overdue} day${receipt.days_overdue === 1 ? "" : "s"})` : "Overdue fine",
+    receipt.overdue_fine
+  );
+  if (receipt.penalty_type === "lost_damaged") {
+    amountRow("Replacement cost (book price)", receipt.replacement_cost);
+  }
+  if (receipt.waived_amount > 0) {
+    amountRow("Less: waived", receipt.waived_amount);
+  }
+  if (receipt.amnesty_amount > 0) {
+    const label = `Less: amnesty (${receipt.amnesty_campaign_name || "campaign"})`;
+    amountRow(label.length > 44 ? `${label.slice(0, 41)}...)` : label, receipt.amnesty_amount);
+  }
+  rule();
+  y -= 16;
+  amountRow("Total amount due", receipt.total_amount, true);
+  if (receipt.previously_paid > 0) amountRow("Less: previous payments", receipt.previously_paid);
+  amountRow("AMOUNT PAID", receipt.amount_paid, true);
+  amountRow("Remaining balance", receipt.balance);
+  y -= 4;
+  rule();
+  y -= 18;
+
+  // PAYMENT / CASHIER
+  field("Payment Method:", String(receipt.payment_method || "manual").toUpperCase());
+  field("Received By:", receipt.cashier_name);
+  y -= 36;
+  ops.push(`0.5 w ${PAGE_WIDTH - MARGIN - 150} ${y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${y.toFixed(2)} l S`);
+  y -= 11;
+  text("Cashier's signature", PAGE_WIDTH - MARGIN - 150 + 34, 8);
+
+  // FOOTER
+  y = MARGIN + 10;
+  centered("This is a system-generated receipt from the Lib-Track Library Management System.", 7);
+  y -= 10;
+  centered("Please keep it for your records.", 7);
+
+  const content = ops.join("\n");
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`,
+    `<< /Title (${toPdfText(`Official Receipt ${receipt.receipt_number}`)}) /Producer (${LIBRARY_NAME}) >>`,
+  ];
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf, "latin1");
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach((offset) => {
+    pdf += `${String(offset).padStart(10, "0")} 00000 n \n`;
+  });
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, "latin1");
+};
+
+/**
+ * File name used when downloading or attaching a receipt
+ * @param {object} receipt - Receipt data from getReceiptData
+ */
+const getReceiptFileName = (receipt) => `${receipt.receipt_number || `receipt-${receipt.payment_id}`}.pdf`;
+
+module.exports = {
+  LIBRARY_NAME,
+  LIBRARY_SUBTITLE,
+  getReceiptData,
+  buildReceiptPdf,
+  getReceiptFileName,
+};
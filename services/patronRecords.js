@@ -0,0 +1,315 @@
+const { pool } = require("../config/database");
+const {
+  roundAmount,
+  getPaymentsByPenalty,
+  summarizePenalty,
+  getCreditBalance
+} = require("./penaltyLedger");
+require("dotenv").config();
+
+const UPLOAD_DOMAIN = (process.env.UPLOAD_DOMAIN || "https://uploads.codehub.site").replace(/\/+$/, "");
+
+// A patron's own loans, penalties and reservations. Staff read them through
+// /api/transactions, /api/penalties and /api/reservations; patrons through
+// /api/user, where the user id always comes from their token.
+
+/**
+ * All transactions of a user, newest first
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>}
+ */
+async function getUserTransactions(userId) {
+  const [transactions] = await pool.execute(
+    `SELECT 
+      t.*,
+      CASE 
+        WHEN t.receipt_image IS NOT NULL AND t.receipt_image != '' 
+        THEN CONCAT('${UPLOAD_DOMAIN}', t.receipt_image)
+        ELSE NULL 
+      END AS receipt_image,
+      u.first_name,
+      u.last_name,
+      u.email,
+      u.student_id,
+      u.year_level,
+      u.position,
+      d.department_name,
+      d.department_acronym,
+      b.book_title,
+      CASE 
+        WHEN bc.file_path IS NOT NULL AND bc.file_path != '' THEN CONCAT('${UPLOAD_DOMAIN}', bc.file_path)
+        ELSE NULL 
+      END AS book_cover,
+      b.book_number,
+      b.isUsingDepartment,
+      (SELECT GROUP_CONCAT(ba2.book_author SEPARATOR ', ') FROM book_author ba2 WHERE ba2.book_author_id = b.book_author_id) AS book_authors,
+      CASE 
+        WHEN b.isUsingDepartment = 1 THEN bd.department_name 
+        ELSE bg.book_genre 
+      END as book_genre,
+      rp.research_title,
+      rp.research_abstract,
+      (SELECT GROUP_CONCAT(ra2.author_name SEPARATOR ', ') FROM research_author ra2 WHERE ra2.research_paper_id = rp.research_paper_id) AS research_authors,
+      rd.department_name as research_department,
+      CASE
+        WHEN COALESCE(NULLIF(TRIM(t.status), ''), '') <> '' THEN t.status
+        WHEN t.return_date IS NOT NULL 
+             AND TRIM(t.return_date) NOT IN ('', '0000-00-00', '0000-00-00 00:00:00') THEN 'returned'
+        WHEN LOWER(COALESCE(t.transaction_type, '')) = 'reserve' THEN 'reserved'
+        WHEN LOWER(COALESCE(t.transaction_type, '')) = 'borrow' THEN 'active'
+        WHEN LOWER(COALESCE(t.transaction_type, '')) = 'return' THEN 'returned'
+        ELSE COALESCE(t.transaction_type, '')
+      END as status
+    FROM transactions t
+    LEFT JOIN users u ON t.user_id = u.user_id
+    LEFT JOIN departments d ON u.department_id = d.department_id
+    LEFT JOIN books b ON t.book_id = b.book_id
+    LEFT JOIN book_covers bc ON b.batch_registration_key = bc.batch_registration_key
+    LEFT JOIN book_genre bg ON b.book_genre_id = bg.book_genre_id AND b.isUsingDepartment = 0
+    LEFT JOIN departments bd ON b.book_genre_id = bd.department_id AND b.isUsingDepartment = 1
+    LEFT JOIN research_papers rp ON t.research_paper_id = rp.research_paper_id
+    LEFT JOIN departments rd ON rp.department_id = rd.department_id
+    WHERE t.user_id = ?
+    ORDER BY t.transaction_date DESC`,
+    [userId]
+  );
+
+  return transactions;
+}
+
+/**
+ * A user's penalties with ledger balances and payment history.
+ * Paid penalties are all listed; unpaid ones only the latest per transaction.
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { user_id, totals, penalties, payment_history }
+ */
+async function getUserPenalties(userId) {
+  // Fetch penalties for the user - latest unpaid penalty per transaction + all paid penalties
+  const [penalties] = await pool.execute(
+    `SELECT 
+        p.*,
+        t.reference_number,
+        t.due_date,
+        t.transaction_type,
+        CONCAT(u.first_name, ' ', u.last_name) as user_name,
+        u.position,
+        d.department_acronym,
+        b.book_title,
+        rp.research_title,
+        CASE 
+          WHEN t.status = 'Returned' AND t.return_date IS NOT NULL THEN DATEDIFF(STR_TO_DATE(t.return_date, '%Y-%m-%d'), STR_TO_DATE(t.due_date, '%Y-%m-%d'))
+          ELSE DATEDIFF(CURDATE(), STR_TO_DATE(t.due_date, '%Y-%m-%d'))
+        END as days_overdue,
+        p.status,
+        (SELECT pd.status FROM penalty_disputes pd
+         WHERE pd.penalty_id = p.penalty_id
+         ORDER BY pd.dispute_id DESC LIMIT 1) as dispute_status
+      FROM penalties p
+      LEFT JOIN transactions t ON p.transaction_id = t.transaction_id
+      LEFT JOIN users u ON p.user_id = u.user_id
+      LEFT JOIN departments d ON u.department_id = d.department_id
+      LEFT JOIN books b ON t.book_id = b.book_id
+      LEFT JOIN research_papers rp ON t.research_paper_id = rp.research_paper_id
+      WHERE p.user_id = ? 
+        AND (
+          -- Get all paid penalties for this user (status = 'Paid')
+          p.status = 'Paid'
+          OR 
+          -- Get only the latest unpaid penalty per transaction for this user (status != 'Paid' or NULL)
+          ((p.status != 'Paid' OR p.status IS NULL) AND p.penalty_id IN (
+            SELECT MAX(p2.penalty_id) 
+            FROM penalties p2 
+            WHERE (p2.status != 'Paid' OR p2.status IS NULL) AND p2.user_id = ?
+            GROUP BY p2.transaction_id, p2.user_id
+          ))
+        )
+      ORDER BY p.updated_at DESC`,
+    [userId, userId]
+  );
+
+  // Payment history from the ledger; balances are derived from it
+  const paymentsByPenalty = await getPaymentsByPenalty(penalties.map((p) => p.penalty_id));
+
+  const formattedPenalties = penalties.map((p) => {
+    const payments = paymentsByPenalty[p.penalty_id] || [];
+    return {
+      ...p,
+      item_title: p.book_title || p.research_title || "Unknown Item",
+      status: p.status !== null && p.status !== undefined ? p.status : (p.fine > 0 ? "Pending Payment" : "Paid"),
+      ...summarizePenalty(p, payments),
+      payments
+    };
+  });
+
+  // Compute simple totals for this user
+  const totalCount = penalties.length;
+  const totalFines = penalties.reduce((sum, p) => sum + (p.fine || 0), 0);
+  const totalPaid = formattedPenalties.reduce((sum, p) => sum + p.total_paid, 0);
+  const totalBalance = formattedPenalties.reduce((sum, p) => sum + p.balance, 0);
+
+  return {
+    user_id: userId,
+    total_count: totalCount,
+    total_fines: totalFines,
+    total_paid: roundAmount(totalPaid),
+    total_balance: roundAmount(totalBalance),
+    credit_balance: await getCreditBalance(userId),
+    penalties: formattedPenalties,
+    payment_history: formattedPenalties
+      .flatMap((p) => p.payments.map((payment) => ({
+        ...payment,
+        reference_number: p.reference_number,
+        item_title: p.item_title
+      })))
+      .sort((a, b) => new Date(b.paid_at) - new Date(a.paid_at))
+  };
+}
+
+/**
+ * A user's reservations with their queue position, newest first
+ * @param {number} userId - User ID
+ * @param {Object} options
+ * @param {string} options.status - Only reservations in this status (optional)
+ * @returns {Promise<Array>}
+ */
+async function getUserReservations(userId, { status = null } = {}) {
+  let whereClause = "WHERE r.user_id = ?";
+  const queryParams = [userId];
+
+  if (status) {
+    whereClause += " AND r.status = ?";
+    queryParams.push(status);
+  }
+
+  const [reservations] = await pool.execute(`
+    SELECT 
+      r.reservation_id,
+      r.book_id,
+      r.research_paper_id,
+      r.status,
+      r.reason,
+      r.updated_at,
+      r.hold_book_id,
+      r.hold_expires_at,
+      (
+        SELECT COUNT(*) FROM reservations r2
+        WHERE (
+          (r.batch_registration_key IS NOT NULL AND r2.batch_registration_key = r.batch_registration_key)
+          OR (r.research_paper_id IS NOT NULL AND r2.research_paper_id = r.research_paper_id)
+        )
+        AND r2.status IN ('Pending','Approved')
+        AND r2.updated_at <= r.updated_at
+      ) AS queue_position,
+      CASE 
+        WHEN r.book_id IS NOT NULL OR r.batch_registration_key IS NOT NULL THEN 'book'
+        WHEN r.research_paper_id IS NOT NULL THEN 'research_paper'
+        ELSE 'unknown'
+      END AS reservation_type,
+      -- Book details
+      b.book_title,
+      b.batch_registration_key,
+      CASE 
+        WHEN bc.file_path IS NOT NULL AND bc.file_path != '' THEN CONCAT('${UPLOAD_DOMAIN}', bc.file_path)
+        ELSE NULL 
+      END AS book_cover,
+      b.book_number,
+      CASE 
+        WHEN b.book_qr IS NOT NULL AND b.book_qr != '' THEN CONCAT('${UPLOAD_DOMAIN}', b.book_qr)
+        ELSE NULL 
+      END AS book_qr,
+      ba.book_author,
+      bg.book_genre,
+      d.department_name AS book_department,
+      -- Research paper details
+      rp.research_title,
+      rp.year_publication,
+      rp.research_paper_qr,
+      GROUP_CONCAT(DISTINCT ra.author_name) AS research_authors,
+      dept.department_name AS research_department
+    FROM reservations r
+    -- Title reservations show the held copy, the requested copy, or the first copy of the title
+    LEFT JOIN books b ON b.book_id = COALESCE(
+      r.hold_book_id,
+      r.book_id,
+      (SELECT MIN(b2.book_id) FROM books b2 WHERE b2.batch_registration_key = r.batch_registration_key)
+    )
+    LEFT JOIN book_covers bc ON b.batch_registration_key = bc.batch_registration_key
+    LEFT JOIN book_author ba ON b.book_author_id = ba.book_author_id
+    LEFT JOIN book_genre bg ON b.book_genre_id = bg.book_genre_id AND b.isUsingDepartment = 0
+    LEFT JOIN departments d ON b.book_genre_id = d.department_id AND b.isUsingDepartment = 1
+    LEFT JOIN research_papers rp ON r.research_paper_id = rp.research_paper_id
+    LEFT JOIN research_author ra ON rp.research_paper_id = ra.research_paper_id
+    LEFT JOIN departments dept ON rp.department_id = dept.department_id
+    ${whereClause}
+    GROUP BY 
+      r.reservation_id, 
+      r.book_id, 
+      r.research_paper_id, 
+      r.status, 
+      r.reason, 
+      r.updated_at,
+      r.hold_book_id,
+      r.hold_expires_at,
+      b.book_title,
+      b.batch_registration_key,
+      bc.file_path,
+      b.book_number,
+      b.book_qr,
+      ba.book_author,
+      bg.book_genre,
+      d.department_name,
+      rp.research_title,
+      rp.year_publication,
+      rp.research_paper_qr,
+      dept.department_name
+    ORDER BY r.updated_at DESC
+  `, queryParams);
+
+  // Format the response
+  const formattedReservations = reservations.map(reservation => {
+    const baseData = {
+      reservation_id: reservation.reservation_id,
+      status: reservation.status,
+      reason: reservation.reason,
+      updated_at: reservation.updated_at,
+      hold_book_id: reservation.hold_book_id,
+      hold_expires_at: reservation.hold_expires_at,
+      position: reservation.queue_position || 1,
+      reservation_type: reservation.reservation_type
+    };
+
+    if (reservation.reservation_type === "book") {
+      return {
+        ...baseData,
+        book_id: reservation.book_id,
+        book_title: reservation.book_title,
+        batch_registration_key: reservation.batch_registration_key,
+        book_cover: reservation.book_cover,
+        book_number: reservation.book_number,
+        book_qr: reservation.book_qr,
+        author: reservation.book_author,
+        genre: reservation.book_department || reservation.book_genre
+      };
+    } else if (reservation.reservation_type === "research_paper") {
+      return {
+        ...baseData,
+        research_paper_id: reservation.research_paper_id,
+        research_title: reservation.research_title,
+        year_publication: reservation.year_publication,
+        research_paper_qr: reservation.research_paper_qr,
+        authors: reservation.research_authors,
+        department: reservation.research_department
+      };
+    }
+
+    return baseData;
+  });
+
+  return formattedReservations;
+}
+
+module.exports = {
+  getUserTransactions,
+  getUserPenalties,
+  getUserReservations
+};
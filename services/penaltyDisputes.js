@@ -0,0 +1,453 @@
+const { pool } = require("../config/database");
+const { logActivity } = require("../helpers/activityLogger");
+const { roundAmount, getPenaltyTotal } = require("./penaltyLedger");
+const { notifyUser } = require("./userNotifications");
+
+const DISPUTE_STATUSES = ["Submitted", "Under Review", "Approved", "Rejected"];
+
+// Disputes in these states freeze scheduled reminders for the penalty
+const OPEN_DISPUTE_STATUSES = ["Submitted", "Under Review"];
+
+// Attachments are kept in the database like COR images
+const ATTACHMENT_TYPES = ["image/jpeg", "image/jpg", "image/png", "application/pdf"];
+const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
+
+/**
+ * SQL condition that is true when penalty alias `p` has an open dispute
+ */
+const OPEN_DISPUTE_SQL = `EXISTS (
+  SELECT 1 FROM penalty_disputes pd
+  WHERE pd.penalty_id = p.penalty_id
+    AND pd.status IN (${OPEN_DISPUTE_STATUSES.map((status) => `'${status}'`).join(", ")})
+)`;
+
+let wsServer = null;
+
+// Set WebSocket server instance
+const setWebSocketServer = (server) => {
+  wsServer = server;
+};
+
+// Columns returned for a dispute (the attachment itself is only served on request)
+const DISPUTE_COLUMNS = `
+  pd.dispute_id, pd.penalty_id, pd.user_id, pd.reason, pd.status,
+  pd.attachment_name, pd.attachment_type, (pd.attachment IS NOT NULL) as has_attachment,
+  pd.waiver_type, pd.waiver_amount, pd.resolution_notes,
+  pd.reviewed_by_admin_id, CONCAT(a.first_name, ' ', a.last_name) as reviewed_by,
+  pd.submitted_at, pd.review_started_at, pd.resolved_at, pd.updated_at,
+  p.fine, p.book_price, p.penalty_type, p.waived_amount, p.status as penalty_status,
+  t.reference_number,
+  CONCAT(u.first_name, ' ', u.last_name) as user_name,
+  u.email,
+  b.book_title,
+  rp.research_title`;
+
+const DISPUTE_JOINS = `
+  FROM penalty_disputes pd
+  LEFT JOIN penalties p ON pd.penalty_id = p.penalty_id
+  LEFT JOIN transactions t ON p.transaction_id = t.transaction_id
+  LEFT JOIN users u ON pd.user_id = u.user_id
+  LEFT JOIN books b ON t.book_id = b.book_id
+  LEFT JOIN research_papers rp ON t.research_paper_id = rp.research_paper_id
+  LEFT JOIN administrators a ON pd.reviewed_by_admin_id = a.admin_id`;
+
+const formatDispute = (dispute) => ({
+  ...dispute,
+  has_attachment: !!dispute.has_attachment,
+  waiver_amount: dispute.waiver_amount !== null ? roundAmount(dispute.waiver_amount) : null,
+  item_title: dispute.book_title || dispute.research_title || "Unknown Item",
+});
+
+/**
+ * List disputes
+ * @param {object} filters - { status, user_id, penalty_id }
+ * @returns {Promise<Array>} Disputes, newest first
+ */
+const getDisputes = async ({ status = null, user_id = null, penalty_id = null } = {}) => {
+  const conditions = [];
+  const params = [];
+  if (status) {
+    conditions.push("pd.status = ?");
+    params.push(status);
+  }
+  if (user_id) {
+    conditions.push("pd.user_id = ?");
+    params.push(user_id);
+  }
+  if (penalty_id) {
+    conditions.push("pd.penalty_id = ?");
+    params.push(penalty_id);
+  }
+
+  const [disputes] = await pool.execute(
+    `SELECT ${DISPUTE_COLUMNS}
+     ${DISPUTE_JOINS}
+     ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+     ORDER BY pd.submitted_at DESC, pd.dispute_id DESC`,
+    params
+  );
+  return disputes.map(formatDispute);
+};
+
+/**
+ * Get a single dispute
+ * @param {number} disputeId - Dispute ID
+ * @param {object} db - Pool or connection to run the query on
+ */
+const getDispute = async (disputeId, db = pool) => {
+  const [disputes] = await db.execute(
+    `SELECT ${DISPUTE_COLUMNS}
+     ${DISPUTE_JOINS}
+     WHERE pd.dispute_id = ?`,
+    [disputeId]
+  );
+  return disputes.length > 0 ? formatDispute(disputes[0]) : null;
+};
+
+/**
+ * Get a dispute's attachment
+ * @param {number} disputeId - Dispute ID
+ * @returns {Promise<object|null>} { user_id, attachment, attachment_name, attachment_type }
+ */
+const getDisputeAttachment = async (disputeId) => {
+  const [rows] = await pool.execute(
+    `SELECT user_id, attachment, attachment_name, attachment_type
+     FROM penalty_disputes
+     WHERE dispute_id = ?`,
+    [disputeId]
+  );
+  return rows.length > 0 && rows[0].attachment ? rows[0] : null;
+};
+
+// Tell the patron (and staff dashboards) that a dispute changed state
+const notifyDisputeUpdate = async (dispute, title, message) => {
+  try {
+    await notifyUser(dispute.user_id, {
+      notification_type: "Penalty Notification",
+      type: "penalty_dispute",
+      title,
+      message,
+      dispute_id: dispute.dispute_id,
+      penalty_id: dispute.penalty_id,
+      dispute_status: dispute.status,
+      reference_number: dispute.reference_number,
+      timestamp: new Date().toISOString(),
+      priority: "medium",
+    });
+
+    if (!wsServer) return;
+    wsServer.broadcast({
+      type: "PENALTY_DISPUTE_UPDATED",
+      data: {
+        dispute_id: dispute.dispute_id,
+        penalty_id: dispute.penalty_id,
+        user_id: dispute.user_id,
+        user_name: dispute.user_name,
+        status: dispute.status,
+        waiver_type: dispute.waiver_type,
+        waiver_amount: dispute.waiver_amount,
+        reference_number: dispute.reference_number,
+      },
+      timestamp: new Date().toISOString(),
+    }, { userId: dispute.user_id });
+  } catch (error) {
+    console.error("[Penalty Disputes] Error sending dispute notification:", error);
+  }
+};
+
+/**
+ * File a dispute on one of the patron's own penalties
+ *
+ * @param {object} params
+ * @param {number} params.penalty_id - Penalty being disputed
+ * @param {number} params.user_id - Patron filing the dispute
+ * @param {string} params.reason - Why the fine should be reconsidered
+ * @param {object} params.file - Optional multer file (image or PDF, 5MB max)
+ * @returns {Promise<object>} { success, status, message, data }
+ */
+const fileDispute = async ({ penalty_id, user_id, reason, file = null }) => {
+  if (!reason || !String(reason).trim()) {
+    return { success: false, status: 400, message: "A reason for the dispute is required" };
+  }
+  if (file && !ATTACHMENT_TYPES.includes(file.mimetype)) {
+    return { success: false, status: 400, message: "Only JPG, JPEG, PNG and PDF attachments are allowed" };
+  }
+  if (file && file.size > MAX_ATTACHMENT_SIZE) {
+    return { success: false, status: 400, message: "Attachment must be less than 5MB" };
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const fail = async (status, message) => {
+      await conn.rollback();
+      conn.release();
+      conn = null;
+      return { success: false, status, message };
+    };
+
+    // Lock the penalty so the same patron cannot open two disputes at once
+    const [penalties] = await conn.execute(
+      `SELECT penalty_id, user_id, status FROM penalties WHERE penalty_id = ? FOR UPDATE`,
+      [penalty_id]
+    );
+
+    if (penalties.length === 0) {
+      return await fail(404, "Penalty not found");
+    }
+    const penalty = penalties[0];
+
+    if (penalty.user_id !== parseInt(user_id)) {
+      return await fail(403, "This penalty does not belong to you");
+    }
+    if (penalty.status === "Paid" || penalty.status === "Waived") {
+      return await fail(400, `Penalty is already ${penalty.status.toLowerCase()} and cannot be disputed`);
+    }
+
+    const [openDisputes] = await conn.execute(
+      `SELECT dispute_id FROM penalty_disputes
+       WHERE penalty_id = ? AND status IN (${OPEN_DISPUTE_STATUSES.map(() => "?").join(", ")})`,
+      [penalty_id, ...OPEN_DISPUTE_STATUSES]
+    );
+    if (openDisputes.length > 0) {
+      return await fail(409, "This penalty already has an open dispute");
+    }
+
+    const [result] = await conn.execute(
+      `INSERT INTO penalty_disputes
+        (penalty_id, user_id, reason, attachment, attachment_name, attachment_type, status, submitted_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, 'Submitted', NOW(), NOW())`,
+      [
+        penalty_id,
+        penalty.user_id,
+        String(reason).trim(),
+        file ? file.buffer : null,
+        file ? String(file.originalname || "attachment").slice(0, 255) : null,
+        file ? file.mimetype : null,
+      ]
+    );
+
+    await conn.commit();
+    conn.release();
+    conn = null;
+
+    const dispute = await getDispute(result.insertId);
+
+    await logActivity({
+      user_id: dispute.user_id,
+      action: "PENALTY_DISPUTE_SUBMITTED",
+      details: `Disputed penalty for Reference: ${dispute.reference_number} - Reason: ${dispute.reason}`,
+      actor_type: "user",
+    });
+
+    await notifyDisputeUpdate(
+      dispute,
+      "Dispute Submitted",
+      `Your dispute for ${dispute.item_title} (Ref: ${dispute.reference_number}) was submitted. Reminders for this fine are paused while it is reviewed.`
+    );
+
+    return { success: true, status: 201, message: "Dispute submitted successfully", data: dispute };
+  } catch (error) {
+    if (conn) {
+      try { await conn.rollback(); } catch (e) {}
+      try { conn.release(); } catch (e) {}
+    }
+    throw error;
+  }
+};
+
+/**
+ * Move a submitted dispute to Under Review
+ * @param {number} disputeId - Dispute ID
+ * @param {object} admin - Reviewing administrator row
+ * @returns {Promise<object>} { success, status, message, data }
+ */
+const startReview = async (disputeId, admin) => {
+  const [result] = await pool.execute(
+    `UPDATE penalty_disputes
+     SET status = 'Under Review', reviewed_by_admin_id = ?, review_started_at = NOW(), updated_at = NOW()
+     WHERE dispute_id = ? AND status = 'Submitted'`,
+    [admin.admin_id, disputeId]
+  );
+
+  if (result.affectedRows === 0) {
+    const existing = await getDispute(disputeId);
+    return existing
+      ? { success: false, status: 400, message: `Only submitted disputes can be put under review (current status: ${existing.status})` }
+      : { success: false, status: 404, message: "Dispute not found" };
+  }
+
+  const dispute = await getDispute(disputeId);
+  await notifyDisputeUpdate(
+    dispute,
+    "Dispute Under Review",
+    `Your dispute for ${dispute.item_title} (Ref: ${dispute.reference_number}) is now being reviewed by the library staff.`
+  );
+
+  return { success: true, status: 200, message: "Dispute is now under review", data: dispute };
+};
+
+/**
+ * Approve or reject an open dispute.
+ *
+ * Approving with a full waiver marks the penalty Waived. A partial waiver
+ * lowers what the patron owes by waiver_amount (kept in penalties.waived_amount
+ * so the payment ledger and balances pick it up); if that settles the balance
+ * the penalty becomes Paid.
+ *
+ * @param {object} params
+ * @param {number} params.dispute_id - Dispute ID
+ * @param {string} params.decision - 'approve' or 'reject'
+ * @param {string} params.waiver_type - 'full' or 'partial' (approvals only)
+ * @param {number} params.waiver_amount - Amount waived (partial waivers only)
+ * @param {string} params.resolution_notes - Explanation shown to the patron
+ * @param {object} params.admin - Deciding administrator row
+ * @returns {Promise<object>} { success, status, message, data }
+ */
+const resolveDispute = async ({ dispute_id, decision, waiver_type = "full", waiver_amount = null, resolution_notes = null, admin }) => {
+  if (decision === "reject" && (!resolution_notes || !String(resolution_notes).trim())) {
+    return { success: false, status: 400, message: "resolution_notes is required when rejecting a dispute" };
+  }
+  if (decision === "approve" && !["full", "partial"].includes(waiver_type)) {
+    return { success: false, status: 400, message: "waiver_type must be 'full' or 'partial'" };
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const fail = async (status, message, extra = {}) => {
+      await conn.rollback();
+      conn.release();
+      conn = null;
+      return { success: false, status, message, ...extra };
+    };
+
+    const [disputes] = await conn.execute(
+      `SELECT * FROM penalty_disputes WHERE dispute_id = ? FOR UPDATE`,
+      [dispute_id]
+    );
+    if (disputes.length === 0) {
+      return await fail(404, "Dispute not found");
+    }
+    if (!OPEN_DISPUTE_STATUSES.includes(disputes[0].status)) {
+      return await fail(400, `Dispute has already been ${disputes[0].status.toLowerCase()}`);
+    }
+
+    const [penalties] = await conn.execute(
+      `SELECT * FROM penalties WHERE penalty_id = ? FOR UPDATE`,
+      [disputes[0].penalty_id]
+    );
+    const penalty = penalties[0];
+    const waivedBy = `${admin.first_name} ${admin.last_name}`;
+    let amountWaived = null;
+
+    if (decision === "approve") {
+      if (!penalty || penalty.status === "Paid" || penalty.status === "Waived") {
+        return await fail(400, `Penalty is already ${penalty ? penalty.status.toLowerCase() : "deleted"}; the dispute can only be rejected`);
+      }
+
+      const [paidRows] = await conn.execute(
+        `SELECT COALESCE(SUM(amount), 0) as total_paid FROM penalty_payments WHERE penalty_id = ?`,
+        [penalty.penalty_id]
+      );
+      const balance = Math.max(roundAmount(getPenaltyTotal(penalty) - paidRows[0].total_paid), 0);
+      const reason = `Dispute #${dispute_id} approved${resolution_notes ? `: ${String(resolution_notes).trim()}` : ""}`;
+
+      if (waiver_type === "full") {
+        amountWaived = balance;
+        await conn.execute(
+          `UPDATE penalties
+           SET status = 'Waived', waive_reason = ?, waived_by = ?, updated_at = NOW()
+           WHERE penalty_id = ?`,
+          [reason, waivedBy, penalty.penalty_id]
+        );
+      } else {
+        amountWaived = roundAmount(waiver_amount);
+        if (!(amountWaived > 0)) {
+          return await fail(400, "waiver_amount must be greater than zero for a partial waiver");
+        }
+        if (amountWaived > balance) {
+          return await fail(400, `waiver_amount exceeds the outstanding balance of ₱${balance.toFixed(2)}`, { data: { balance } });
+        }
+
+        await conn.execute(
+          `UPDATE penalties
+           SET waived_amount = COALESCE(waived_amount, 0) + ?,
+               status = ?, waive_reason = ?, waived_by = ?, updated_at = NOW()
+           WHERE penalty_id = ?`,
+          [amountWaived, amountWaived >= balance ? "Paid" : penalty.status, reason, waivedBy, penalty.penalty_id]
+        );
+      }
+    }
+
+    await conn.execute(
+      `UPDATE penalty_disputes
+       SET status = ?, waiver_type = ?, waiver_amount = ?, resolution_notes = ?,
+           reviewed_by_admin_id = ?, resolved_at = NOW(), updated_at = NOW()
+       WHERE dispute_id = ?`,
+      [
+        decision === "approve" ? "Approved" : "Rejected",
+        decision === "approve" ? waiver_type : null,
+        amountWaived,
+        resolution_notes ? String(resolution_notes).trim() : null,
+        admin.admin_id,
+        dispute_id,
+      ]
+    );
+
+    await conn.commit();
+    conn.release();
+    conn = null;
+
+    const dispute = await getDispute(dispute_id);
+
+    await logActivity({
+      user_id: dispute.user_id,
+      action: decision === "approve" ? "PENALTY_DISPUTE_APPROVED" : "PENALTY_DISPUTE_REJECTED",
+      details: decision === "approve"
+        ? `Approved dispute #${dispute_id} for Reference: ${dispute.reference_number} - ${waiver_type} waiver of ₱${amountWaived.toFixed(2)}`
+        : `Rejected dispute #${dispute_id} for Reference: ${dispute.reference_number} - ${dispute.resolution_notes}`,
+      admin_id: admin.admin_id,
+    });
+
+    await notifyDisputeUpdate(
+      dispute,
+      decision === "approve" ? "Dispute Approved" : "Dispute Rejected",
+      decision === "approve"
+        ? waiver_type === "full"
+          ? `Your dispute for ${dispute.item_title} (Ref: ${dispute.reference_number}) was approved and the fine has been waived.`
+          : `Your dispute for ${dispute.item_title} (Ref: ${dispute.reference_number}) was approved. ₱${amountWaived.toFixed(2)} of the fine has been waived.`
+        : `Your dispute for ${dispute.item_title} (Ref: ${dispute.reference_number}) was rejected. Reason: ${dispute.resolution_notes}`
+    );
+
+    return {
+      success: true,
+      status: 200,
+      message: decision === "approve" ? "Dispute approved" : "Dispute rejected",
+      data: dispute,
+    };
+  } catch (error) {
+    if (conn) {
+      try { await conn.rollback(); } catch (e) {}
+      try { conn.release(); } catch (e) {}
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  DISPUTE_STATUSES,
+  OPEN_DISPUTE_STATUSES,
+  OPEN_DISPUTE_SQL,
+  setWebSocketServer,
+  getDisputes,
+  getDispute,
+  getDisputeAttachment,
+  fileDispute,
+  startReview,
+  resolveDispute,
+};
@@ -0,0 +1,286 @@
+const { pool } = require("../config/database");
+const moment = require("moment-timezone");
+const { LIBRARY_TIMEZONE } = require("./libraryCalendar");
+
+// Keeps payment amounts at centavo precision when comparing balances
+const roundAmount = (amount) => Math.round((parseFloat(amount) || 0) * 100) / 100;
+
+/**
+ * Total amount owed on a penalty before payments: the overdue fine plus the
+ * replacement price for lost/damaged items, less any partial waiver and
+ * amnesty discount
+ * @param {object} penalty - Penalty row with fine, penalty_type, book_price, waived_amount and amnesty_amount
+ */
+const getPenaltyTotal = (penalty) => {
+  const bookPrice = penalty.penalty_type === "lost_damaged" ? parseFloat(penalty.book_price) || 0 : 0;
+  const waived = (parseFloat(penalty.waived_amount) || 0) + (parseFloat(penalty.amnesty_amount) || 0);
+  return Math.max(roundAmount((parseFloat(penalty.fine) || 0) + bookPrice - waived), 0);
+};
+
+/**
+ * Official receipt number for a payment, e.g. OR-2025-000123. Built from the
+ * ledger's auto-increment ID so numbers are unique and never reused.
+ * @param {number} paymentId - Payment ID
+ * @param {Date} paidAt - Payment date (defaults to now)
+ */
+const formatReceiptNumber = (paymentId, paidAt = new Date()) =>
+  `OR-${moment(paidAt).tz(LIBRARY_TIMEZONE).format("YYYY")}-${String(paymentId).padStart(6, "0")}`;
+
+/**
+ * SQL expression for the outstanding balance of penalty alias `p`
+ * (use in SELECTs that need balances without loading the ledger rows)
+ */
+const BALANCE_SQL = `(COALESCE(p.fine, 0)
+  + CASE WHEN p.penalty_type = 'lost_damaged' THEN COALESCE(p.book_price, 0) ELSE 0 END
+  - COALESCE(p.waived_amount, 0)
+  - COALESCE(p.amnesty_amount, 0)
+  - COALESCE((SELECT SUM(pp.amount) FROM penalty_payments pp WHERE pp.penalty_id = p.penalty_id), 0))`;
+
+/**
+ * Get the ledger rows for one or more penalties, grouped by penalty ID
+ * @param {number[]} penaltyIds - Penalty IDs
+ * @param {object} db - Pool or connection to run the query on
+ * @returns {Promise<object>} { [penalty_id]: [payment, ...] } oldest payment first
+ */
+const getPaymentsByPenalty = async (penaltyIds, db = pool) => {
+  const ids = (penaltyIds || []).filter((id) => id !== null && id !== undefined);
+  if (ids.length === 0) return {};
+
+  const placeholders = ids.map(() => "?").join(",");
+  const [payments] = await db.execute(
+    `SELECT pp.payment_id, pp.penalty_id, pp.user_id, pp.amount, pp.payment_method,
+            pp.receipt_number, pp.or_number, pp.notes, pp.cashier_admin_id, pp.paid_at,
+            CONCAT(a.first_name, ' ', a.last_name) as cashier_name
+     FROM penalty_payments pp
+     LEFT JOIN administrators a ON pp.cashier_admin_id = a.admin_id
+     WHERE pp.penalty_id IN (${placeholders})
+     ORDER BY pp.paid_at ASC, pp.payment_id ASC`,
+    ids
+  );
+
+  const grouped = {};
+  payments.forEach((payment) => {
+    if (!grouped[payment.penalty_id]) grouped[payment.penalty_id] = [];
+    grouped[payment.penalty_id].push({ ...payment, amount: roundAmount(payment.amount) });
+  });
+  return grouped;
+};
+
+/**
+ * Summarise a penalty's ledger
+ * @param {object} penalty - Penalty row
+ * @param {Array} payments - Ledger rows for the penalty
+ * @returns {object} { total_amount, total_paid, balance }
+ */
+const summarizePenalty = (penalty, payments = []) => {
+  const totalAmount = getPenaltyTotal(penalty);
+  const totalPaid = roundAmount(payments.reduce((sum, payment) => sum + payment.amount, 0));
+  return {
+    total_amount: totalAmount,
+    total_paid: totalPaid,
+    balance: penalty.status === "Waived" ? 0 : Math.max(roundAmount(totalAmount - totalPaid), 0),
+  };
+};
+
+/**
+ * Get a patron's unused account credit
+ * @param {number} userId - User ID
+ * @param {object} db - Pool or connection to run the query on
+ * @param {boolean} forUpdate - Lock the credit rows (inside a transaction)
+ */
+const getCreditBalance = async (userId, db = pool, forUpdate = false) => {
+  const [rows] = await db.execute(
+    `SELECT amount FROM patron_credits WHERE user_id = ?${forUpdate ? " FOR UPDATE" : ""}`,
+    [userId]
+  );
+  return roundAmount(rows.reduce((sum, row) => sum + parseFloat(row.amount), 0));
+};
+
+/**
+ * Record a payment against a penalty. The penalty becomes 'Partially Paid'
+ * until the ledger covers the full amount, then 'Paid'.
+ *
+ * An active amnesty campaign the penalty qualifies for is applied first. If it
+ * forgives the whole balance, the penalty is marked 'Waived' and no payment is
+ * recorded (payment_id is null), even when an amount was given.
+ *
+ * @param {object} params
+ * @param {number} params.penalty_id - Penalty ID
+ * @param {number} params.amount - Amount paid (defaults to the full balance)
+ * @param {string} params.payment_method - e.g. 'cash', 'gcash', 'manual', or 'account_credit' to use the patron's credit
+ * @param {string} params.or_number - Cashier's paper OR number (optional; a system receipt number is always assigned)
+ * @param {string} params.notes - Notes (optional)
+ * @param {number} params.admin_id - Cashier admin ID
+ * @returns {Promise<object>} { status, success, message, data }
+ */
+const recordPayment = async ({ penalty_id, amount, payment_method = "manual", or_number = null, notes = null, admin_id = null }) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    // Lock the penalty so two cashiers cannot overpay it at the same time
+    const [penalties] = await conn.execute(
+      `SELECT * FROM penalties WHERE penalty_id = ? FOR UPDATE`,
+      [penalty_id]
+    );
+
+    if (penalties.length === 0) {
+      await conn.rollback();
+      conn.release();
+      return { status: 404, success: false, message: "Penalty not found" };
+    }
+
+    const penalty = penalties[0];
+    if (penalty.status === "Paid" || penalty.status === "Waived") {
+      await conn.rollback();
+      conn.release();
+      return {
+        status: 400,
+        success: false,
+        message: penalty.status === "Paid"
+          ? "Penalty is already marked as paid"
+          : "Penalty has been waived and cannot be marked as paid",
+        data: { penalty_id: penalty.penalty_id, status: penalty.status },
+      };
+    }
+
+    const [paidRows] = await conn.execute(
+      `SELECT COALESCE(SUM(amount), 0) as total_paid FROM penalty_payments WHERE penalty_id = ?`,
+      [penalty_id]
+    );
+    let totalAmount = getPenaltyTotal(penalty);
+    let balanceBefore = Math.max(roundAmount(totalAmount - paidRows[0].total_paid), 0);
+
+    // Loaded here because the amnesty service itself builds on this module
+    const { applyAmnesty } = require("./fineAmnesty");
+    const amnesty = await applyAmnesty(conn, penalty, balanceBefore);
+    if (amnesty) {
+      totalAmount = roundAmount(totalAmount - amnesty.amount);
+      balanceBefore = roundAmount(balanceBefore - amnesty.amount);
+    }
+
+    const amountOmitted = amount === undefined || amount === null || amount === "";
+    if (amnesty && balanceBefore <= 0) {
+      await conn.execute(
+        `UPDATE penalties SET status = 'Waived', waive_reason = ?, waived_by = ?, updated_at = NOW() WHERE penalty_id = ?`,
+        [`Forgiven under amnesty campaign: ${amnesty.campaign_name}`, "Amnesty campaign", penalty.penalty_id]
+      );
+      await conn.commit();
+      conn.release();
+      conn = null;
+
+      return {
+        status: 200,
+        success: true,
+        message: `Penalty fully forgiven under amnesty campaign: ${amnesty.campaign_name}${amountOmitted ? "" : "; no payment was taken"}`,
+        data: {
+          payment_id: null,
+          receipt_number: null,
+          penalty: { ...penalty, status: "Waived" },
+          amount_paid: 0,
+          total_amount: totalAmount,
+          total_paid: roundAmount(paidRows[0].total_paid),
+          balance: 0,
+          penalty_status: "Waived",
+          amnesty,
+        },
+      };
+    }
+
+    const amountPaid = amountOmitted ? balanceBefore : roundAmount(amount);
+
+    if (!(amountPaid > 0)) {
+      await conn.rollback();
+      conn.release();
+      return { status: 400, success: false, message: "Payment amount must be greater than zero" };
+    }
+    if (amountPaid > balanceBefore) {
+      await conn.rollback();
+      conn.release();
+      return {
+        status: 400,
+        success: false,
+        message: `Payment amount exceeds the outstanding balance of ₱${balanceBefore.toFixed(2)}`,
+        data: { penalty_id: penalty.penalty_id, balance: balanceBefore },
+      };
+    }
+
+    // Paying from account credit (e.g. from a lost item that was found) uses it up
+    if (payment_method === "account_credit") {
+      const credit = await getCreditBalance(penalty.user_id, conn, true);
+      if (amountPaid > credit) {
+        await conn.rollback();
+        conn.release();
+        return {
+          status: 400,
+          success: false,
+          message: `Payment amount exceeds the patron's account credit of ₱${credit.toFixed(2)}`,
+          data: { penalty_id: penalty.penalty_id, credit_balance: credit },
+        };
+      }
+      await conn.execute(
+        `INSERT INTO patron_credits (user_id, amount, penalty_id, source, notes, admin_id, created_at)
+         VALUES (?, ?, ?, 'penalty_payment', ?, ?, NOW())`,
+        [penalty.user_id, -amountPaid, penalty.penalty_id, notes || null, admin_id]
+      );
+    }
+
+    const [result] = await conn.execute(
+      `INSERT INTO penalty_payments (penalty_id, user_id, amount, payment_method, or_number, notes, cashier_admin_id, paid_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [penalty.penalty_id, penalty.user_id, amountPaid, String(payment_method).slice(0, 30), or_number || null, notes || null, admin_id]
+    );
+
+    const receiptNumber = formatReceiptNumber(result.insertId);
+    await conn.execute(
+      `UPDATE penalty_payments SET receipt_number = ? WHERE payment_id = ?`,
+      [receiptNumber, result.insertId]
+    );
+
+    const balance = Math.max(roundAmount(balanceBefore - amountPaid), 0);
+    const status = balance <= 0 ? "Paid" : "Partially Paid";
+    await conn.execute(
+      `UPDATE penalties SET status = ?, updated_at = NOW() WHERE penalty_id = ?`,
+      [status, penalty.penalty_id]
+    );
+
+    await conn.commit();
+    conn.release();
+    conn = null;
+
+    return {
+      status: 200,
+      success: true,
+      message: status === "Paid" ? "Penalty marked as paid" : "Partial payment recorded",
+      data: {
+        payment_id: result.insertId,
+        receipt_number: receiptNumber,
+        penalty: { ...penalty, status },
+        amount_paid: amountPaid,
+        total_amount: totalAmount,
+        total_paid: roundAmount(totalAmount - balance),
+        balance,
+        penalty_status: status,
+        amnesty,
+      },
+    };
+  } catch (error) {
+    if (conn) {
+      try { await conn.rollback(); } catch (e) {}
+      try { conn.release(); } catch (e) {}
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  BALANCE_SQL,
+  roundAmount,
+  formatReceiptNumber,
+  getPenaltyTotal,
+  getPaymentsByPenalty,
+  summarizePenalty,
+  getCreditBalance,
+  recordPayment,
+};
@@ -1,24 +1,31 @@
 const { pool } = require("../config/database");
+const { formatDate, isLibraryOpen, getNextOpenDay, countOpenDays } = require("./libraryCalendar");
+const { OPEN_DISPUTE_SQL } = require("./penaltyDisputes");
 const { 
   sendPenaltyDueReminder, 
   sendOverduePenaltyNotification 
 } = require("../smtp/penaltyNotification");
-
-let wsServer = null;
-
-// Set WebSocket server instance
-const setWebSocketServer = (server) => {
-  wsServer = server;
-};
+const { notifyUser } = require("./userNotifications");
 
 /**
- * Check for items due tomorrow and send reminders
+ * Check for items due on the next open library day and send reminders.
+ * Reminders go out on the last open day before the due date, so an item due
+ * on Monday is reminded on Saturday and nothing is sent while the library is closed.
  */
 const checkDueTomorrowReminders = async () => {
   try {
     console.log('[Penalty Scheduler] Checking for items due tomorrow...');
-    
-    // Get transactions that are due tomorrow and not yet returned
+
+    const today = formatDate(new Date());
+    if (!(await isLibraryOpen(today))) {
+      console.log('[Penalty Scheduler] Library is closed today, skipping due reminders');
+      return 0;
+    }
+
+    const nextOpenDay = await getNextOpenDay(today);
+    const tomorrow = formatDate(new Date(Date.now() + 24 * 60 * 60 * 1000));
+
+    // Get transactions due by the next open day and not yet returned
     const [transactions] = await pool.execute(
       `SELECT 
         t.transaction_id,
@@ -36,15 +43,21 @@ const checkDueTomorrowReminders = async () => {
        LEFT JOIN books b ON t.book_id = b.book_id
        LEFT JOIN research_papers rp ON t.research_paper_id = rp.research_paper_id
        WHERE t.status = 'Borrowed'
-         AND t.due_date = DATE_ADD(CURDATE(), INTERVAL 1 DAY)
+         AND STR_TO_DATE(t.due_date, '%Y-%m-%d') > ?
+         AND STR_TO_DATE(t.due_date, '%Y-%m-%d') <= ?
          AND u.email IS NOT NULL
-         AND u.email != ''`
+         AND u.email != ''`,
+      [today, nextOpenDay]
     );
 
     console.log(`[Penalty Scheduler] Found ${transactions.length} transactions due tomorrow`);
 
     for (const transaction of transactions) {
       try {
+        const dueLabel = formatDate(transaction.due_date) === tomorrow
+          ? 'tomorrow'
+          : `on ${formatDate(transaction.due_date)}`;
+
         // Send email notification
         await sendPenaltyDueReminder(
           transaction.email,
@@ -52,19 +65,17 @@ const checkDueTomorrowReminders = async () => {
           transaction
         );
 
-        // Send WebSocket notification to user frontend
-        if (wsServer && wsServer.io) {
-          wsServer.io.emit('user_notification', {
-            user_id: transaction.user_id,
-            type: 'due_tomorrow',
-            title: 'Item Due Tomorrow',
-            message: `Your borrowed item "${transaction.book_title || transaction.research_title}" (Ref: ${transaction.reference_number}) is due tomorrow. Please return it on time to avoid penalties.`,
-            reference_number: transaction.reference_number,
-            due_date: transaction.due_date,
-            timestamp: new Date().toISOString(),
-            priority: 'medium'
-          });
-        }
+        // Notify the patron (saved, and pushed if they are connected)
+        await notifyUser(transaction.user_id, {
+          notification_type: 'Due Date Reminder',
+          type: 'due_tomorrow',
+          title: dueLabel === 'tomorrow' ? 'Item Due Tomorrow' : 'Item Due Soon',
+          message: `Your borrowed item "${transaction.book_title || transaction.research_title}" (Ref: ${transaction.reference_number}) is due ${dueLabel}. Please return it on time to avoid penalties.`,
+          reference_number: transaction.reference_number,
+          due_date: transaction.due_date,
+          timestamp: new Date().toISOString(),
+          priority: 'medium'
+        });
 
         console.log(`[Penalty Scheduler] Due reminder sent to ${transaction.user_name} (${transaction.email})`);
       } catch (error) {
@@ -111,6 +122,8 @@ const checkOverdueNotifications = async () => {
          AND DATEDIFF(CURDATE(), STR_TO_DATE(t.due_date, '%Y-%m-%d')) > 0
          AND u.email IS NOT NULL
          AND u.email != ''
+         -- Reminders are frozen while the patron has an open dispute on the penalty
+         AND NOT ${OPEN_DISPUTE_SQL}
          AND p.penalty_id IN (
            SELECT MAX(p2.penalty_id) 
            FROM penalties p2 
@@ -123,6 +136,9 @@ const checkOverdueNotifications = async () => {
 
     for (const penalty of penalties) {
       try {
+        // Closed days are not counted as overdue
+        penalty.days_overdue = await countOpenDays(penalty.due_date, new Date());
+
         // Send email notification
         await sendOverduePenaltyNotification(
           penalty.email,
@@ -130,20 +146,18 @@ const checkOverdueNotifications = async () => {
           penalty
         );
 
-        // Send WebSocket notification to user frontend
-        if (wsServer && wsServer.io) {
-          wsServer.io.emit('user_notification', {
-            user_id: penalty.user_id,
-            type: 'overdue_penalty',
-            title: 'Overdue Item - Action Required',
-            message: `Your item "${penalty.book_title || penalty.research_title}" is ${penalty.days_overdue} day(s) overdue. Current fine: ₱${parseFloat(penalty.fine).toFixed(2)}. Please return it immediately.`,
-            reference_number: penalty.reference_number,
-            fine_amount: penalty.fine,
-            days_overdue: penalty.days_overdue,
-            timestamp: new Date().toISOString(),
-            priority: 'high'
-          });
-        }
+        // Notify the patron (saved, and pushed if they are connected)
+        await notifyUser(penalty.user_id, {
+          notification_type: 'Penalty Notification',
+          type: 'overdue_penalty',
+          title: 'Overdue Item - Action Required',
+          message: `Your item "${penalty.book_title || penalty.research_title}" is ${penalty.days_overdue} day(s) overdue. Current fine: ₱${parseFloat(penalty.fine).toFixed(2)}. Please return it immediately.`,
+          reference_number: penalty.reference_number,
+          fine_amount: penalty.fine,
+          days_overdue: penalty.days_overdue,
+          timestamp: new Date().toISOString(),
+          priority: 'high'
+        });
 
         console.log(`[Penalty Scheduler] Overdue notification sent to ${penalty.user_name} (${penalty.email})`);
       } catch (error) {
@@ -235,7 +249,6 @@ const startPenaltyScheduler = () => {
 };
 
 module.exports = {
-  setWebSocketServer,
   checkDueTomorrowReminders,
   checkOverdueNotifications,
   runDailyPenaltyChecks,
@@ -0,0 +1,314 @@
+const { pool } = require("../config/database");
+const { logReservation } = require("../helpers/activityLogger");
+const { notifyUser } = require("./userNotifications");
+
+let wsServer = null;
+
+// Set WebSocket server instance
+const setWebSocketServer = (server) => {
+  wsServer = server;
+};
+
+// How often expired holds are released
+const HOLD_CHECK_INTERVAL = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Get the pickup window for held items in hours
+ * @param {object} db - Pool or connection to run the query on
+ */
+const getHoldHours = async (db = pool) => {
+  const [settings] = await db.execute(
+    `SELECT reservation_hold_hours FROM system_settings LIMIT 1`
+  );
+  return parseInt(settings[0]?.reservation_hold_hours) || 48;
+};
+
+/**
+ * Put a returned item on hold for the first Pending reservation in its queue.
+ * Books are matched by title (batch_registration_key) so any copy can satisfy
+ * the queue; research papers are matched by id. Runs on the caller's
+ * connection so the hold is part of the same DB transaction.
+ *
+ * @param {object} conn - Connection with an open transaction
+ * @param {object} item - { book_id } or { research_paper_id }
+ * @returns {Promise<object|null>} Hold details, or null when nobody is waiting
+ */
+const assignNextHold = async (conn, { book_id = null, research_paper_id = null }) => {
+  let queue = [];
+
+  if (book_id) {
+    const [books] = await conn.execute(
+      `SELECT batch_registration_key FROM books WHERE book_id = ?`,
+      [book_id]
+    );
+    if (books.length === 0 || !books[0].batch_registration_key) return null;
+
+    [queue] = await conn.execute(
+      `SELECT r.reservation_id, r.user_id,
+              (SELECT b.book_title FROM books b WHERE b.book_id = ?) as item_title
+       FROM reservations r
+       WHERE r.batch_registration_key = ?
+         AND r.status = 'Pending'
+       ORDER BY r.updated_at ASC, r.reservation_id ASC
+       LIMIT 1
+       FOR UPDATE`,
+      [book_id, books[0].batch_registration_key]
+    );
+  } else if (research_paper_id) {
+    [queue] = await conn.execute(
+      `SELECT r.reservation_id, r.user_id, rp.research_title as item_title
+       FROM reservations r
+       INNER JOIN research_papers rp ON r.research_paper_id = rp.research_paper_id
+       WHERE r.research_paper_id = ?
+         AND r.status = 'Pending'
+       ORDER BY r.updated_at ASC, r.reservation_id ASC
+       LIMIT 1
+       FOR UPDATE`,
+      [research_paper_id]
+    );
+  }
+
+  if (queue.length === 0) return null;
+
+  const next = queue[0];
+  const holdHours = await getHoldHours(conn);
+
+  await conn.execute(
+    `UPDATE reservations
+     SET status = 'On Hold',
+         hold_book_id = ?,
+         hold_expires_at = DATE_ADD(NOW(), INTERVAL ? HOUR)
+     WHERE reservation_id = ?`,
+    [book_id, holdHours, next.reservation_id]
+  );
+
+  if (book_id) {
+    await conn.execute(`UPDATE books SET status = 'On Hold' WHERE book_id = ?`, [book_id]);
+  } else {
+    await conn.execute(
+      `UPDATE research_papers SET status = 'On Hold' WHERE research_paper_id = ?`,
+      [research_paper_id]
+    );
+  }
+
+  const [holds] = await conn.execute(
+    `SELECT hold_expires_at FROM reservations WHERE reservation_id = ?`,
+    [next.reservation_id]
+  );
+
+  return {
+    reservation_id: next.reservation_id,
+    user_id: next.user_id,
+    item_type: book_id ? "book" : "research_paper",
+    item_title: next.item_title,
+    book_id,
+    research_paper_id,
+    hold_hours: holdHours,
+    hold_expires_at: holds[0]?.hold_expires_at || null
+  };
+};
+
+/**
+ * Release a held item to the next reservation in the queue, or back to the shelf
+ * @param {object} conn - Connection with an open transaction
+ * @param {object} reservation - Reservation row with hold_book_id / research_paper_id
+ * @returns {Promise<object|null>} The next hold, or null if the item went back to Available
+ */
+const passHoldToNext = async (conn, reservation) => {
+  const item = reservation.hold_book_id
+    ? { book_id: reservation.hold_book_id }
+    : { research_paper_id: reservation.research_paper_id };
+
+  const nextHold = await assignNextHold(conn, item);
+  if (nextHold) return nextHold;
+
+  if (item.book_id) {
+    await conn.execute(`UPDATE books SET status = 'Available' WHERE book_id = ?`, [item.book_id]);
+  } else if (item.research_paper_id) {
+    await conn.execute(
+      `UPDATE research_papers SET status = 'Available' WHERE research_paper_id = ?`,
+      [item.research_paper_id]
+    );
+  }
+  return null;
+};
+
+/**
+ * Mark the borrower's holds and approved reservations on the given items as fulfilled
+ * @param {object} conn - Connection with an open transaction
+ * @param {object} params - { user_id, book_ids, research_paper_ids }
+ */
+const fulfillHolds = async (conn, { user_id, book_ids = [], research_paper_ids = [] }) => {
+  if (book_ids.length > 0) {
+    const placeholders = book_ids.map(() => "?").join(",");
+    await conn.execute(
+      `UPDATE reservations
+       SET status = 'Fulfilled', hold_expires_at = NULL, updated_at = NOW()
+       WHERE user_id = ? AND status IN ('On Hold', 'Approved') AND hold_book_id IN (${placeholders})`,
+      [user_id, ...book_ids]
+    );
+  }
+  if (research_paper_ids.length > 0) {
+    const placeholders = research_paper_ids.map(() => "?").join(",");
+    await conn.execute(
+      `UPDATE reservations
+       SET status = 'Fulfilled', hold_expires_at = NULL, updated_at = NOW()
+       WHERE user_id = ? AND status IN ('On Hold', 'Approved') AND hold_book_id IS NULL
+         AND research_paper_id IN (${placeholders})`,
+      [user_id, ...research_paper_ids]
+    );
+  }
+};
+
+/**
+ * Notify a patron that a reserved item is waiting for pickup
+ * @param {object} hold - Hold details from assignNextHold
+ */
+const notifyHoldAssigned = async (hold) => {
+  try {
+    const expires = hold.hold_expires_at
+      ? new Date(hold.hold_expires_at).toLocaleString("en-US", { timeZone: "Asia/Manila" })
+      : `${hold.hold_hours} hours`;
+    const message = `Your reserved ${hold.item_type === "book" ? "book" : "research paper"} "${hold.item_title}" is now on hold for you. Please pick it up before ${expires}.`;
+
+    await notifyUser(hold.user_id, {
+      notification_type: "Reservation Notification",
+      type: "reservation_on_hold",
+      title: "Reserved Item Ready for Pickup",
+      message,
+      reservation_id: hold.reservation_id,
+      hold_expires_at: hold.hold_expires_at,
+      priority: "high"
+    });
+
+    if (wsServer) {
+      wsServer.broadcast({
+        type: "RESERVATION_ON_HOLD",
+        data: { ...hold, message },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await logReservation({
+      user_id: hold.user_id,
+      action: "RESERVATION_ON_HOLD",
+      item_type: hold.item_type,
+      item_title: hold.item_title,
+      reservation_id: hold.reservation_id
+    });
+  } catch (error) {
+    console.error(`[Reservation Holds] Error notifying hold for reservation ${hold.reservation_id}:`, error);
+  }
+};
+
+/**
+ * Release holds whose pickup window has passed and pass the item to the next patron
+ */
+const releaseExpiredHolds = async () => {
+  const [expired] = await pool.execute(
+    `SELECT reservation_id FROM reservations
+     WHERE status = 'On Hold' AND hold_expires_at IS NOT NULL AND hold_expires_at < NOW()`
+  );
+
+  let released = 0;
+  for (const { reservation_id } of expired) {
+    let conn;
+    try {
+      conn = await pool.getConnection();
+      await conn.beginTransaction();
+
+      const [rows] = await conn.execute(
+        `SELECT r.reservation_id, r.user_id, r.research_paper_id, r.hold_book_id, r.status,
+                COALESCE(b.book_title, rp.research_title) as item_title
+         FROM reservations r
+         LEFT JOIN books b ON r.hold_book_id = b.book_id
+         LEFT JOIN research_papers rp ON r.research_paper_id = rp.research_paper_id
+         WHERE r.reservation_id = ?
+           AND r.status = 'On Hold'
+           AND r.hold_expires_at < NOW()
+         FOR UPDATE`,
+        [reservation_id]
+      );
+
+      if (rows.length === 0) {
+        await conn.rollback();
+        await conn.release();
+        continue;
+      }
+
+      const reservation = rows[0];
+      await conn.execute(
+        `UPDATE reservations
+         SET status = 'Expired', reason = 'Pickup window expired', updated_at = NOW()
+         WHERE reservation_id = ?`,
+        [reservation_id]
+      );
+
+      const nextHold = await passHoldToNext(conn, reservation);
+
+      await conn.commit();
+      await conn.release();
+      conn = null;
+      released++;
+
+      await notifyUser(reservation.user_id, {
+        notification_type: "Reservation Notification",
+        type: "reservation_expired",
+        title: "Reservation Hold Expired",
+        message: `Your hold on "${reservation.item_title}" expired because it was not picked up in time.`,
+        reservation_id,
+        priority: "medium"
+      });
+
+      await logReservation({
+        user_id: reservation.user_id,
+        action: "RESERVATION_EXPIRED",
+        item_type: reservation.hold_book_id ? "book" : "research_paper",
+        item_title: reservation.item_title,
+        reservation_id,
+        reason: "Pickup window expired"
+      });
+
+      if (nextHold) {
+        await notifyHoldAssigned(nextHold);
+      }
+    } catch (error) {
+      try {
+        if (conn) {
+          await conn.rollback();
+          await conn.release();
+        }
+      } catch (e) {}
+      console.error(`[Reservation Holds] Error releasing hold ${reservation_id}:`, error);
+    }
+  }
+
+  if (released > 0) {
+    console.log(`[Reservation Holds] Released ${released} expired hold(s)`);
+  }
+  return released;
+};
+
+/**
+ * Start the hold expiry scheduler
+ */
+const startHoldExpiryScheduler = () => {
+  console.log("✅ Reservation hold scheduler initialized");
+
+  setInterval(() => {
+    releaseExpiredHolds().catch((err) => {
+      console.error("[Reservation Holds] Expiry check failed:", err);
+    });
+  }, HOLD_CHECK_INTERVAL);
+};
+
+module.exports = {
+  setWebSocketServer,
+  getHoldHours,
+  assignNextHold,
+  passHoldToNext,
+  fulfillHolds,
+  notifyHoldAssigned,
+  releaseExpiredHolds,
+  startHoldExpiryScheduler
+};
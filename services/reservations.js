@@ -0,0 +1,225 @@
+const { pool } = require("../config/database");
+const { logReservation } = require("../helpers/activityLogger");
+const { passHoldToNext } = require("./reservationHolds");
+
+// Creating and cancelling reservations. Staff use /api/reservations; patrons
+// use /api/user/reservations, where the user id comes from their token.
+
+const safe = (val) => (val === undefined ? null : val);
+
+/**
+ * Create a Pending reservation. Books are reserved by title: pass
+ * batch_registration_key, or a book_id whose title is used.
+ *
+ * @param {object} params
+ * @param {number} params.user_id - Patron making the reservation
+ * @param {number} params.book_id - Copy whose title is reserved (optional)
+ * @param {string} params.batch_registration_key - Title to reserve (optional)
+ * @param {number} params.research_paper_id - Research paper to reserve (optional)
+ * @param {string} params.reason - Reason (optional)
+ * @returns {Promise<object>} { success, status, message, data }
+ */
+const createReservation = async ({ user_id, book_id, batch_registration_key, research_paper_id, reason }) => {
+  // VALIDATION - must have either a book (copy or title) or research_paper_id, but not both
+  if (!user_id) {
+    return { success: false, status: 400, message: "User ID is required" };
+  }
+
+  const isBookReservation = !!(book_id || batch_registration_key);
+  if ((!isBookReservation && !research_paper_id) || (isBookReservation && research_paper_id)) {
+    return {
+      success: false,
+      status: 400,
+      message: "Must specify either book_id/batch_registration_key or research_paper_id, but not both",
+    };
+  }
+
+  const [users] = await pool.execute("SELECT user_id FROM users WHERE user_id = ?", [user_id]);
+  if (users.length === 0) {
+    return { success: false, status: 404, message: "User not found" };
+  }
+
+  // Resolve the title being reserved
+  let batchKey = null;
+  if (isBookReservation) {
+    const [books] = book_id
+      ? await pool.execute(
+          "SELECT book_id, batch_registration_key FROM books WHERE book_id = ?",
+          [book_id]
+        )
+      : await pool.execute(
+          "SELECT book_id, batch_registration_key FROM books WHERE batch_registration_key = ? LIMIT 1",
+          [batch_registration_key]
+        );
+
+    if (books.length === 0) {
+      return { success: false, status: 404, message: "Book not found" };
+    }
+
+    batchKey = books[0].batch_registration_key;
+
+    // Titles with no circulating copies cannot be queued for
+    const [copies] = await pool.execute(
+      `SELECT COUNT(*) as circulating
+       FROM books
+       WHERE batch_registration_key = ? AND (status IS NULL OR status NOT IN ('Lost', 'Removed'))`,
+      [batchKey]
+    );
+    if (parseInt(copies[0].circulating) === 0) {
+      return { success: false, status: 400, message: "This title has no copies in circulation and cannot be reserved" };
+    }
+
+    const [existingReservations] = await pool.execute(
+      `SELECT reservation_id FROM reservations
+       WHERE user_id = ? AND batch_registration_key = ? AND status IN ('Pending', 'Approved', 'On Hold')`,
+      [user_id, batchKey]
+    );
+    if (existingReservations.length > 0) {
+      return { success: false, status: 400, message: "You already have an open reservation for this book" };
+    }
+  }
+
+  if (research_paper_id) {
+    const [papers] = await pool.execute(
+      "SELECT research_paper_id FROM research_papers WHERE research_paper_id = ?",
+      [research_paper_id]
+    );
+    if (papers.length === 0) {
+      return { success: false, status: 404, message: "Research paper not found" };
+    }
+
+    const [existingReservations] = await pool.execute(
+      "SELECT reservation_id FROM reservations WHERE user_id = ? AND research_paper_id = ? AND status = ?",
+      [user_id, research_paper_id, "Pending"]
+    );
+    if (existingReservations.length > 0) {
+      return { success: false, status: 400, message: "You already have a pending reservation for this research paper" };
+    }
+  }
+
+  const [result] = await pool.execute(
+    `INSERT INTO reservations (book_id, batch_registration_key, research_paper_id, user_id, status, reason, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    [safe(book_id), batchKey, safe(research_paper_id), user_id, "Pending", safe(reason)]
+  );
+  const reservationId = result.insertId;
+
+  // A failed log entry does not undo the reservation
+  try {
+    let itemTitle = "Unknown";
+    if (batchKey) {
+      const [books] = await pool.execute(
+        "SELECT book_title FROM books WHERE batch_registration_key = ? LIMIT 1",
+        [batchKey]
+      );
+      if (books.length > 0) itemTitle = books[0].book_title;
+    } else if (research_paper_id) {
+      const [papers] = await pool.execute(
+        "SELECT research_title FROM research_papers WHERE research_paper_id = ?",
+        [research_paper_id]
+      );
+      if (papers.length > 0) itemTitle = papers[0].research_title;
+    }
+
+    await logReservation({
+      user_id,
+      action: "RESERVATION_CREATED",
+      item_type: batchKey ? "book" : "research_paper",
+      item_title: itemTitle,
+      reservation_id: reservationId,
+    });
+  } catch (logError) {
+    console.error("Error logging reservation creation:", logError);
+  }
+
+  return {
+    success: true,
+    status: 201,
+    message: "Reservation created successfully",
+    data: {
+      reservation_id: reservationId,
+      book_id: book_id || null,
+      batch_registration_key: batchKey,
+      research_paper_id: research_paper_id || null,
+      user_id,
+      status: "Pending",
+      reason: reason || null,
+    },
+  };
+};
+
+/**
+ * Cancel a reservation. A cancelled hold or approved reservation passes its
+ * copy or paper to the next patron in the queue (data.hold).
+ *
+ * @param {number} reservationId - Reservation ID
+ * @param {object} options
+ * @param {number} options.user_id - Patron cancelling their own reservation (omit for staff)
+ * @returns {Promise<object>} { success, status, message, data }
+ */
+const cancelReservation = async (reservationId, { user_id = null } = {}) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const fail = async (status, message) => {
+      await conn.rollback();
+      conn.release();
+      conn = null;
+      return { success: false, status, message };
+    };
+
+    const [rows] = await conn.execute(
+      "SELECT reservation_id, user_id, status, book_id, research_paper_id, hold_book_id FROM reservations WHERE reservation_id = ? FOR UPDATE",
+      [reservationId]
+    );
+
+    // Patrons only see their own reservations, so someone else's is not found
+    if (rows.length === 0 || (user_id && Number(rows[0].user_id) !== Number(user_id))) {
+      return await fail(404, "Reservation not found");
+    }
+
+    const reservation = rows[0];
+    const prevStatus = reservation.status;
+
+    if (prevStatus === "Cancelled") {
+      return await fail(400, "Reservation is already cancelled");
+    }
+
+    await conn.execute(
+      "UPDATE reservations SET status = ?, updated_at = NOW() WHERE reservation_id = ?",
+      ["Cancelled", reservationId]
+    );
+
+    let hold = null;
+    if (prevStatus === "On Hold" || prevStatus === "Approved") {
+      hold = await passHoldToNext(conn, {
+        ...reservation,
+        hold_book_id: reservation.hold_book_id || reservation.book_id,
+      });
+    }
+
+    await conn.commit();
+    conn.release();
+    conn = null;
+
+    return {
+      success: true,
+      status: 200,
+      message: "Reservation cancelled successfully",
+      data: { reservation_id: reservationId, previous_status: prevStatus, status: "Cancelled", hold },
+    };
+  } catch (error) {
+    if (conn) {
+      try { await conn.rollback(); } catch (e) {}
+      try { conn.release(); } catch (e) {}
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  createReservation,
+  cancelReservation,
+};
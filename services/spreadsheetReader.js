@@ -0,0 +1,240 @@
+const path = require("path");
+const zlib = require("zlib");
+
+const SUPPORTED_EXTENSIONS = [".csv", ".xlsx"];
+
+// Limit on the unzipped size of an XLSX workbook (all entries together), so a
+// small compressed upload cannot expand into gigabytes in memory
+const MAX_UNZIPPED_SIZE = 50 * 1024 * 1024;
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, line breaks inside quotes)
+ * @param {string} text - CSV content
+ * @returns {Array<{ row_number: number, values: string[] }>} Records with the line they start on
+ */
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, "");
+  const records = [];
+  let values = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    values.push(field);
+    if (values.some((value) => value.trim() !== "")) {
+      records.push({ row_number: recordLine, values });
+    }
+    values = [];
+    field = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      values.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || values.length > 0) endRecord();
+  return records;
+};
+
+const decodeXml = (value) =>
+  String(value)
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+
+// Text of every <t> element in a fragment (rich text splits a cell into runs)
+const readText = (xml) => {
+  let text = "";
+  const pattern = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+  let match;
+  while ((match = pattern.exec(xml)) !== null) text += decodeXml(match[1]);
+  return text;
+};
+
+/**
+ * Read the entries of a ZIP archive (stored or deflated).
+ * Entries must unzip to the size the archive declares for them, and all of
+ * them together to at most MAX_UNZIPPED_SIZE.
+ * @param {Buffer} buffer - Archive content
+ * @returns {Map<string, Buffer>} Entry name to content
+ */
+const readZip = (buffer) => {
+  // End of central directory record, searched from the end because of the optional comment
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error("The file is not a valid XLSX workbook");
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+  let totalSize = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error("The file is not a valid XLSX workbook");
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const uncompressedSize = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0 || method === 8) {
+      totalSize += uncompressedSize;
+      if (totalSize > MAX_UNZIPPED_SIZE) {
+        throw new Error(`The workbook is too large; it may unzip to at most ${MAX_UNZIPPED_SIZE / (1024 * 1024)} MB`);
+      }
+
+      let content = data;
+      if (method === 8) {
+        try {
+          content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(uncompressedSize, 1) });
+        } catch (error) {
+          throw new Error("The file is not a valid XLSX workbook");
+        }
+      }
+      if (content.length !== uncompressedSize) throw new Error("The file is not a valid XLSX workbook");
+      entries.set(name, content);
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+// "AB12" -> 27 (zero based column index)
+const columnIndex = (reference) => {
+  const letters = String(reference).replace(/[^A-Z]/gi, "").toUpperCase();
+  let index = 0;
+  for (const letter of letters) index = index * 26 + (letter.charCodeAt(0) - 64);
+  return index - 1;
+};
+
+/**
+ * Read the first worksheet of an XLSX workbook
+ * @param {Buffer} buffer - Workbook content
+ * @returns {Array<{ row_number: number, values: string[] }>} Non-empty rows with their sheet row number
+ */
+const parseXlsx = (buffer) => {
+  const entries = readZip(buffer);
+  const readEntry = (name) => (entries.has(name) ? entries.get(name).toString("utf8") : null);
+
+  const workbook = readEntry("xl/workbook.xml");
+  if (!workbook) throw new Error("The file is not a valid XLSX workbook");
+
+  // Resolve the first sheet through the workbook relationships
+  let sheetPath = "xl/worksheets/sheet1.xml";
+  const firstSheet = workbook.match(/<sheet\s[^>]*r:id="([^"]+)"/);
+  const rels = readEntry("xl/_rels/workbook.xml.rels");
+  if (firstSheet && rels) {
+    const relationship = rels.match(new RegExp(`<Relationship\\s[^>]*Id="${firstSheet[1]}"[^>]*>`));
+    const target = relationship && relationship[0].match(/Target="([^"]+)"/);
+    if (target) sheetPath = target[1].startsWith("/") ? target[1].slice(1) : `xl/${target[1]}`;
+  }
+
+  const sheet = readEntry(sheetPath);
+  if (!sheet) throw new Error("The workbook has no worksheet");
+
+  const sharedStrings = [];
+  const shared = readEntry("xl/sharedStrings.xml");
+  if (shared) {
+    const pattern = /<si>([\s\S]*?)<\/si>/g;
+    let match;
+    while ((match = pattern.exec(shared)) !== null) sharedStrings.push(readText(match[1]));
+  }
+
+  const rows = [];
+  const rowPattern = /<row\s([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+  let rowMatch;
+  let nextRow = 1;
+  while ((rowMatch = rowPattern.exec(sheet)) !== null) {
+    const rowAttr = rowMatch[1].match(/\br="(\d+)"/);
+    const rowNumber = rowAttr ? parseInt(rowAttr[1]) : nextRow;
+    nextRow = rowNumber + 1;
+
+    const values = [];
+    const cellPattern = /<c\s([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let cellMatch;
+    while ((cellMatch = cellPattern.exec(rowMatch[2] || "")) !== null) {
+      const reference = cellMatch[1].match(/\br="([A-Z]+)\d*"/i);
+      const type = (cellMatch[1].match(/\bt="([^"]+)"/) || [])[1];
+      const body = cellMatch[2] || "";
+      const rawValue = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+      let value = "";
+      if (type === "s") value = sharedStrings[parseInt(rawValue)] || "";
+      else if (type === "inlineStr") value = readText(body);
+      else if (rawValue !== undefined) value = decodeXml(rawValue);
+
+      values[reference ? columnIndex(reference[1]) : values.length] = value;
+    }
+
+    const filled = Array.from(values, (value) => (value === undefined ? "" : value));
+    if (filled.some((value) => value.trim() !== "")) rows.push({ row_number: rowNumber, values: filled });
+  }
+  return rows;
+};
+
+/**
+ * Read an uploaded CSV or XLSX file
+ * @param {object} file - Multer file ({ buffer, originalname })
+ * @returns {Array<{ row_number: number, values: string[] }>} Non-empty rows, header included
+ */
+const readSpreadsheet = (file) => {
+  const extension = path.extname(file.originalname || "").toLowerCase();
+  if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+    throw new Error(`Unsupported file type. Upload one of: ${SUPPORTED_EXTENSIONS.join(", ")}`);
+  }
+  return extension === ".csv" ? parseCsv(file.buffer.toString("utf8")) : parseXlsx(file.buffer);
+};
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  decodeXml,
+  parseCsv,
+  parseXlsx,
+  readSpreadsheet,
+};
@@ -0,0 +1,59 @@
+const { pool } = require("../config/database");
+
+let wsServer = null;
+
+// Set WebSocket server instance
+const setWebSocketServer = (server) => {
+  wsServer = server;
+};
+
+/**
+ * Save a notification for a patron, then push it to their open connections.
+ * The saved row is what counts: patrons who are offline (or whose push fails)
+ * see it from /api/notifications when they next connect. If the row cannot be
+ * saved nothing is pushed, so every notification a patron sees can be marked read.
+ *
+ * @param {number} userId - Patron's user ID
+ * @param {object} payload - { notification_type, message, title, ...details sent with the push }
+ * @returns {Promise<object|null>} { notification_id, notification_type, user_id } or null if it was not saved
+ */
+const notifyUser = async (userId, payload = {}) => {
+  const { notification_type = "General Notification", message, ...details } = payload;
+
+  let notification;
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO notifications (notification_type, notification_message, user_id, created_at)
+       VALUES (?, ?, ?, NOW())`,
+      [notification_type, message || details.title || "", userId]
+    );
+    notification = { notification_id: result.insertId, notification_type, user_id: userId };
+  } catch (error) {
+    console.error(`Error saving notification for user ${userId}:`, error);
+    return null;
+  }
+
+  if (wsServer) {
+    try {
+      wsServer.sendToUser(userId, {
+        type: "USER_NOTIFICATION",
+        data: {
+          ...details,
+          ...notification,
+          notification_type,
+          message,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error(`Error pushing notification ${notification.notification_id} to user ${userId}:`, error);
+    }
+  }
+
+  return notification;
+};
+
+module.exports = {
+  setWebSocketServer,
+  notifyUser,
+};
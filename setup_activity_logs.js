@@ -32,12 +32,15 @@ async function setupActivityLogsTable() {
     await pool.execute(`
       CREATE TABLE activity_logs (
         activity_log_id INT PRIMARY KEY AUTO_INCREMENT,
-        user_id INT NOT NULL,
+        user_id INT NULL,
         action VARCHAR(255) NOT NULL,
         details TEXT,
         status VARCHAR(50) DEFAULT 'completed',
+        actor_admin_id INT NULL,
+        actor_type VARCHAR(20) NULL,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         INDEX idx_user_id (user_id),
+        INDEX idx_activity_logs_actor (actor_admin_id, created_at),
         INDEX idx_action (action),
         INDEX idx_created_at (created_at),
         INDEX idx_status (status),
@@ -17,7 +17,8 @@ const sendEmail = async (to, subject, content, options = {}) => {
       code = null,
       codeLabel = "Your verification code is:",
       footerMessage = "If you didn't request this, you can ignore this email.",
-      customHtml = null
+      customHtml = null,
+      attachments = []
     } = options;
 
     const htmlContent = customHtml || `
@@ -47,6 +48,7 @@ const sendEmail = async (to, subject, content, options = {}) => {
       subject,
       text: content,
       html: htmlContent,
+      attachments,
     });
 
     console.log("Email sent: " + info.response);
@@ -8,7 +8,7 @@ const { sendEmail } = require("./nodemailer");
  */
 const sendPenaltyDueReminder = async (email, userName, transaction) => {
   try {
-    const subject = "⚠️ Item Due Tomorrow - Lib-Track Reminder";
+    const subject = "⚠️ Item Due Soon - Lib-Track Reminder";
     const itemTitle = transaction.book_title || transaction.research_title || 'Item';
     const dueDate = new Date(transaction.due_date).toLocaleDateString('en-US', {
       month: 'long',
@@ -25,7 +25,7 @@ const sendPenaltyDueReminder = async (email, userName, transaction) => {
           </div>
           
           <div style="background: linear-gradient(135deg, #ffc107 0%, #ff9800 100%); padding: 24px; border-radius: 8px; text-align: center; margin-bottom: 24px;">
-            <h2 style="color: white; margin: 0; font-size: 24px;">⚠️ Item Due Tomorrow</h2>
+            <h2 style="color: white; margin: 0; font-size: 24px;">⚠️ Item Due Soon</h2>
           </div>
           
           <p style="font-size: 15px; color: #333; line-height: 1.6;">
@@ -33,7 +33,7 @@ const sendPenaltyDueReminder = async (email, userName, transaction) => {
           </p>
           
           <p style="font-size: 15px; color: #333; line-height: 1.6;">
-            This is a friendly reminder that the following item is <strong>due tomorrow</strong>:
+            This is a friendly reminder that the following item is <strong>due on the next day the library is open</strong>:
           </p>
           
           <div style="background: #fff3cd; padding: 20px; border-radius: 8px; margin: 24px 0; border-left: 4px solid #ffc107;">
@@ -84,7 +84,7 @@ const sendPenaltyDueReminder = async (email, userName, transaction) => {
     await sendEmail(
       email,
       subject,
-      `Dear ${userName},\n\nYour borrowed item "${itemTitle}" (Ref: ${transaction.reference_number}) is due tomorrow on ${dueDate}.\n\nPlease return it on time to avoid penalties.\n\nThank you!`,
+      `Dear ${userName},\n\nYour borrowed item "${itemTitle}" (Ref: ${transaction.reference_number}) is due on ${dueDate}, the next day the library is open.\n\nPlease return it on time to avoid penalties.\n\nThank you!`,
       { customHtml }
     );
 
@@ -296,8 +296,101 @@ const sendManualPenaltyReminder = async (email, userName, penalty) => {
   }
 };
 
+/**
+ * Send payment confirmation with the official receipt attached
+ * @param {string} email - User's email
+ * @param {string} userName - User's name
+ * @param {object} receipt - Receipt details (from services/officialReceipt getReceiptData)
+ * @param {Buffer} receiptPdf - Receipt PDF
+ * @param {string} fileName - Attachment file name
+ */
+const sendPaymentConfirmation = async (email, userName, receipt, receiptPdf, fileName) => {
+  try {
+    const fullyPaid = receipt.balance <= 0;
+    const subject = `🧾 Payment Received - Official Receipt ${receipt.receipt_number}`;
+    const amountPaid = parseFloat(receipt.amount_paid || 0).toFixed(2);
+    const balance = parseFloat(receipt.balance || 0).toFixed(2);
+    
+    const customHtml = `
+      <div style="font-family: Arial, sans-serif; background: #f9f9f9; padding: 20px;">
+        <div style="max-width: 600px; margin: auto; background: #ffffff; border-radius: 8px; padding: 32px; box-shadow: 0 2px 8px rgba(0,0,0,0.1);">
+          <div style="text-align: center; margin-bottom: 24px;">
+            <h1 style="color: #0A7075; margin: 0;">Lib-Track</h1>
+            <p style="color: #666; margin: 8px 0 0 0; font-size: 14px;">Western Mindanao State University Library System</p>
+          </div>
+          
+          <div style="background: linear-gradient(135deg, #28a745 0%, #20c997 100%); padding: 24px; border-radius: 8px; text-align: center; margin-bottom: 24px;">
+            <h2 style="color: white; margin: 0; font-size: 24px;">🧾 ${fullyPaid ? 'Payment Received' : 'Partial Payment Received'}</h2>
+          </div>
+          
+          <p style="font-size: 15px; color: #333; line-height: 1.6;">
+            Dear <strong>${userName}</strong>,
+          </p>
+          
+          <p style="font-size: 15px; color: #333; line-height: 1.6;">
+            We received your payment. Your official receipt is attached to this email.
+          </p>
+          
+          <div style="background: #e8f5e9; padding: 20px; border-radius: 8px; margin: 24px 0; border-left: 4px solid #28a745;">
+            <h3 style="margin: 0 0 12px 0; color: #1e7e34; font-size: 16px;">📋 Payment Details</h3>
+            <table style="width: 100%; font-size: 14px; color: #333;">
+              <tr>
+                <td style="padding: 4px 0; width: 140px;"><strong>Receipt No.:</strong></td>
+                <td style="padding: 4px 0;">${receipt.receipt_number}</td>
+              </tr>
+              <tr>
+                <td style="padding: 4px 0;"><strong>Item:</strong></td>
+                <td style="padding: 4px 0;">${receipt.item_title}</td>
+              </tr>
+              <tr>
+                <td style="padding: 4px 0;"><strong>Reference:</strong></td>
+                <td style="padding: 4px 0;">${receipt.reference_number}</td>
+              </tr>
+              <tr>
+                <td style="padding: 4px 0;"><strong>Amount Paid:</strong></td>
+                <td style="padding: 4px 0; color: #28a745; font-weight: bold; font-size: 18px;">₱${amountPaid}</td>
+              </tr>
+              <tr>
+                <td style="padding: 4px 0;"><strong>Remaining Balance:</strong></td>
+                <td style="padding: 4px 0;">₱${balance}</td>
+              </tr>
+            </table>
+          </div>
+          
+          <hr style="margin: 32px 0; border: none; border-top: 1px solid #eee;" />
+          
+          <p style="font-size: 13px; color: #999; text-align: center; margin: 0;">
+            Please keep this receipt for your records. If any detail is incorrect, please contact the library staff.
+          </p>
+          
+          <p style="font-size: 13px; color: #999; text-align: center; margin: 8px 0 0 0;">
+            This is an automated message from Lib-Track Library Management System.
+          </p>
+        </div>
+      </div>
+    `;
+
+    await sendEmail(
+      email,
+      subject,
+      `Dear ${userName},\n\nWe received your payment of ₱${amountPaid} for "${receipt.item_title}" (Ref: ${receipt.reference_number}).\nReceipt No.: ${receipt.receipt_number}\nRemaining Balance: ₱${balance}\n\nYour official receipt is attached.\n\nThank you!`,
+      {
+        customHtml,
+        attachments: [{ filename: fileName, content: receiptPdf, contentType: 'application/pdf' }]
+      }
+    );
+
+    console.log(`Payment confirmation email sent to ${email} for ${receipt.receipt_number}`);
+    return true;
+  } catch (error) {
+    console.error("Error sending payment confirmation email:", error);
+    throw error;
+  }
+};
+
 module.exports = {
   sendPenaltyDueReminder,
   sendOverduePenaltyNotification,
-  sendManualPenaltyReminder
+  sendManualPenaltyReminder,
+  sendPaymentConfirmation
 };
@@ -53,7 +53,7 @@ CREATE TABLE IF NOT EXISTS system_settings (
   student_daily_fine DECIMAL(10,2) DEFAULT 5.00,
   faculty_daily_fine DECIMAL(10,2) DEFAULT 10.00,
   kiosk_prevent_borrow BOOLEAN DEFAULT 0,
-  kiosk_pin VARCHAR(6) NULL,
+  kiosk_pin VARCHAR(255) NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
@@ -69,4 +69,370 @@ CREATE INDEX idx_users_verification ON users(semester_verified);
 CREATE INDEX idx_semesters_active ON semesters(is_active);
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_student_id ON users(student_id);
-CREATE INDEX idx_users_faculty_id ON users(faculty_id);
\ No newline at end of file
+CREATE INDEX idx_users_faculty_id ON users(faculty_id);
+
+-- Separate loan periods for research papers (NULL = same as the book loan period)
+ALTER TABLE system_settings
+ADD COLUMN IF NOT EXISTS student_research_borrow_days INT NULL,
+ADD COLUMN IF NOT EXISTS faculty_research_borrow_days INT NULL;
+
+-- Library holidays skipped when computing due dates
+CREATE TABLE IF NOT EXISTS library_holidays (
+  holiday_id INT PRIMARY KEY AUTO_INCREMENT,
+  holiday_date DATE NOT NULL,
+  holiday_name VARCHAR(150) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_holiday_date (holiday_date)
+);
+
+-- Loan renewals: per user type limits, per loan counter and renewal history
+ALTER TABLE system_settings
+ADD COLUMN IF NOT EXISTS student_max_renewals INT DEFAULT 1,
+ADD COLUMN IF NOT EXISTS faculty_max_renewals INT DEFAULT 2;
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS renewal_count INT DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS transaction_renewals (
+  renewal_id INT PRIMARY KEY AUTO_INCREMENT,
+  transaction_id INT NOT NULL,
+  user_id INT NOT NULL,
+  previous_due_date VARCHAR(20) NULL,
+  new_due_date VARCHAR(20) NOT NULL,
+  renewed_by ENUM('patron', 'admin') NOT NULL DEFAULT 'patron',
+  admin_id INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_renewals_transaction (transaction_id)
+);
+
+-- Reservation hold queue: returned copies are held for the next patron in line
+ALTER TABLE system_settings
+ADD COLUMN IF NOT EXISTS reservation_hold_hours INT DEFAULT 48;
+
+ALTER TABLE reservations
+MODIFY COLUMN status VARCHAR(20) NULL DEFAULT 'Pending',
+ADD COLUMN IF NOT EXISTS hold_book_id INT NULL,
+ADD COLUMN IF NOT EXISTS hold_expires_at DATETIME NULL;
+
+ALTER TABLE books
+MODIFY COLUMN status VARCHAR(20) NULL DEFAULT 'Available';
+
+ALTER TABLE research_papers
+MODIFY COLUMN status VARCHAR(20) NULL DEFAULT 'Available';
+
+CREATE INDEX idx_reservations_hold ON reservations(status, hold_expires_at);
+
+-- Title level reservations: queue by batch_registration_key instead of a single copy
+ALTER TABLE reservations
+ADD COLUMN IF NOT EXISTS batch_registration_key VARCHAR(255) NULL;
+
+UPDATE reservations r
+INNER JOIN books b ON r.book_id = b.book_id
+SET r.batch_registration_key = b.batch_registration_key
+WHERE r.batch_registration_key IS NULL;
+
+CREATE INDEX idx_reservations_title_queue ON reservations(batch_registration_key, status, updated_at);
+
+-- Activity log actor: the verified admin (or kiosk/system) behind each action
+ALTER TABLE activity_logs
+MODIFY COLUMN user_id INT NULL,
+ADD COLUMN IF NOT EXISTS actor_admin_id INT NULL,
+ADD COLUMN IF NOT EXISTS actor_type VARCHAR(20) NULL;
+
+CREATE INDEX idx_activity_logs_actor ON activity_logs(actor_admin_id, created_at);
+
+-- Kiosk PIN is stored as a bcrypt hash; failed verifications are throttled per kiosk
+ALTER TABLE system_settings
+MODIFY COLUMN kiosk_pin VARCHAR(255) NULL;
+
+CREATE TABLE IF NOT EXISTS kiosk_pin_attempts (
+  kiosk_key VARCHAR(100) PRIMARY KEY,
+  failed_attempts INT NOT NULL DEFAULT 0,
+  lockout_count INT NOT NULL DEFAULT 0,
+  locked_until DATETIME NULL,
+  last_failed_at DATETIME NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Kiosk registry: each kiosk has its own credential and reports a heartbeat
+CREATE TABLE IF NOT EXISTS kiosks (
+  kiosk_id INT AUTO_INCREMENT PRIMARY KEY,
+  kiosk_name VARCHAR(100) NOT NULL,
+  location VARCHAR(255) NULL,
+  api_key_hash CHAR(64) NOT NULL UNIQUE,
+  key_prefix VARCHAR(20) NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'Active',
+  app_version VARCHAR(50) NULL,
+  last_seen_at DATETIME NULL,
+  last_ip VARCHAR(64) NULL,
+  current_user_id INT NULL,
+  session_started_at DATETIME NULL,
+  error_count INT NOT NULL DEFAULT 0,
+  last_error VARCHAR(500) NULL,
+  last_error_at DATETIME NULL,
+  created_by_admin_id INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS kiosk_id INT NULL,
+ADD COLUMN IF NOT EXISTS return_kiosk_id INT NULL;
+
+-- Fine engine: grace period, per-item cap and research paper rates (NULL = same as the book rate)
+ALTER TABLE system_settings
+ADD COLUMN IF NOT EXISTS student_research_daily_fine DECIMAL(10,2) NULL,
+ADD COLUMN IF NOT EXISTS faculty_research_daily_fine DECIMAL(10,2) NULL,
+ADD COLUMN IF NOT EXISTS fine_grace_days INT DEFAULT 0,
+ADD COLUMN IF NOT EXISTS fine_max_per_item DECIMAL(10,2) DEFAULT 200.00;
+
+-- One-time data fixes are recorded here, so applying this file again skips them
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  name VARCHAR(100) PRIMARY KEY,
+  applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Library calendar: recurring weekly closures and closure date ranges
+CREATE TABLE IF NOT EXISTS library_weekly_closures (
+  day_of_week TINYINT PRIMARY KEY,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The library has always been closed on Sundays. Seeded once, so a schedule the
+-- admins emptied on purpose is not given its Sunday closure back.
+INSERT IGNORE INTO library_weekly_closures (day_of_week)
+SELECT 0 FROM DUAL
+WHERE NOT EXISTS (SELECT 1 FROM schema_migrations WHERE name = 'seed_sunday_weekly_closure')
+  AND NOT EXISTS (SELECT 1 FROM library_weekly_closures);
+
+INSERT IGNORE INTO schema_migrations (name) VALUES ('seed_sunday_weekly_closure');
+
+ALTER TABLE library_holidays
+ADD COLUMN IF NOT EXISTS end_date DATE NULL,
+ADD COLUMN IF NOT EXISTS closure_type VARCHAR(20) NOT NULL DEFAULT 'holiday';
+
+-- Penalty payment ledger: each (partial) payment is its own row; balances are derived from it
+CREATE TABLE IF NOT EXISTS penalty_payments (
+  payment_id INT AUTO_INCREMENT PRIMARY KEY,
+  penalty_id INT NOT NULL,
+  user_id INT NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  payment_method VARCHAR(30) NOT NULL DEFAULT 'manual',
+  or_number VARCHAR(50) NULL,
+  notes TEXT NULL,
+  cashier_admin_id INT NULL,
+  paid_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_penalty_payments_penalty (penalty_id),
+  INDEX idx_penalty_payments_user (user_id),
+  INDEX idx_penalty_payments_paid_at (paid_at)
+);
+
+-- Carry penalties paid before the ledger existed over as a single payment each
+INSERT INTO penalty_payments (penalty_id, user_id, amount, payment_method, notes, paid_at)
+SELECT p.penalty_id, p.user_id,
+       COALESCE(p.fine, 0) + CASE WHEN p.penalty_type = 'lost_damaged' THEN COALESCE(p.book_price, 0) ELSE 0 END,
+       'legacy', 'Paid before the payment ledger was introduced', COALESCE(p.updated_at, NOW())
+FROM penalties p
+WHERE p.status = 'Paid'
+  AND NOT EXISTS (SELECT 1 FROM penalty_payments pp WHERE pp.penalty_id = p.penalty_id);
+
+-- Lost items marked before the ledger kept the replacement price in fine as well as in
+-- book_price, and balances add book_price on top of fine. Take the price out of fine once
+-- (and out of the legacy payments carried over from those penalties).
+UPDATE penalty_payments pp
+INNER JOIN penalties p ON pp.penalty_id = p.penalty_id
+SET pp.amount = pp.amount - p.book_price
+WHERE pp.payment_method = 'legacy'
+  AND p.penalty_type = 'lost_damaged'
+  AND p.book_price > 0
+  AND p.fine >= p.book_price
+  AND NOT EXISTS (SELECT 1 FROM schema_migrations WHERE name = 'lost_damaged_fine_excludes_price');
+
+UPDATE penalties p
+SET p.fine = p.fine - p.book_price
+WHERE p.penalty_type = 'lost_damaged'
+  AND p.book_price > 0
+  AND p.fine >= p.book_price
+  AND NOT EXISTS (SELECT 1 FROM schema_migrations WHERE name = 'lost_damaged_fine_excludes_price');
+
+INSERT IGNORE INTO schema_migrations (name) VALUES ('lost_damaged_fine_excludes_price');
+
+-- Official receipts: every ledger payment gets a system receipt number (OR-<year>-<payment_id>)
+ALTER TABLE penalty_payments
+ADD COLUMN IF NOT EXISTS receipt_number VARCHAR(30) NULL,
+ADD UNIQUE INDEX IF NOT EXISTS uq_penalty_payments_receipt (receipt_number);
+
+UPDATE penalty_payments
+SET receipt_number = CONCAT('OR-', YEAR(paid_at), '-', LPAD(payment_id, 6, '0'))
+WHERE receipt_number IS NULL;
+
+-- Fine disputes: patrons appeal a penalty; approval waives it in full or in part
+CREATE TABLE IF NOT EXISTS penalty_disputes (
+  dispute_id INT AUTO_INCREMENT PRIMARY KEY,
+  penalty_id INT NOT NULL,
+  user_id INT NOT NULL,
+  reason TEXT NOT NULL,
+  attachment MEDIUMBLOB NULL,
+  attachment_name VARCHAR(255) NULL,
+  attachment_type VARCHAR(50) NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'Submitted',
+  waiver_type VARCHAR(10) NULL,
+  waiver_amount DECIMAL(10,2) NULL,
+  resolution_notes TEXT NULL,
+  reviewed_by_admin_id INT NULL,
+  submitted_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  review_started_at DATETIME NULL,
+  resolved_at DATETIME NULL,
+  updated_at DATETIME NULL,
+  INDEX idx_penalty_disputes_penalty (penalty_id),
+  INDEX idx_penalty_disputes_user (user_id),
+  INDEX idx_penalty_disputes_status (status)
+);
+
+-- Amount taken off a penalty by partially approved disputes
+ALTER TABLE penalties
+ADD COLUMN IF NOT EXISTS waived_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+
+-- Fine amnesty campaigns: discounts applied automatically when a penalty is paid or waived in the window
+CREATE TABLE IF NOT EXISTS fine_amnesty_campaigns (
+  campaign_id INT AUTO_INCREMENT PRIMARY KEY,
+  campaign_name VARCHAR(150) NOT NULL,
+  description TEXT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  penalty_types VARCHAR(50) NOT NULL DEFAULT 'overdue',
+  user_positions VARCHAR(255) NULL,
+  discount_type VARCHAR(20) NOT NULL DEFAULT 'percentage',
+  discount_value DECIMAL(10,2) NOT NULL,
+  require_return_in_window TINYINT(1) NOT NULL DEFAULT 0,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_by_admin_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL,
+  INDEX idx_amnesty_campaigns_window (start_date, end_date)
+);
+
+ALTER TABLE penalties
+ADD COLUMN IF NOT EXISTS amnesty_campaign_id INT NULL,
+ADD COLUMN IF NOT EXISTS amnesty_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+ADD COLUMN IF NOT EXISTS amnesty_applied_at DATETIME NULL,
+ADD INDEX IF NOT EXISTS idx_penalties_amnesty_campaign (amnesty_campaign_id);
+
+-- Lost items: one row per mark-as-lost, resolved by a replacement copy or by the item being found
+CREATE TABLE IF NOT EXISTS lost_item_records (
+  lost_id INT AUTO_INCREMENT PRIMARY KEY,
+  transaction_id INT NOT NULL,
+  penalty_id INT NULL,
+  user_id INT NOT NULL,
+  book_id INT NULL,
+  research_paper_id INT NULL,
+  item_price DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  overdue_fine_at_loss DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  status VARCHAR(20) NOT NULL DEFAULT 'Lost',
+  replacement_book_id INT NULL,
+  found_date DATE NULL,
+  overdue_fine_on_found DECIMAL(10,2) NULL,
+  settlement_type VARCHAR(10) NULL,
+  settlement_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  notes TEXT NULL,
+  marked_by_admin_id INT NULL,
+  resolved_by_admin_id INT NULL,
+  lost_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  resolved_at DATETIME NULL,
+  INDEX idx_lost_items_transaction (transaction_id),
+  INDEX idx_lost_items_user (user_id),
+  INDEX idx_lost_items_status (status)
+);
+
+-- Patron account credit: positive rows add credit (overpaid lost items), negative rows spend it on penalties
+CREATE TABLE IF NOT EXISTS patron_credits (
+  credit_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  penalty_id INT NULL,
+  source VARCHAR(30) NOT NULL,
+  notes TEXT NULL,
+  admin_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_patron_credits_user (user_id)
+);
+
+-- Bulk catalog imports: a dry run stores the file's rows, a commit creates the batches and copies
+CREATE TABLE IF NOT EXISTS book_import_jobs (
+  import_id INT AUTO_INCREMENT PRIMARY KEY,
+  file_name VARCHAR(255) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'Validated',
+  total_rows INT NOT NULL DEFAULT 0,
+  valid_rows INT NOT NULL DEFAULT 0,
+  batch_count INT NOT NULL DEFAULT 0,
+  copy_count INT NOT NULL DEFAULT 0,
+  records LONGTEXT NULL,
+  errors LONGTEXT NULL,
+  warnings LONGTEXT NULL,
+  result LONGTEXT NULL,
+  created_by_admin_id INT NULL,
+  committed_by_admin_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  completed_at DATETIME NULL,
+  INDEX idx_book_import_jobs_status (status)
+);
+
+-- QR codes of a committed import are uploaded in the background; the job row tracks their progress
+ALTER TABLE book_import_jobs
+  ADD COLUMN IF NOT EXISTS qr_status VARCHAR(20) NULL,
+  ADD COLUMN IF NOT EXISTS qr_total INT NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS qr_uploaded INT NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS qr_failed LONGTEXT NULL;
+
+-- Book metadata: ISBN (13 and 10 digit forms), subject, language, page count and call number
+ALTER TABLE books
+  ADD COLUMN IF NOT EXISTS book_isbn VARCHAR(13) NULL,
+  ADD COLUMN IF NOT EXISTS book_isbn10 VARCHAR(10) NULL,
+  ADD COLUMN IF NOT EXISTS book_subject VARCHAR(255) NULL,
+  ADD COLUMN IF NOT EXISTS book_language VARCHAR(50) NULL,
+  ADD COLUMN IF NOT EXISTS book_pages INT NULL,
+  ADD COLUMN IF NOT EXISTS book_call_number VARCHAR(100) NULL,
+  ADD INDEX IF NOT EXISTS idx_books_isbn (book_isbn);
+
+-- Author, publisher and genre authorities: one row per name, matched on normalized_name.
+-- Run `node migrate_book_authorities.js` once to merge existing duplicates and add the unique name keys.
+ALTER TABLE book_author
+  ADD COLUMN IF NOT EXISTS normalized_name VARCHAR(255) NULL,
+  ADD INDEX IF NOT EXISTS idx_book_author_normalized_name (normalized_name);
+
+ALTER TABLE book_publisher
+  ADD COLUMN IF NOT EXISTS normalized_name VARCHAR(255) NULL,
+  ADD INDEX IF NOT EXISTS idx_book_publisher_normalized_name (normalized_name);
+
+ALTER TABLE book_genre
+  ADD COLUMN IF NOT EXISTS normalized_name VARCHAR(255) NULL,
+  ADD INDEX IF NOT EXISTS idx_book_genre_normalized_name (normalized_name);
+
+-- Authors and publishers of a batch, in order; books keep the first in book_author_id / book_publisher_id
+CREATE TABLE IF NOT EXISTS book_author_links (
+  batch_registration_key VARCHAR(255) NOT NULL,
+  book_author_id INT NOT NULL,
+  position INT NOT NULL DEFAULT 1,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (batch_registration_key, book_author_id),
+  INDEX idx_book_author_links_author (book_author_id)
+);
+
+CREATE TABLE IF NOT EXISTS book_publisher_links (
+  batch_registration_key VARCHAR(255) NOT NULL,
+  book_publisher_id INT NOT NULL,
+  position INT NOT NULL DEFAULT 1,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (batch_registration_key, book_publisher_id),
+  INDEX idx_book_publisher_links_publisher (book_publisher_id)
+);
+
+-- Copy-level details: condition, notes, an optional barcode and withdrawal of single copies
+ALTER TABLE books
+  ADD COLUMN IF NOT EXISTS copy_condition VARCHAR(20) NULL,
+  ADD COLUMN IF NOT EXISTS condition_notes TEXT NULL,
+  ADD COLUMN IF NOT EXISTS copy_barcode VARCHAR(100) NULL,
+  ADD COLUMN IF NOT EXISTS withdrawn_at DATETIME NULL,
+  ADD COLUMN IF NOT EXISTS withdrawal_reason VARCHAR(255) NULL,
+  ADD COLUMN IF NOT EXISTS withdrawn_by_admin_id INT NULL,
+  ADD UNIQUE INDEX IF NOT EXISTS uq_books_copy_barcode (copy_barcode);
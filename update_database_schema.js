@@ -16,11 +16,16 @@ async function runSchemaUpdates() {
     
     const sql = fs.readFileSync(sqlPath, 'utf8');
     
-    // Split SQL statements by semicolon and filter out empty statements
+    // Split SQL statements by semicolon, drop comment lines and empty statements
+    // (comments are stripped per line so a statement preceded by a comment still runs)
     const statements = sql
       .split(';')
-      .map(stmt => stmt.trim())
-      .filter(stmt => stmt.length > 0 && !stmt.startsWith('--'));
+      .map(stmt => stmt
+        .split('\n')
+        .filter(line => !line.trim().startsWith('--'))
+        .join('\n')
+        .trim())
+      .filter(stmt => stmt.length > 0);
     
     console.log(`📋 Found ${statements.length} SQL statements to execute`);
     
@@ -1,11 +1,43 @@
 const express = require('express');
 const router = express.Router();
+const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
+const { getAdminFromRequest } = require('../helpers/adminAuth');
+
+// Admin token (req.admin) or patron token (req.user)
+const authenticateReader = async (req, res, next) => {
+  try {
+    const admin = await getAdminFromRequest(req);
+    if (admin) {
+      req.admin = admin;
+      return next();
+    }
+  } catch (err) {
+    console.error('Error authenticating administrator:', err);
+    return res.status(500).json({ message: 'Internal server error.' });
+  }
+
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token) {
+    return res.status(401).json({ message: 'Access token required.' });
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
+    if (err || !user || !user.userId) {
+      return res.status(401).json({ message: 'Invalid or expired token.' });
+    }
+    req.user = user;
+    next();
+  });
+};
 
 // GET /api/notifications
-// Optional query: user_id, page, limit
-router.get('/', async (req, res) => {
-  const { user_id, page = 1, limit = 50 } = req.query;
+// Patrons get their own notifications; admins may filter by user_id
+// Optional query: user_id (admins only), after_id, page, limit
+router.get('/', authenticateReader, async (req, res) => {
+  const { after_id, page = 1, limit = 50 } = req.query;
+  const user_id = req.admin ? req.query.user_id : req.user.userId;
   const pageNum = Math.max(1, parseInt(page, 10) || 1);
   const perPage = Math.max(1, parseInt(limit, 10) || 50);
   const offset = (pageNum - 1) * perPage;
@@ -13,10 +45,19 @@ router.get('/', async (req, res) => {
   try {
     let where = '';
     const params = [];
+    const conditions = [];
     if (user_id) {
-      where = 'WHERE user_id = ?';
+      conditions.push('user_id = ?');
       params.push(user_id);
     }
+    // Only notifications created after the last one the client has seen
+    if (after_id) {
+      conditions.push('notification_id > ?');
+      params.push(after_id);
+    }
+    if (conditions.length > 0) {
+      where = `WHERE ${conditions.join(' AND ')}`;
+    }
 
     // total count
     const [countRows] = await pool.query(`SELECT COUNT(*) AS total FROM notifications ${where}`, params);
@@ -3,6 +3,12 @@ const router = express.Router();
 const { pool } = require("../config/database");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
+const { renewLoan } = require("../services/loanRenewal");
+const { fileDispute, getDisputes } = require("../services/penaltyDisputes");
+const { getUserTransactions, getUserPenalties, getUserReservations } = require("../services/patronRecords");
+const { createReservation, cancelReservation } = require("../services/reservations");
+const { notifyHoldAssigned } = require("../services/reservationHolds");
+const { getReceiptData, buildReceiptPdf, getReceiptFileName } = require("../services/officialReceipt");
 
 // Middleware to verify JWT token
 const authenticateToken = (req, res, next) => {
@@ -533,4 +539,229 @@ router.post("/profile/update-semester", authenticateToken, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// GET THE PATRON'S LOANS
+router.get("/loans", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    if (!userId) {
+      return res.status(403).json({ message: "Only patrons have loans." });
+    }
+
+    const transactions = await getUserTransactions(userId);
+    res.status(200).json({
+      success: true,
+      count: transactions.length,
+      data: transactions
+    });
+  } catch (error) {
+    console.error("Error fetching patron loans:", error);
+    res.status(500).json({ message: "Internal server error." });
+  }
+});
+
+// GET THE PATRON'S PENALTIES
+router.get("/penalties", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    if (!userId) {
+      return res.status(403).json({ message: "Only patrons have penalties." });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await getUserPenalties(userId)
+    });
+  } catch (error) {
+    console.error("Error fetching patron penalties:", error);
+    res.status(500).json({ message: "Internal server error." });
+  }
+});
+
+// DOWNLOAD AN OFFICIAL RECEIPT FOR ONE OF THE PATRON'S PENALTIES (?payment_id=, ?inline=true)
+router.get("/penalties/:penalty_id/receipt", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    if (!userId) {
+      return res.status(403).json({ message: "Only patrons have penalty receipts." });
+    }
+
+    const { payment_id } = req.query;
+    const receipt = await getReceiptData(req.params.penalty_id, payment_id || null);
+    // Other patrons' penalties are reported as missing
+    if (!receipt || Number(receipt.user_id) !== Number(userId)) {
+      return res.status(404).json({
+        success: false,
+        message: payment_id ? "Payment not found for this penalty" : "No payments have been recorded for this penalty"
+      });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `${req.query.inline === "true" ? "inline" : "attachment"}; filename="${getReceiptFileName(receipt)}"`
+    );
+    res.status(200).send(buildReceiptPdf(receipt));
+  } catch (error) {
+    console.error("Error generating patron receipt:", error);
+    res.status(500).json({ message: "Internal server error." });
+  }
+});
+
+// GET THE PATRON'S RESERVATIONS (?status=)
+router.get("/reservations", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    if (!userId) {
+      return res.status(403).json({ message: "Only patrons have reservations." });
+    }
+
+    const reservations = await getUserReservations(userId, { status: req.query.status || null });
+    res.status(200).json({
+      success: true,
+      count: reservations.length,
+      data: reservations
+    });
+  } catch (error) {
+    console.error("Error fetching patron reservations:", error);
+    res.status(500).json({ message: "Internal server error." });
+  }
+});
+
+// RESERVE A BOOK TITLE OR RESEARCH PAPER (PATRON)
+// Body: batch_registration_key or book_id, or research_paper_id; reason (optional)
+router.post("/reservations", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    if (!userId) {
+      return res.status(403).json({ message: "Only patrons can make reservations." });
+    }
+
+    const { book_id, batch_registration_key, research_paper_id, reason } = req.body;
+    const { status, ...body } = await createReservation({
+      user_id: userId,
+      book_id,
+      batch_registration_key,
+      research_paper_id,
+      reason
+    });
+    res.status(status).json(body);
+  } catch (error) {
+    console.error("Error creating patron reservation:", error);
+    res.status(500).json({ message: "Internal server error." });
+  }
+});
+
+// CANCEL ONE OF THE PATRON'S RESERVATIONS
+router.post("/reservations/:reservation_id/cancel", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    if (!userId) {
+      return res.status(403).json({ message: "Only patrons can cancel their own reservations." });
+    }
+
+    const { status, ...body } = await cancelReservation(req.params.reservation_id, { user_id: userId });
+    if (!body.success) {
+      return res.status(status).json(body);
+    }
+
+    // The next patron's hold is theirs to hear about, not part of this response
+    const { hold, ...data } = body.data;
+    if (hold) {
+      await notifyHoldAssigned(hold);
+    }
+
+    res.status(status).json({ ...body, data });
+  } catch (error) {
+    console.error("Error cancelling patron reservation:", error);
+    res.status(500).json({ message: "Internal server error." });
+  }
+});
+
+// RENEW A LOAN (PATRON)
+router.post("/loans/:transaction_id/renew", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { transaction_id } = req.params;
+
+    if (!userId) {
+      return res.status(403).json({ message: "Only patrons can renew their own loans." });
+    }
+
+    const result = await renewLoan({
+      transaction_id,
+      user_id: userId,
+      renewed_by: "patron"
+    });
+
+    if (!result.success) {
+      const { status, success, ...details } = result;
+      return res.status(status).json({ success: false, ...details });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data
+    });
+  } catch (error) {
+    console.error("Error renewing loan:", error);
+    res.status(500).json({ message: "Internal server error." });
+  }
+});
+
+// FILE A DISPUTE ON A PENALTY (PATRON)
+// Form-data: reason, attachment=<image or PDF> (optional)
+router.post("/penalties/:penalty_id/disputes", authenticateToken, (req, res) => {
+  const upload = req.upload.single('attachment');
+
+  upload(req, res, async (err) => {
+    try {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message: "Error uploading file: " + err.message
+        });
+      }
+
+      const userId = req.user.userId;
+      if (!userId) {
+        return res.status(403).json({ message: "Only patrons can dispute their own penalties." });
+      }
+
+      const result = await fileDispute({
+        penalty_id: req.params.penalty_id,
+        user_id: userId,
+        reason: req.body.reason,
+        file: req.file || null
+      });
+
+      const { status, ...body } = result;
+      res.status(status).json(body);
+    } catch (error) {
+      console.error("Error filing penalty dispute:", error);
+      res.status(500).json({ message: "Internal server error." });
+    }
+  });
+});
+
+// GET THE PATRON'S PENALTY DISPUTES
+router.get("/disputes", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    if (!userId) {
+      return res.status(403).json({ message: "Only patrons have penalty disputes." });
+    }
+
+    const disputes = await getDisputes({ user_id: userId });
+    res.status(200).json({
+      success: true,
+      count: disputes.length,
+      data: disputes
+    });
+  } catch (error) {
+    console.error("Error fetching penalty disputes:", error);
+    res.status(500).json({ message: "Internal server error." });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 }
 });
 const { pool } = require("../config/database");
+const { auditAdminAction } = require("../helpers/activityLogger");
 const bcrypt = require("bcryptjs");
 
 // USER REGISTRATION ROUTE
@@ -150,7 +151,7 @@ router.post("/register", upload.fields([
 });
 
 // DELETE MULTIPLE REGISTRATIONS
-router.delete("/delete", async (req, res) => {
+router.delete("/delete", auditAdminAction("USERS_DELETED", { details: (req) => `Deleted user IDs: ${(req.body.userIds || []).join(", ")}` }), async (req, res) => {
   const { userIds } = req.body;
 
   // VALIDATE INPUT
@@ -198,7 +199,7 @@ router.delete("/delete", async (req, res) => {
 });
 
 // DELETE SINGLE REGISTRATION
-router.delete("/delete/:userId", async (req, res) => {
+router.delete("/delete/:userId", auditAdminAction("USER_DELETED", { details: (req) => `Deleted user ID: ${req.params.userId}` }), async (req, res) => {
   const { userId } = req.params;
 
   // VALIDATE INPUT
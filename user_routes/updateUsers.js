@@ -1,10 +1,14 @@
 const express = require("express");
 const router = express.Router();
 const { pool } = require("../config/database");
+const { auditAdminAction } = require("../helpers/activityLogger");
 const { sendRegistrationApprovalEmail, sendRegistrationDisapprovalEmail } = require("../smtp/registrationNotification");
 
 // UPDATE LIBRARIAN APPROVAL STATUS
-router.put("/registrations/:id/approval", async (req, res) => {
+router.put("/registrations/:id/approval", auditAdminAction("USER_APPROVAL_UPDATED", {
+  userId: (req) => req.params.id,
+  details: (req) => `Registration ${req.body.librarian_approval ? "approved" : "disapproved"}${req.body.disapproval_reason ? ` - Reason: ${req.body.disapproval_reason}` : ""}`
+}), async (req, res) => {
   const { id } = req.params;
   const { librarian_approval, disapproval_reason } = req.body;
 
@@ -1,27 +1,87 @@
 const WebSocket = require("ws");
+const jwt = require("jsonwebtoken");
+const url = require("url");
+const { pool } = require("../config/database");
+const { verifyAdminToken, verifyKioskKey } = require("../helpers/adminAuth");
+const { recordHeartbeat } = require("../services/kioskRegistry");
+
+// Connections that have not authenticated within this window are closed
+const AUTH_TIMEOUT_MS = 10000;
+
+// Close codes sent to rejected clients
+const CLOSE_AUTH_TIMEOUT = 4001;
+const CLOSE_AUTH_FAILED = 4003;
+
+// Channels every admin and kiosk connection receives domain events on
+const ADMIN_CHANNEL = "admin";
+const KIOSK_CHANNEL = "kiosk";
+
+// Message types each client role may send; everything else is rejected
+const ALLOWED_CLIENT_MESSAGES = {
+  admin: ["PING", "SUBSCRIBE", "UNSUBSCRIBE", "RESUME"],
+  kiosk: ["PING", "SUBSCRIBE", "UNSUBSCRIBE", "RESUME", "KIOSK_HEARTBEAT"],
+  patron: ["PING", "SUBSCRIBE", "UNSUBSCRIBE", "RESUME"],
+};
+
+// Number of recent server events kept for clients that reconnect and resume
+const EVENT_LOG_SIZE = 1000;
+
+// Sockets that do not answer a ping within one interval are dropped
+const PING_INTERVAL_MS = 30000;
+
+const userChannel = (userId) => `user:${userId}`;
+const kioskChannel = (kioskId) => `kiosk:${kioskId}`;
 
 class WebSocketServer {
   constructor(server) {
     this.wss = new WebSocket.Server({ server });
     this.clients = new Set();
 
-    this.wss.on("connection", (ws) => {
+    // Sequence IDs restart with the process; clients compare the epoch to detect a restart
+    this.epoch = Date.now();
+    this.sequence = 0;
+    this.eventLog = [];
+
+    this.wss.on("connection", (ws, req) => {
+      ws.remoteAddress = req && req.socket ? req.socket.remoteAddress : null;
+      ws.identity = null;
+      ws.channels = new Set();
+      ws.isAlive = true;
       this.clients.add(ws);
       console.log("New client connected");
 
+      // CLIENTS MAY AUTHENTICATE WITH ?token= / ?kiosk_key= OR AN AUTH MESSAGE
+      ws.authTimer = setTimeout(() => {
+        if (!ws.identity) ws.close(CLOSE_AUTH_TIMEOUT, "Authentication timeout");
+      }, AUTH_TIMEOUT_MS);
+
+      const query = req ? url.parse(req.url, true).query : {};
+      if (query.token || query.kiosk_key) {
+        this.authenticate(ws, {
+          token: query.token,
+          kiosk_key: query.kiosk_key,
+          resume_from: query.resume_from,
+          epoch: query.epoch,
+        });
+      }
+
+      ws.on("pong", () => {
+        ws.isAlive = true;
+      });
+
       ws.on("message", (message) => {
+        let data;
         try {
-          const data = JSON.parse(message);
-          console.log("Received:", data);
-
-          // BROADCAST THE MESSAGE TO ALL CONNECTED CLIENTS
-          this.broadcast(data);
+          data = JSON.parse(message);
         } catch (error) {
-          console.error("Invalid JSON received:", message);
+          console.error("Invalid JSON received from client");
+          return this.sendError(ws, "Invalid JSON");
         }
+        this.handleClientMessage(ws, data || {});
       });
 
       ws.on("close", () => {
+        clearTimeout(ws.authTimer);
         this.clients.delete(ws);
         console.log("Client disconnected");
       });
@@ -30,16 +90,267 @@ class WebSocketServer {
         console.error("WebSocket error:", error);
       });
     });
+
+    // PING EVERY CLIENT; TERMINATE THOSE THAT DID NOT ANSWER THE LAST PING
+    this.pingInterval = setInterval(() => {
+      this.clients.forEach((ws) => {
+        if (ws.isAlive === false) {
+          this.clients.delete(ws);
+          return ws.terminate();
+        }
+        ws.isAlive = false;
+        try {
+          ws.ping();
+        } catch (error) {
+          this.clients.delete(ws);
+          ws.terminate();
+        }
+      });
+    }, PING_INTERVAL_MS);
+
+    this.wss.on("close", () => clearInterval(this.pingInterval));
+  }
+
+  // RESOLVE AN ADMIN/PATRON JWT OR KIOSK KEY INTO A CONNECTION IDENTITY
+  async resolveIdentity({ token, kiosk_key }) {
+    if (kiosk_key) {
+      const kiosk = await verifyKioskKey(kiosk_key);
+      if (!kiosk) return null;
+      const channels = [KIOSK_CHANNEL];
+      if (kiosk.kiosk_id) channels.push(kioskChannel(kiosk.kiosk_id));
+      return { role: "kiosk", id: kiosk.kiosk_id, channels };
+    }
+
+    if (!token) return null;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET || "your-secret-key");
+    } catch (error) {
+      return null;
+    }
+
+    if (decoded.adminId) {
+      const admin = await verifyAdminToken(token);
+      if (!admin) return null;
+      return { role: "admin", id: admin.admin_id, channels: [ADMIN_CHANNEL] };
+    }
+
+    if (decoded.userId) {
+      const [users] = await pool.execute(
+        `SELECT user_id FROM users WHERE user_id = ? LIMIT 1`,
+        [decoded.userId]
+      );
+      if (users.length === 0) return null;
+      return { role: "patron", id: users[0].user_id, channels: [userChannel(users[0].user_id)] };
+    }
+
+    return null;
+  }
+
+  async authenticate(ws, credentials = {}) {
+    credentials = credentials || {};
+    try {
+      const identity = await this.resolveIdentity(credentials);
+
+      if (!identity) {
+        this.send(ws, {
+          type: "AUTH_FAILED",
+          data: { message: "Invalid or expired credentials" },
+          timestamp: new Date().toISOString(),
+        });
+        return ws.close(CLOSE_AUTH_FAILED, "Authentication failed");
+      }
+
+      clearTimeout(ws.authTimer);
+      ws.identity = { role: identity.role, id: identity.id };
+      ws.channels = new Set(identity.channels);
+
+      this.send(ws, {
+        type: "AUTH_OK",
+        data: {
+          role: identity.role,
+          id: identity.id,
+          channels: [...ws.channels],
+          epoch: this.epoch,
+          last_seq: this.sequence,
+        },
+        timestamp: new Date().toISOString(),
+      });
+
+      if (credentials.resume_from !== undefined && credentials.resume_from !== null) {
+        this.replayEvents(ws, credentials.resume_from, credentials.epoch);
+      }
+    } catch (error) {
+      console.error("Error authenticating WebSocket client:", error);
+      ws.close(CLOSE_AUTH_FAILED, "Authentication failed");
+    }
+  }
+
+  // CHECK IF A CLIENT MAY LISTEN ON A CHANNEL
+  canSubscribe(identity, channel) {
+    if (!identity || typeof channel !== "string") return false;
+    if (identity.role === "admin") return true;
+    if (identity.role === "kiosk") {
+      return channel === KIOSK_CHANNEL || (identity.id && channel === kioskChannel(identity.id));
+    }
+    return channel === userChannel(identity.id);
+  }
+
+  // HANDLE A MESSAGE FROM A CLIENT; CLIENTS NEVER PUBLISH DOMAIN EVENTS
+  handleClientMessage(ws, data) {
+    if (!ws.identity) {
+      if (data.type === "AUTH") return this.authenticate(ws, data.data);
+      return this.sendError(ws, "Authentication required");
+    }
+
+    const allowed = ALLOWED_CLIENT_MESSAGES[ws.identity.role] || [];
+    if (!allowed.includes(data.type)) {
+      return this.sendError(ws, `Message type not allowed: ${data.type}`);
+    }
+
+    switch (data.type) {
+      case "PING":
+        return this.send(ws, { type: "PONG", timestamp: new Date().toISOString() });
+
+      case "SUBSCRIBE":
+      case "UNSUBSCRIBE": {
+        const channel = data.data && data.data.channel;
+        if (!this.canSubscribe(ws.identity, channel)) {
+          return this.sendError(ws, `Not allowed to subscribe to channel: ${channel}`);
+        }
+        if (data.type === "SUBSCRIBE") ws.channels.add(channel);
+        else ws.channels.delete(channel);
+        return this.send(ws, {
+          type: data.type === "SUBSCRIBE" ? "SUBSCRIBED" : "UNSUBSCRIBED",
+          data: { channel, channels: [...ws.channels] },
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      case "RESUME": {
+        const { from_seq, epoch } = data.data || {};
+        return this.replayEvents(ws, from_seq, epoch);
+      }
+
+      case "KIOSK_HEARTBEAT":
+        return this.handleKioskHeartbeat(ws, data.data || {});
+
+      default:
+        return this.sendError(ws, `Message type not allowed: ${data.type}`);
+    }
+  }
+
+  // RECORD A HEARTBEAT FROM AN AUTHENTICATED, REGISTERED KIOSK
+  async handleKioskHeartbeat(ws, data) {
+    try {
+      if (!ws.identity.id) {
+        return this.sendError(ws, "Heartbeats require a registered kiosk key");
+      }
+
+      await recordHeartbeat(ws.identity.id, data, ws.remoteAddress);
+
+      this.send(ws, {
+        type: "KIOSK_HEARTBEAT_ACK",
+        data: { kiosk_id: ws.identity.id },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error recording kiosk heartbeat:", error);
+    }
+  }
+
+  send(ws, data) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(data));
+    }
+  }
+
+  sendError(ws, message) {
+    this.send(ws, { type: "ERROR", data: { message }, timestamp: new Date().toISOString() });
+  }
+
+  // SEND A CLIENT THE LOGGED EVENTS AFTER from_seq ON ITS CHANNELS.
+  // IF THE EVENTS ARE NO LONGER IN THE LOG (OR THE SERVER RESTARTED) THE CLIENT
+  // GETS RESUME_GAP AND SHOULD RE-FETCH ITS DATA INSTEAD.
+  replayEvents(ws, fromSeq, epoch = null) {
+    const from = parseInt(fromSeq);
+    if (!Number.isFinite(from) || from < 0) {
+      return this.sendError(ws, "from_seq must be a non-negative number");
+    }
+
+    const oldestSeq = this.eventLog.length > 0 ? this.eventLog[0].seq : this.sequence + 1;
+    const restarted = epoch !== undefined && epoch !== null && parseInt(epoch) !== this.epoch;
+
+    if (restarted || from > this.sequence || from < oldestSeq - 1) {
+      return this.send(ws, {
+        type: "RESUME_GAP",
+        data: {
+          from_seq: from,
+          oldest_seq: oldestSeq,
+          last_seq: this.sequence,
+          epoch: this.epoch,
+          message: "Missed events are no longer available; please re-fetch",
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    let replayed = 0;
+    this.eventLog.forEach((entry) => {
+      if (entry.seq > from && entry.channels.some((channel) => ws.channels.has(channel))) {
+        this.send(ws, entry.event);
+        replayed++;
+      }
+    });
+
+    this.send(ws, {
+      type: "RESUME_COMPLETE",
+      data: { from_seq: from, replayed, last_seq: this.sequence, epoch: this.epoch },
+      timestamp: new Date().toISOString(),
+    });
   }
 
-  broadcast(data) {
-    const message = JSON.stringify(data);
+  // PUBLISH A SERVER EVENT TO EVERY CLIENT LISTENING ON ANY OF THE CHANNELS.
+  // EVERY EVENT GETS THE NEXT SEQUENCE ID AND IS KEPT IN THE EVENT LOG FOR RESUME.
+  publish(channels, data) {
+    const targets = Array.isArray(channels) ? channels : [channels];
+    const event = { ...data, seq: ++this.sequence, epoch: this.epoch };
+
+    this.eventLog.push({ seq: event.seq, channels: targets, event });
+    if (this.eventLog.length > EVENT_LOG_SIZE) {
+      this.eventLog.shift();
+    }
+
+    const message = JSON.stringify(event);
     this.clients.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN) {
+      if (
+        client.readyState === WebSocket.OPEN &&
+        client.identity &&
+        targets.some((channel) => client.channels.has(channel))
+      ) {
         client.send(message);
       }
     });
   }
+
+  // SEND TO ONE PATRON'S CONNECTIONS
+  sendToUser(userId, data) {
+    this.publish(userChannel(userId), data);
+  }
+
+  // SEND TO ONE KIOSK'S CONNECTIONS
+  sendToKiosk(kioskId, data) {
+    this.publish(kioskChannel(kioskId), data);
+  }
+
+  // BROADCAST A DOMAIN EVENT TO STAFF (ADMIN AND KIOSK CHANNELS);
+  // PASS userId TO ALSO DELIVER IT TO THAT PATRON
+  broadcast(data, { userId = null } = {}) {
+    const channels = [ADMIN_CHANNEL, KIOSK_CHANNEL];
+    if (userId) channels.push(userChannel(userId));
+    this.publish(channels, data);
+  }
 }
 
-module.exports = WebSocketServer;
\ No newline at end of file
+module.exports = WebSocketServer;